@@ -96,6 +96,363 @@ const DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS = 24;
  */
 const DEFAULT_PENDING_BOOKING_EXPIRATION_MS = DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS * 60 * 60 * 1000;
 
+/**
+ * ============================================================================
+ * CANCELLATION POLICY RULES
+ * ============================================================================
+ */
+
+/**
+ * Default cancellation refund tiers
+ * Each tier refunds refundPercentage of the booking price when the booking is
+ * cancelled at least minHoursBeforeStart hours before it starts.
+ * Default: full refund at any time (no penalty)
+ * Can be overridden per facility via booking_policies.cancellation_tiers
+ */
+const DEFAULT_CANCELLATION_TIERS = [
+  { minHoursBeforeStart: 0, refundPercentage: 100 }
+];
+
+/**
+ * Maximum number of tiers in a cancellation policy
+ */
+const MAX_CANCELLATION_TIERS = 10;
+
+/**
+ * ============================================================================
+ * RESCHEDULE RULES
+ * ============================================================================
+ */
+
+/**
+ * Default minimum notice in minutes before the booking start time
+ * after which a booking can no longer be rescheduled
+ * Can be overridden per facility via booking_policies table
+ */
+const DEFAULT_MIN_RESCHEDULE_NOTICE_MINUTES = 60;
+
+/**
+ * ============================================================================
+ * BOOKING SERIES (RECURRING BOOKING) RULES
+ * ============================================================================
+ */
+
+/**
+ * Days between occurrences for each supported recurrence frequency
+ */
+const SERIES_FREQUENCY_INTERVAL_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+/**
+ * Maximum number of occurrences a single booking series may contain
+ * (one year of weekly bookings)
+ */
+const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * ============================================================================
+ * WAITLIST RULES
+ * ============================================================================
+ */
+
+/**
+ * How long a waitlisted player has to claim a freed range, in minutes
+ * The range is reserved exclusively for that player during this window
+ */
+const WAITLIST_CLAIM_WINDOW_MINUTES = 30;
+
+/**
+ * Maximum number of open (waiting or offered) waitlist entries per user
+ */
+const MAX_OPEN_WAITLIST_ENTRIES_PER_USER = 10;
+
+/**
+ * ============================================================================
+ * SLOT HOLD RULES
+ * ============================================================================
+ */
+
+/**
+ * How long a checkout hold reserves a range, in minutes
+ * Other users cannot book or hold an overlapping range during this time
+ */
+const SLOT_HOLD_DURATION_MINUTES = 10;
+
+/**
+ * Maximum number of active slot holds per user
+ */
+const MAX_ACTIVE_SLOT_HOLDS_PER_USER = 2;
+
+/**
+ * ============================================================================
+ * BOOKING POLICY LIMITS
+ * ============================================================================
+ *
+ * Upper bounds for values facility admins may set in booking_policies.
+ * Values outside these limits are rejected by the policy management API.
+ */
+
+/**
+ * Maximum configurable advance booking window in days (one year)
+ */
+const MAX_POLICY_ADVANCE_BOOKING_DAYS = 365;
+
+/**
+ * Maximum configurable booking duration in minutes (a full day)
+ */
+const MAX_POLICY_BOOKING_DURATION_MINUTES = 24 * 60;
+
+/**
+ * Maximum configurable buffer between bookings in minutes
+ */
+const MAX_POLICY_BOOKING_BUFFER_MINUTES = 240;
+
+/**
+ * Maximum configurable minimum booking notice in minutes (one week)
+ */
+const MAX_POLICY_ADVANCE_NOTICE_MINUTES = 7 * 24 * 60;
+
+/**
+ * Maximum configurable pending booking expiration in hours (one week)
+ */
+const MAX_POLICY_PENDING_EXPIRATION_HOURS = 7 * 24;
+
+/**
+ * Maximum configurable reschedule notice in minutes (one week)
+ */
+const MAX_POLICY_RESCHEDULE_NOTICE_MINUTES = 7 * 24 * 60;
+
+/**
+ * ============================================================================
+ * PRICING RULE LIMITS
+ * ============================================================================
+ *
+ * Bounds for dynamic pricing rules (pricing_rules table).
+ */
+
+/**
+ * Lowest percentage adjustment (-100 makes the matched time free)
+ */
+const MIN_PRICING_RULE_PERCENTAGE = -100;
+
+/**
+ * Highest percentage adjustment
+ */
+const MAX_PRICING_RULE_PERCENTAGE = 500;
+
+/**
+ * Maximum number of specific dates (holidays) on one rule
+ */
+const MAX_PRICING_RULE_DATES = 366;
+
+/**
+ * Maximum lead time a rule condition may use in minutes (one year)
+ */
+const MAX_PRICING_RULE_LEAD_MINUTES = 365 * 24 * 60;
+
+/**
+ * ============================================================================
+ * PROMO CODE LIMITS
+ * ============================================================================
+ *
+ * Bounds for promo codes (promo_codes table).
+ */
+
+/**
+ * Minimum promo code length
+ */
+const MIN_PROMO_CODE_LENGTH = 3;
+
+/**
+ * Maximum promo code length
+ */
+const MAX_PROMO_CODE_LENGTH = 50;
+
+/**
+ * Maximum number of sports or courts a code can be restricted to
+ */
+const MAX_PROMO_CODE_RESTRICTION_IDS = 100;
+
+/**
+ * ============================================================================
+ * IDEMPOTENCY KEYS
+ * ============================================================================
+ *
+ * Idempotency-Key header support for booking requests (idempotency_keys table).
+ */
+
+/**
+ * How long a stored response is replayed for retries with the same key (hours)
+ */
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+/**
+ * Maximum Idempotency-Key header length
+ */
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * ============================================================================
+ * FACILITY CALENDAR
+ * ============================================================================
+ *
+ * Admin bookings calendar (GET /facilities/:id/bookings/calendar).
+ */
+
+/**
+ * Maximum number of days one calendar request may cover
+ */
+const MAX_CALENDAR_RANGE_DAYS = 31;
+
+/**
+ * ============================================================================
+ * BULK BOOKING DECISIONS
+ * ============================================================================
+ *
+ * Accept/reject many pending bookings at once (POST /facilities/:id/bookings/decisions).
+ */
+
+/**
+ * Maximum number of decisions in one request
+ */
+const MAX_BULK_BOOKING_DECISIONS = 100;
+
+/**
+ * ============================================================================
+ * BOOKING MESSAGES
+ * ============================================================================
+ *
+ * Message thread between the player and the facility owner of a booking
+ * (/bookings/:id/messages).
+ */
+
+/**
+ * Maximum message text length (characters)
+ */
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Maximum number of images attached to one message
+ */
+const MAX_MESSAGE_ATTACHMENTS = 5;
+
+/**
+ * Messages returned per page (default and maximum)
+ */
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+/**
+ * ============================================================================
+ * BOOKING PARTICIPANTS
+ * ============================================================================
+ *
+ * Users the booker invites to a booking (/bookings/:id/participants).
+ */
+
+/**
+ * Maximum number of invited or accepted participants per booking (booker not included)
+ */
+const MAX_BOOKING_PARTICIPANTS = 9;
+
+/**
+ * ============================================================================
+ * OPEN GAMES
+ * ============================================================================
+ *
+ * Bookings opened to other players (/open-games).
+ */
+
+/**
+ * Maximum seats of an open game (organizer included)
+ */
+const MAX_OPEN_GAME_PLAYERS = MAX_BOOKING_PARTICIPANTS + 1;
+
+/**
+ * ============================================================================
+ * CHECK-IN
+ * ============================================================================
+ *
+ * QR check-in at the facility (GET /bookings/:id/check-in-token,
+ * POST /facilities/:id/check-ins). Check-in is possible from this many
+ * minutes before the start time until the end time.
+ */
+
+/**
+ * Minutes before the start time when check-in opens
+ */
+const CHECK_IN_OPENS_MINUTES_BEFORE_START = 30;
+
+/**
+ * ============================================================================
+ * PLAYER RELIABILITY
+ * ============================================================================
+ *
+ * Reliability score shown to facility owners on pending bookings
+ * (playerScreeningService).
+ */
+
+/**
+ * A cancellation by the player less than this many hours before the start
+ * time counts as a late cancellation
+ */
+const LATE_CANCELLATION_HOURS = 24;
+
+/**
+ * ============================================================================
+ * CALENDAR FEEDS
+ * ============================================================================
+ *
+ * Tokenized iCalendar (.ics) feeds of bookings (calendarFeedService).
+ */
+
+/**
+ * Maximum active (not revoked) calendar feeds per user
+ */
+const MAX_ACTIVE_CALENDAR_FEEDS_PER_USER = 10;
+
+/**
+ * Bookings that ended more than this many days ago are left out of feeds
+ */
+const CALENDAR_FEED_PAST_DAYS = 30;
+
+/**
+ * Maximum number of events in one feed
+ */
+const MAX_CALENDAR_FEED_EVENTS = 500;
+
+/**
+ * ============================================================================
+ * CALENDAR IMPORTS
+ * ============================================================================
+ *
+ * External calendars (.ics) imported into a court's blocked time ranges
+ * (calendarImportService).
+ */
+
+/**
+ * Maximum import sources per court
+ */
+const MAX_CALENDAR_IMPORT_SOURCES_PER_COURT = 5;
+
+/**
+ * Maximum size of an imported .ics file (1 MB)
+ */
+const MAX_CALENDAR_IMPORT_BYTES = 1024 * 1024;
+
+/**
+ * Recurring events that cannot be stored as a recurring block are expanded
+ * into one-time blocks up to this many days ahead
+ */
+const CALENDAR_IMPORT_HORIZON_DAYS = 180;
+
+/**
+ * Maximum number of blocks one import may produce
+ */
+const MAX_CALENDAR_IMPORT_BLOCKS = 2000;
+
 /**
  * ============================================================================
  * TIME VALIDATION RULES
@@ -335,6 +692,83 @@ module.exports = {
   DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS,
   DEFAULT_PENDING_BOOKING_EXPIRATION_MS,
   
+  // Cancellation policy constants
+  DEFAULT_CANCELLATION_TIERS,
+  MAX_CANCELLATION_TIERS,
+  
+  // Reschedule constants
+  DEFAULT_MIN_RESCHEDULE_NOTICE_MINUTES,
+  
+  // Booking series constants
+  SERIES_FREQUENCY_INTERVAL_DAYS,
+  MAX_SERIES_OCCURRENCES,
+  
+  // Waitlist constants
+  WAITLIST_CLAIM_WINDOW_MINUTES,
+  MAX_OPEN_WAITLIST_ENTRIES_PER_USER,
+  
+  // Slot hold constants
+  SLOT_HOLD_DURATION_MINUTES,
+  MAX_ACTIVE_SLOT_HOLDS_PER_USER,
+  
+  // Booking policy limits
+  MAX_POLICY_ADVANCE_BOOKING_DAYS,
+  MAX_POLICY_BOOKING_DURATION_MINUTES,
+  MAX_POLICY_BOOKING_BUFFER_MINUTES,
+  MAX_POLICY_ADVANCE_NOTICE_MINUTES,
+  MAX_POLICY_PENDING_EXPIRATION_HOURS,
+  MAX_POLICY_RESCHEDULE_NOTICE_MINUTES,
+  
+  // Pricing rule limits
+  MIN_PRICING_RULE_PERCENTAGE,
+  MAX_PRICING_RULE_PERCENTAGE,
+  MAX_PRICING_RULE_DATES,
+  MAX_PRICING_RULE_LEAD_MINUTES,
+  
+  // Promo code limits
+  MIN_PROMO_CODE_LENGTH,
+  MAX_PROMO_CODE_LENGTH,
+  MAX_PROMO_CODE_RESTRICTION_IDS,
+  
+  // Idempotency keys
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  
+  // Facility calendar
+  MAX_CALENDAR_RANGE_DAYS,
+  
+  // Bulk booking decisions
+  MAX_BULK_BOOKING_DECISIONS,
+  
+  // Booking messages
+  MAX_MESSAGE_LENGTH,
+  MAX_MESSAGE_ATTACHMENTS,
+  DEFAULT_MESSAGE_PAGE_SIZE,
+  MAX_MESSAGE_PAGE_SIZE,
+  
+  // Booking participants
+  MAX_BOOKING_PARTICIPANTS,
+  
+  // Open games
+  MAX_OPEN_GAME_PLAYERS,
+  
+  // Check-in
+  CHECK_IN_OPENS_MINUTES_BEFORE_START,
+  
+  // Player reliability
+  LATE_CANCELLATION_HOURS,
+  
+  // Calendar feeds
+  MAX_ACTIVE_CALENDAR_FEEDS_PER_USER,
+  CALENDAR_FEED_PAST_DAYS,
+  MAX_CALENDAR_FEED_EVENTS,
+  
+  // Calendar imports
+  MAX_CALENDAR_IMPORT_SOURCES_PER_COURT,
+  MAX_CALENDAR_IMPORT_BYTES,
+  CALENDAR_IMPORT_HORIZON_DAYS,
+  MAX_CALENDAR_IMPORT_BLOCKS,
+  
   // Time validation constants
   ALLOWED_START_MINUTES,
   
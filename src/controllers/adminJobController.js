@@ -0,0 +1,66 @@
+/**
+ * Admin Job Controller
+ * 
+ * Handles HTTP requests for inspecting and triggering background jobs
+ * (platform admin only)
+ */
+
+const bookingLifecycleJob = require('../services/bookingLifecycleJob');
+const { 
+  sendSuccess, 
+  sendValidationError 
+} = require('../utils/response');
+
+/**
+ * Get booking lifecycle job status and recent run history
+ * GET /api/v1/admin/jobs/booking-lifecycle
+ * Requires authentication and platform_admin role
+ */
+const getBookingLifecycleStatus = async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 20;
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return sendValidationError(res, 'limit must be between 1 and 100');
+    }
+
+    const status = await bookingLifecycleJob.getBookingLifecycleJobStatus({ historyLimit: limit });
+
+    return sendSuccess(res, status, 'Booking lifecycle job status retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Manually run booking lifecycle tasks
+ * POST /api/v1/admin/jobs/booking-lifecycle/run
+ * Requires authentication and platform_admin role
+ * 
+ * Body: { "task": "expire_pending" | "complete_confirmed" | "mark_no_shows" | "expire_slot_holds" | "purge_idempotency_keys" | "sync_calendar_imports" } (omit to run all tasks)
+ */
+const runBookingLifecycle = async (req, res, next) => {
+  try {
+    const { task } = req.body || {};
+
+    if (task && !bookingLifecycleJob.BOOKING_LIFECYCLE_TASKS.includes(task)) {
+      return sendValidationError(
+        res,
+        `Invalid task. Must be one of: ${bookingLifecycleJob.BOOKING_LIFECYCLE_TASKS.join(', ')}`
+      );
+    }
+
+    const results = task
+      ? { [task]: await bookingLifecycleJob.runTask(task, 'manual') }
+      : await bookingLifecycleJob.runAllTasks('manual');
+
+    return sendSuccess(res, results, 'Booking lifecycle tasks executed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBookingLifecycleStatus,
+  runBookingLifecycle
+};
@@ -8,6 +8,8 @@
 const availabilityService = require('../services/availabilityService');
 const availabilityFilterService = require('../services/availabilityFilterService');
 const slotCompositionService = require('../services/slotCompositionService');
+const Court = require('../models/Court');
+const PricingRule = require('../models/PricingRule');
 const timeNorm = require('../utils/timeNormalization');
 const { 
   sendSuccess, 
@@ -15,6 +17,15 @@ const {
   sendValidationError 
 } = require('../utils/response');
 
+/**
+ * Slot duration limits from the effective booking policy
+ * @private
+ */
+const getDurationLimits = (policy) => ({
+  minDuration: policy.minBookingDurationMinutes,
+  maxDuration: policy.maxBookingDurationMinutes
+});
+
 /**
  * Get availability for a single date
  * GET /api/v1/courts/:id/availability
@@ -43,7 +54,8 @@ const getAvailability = async (req, res, next) => {
 
     // Filter by bookings and blocked ranges
     const filteredAvailability = await availabilityFilterService.filterAvailability(baseAvailability, {
-      includeBookings: includeBookings !== 'false'
+      includeBookings: includeBookings !== 'false',
+      userId: req.userId || null
     });
 
     // Format blocks with time strings
@@ -61,7 +73,11 @@ const getAvailability = async (req, res, next) => {
         return sendValidationError(res, 'Duration must be a positive number (in minutes)');
       }
 
-      const slotResult = slotCompositionService.generateBookingSlots(filteredAvailability.blocks, durationMinutes);
+      const slotResult = slotCompositionService.generateBookingSlots(
+        filteredAvailability.blocks,
+        durationMinutes,
+        getDurationLimits(filteredAvailability.policy)
+      );
       slots = slotResult.slots.map(slot => ({
         ...slot,
         startTimeFormatted: timeNorm.formatTimeString(slot.startTime),
@@ -155,7 +171,8 @@ const getAvailabilityRange = async (req, res, next) => {
       try {
         const baseAvailability = await availabilityService.generateBaseAvailability(courtId, date);
         const filteredAvailability = await availabilityFilterService.filterAvailability(baseAvailability, {
-          includeBookings: includeBookings !== 'false'
+          includeBookings: includeBookings !== 'false',
+          userId: req.userId || null
         });
 
         // Format blocks (with validation to handle invalid time values)
@@ -186,7 +203,11 @@ const getAvailabilityRange = async (req, res, next) => {
         if (duration) {
           const durationMinutes = parseInt(duration, 10);
           if (!isNaN(durationMinutes) && durationMinutes > 0) {
-            const slotResult = slotCompositionService.generateBookingSlots(filteredAvailability.blocks, durationMinutes);
+            const slotResult = slotCompositionService.generateBookingSlots(
+              filteredAvailability.blocks,
+              durationMinutes,
+              getDurationLimits(filteredAvailability.policy)
+            );
             slots = slotResult.slots.map(slot => ({
               ...slot,
               startTimeFormatted: timeNorm.formatTimeString(slot.startTime),
@@ -286,7 +307,10 @@ const getAvailabilitySlots = async (req, res, next) => {
 
     // Generate and filter availability
     const baseAvailability = await availabilityService.generateBaseAvailability(courtId, bookingDate);
-    const filteredAvailability = await availabilityFilterService.filterAvailability(baseAvailability);
+    const filteredAvailability = await availabilityFilterService.filterAvailability(baseAvailability, {
+      userId: req.userId || null
+    });
+    const court = await Court.findById(courtId);
 
     // Handle multiple durations
     if (multipleDurations) {
@@ -296,11 +320,22 @@ const getAvailabilitySlots = async (req, res, next) => {
         return sendValidationError(res, 'Invalid multipleDurations format. Use comma-separated numbers (e.g., "90,120,150")');
       }
 
-      const slotResult = slotCompositionService.generateSlotsForMultipleDurations(filteredAvailability.blocks, durations);
+      const slotResult = slotCompositionService.generateSlotsForMultipleDurations(
+        filteredAvailability.blocks,
+        durations,
+        getDurationLimits(filteredAvailability.policy)
+      );
       
       const slotsByDuration = {};
       Object.keys(slotResult.slotsByDuration).forEach(dur => {
-        slotsByDuration[dur] = slotResult.slotsByDuration[dur].map(slot => ({
+        const pricedSlots = slotCompositionService.addSlotPrices(
+          slotResult.slotsByDuration[dur],
+          filteredAvailability.blocks,
+          court.pricePerHour,
+          pricingRules,
+          bookingDate
+        );
+        slotsByDuration[dur] = pricedSlots.map(slot => ({
           ...slot,
           startTimeFormatted: timeNorm.formatTimeString(slot.startTime),
           endTimeFormatted: timeNorm.formatTimeString(slot.endTime)
@@ -330,9 +365,21 @@ const getAvailabilitySlots = async (req, res, next) => {
       return sendValidationError(res, 'Duration must be a positive number (in minutes)');
     }
 
-    const slotResult = slotCompositionService.generateBookingSlots(filteredAvailability.blocks, durationMinutes);
+    const slotResult = slotCompositionService.generateBookingSlots(
+      filteredAvailability.blocks,
+      durationMinutes,
+      getDurationLimits(filteredAvailability.policy)
+    );
+    
+    const pricedSlots = slotCompositionService.addSlotPrices(
+      slotResult.slots,
+      filteredAvailability.blocks,
+      court.pricePerHour,
+      pricingRules,
+      bookingDate
+    );
     
-    const slots = slotResult.slots.map(slot => ({
+    const slots = pricedSlots.map(slot => ({
       ...slot,
       startTimeFormatted: timeNorm.formatTimeString(slot.startTime),
       endTimeFormatted: timeNorm.formatTimeString(slot.endTime)
@@ -0,0 +1,215 @@
+/**
+ * Blocked Time Range Controller
+ *
+ * Handles HTTP requests for blocked time range management
+ * (facility-wide blocks under /facilities/:id/blocks, court-level blocks
+ * under /courts/:id/blocks)
+ */
+
+const blockedTimeRangeService = require('../services/blockedTimeRangeService');
+const { formatTimeString } = require('../utils/timeNormalization');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Read the scope from the route (:id is a facility or court ID)
+ * @private
+ * @returns {Object|null} Scope object or null if the ID is invalid
+ */
+const parseScope = (req, scopeType) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return null;
+  }
+  return scopeType === 'court' ? { courtId: id } : { facilityId: id };
+};
+
+/**
+ * Add readable times to a block
+ * @private
+ */
+const formatBlock = (block) => ({
+  ...block,
+  startTimeFormatted: block.startTime !== null ? formatTimeString(block.startTime) : null,
+  endTimeFormatted: block.endTime !== null ? formatTimeString(block.endTime) : null,
+  dayName: block.dayOfWeek !== null ? getDayName(block.dayOfWeek) : null
+});
+
+/**
+ * Add readable times to a block + impact result
+ * @private
+ */
+const formatBlockResult = ({ block, impact }) => ({
+  block: formatBlock(block),
+  impact: {
+    ...impact,
+    affectedBookings: impact.affectedBookings.map(booking => ({
+      ...booking,
+      startTimeFormatted: formatTimeString(booking.startTime),
+      endTimeFormatted: formatTimeString(booking.endTime)
+    }))
+  }
+});
+
+/**
+ * List blocks
+ * GET /api/v1/facilities/:id/blocks?courtId=&isActive=
+ * GET /api/v1/courts/:id/blocks?isActive=
+ * @private
+ */
+const listBlocks = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    const options = {};
+    if (req.query.isActive !== undefined) {
+      options.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.courtId !== undefined) {
+      options.courtId = parseInt(req.query.courtId, 10);
+      if (isNaN(options.courtId)) {
+        return sendValidationError(res, 'Invalid court ID');
+      }
+    }
+
+    const blocks = await blockedTimeRangeService.listBlocks(scope, options, req.userId);
+
+    return sendSuccess(res, blocks.map(formatBlock), 'Blocked time ranges retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a block (returns the bookings it overlaps)
+ * POST /api/v1/facilities/:id/blocks
+ * POST /api/v1/courts/:id/blocks
+ * @private
+ */
+const createBlock = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    const result = await blockedTimeRangeService.createBlock(scope, req.body || {}, req.userId);
+
+    return sendCreated(res, formatBlockResult(result), 'Blocked time range created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a block (returns the bookings it now overlaps)
+ * PUT /api/v1/facilities/:id/blocks/:blockId
+ * PUT /api/v1/courts/:id/blocks/:blockId
+ * @private
+ */
+const updateBlock = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const blockId = parseInt(req.params.blockId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    if (isNaN(blockId)) {
+      return sendValidationError(res, 'Invalid block ID');
+    }
+
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return sendValidationError(res, 'At least one field must be provided for update');
+    }
+
+    const result = await blockedTimeRangeService.updateBlock(scope, blockId, req.body, req.userId);
+
+    return sendSuccess(res, formatBlockResult(result), 'Blocked time range updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a block
+ * DELETE /api/v1/facilities/:id/blocks/:blockId
+ * DELETE /api/v1/courts/:id/blocks/:blockId
+ * @private
+ */
+const deleteBlock = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const blockId = parseInt(req.params.blockId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    if (isNaN(blockId)) {
+      return sendValidationError(res, 'Invalid block ID');
+    }
+
+    await blockedTimeRangeService.deleteBlock(scope, blockId, req.userId);
+
+    return sendSuccess(res, null, 'Blocked time range deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the bookings a block overlaps
+ * GET /api/v1/facilities/:id/blocks/:blockId/impact
+ * GET /api/v1/courts/:id/blocks/:blockId/impact
+ * @private
+ */
+const getBlockImpact = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const blockId = parseInt(req.params.blockId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    if (isNaN(blockId)) {
+      return sendValidationError(res, 'Invalid block ID');
+    }
+
+    const result = await blockedTimeRangeService.getBlockImpact(scope, blockId, req.userId);
+
+    return sendSuccess(res, formatBlockResult(result), 'Blocked time range impact retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get day name from day of week number
+ * @private
+ */
+const getDayName = (dayOfWeek) => {
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  return days[dayOfWeek] || 'Unknown';
+};
+
+module.exports = {
+  listFacilityBlocks: (req, res, next) => listBlocks('facility', req, res, next),
+  createFacilityBlock: (req, res, next) => createBlock('facility', req, res, next),
+  updateFacilityBlock: (req, res, next) => updateBlock('facility', req, res, next),
+  deleteFacilityBlock: (req, res, next) => deleteBlock('facility', req, res, next),
+  getFacilityBlockImpact: (req, res, next) => getBlockImpact('facility', req, res, next),
+  listCourtBlocks: (req, res, next) => listBlocks('court', req, res, next),
+  createCourtBlock: (req, res, next) => createBlock('court', req, res, next),
+  updateCourtBlock: (req, res, next) => updateBlock('court', req, res, next),
+  deleteCourtBlock: (req, res, next) => deleteBlock('court', req, res, next),
+  getCourtBlockImpact: (req, res, next) => getBlockImpact('court', req, res, next)
+};
@@ -0,0 +1,84 @@
+/**
+ * Booking Check-In Controller
+ *
+ * Handles HTTP requests for QR check-in of bookings
+ */
+
+const bookingCheckInService = require('../services/bookingCheckInService');
+const {
+  sendSuccess,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Get the check-in token of a confirmed booking (shown as a QR code)
+ * GET /api/v1/bookings/:id/check-in-token
+ * Requires authentication (booker only)
+ */
+const getCheckInToken = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const result = await bookingCheckInService.issueCheckInToken(bookingId, req.userId);
+
+    return sendSuccess(res, result, 'Check-in token issued');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a player in by their scanned check-in token, or a booking by its ID
+ * POST /api/v1/facilities/:id/check-ins
+ * Requires authentication and facility_admin role (facility owner only)
+ *
+ * Request body:
+ * {
+ *   "token": "eyJhbGciOi..."   // scanned from the player's QR code
+ * }
+ * or (manual check-in, e.g. walk-in/phone bookings):
+ * {
+ *   "bookingId": 42
+ * }
+ */
+const checkInBooking = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const { token, bookingId } = req.body;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (!token && bookingId === undefined) {
+      return sendValidationError(res, 'Missing required field: token or bookingId');
+    }
+
+    if (token && bookingId !== undefined) {
+      return sendValidationError(res, 'Send either token or bookingId, not both');
+    }
+
+    let booking;
+    if (token) {
+      booking = await bookingCheckInService.checkInBooking(facilityId, req.userId, token);
+    } else {
+      if (!Number.isInteger(bookingId)) {
+        return sendValidationError(res, 'bookingId must be an integer');
+      }
+      booking = await bookingCheckInService.checkInBookingById(facilityId, req.userId, bookingId);
+    }
+
+    return sendSuccess(res, booking, 'Player checked in');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCheckInToken,
+  checkInBooking
+};
@@ -8,6 +8,10 @@
 const bookingService = require('../services/bookingService');
 const transactionSafeBookingService = require('../services/transactionSafeBookingService');
 const bookingPaymentProofService = require('../services/bookingPaymentProofService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const adminBookingService = require('../services/adminBookingService');
+const facilityCalendarService = require('../services/facilityCalendarService');
+const bookingDecisionService = require('../services/bookingDecisionService');
 const imageService = require('../services/imageService');
 const s3Service = require('../services/s3Service');
 const Booking = require('../models/Booking');
@@ -19,6 +23,29 @@ const {
   sendValidationError 
 } = require('../utils/response');
 
+/**
+ * Parse a YYYY-MM-DD date string into a local-timezone Date
+ * Parsing the parts manually avoids UTC conversion shifting the day.
+ * @param {string} dateString - Date string (YYYY-MM-DD)
+ * @returns {Date|null} Parsed date or null if invalid
+ * @private
+ */
+const parseDateParam = (dateString) => {
+  if (typeof dateString !== 'string') {
+    return null;
+  }
+
+  const dateMatch = dateString.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dateMatch) {
+    return null;
+  }
+
+  const [year, month, day] = dateMatch.slice(1).map(Number);
+  const date = new Date(year, month - 1, day); // month is 0-indexed
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
 /**
  * Create a new booking
  * POST /api/v1/bookings
@@ -30,33 +57,28 @@ const {
  *   "courtId": 5,
  *   "date": "2024-01-15",
  *   "startTime": "10:00",
- *   "endTime": "11:30"
+ *   "endTime": "11:30",
+ *   "promoCode": "LAUNCH20"   // optional
  * }
  */
 const createBooking = async (req, res, next) => {
   try {
     const userId = req.userId;
-    const { courtId, date, startTime, endTime, paymentReference } = req.body;
+    const { courtId, date, startTime, endTime, paymentReference, promoCode } = req.body;
 
     // Validate required fields
     if (!courtId || !date || !startTime || !endTime) {
       return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime');
     }
 
-    // Validate and parse date (YYYY-MM-DD format)
-    // Parse date string to avoid timezone issues
-    const dateMatch = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (!dateMatch) {
-      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return sendValidationError(res, 'promoCode must be a string');
     }
 
-    // Create date in local timezone to avoid timezone conversion issues
-    const [year, month, day] = dateMatch.slice(1).map(Number);
-    const bookingDate = new Date(year, month - 1, day); // month is 0-indexed
-    
-    // Validate date is valid
-    if (isNaN(bookingDate.getTime())) {
-      return sendValidationError(res, 'Invalid date provided');
+    // Validate and parse date (YYYY-MM-DD format)
+    const bookingDate = parseDateParam(date);
+    if (!bookingDate) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
     }
 
     // Convert time strings (HH:MM) to minutes since midnight
@@ -75,7 +97,7 @@ const createBooking = async (req, res, next) => {
       bookingDate,
       startTimeMinutes,
       endTimeMinutes,
-      { paymentReference }
+      { paymentReference, promoCode: promoCode || null }
     );
 
     return sendCreated(res, booking, 'Booking created successfully');
@@ -84,6 +106,71 @@ const createBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Quote a booking without creating it (dry run)
+ * POST /api/v1/bookings/quote
+ * Requires authentication
+ * Runs the same checks and pricing as POST /bookings; nothing is inserted or locked
+ * 
+ * Request body: same as POST /bookings (courtId, date, startTime, endTime, promoCode)
+ * 
+ * Response data:
+ * - { bookable: true, quote: { finalPrice, priceBreakdown, expiresAt, ... } }
+ * - { bookable: false, error: { statusCode, errorCode, message, details } }
+ */
+const quoteBooking = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { courtId, date, startTime, endTime, promoCode } = req.body;
+
+    // Validate required fields
+    if (!courtId || !date || !startTime || !endTime) {
+      return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime');
+    }
+
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return sendValidationError(res, 'promoCode must be a string');
+    }
+
+    // Validate and parse date (YYYY-MM-DD format)
+    const bookingDate = parseDateParam(date);
+    if (!bookingDate) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    // Convert time strings (HH:MM) to minutes since midnight
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    const result = await transactionSafeBookingService.quoteBooking(
+      userId,
+      parseInt(courtId, 10),
+      bookingDate,
+      startTimeMinutes,
+      endTimeMinutes,
+      { promoCode: promoCode || null }
+    );
+
+    if (result.bookable) {
+      result.quote.startTimeFormatted = timeNorm.formatTimeString(result.quote.startTime);
+      result.quote.endTimeFormatted = timeNorm.formatTimeString(result.quote.endTime);
+    }
+
+    return sendSuccess(
+      res,
+      result,
+      result.bookable ? 'Booking quote calculated successfully' : 'Booking cannot be created'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get booking details
  * GET /api/v1/bookings/:id
@@ -157,6 +244,57 @@ const cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Reschedule a booking to a new court/date/time
+ * PUT /api/v1/bookings/:id/reschedule
+ * Requires authentication (must be booking owner)
+ */
+const rescheduleBooking = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { courtId, date, startTime, endTime } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    // Validate required fields
+    if (!courtId || !date || !startTime || !endTime) {
+      return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime');
+    }
+
+    // Validate and parse date (YYYY-MM-DD format)
+    const bookingDate = parseDateParam(date);
+    if (!bookingDate) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    // Convert time strings (HH:MM) to minutes since midnight
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    // Move booking using transaction-safe service (with policy checks)
+    const booking = await transactionSafeBookingService.rescheduleBooking(
+      bookingId,
+      userId,
+      parseInt(courtId, 10),
+      bookingDate,
+      startTimeMinutes,
+      endTimeMinutes
+    );
+
+    return sendSuccess(res, booking, 'Booking rescheduled successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get pending bookings for a facility (facility owner only)
  * GET /api/v1/facilities/:id/bookings/pending
@@ -195,6 +333,155 @@ const getPendingBookingsForFacility = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the bookings calendar of a facility (facility owner only)
+ * GET /api/v1/facilities/:id/bookings/calendar
+ * Requires authentication and facility_admin role (must be facility owner)
+ *
+ * Query parameters:
+ * - startDate (required): First day (YYYY-MM-DD)
+ * - endDate (optional): Last day (YYYY-MM-DD, defaults to startDate)
+ * - courtId, sportId (optional): Only this court / courts of this sport
+ * - status (optional): Comma-separated statuses (e.g. pending,confirmed)
+ * - search (optional): Player name, phone or booking id
+ */
+const getFacilityBookingsCalendar = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const ownerId = req.userId;
+    const { startDate, endDate, status, search } = req.query;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (!startDate) {
+      return sendValidationError(res, 'startDate query parameter is required (YYYY-MM-DD)');
+    }
+
+    let courtId = null;
+    if (req.query.courtId !== undefined) {
+      courtId = parseInt(req.query.courtId, 10);
+      if (isNaN(courtId)) {
+        return sendValidationError(res, 'Invalid court ID');
+      }
+    }
+
+    let sportId = null;
+    if (req.query.sportId !== undefined) {
+      sportId = parseInt(req.query.sportId, 10);
+      if (isNaN(sportId)) {
+        return sendValidationError(res, 'Invalid sport ID');
+      }
+    }
+
+    const calendar = await facilityCalendarService.getFacilityCalendar(facilityId, ownerId, {
+      startDate,
+      endDate,
+      courtId,
+      sportId,
+      status,
+      search
+    });
+
+    return sendSuccess(res, calendar, 'Facility bookings calendar retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a front-desk booking for a walk-in or phone customer (facility owner only)
+ * POST /api/v1/facilities/:id/bookings
+ * Requires authentication and facility_admin role (must be facility owner)
+ * Booking is confirmed immediately unless skipApproval is false
+ *
+ * Request body:
+ * {
+ *   "courtId": 5,
+ *   "date": "2024-01-15",
+ *   "startTime": "10:00",
+ *   "endTime": "11:30",
+ *   "customer": { "type": "guest", "name": "Ali Khan", "phone": "+92 300 1234567" },
+ *   "source": "walk_in",            // walk_in | phone
+ *   "paymentMethod": "cash",        // cash | bank_transfer
+ *   "paymentReference": "RCPT-104", // optional
+ *   "skipApproval": true            // optional, default true
+ * }
+ *
+ * For an existing user: "customer": { "type": "user", "email": "..." } or { "type": "user", "phone": "..." }
+ */
+const createFacilityBooking = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const ownerId = req.userId;
+    const {
+      courtId,
+      date,
+      startTime,
+      endTime,
+      customer,
+      source,
+      paymentMethod,
+      paymentReference,
+      skipApproval
+    } = req.body;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    // Validate required fields
+    if (!courtId || !date || !startTime || !endTime || !customer || !source || !paymentMethod) {
+      return sendValidationError(
+        res,
+        'Missing required fields: courtId, date, startTime, endTime, customer, source, paymentMethod'
+      );
+    }
+
+    if (paymentReference !== undefined && paymentReference !== null && typeof paymentReference !== 'string') {
+      return sendValidationError(res, 'paymentReference must be a string');
+    }
+
+    // Validate and parse date (YYYY-MM-DD format)
+    const bookingDate = parseDateParam(date);
+    if (!bookingDate) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    // Convert time strings (HH:MM) to minutes since midnight
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    const result = await adminBookingService.createAdminBooking(facilityId, ownerId, {
+      courtId: parseInt(courtId, 10),
+      bookingDate,
+      startTimeMinutes,
+      endTimeMinutes,
+      customer,
+      source,
+      paymentMethod,
+      paymentReference: paymentReference || null,
+      skipApproval
+    });
+
+    return sendCreated(
+      res,
+      result,
+      result.booking.bookingStatus === 'confirmed'
+        ? 'Booking created and confirmed successfully'
+        : 'Booking created successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Accept a pending booking (facility owner only)
  * PUT /api/v1/bookings/:id/accept
@@ -219,6 +506,46 @@ const acceptBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Accept or reject many pending bookings of a facility (facility owner only)
+ * POST /api/v1/facilities/:id/bookings/decisions
+ * Requires authentication and facility_admin role (must be facility owner)
+ * Each decision succeeds or fails on its own (see results)
+ *
+ * Request body:
+ * {
+ *   "decisions": [
+ *     { "bookingId": 12, "decision": "accept", "paymentReference": "TXN-881" },
+ *     { "bookingId": 13, "decision": "reject", "reason": "Court reserved for tournament" }
+ *   ]
+ * }
+ */
+const decideFacilityBookings = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const ownerId = req.userId;
+    const { decisions } = req.body;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (!Array.isArray(decisions)) {
+      return sendValidationError(res, 'decisions must be an array');
+    }
+
+    const result = await bookingDecisionService.decidePendingBookings(facilityId, ownerId, decisions);
+
+    return sendSuccess(
+      res,
+      result,
+      `${result.summary.accepted} accepted, ${result.summary.rejected} rejected, ${result.summary.failed} failed`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Reject a pending booking (facility owner only)
  * PUT /api/v1/bookings/:id/reject
@@ -357,15 +684,161 @@ const removePaymentProof = async (req, res, next) => {
   }
 };
 
+/**
+ * Create a recurring booking series
+ * POST /api/v1/bookings/series
+ * Requires authentication
+ * Every occurrence is created with 'pending' status in a single transaction
+ * 
+ * Request body:
+ * {
+ *   "courtId": 5,
+ *   "date": "2024-01-16",              // first occurrence
+ *   "startTime": "19:00",
+ *   "endTime": "21:00",
+ *   "recurrence": {
+ *     "frequency": "weekly",           // weekly | biweekly
+ *     "endDate": "2024-04-30"          // or "occurrences": 12
+ *   },
+ *   "conflictMode": "all_or_nothing"   // all_or_nothing | skip_conflicts
+ * }
+ */
+const createBookingSeries = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { courtId, date, startTime, endTime, recurrence, conflictMode, paymentReference } = req.body;
+
+    if (!courtId || !date || !startTime || !endTime || !recurrence) {
+      return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime, recurrence');
+    }
+
+    const startDate = parseDateParam(date);
+    if (!startDate) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    let endDate;
+    if (recurrence.endDate !== undefined && recurrence.endDate !== null) {
+      endDate = parseDateParam(recurrence.endDate);
+      if (!endDate) {
+        return sendValidationError(res, 'Invalid recurrence.endDate format. Expected YYYY-MM-DD');
+      }
+    }
+
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    const result = await bookingSeriesService.createBookingSeries(
+      userId,
+      parseInt(courtId, 10),
+      startDate,
+      startTimeMinutes,
+      endTimeMinutes,
+      {
+        frequency: recurrence.frequency,
+        endDate,
+        occurrences: recurrence.occurrences !== undefined && recurrence.occurrences !== null
+          ? Number(recurrence.occurrences)
+          : undefined
+      },
+      { conflictMode, paymentReference }
+    );
+
+    return sendCreated(res, result, `Booking series created with ${result.bookings.length} booking(s)`);
+  } catch (error) {
+    if (error.errorCode === 'SERIES_CONFLICT') {
+      return sendError(res, error.message, error.errorCode, 409, { conflicts: error.conflicts });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get a booking series with its occurrences
+ * GET /api/v1/bookings/series/:seriesId
+ * Requires authentication (must be series owner)
+ */
+const getBookingSeries = async (req, res, next) => {
+  try {
+    const seriesId = parseInt(req.params.seriesId, 10);
+
+    if (isNaN(seriesId)) {
+      return sendValidationError(res, 'Invalid series ID');
+    }
+
+    const series = await bookingSeriesService.getBookingSeries(seriesId, req.userId);
+
+    return sendSuccess(res, series, 'Booking series retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a booking series (whole series or from a given date forward)
+ * PUT /api/v1/bookings/series/:seriesId/cancel
+ * Requires authentication (must be series owner)
+ * 
+ * Request body:
+ * {
+ *   "fromDate": "2024-03-05",          // optional - omit to cancel the whole series
+ *   "cancellationReason": "Season ended early"
+ * }
+ */
+const cancelBookingSeries = async (req, res, next) => {
+  try {
+    const seriesId = parseInt(req.params.seriesId, 10);
+    const { fromDate, cancellationReason } = req.body;
+
+    if (isNaN(seriesId)) {
+      return sendValidationError(res, 'Invalid series ID');
+    }
+
+    let parsedFromDate = null;
+    if (fromDate !== undefined && fromDate !== null) {
+      parsedFromDate = parseDateParam(fromDate);
+      if (!parsedFromDate) {
+        return sendValidationError(res, 'Invalid fromDate format. Expected YYYY-MM-DD');
+      }
+    }
+
+    const result = await bookingSeriesService.cancelBookingSeries(seriesId, req.userId, {
+      fromDate: parsedFromDate,
+      cancellationReason
+    });
+
+    return sendSuccess(
+      res,
+      result,
+      `Booking series cancelled (${result.cancelledBookings.length} booking(s) cancelled)`
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createBooking,
+  quoteBooking,
   getBookingDetails,
   confirmBooking,
   cancelBooking,
+  rescheduleBooking,
   getPendingBookingsForFacility,
+  getFacilityBookingsCalendar,
+  createFacilityBooking,
   acceptBooking,
   rejectBooking,
+  decideFacilityBookings,
   uploadPaymentProof,
-  removePaymentProof
+  removePaymentProof,
+  createBookingSeries,
+  getBookingSeries,
+  cancelBookingSeries
 };
 
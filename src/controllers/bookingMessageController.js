@@ -0,0 +1,186 @@
+/**
+ * Booking Message Controller
+ *
+ * Handles HTTP requests for booking message threads (player <-> facility owner)
+ */
+
+const bookingMessageService = require('../services/bookingMessageService');
+const s3Service = require('../services/s3Service');
+const bookingRules = require('../config/bookingRules');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Get the messages of a booking
+ * GET /api/v1/bookings/:id/messages
+ * Requires authentication (booking owner or facility owner)
+ *
+ * Query parameters:
+ * - limit: Number of messages (default 50, max 100)
+ * - beforeId: Only messages older than this message ID (load earlier messages)
+ */
+const getBookingMessages = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const limit = req.query.limit !== undefined
+      ? parseInt(req.query.limit, 10)
+      : bookingRules.DEFAULT_MESSAGE_PAGE_SIZE;
+    if (isNaN(limit) || limit < 1 || limit > bookingRules.MAX_MESSAGE_PAGE_SIZE) {
+      return sendValidationError(res, `limit must be between 1 and ${bookingRules.MAX_MESSAGE_PAGE_SIZE}`);
+    }
+
+    let beforeId = null;
+    if (req.query.beforeId !== undefined) {
+      beforeId = parseInt(req.query.beforeId, 10);
+      if (isNaN(beforeId) || beforeId < 1) {
+        return sendValidationError(res, 'Invalid beforeId');
+      }
+    }
+
+    const result = await bookingMessageService.getMessages(bookingId, userId, { limit, beforeId });
+
+    return sendSuccess(res, result, 'Booking messages retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a message to a booking
+ * POST /api/v1/bookings/:id/messages
+ * Requires authentication (booking owner or facility owner)
+ *
+ * Request body:
+ * {
+ *   "body": "Transferred the advance, receipt attached",
+ *   "attachmentImageIds": ["550e8400-e29b-41d4-a716-446655440000"]   // optional, uploaded attachments
+ * }
+ */
+const postBookingMessage = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { body, attachmentImageIds } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const message = await bookingMessageService.postMessage(bookingId, userId, { body, attachmentImageIds });
+
+    return sendCreated(res, message, 'Message sent successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start uploading an image attachment for a booking message
+ * POST /api/v1/bookings/:id/messages/attachments
+ * Requires authentication (booking owner or facility owner)
+ *
+ * This endpoint:
+ * 1. Creates an image record (entity type booking_message)
+ * 2. Generates pre-signed URL for S3 upload
+ *
+ * After uploading, confirm with POST /images/id/:imageId/confirm-upload and
+ * send the image ID in attachmentImageIds of POST /bookings/:id/messages.
+ *
+ * Request body:
+ * {
+ *   "contentType": "image/jpeg"
+ * }
+ */
+const createMessageAttachment = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { contentType } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (!contentType) {
+      return sendValidationError(res, 'Content type is required');
+    }
+
+    // Validate content type
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    if (!allowedTypes.includes(contentType.toLowerCase())) {
+      return sendValidationError(
+        res,
+        `Invalid content type. Must be one of: ${allowedTypes.join(', ')}`
+      );
+    }
+
+    const image = await bookingMessageService.createAttachment(bookingId, userId, req.user.role || 'user');
+
+    const presignedData = await s3Service.generatePresignedUploadUrl(
+      image.id,
+      contentType,
+      userId
+    );
+
+    return sendCreated(res, {
+      image: {
+        id: image.id,
+        ...presignedData
+      }
+    }, 'Attachment upload initiated. Use the uploadUrl to upload the image file.');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a booking's messages as read
+ * PUT /api/v1/bookings/:id/messages/read
+ * Requires authentication (booking owner or facility owner)
+ *
+ * Request body (optional):
+ * {
+ *   "lastReadMessageId": 42   // default: latest message
+ * }
+ */
+const markBookingMessagesRead = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { lastReadMessageId } = req.body || {};
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    let messageId = null;
+    if (lastReadMessageId !== undefined && lastReadMessageId !== null) {
+      messageId = parseInt(lastReadMessageId, 10);
+      if (isNaN(messageId) || messageId < 0) {
+        return sendValidationError(res, 'Invalid lastReadMessageId');
+      }
+    }
+
+    const result = await bookingMessageService.markThreadRead(bookingId, userId, messageId);
+
+    return sendSuccess(res, result, 'Messages marked as read');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBookingMessages,
+  postBookingMessage,
+  createMessageAttachment,
+  markBookingMessagesRead
+};
@@ -0,0 +1,185 @@
+/**
+ * Booking Participant Controller
+ *
+ * Handles HTTP requests for booking participants and cost splitting
+ */
+
+const bookingParticipantService = require('../services/bookingParticipantService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Get the participants and cost shares of a booking
+ * GET /api/v1/bookings/:id/participants
+ * Requires authentication (booker, participant or facility owner)
+ */
+const getBookingParticipants = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const result = await bookingParticipantService.getParticipants(bookingId, req.userId);
+
+    return sendSuccess(res, result, 'Booking participants retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite users to a booking
+ * POST /api/v1/bookings/:id/participants
+ * Requires authentication (booker only)
+ *
+ * Request body:
+ * {
+ *   "identifiers": ["ali_khan", "sara@example.com"]   // usernames or emails
+ * }
+ */
+const inviteParticipants = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const { identifiers } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const result = await bookingParticipantService.inviteParticipants(bookingId, req.userId, identifiers);
+
+    return sendCreated(res, result, `${result.invited.length} participant(s) invited`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation to a booking
+ * PUT /api/v1/bookings/:id/participants/accept
+ * Requires authentication (invited user)
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const participant = await bookingParticipantService.respondToInvitation(bookingId, req.userId, 'accept');
+
+    return sendSuccess(res, participant, 'Invitation accepted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an invitation to a booking
+ * PUT /api/v1/bookings/:id/participants/decline
+ * Requires authentication (invited user)
+ */
+const declineInvitation = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const participant = await bookingParticipantService.respondToInvitation(bookingId, req.userId, 'decline');
+
+    return sendSuccess(res, participant, 'Invitation declined');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Split the booking price between the booker and accepted participants
+ * PUT /api/v1/bookings/:id/split
+ * Requires authentication (booker only)
+ *
+ * Request body:
+ * { "mode": "equal" }
+ * or
+ * {
+ *   "mode": "custom",
+ *   "shares": [
+ *     { "userId": 5, "amount": 1000 },
+ *     { "userId": 8, "amount": 500 }
+ *   ]
+ * }
+ */
+const splitBookingCost = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const { mode, shares } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (!mode) {
+      return sendValidationError(res, 'Missing required field: mode');
+    }
+
+    const result = await bookingParticipantService.splitCost(bookingId, req.userId, { mode, shares });
+
+    return sendSuccess(res, result, 'Booking cost split successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record whether a participant's share has been paid
+ * PUT /api/v1/bookings/:id/shares/:userId/payment
+ * Requires authentication (booker only)
+ *
+ * Request body:
+ * {
+ *   "paymentStatus": "paid"   // paid | unpaid
+ * }
+ */
+const updateSharePayment = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.id, 10);
+    const shareUserId = parseInt(req.params.userId, 10);
+    const { paymentStatus } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (isNaN(shareUserId)) {
+      return sendValidationError(res, 'Invalid user ID');
+    }
+
+    const share = await bookingParticipantService.updateSharePaymentStatus(
+      bookingId,
+      req.userId,
+      shareUserId,
+      paymentStatus
+    );
+
+    return sendSuccess(res, share, 'Share payment status updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBookingParticipants,
+  inviteParticipants,
+  acceptInvitation,
+  declineInvitation,
+  splitBookingCost,
+  updateSharePayment
+};
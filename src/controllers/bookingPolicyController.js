@@ -0,0 +1,206 @@
+/**
+ * Booking Policy Controller
+ *
+ * Handles HTTP requests for booking policy management operations
+ * (facility-level and court-level policies, effective policy lookup)
+ */
+
+const bookingPolicyService = require('../services/bookingPolicyService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Get the facility-level booking policy
+ * GET /api/v1/facilities/:id/policies
+ */
+const getFacilityPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const policy = await bookingPolicyService.getFacilityPolicy(facilityId, req.userId);
+
+    return sendSuccess(res, policy, 'Booking policy retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create the facility-level booking policy
+ * POST /api/v1/facilities/:id/policies
+ */
+const createFacilityPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const policy = await bookingPolicyService.createFacilityPolicy(facilityId, req.body || {}, req.userId);
+
+    return sendCreated(res, policy, 'Booking policy created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the facility-level booking policy
+ * PUT /api/v1/facilities/:id/policies
+ */
+const updateFacilityPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const policy = await bookingPolicyService.updateFacilityPolicy(facilityId, req.body || {}, req.userId);
+
+    return sendSuccess(res, policy, 'Booking policy updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the facility-level booking policy
+ * DELETE /api/v1/facilities/:id/policies
+ */
+const deleteFacilityPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    await bookingPolicyService.deleteFacilityPolicy(facilityId, req.userId);
+
+    return sendSuccess(res, null, 'Booking policy deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the court-level booking policy
+ * GET /api/v1/courts/:id/policies
+ */
+const getCourtPolicy = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const policy = await bookingPolicyService.getCourtPolicy(courtId, req.userId);
+
+    return sendSuccess(res, policy, 'Booking policy retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create the court-level booking policy
+ * POST /api/v1/courts/:id/policies
+ */
+const createCourtPolicy = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const policy = await bookingPolicyService.createCourtPolicy(courtId, req.body || {}, req.userId);
+
+    return sendCreated(res, policy, 'Booking policy created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the court-level booking policy
+ * PUT /api/v1/courts/:id/policies
+ */
+const updateCourtPolicy = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const policy = await bookingPolicyService.updateCourtPolicy(courtId, req.body || {}, req.userId);
+
+    return sendSuccess(res, policy, 'Booking policy updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the court-level booking policy
+ * DELETE /api/v1/courts/:id/policies
+ */
+const deleteCourtPolicy = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    await bookingPolicyService.deleteCourtPolicy(courtId, req.userId);
+
+    return sendSuccess(res, null, 'Booking policy deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the effective booking policy for a court (court -> facility -> default)
+ * GET /api/v1/courts/:id/policies/effective
+ * Public endpoint
+ */
+const getEffectivePolicy = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const effectivePolicy = await bookingPolicyService.getEffectivePolicy(courtId);
+
+    return sendSuccess(res, effectivePolicy, 'Effective booking policy retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFacilityPolicy,
+  createFacilityPolicy,
+  updateFacilityPolicy,
+  deleteFacilityPolicy,
+  getCourtPolicy,
+  createCourtPolicy,
+  updateCourtPolicy,
+  deleteCourtPolicy,
+  getEffectivePolicy
+};
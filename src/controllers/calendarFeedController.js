@@ -0,0 +1,111 @@
+/**
+ * Calendar Feed Controller
+ *
+ * Handles HTTP requests for iCalendar (.ics) booking feeds
+ */
+
+const calendarFeedService = require('../services/calendarFeedService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Build the subscription URLs of a feed token
+ * @param {Object} req - Express request
+ * @param {string} token - Feed token
+ * @returns {Object} { url, webcalUrl }
+ * @private
+ */
+const buildFeedUrls = (req, token) => {
+  const path = `${req.baseUrl}/${token}.ics`;
+  return {
+    url: `${req.protocol}://${req.get('host')}${path}`,
+    webcalUrl: `webcal://${req.get('host')}${path}`
+  };
+};
+
+/**
+ * Create a calendar feed
+ * POST /api/v1/calendar-feeds
+ * Requires authentication (facility and court feeds: facility owner only)
+ *
+ * Request body:
+ * {
+ *   "feedType": "court",  // user (default) | facility | court
+ *   "courtId": 5          // facilityId for facility feeds
+ * }
+ */
+const createFeed = async (req, res, next) => {
+  try {
+    const { token, ...feed } = await calendarFeedService.createFeed(req.userId, req.body || {});
+
+    return sendCreated(res, { ...feed, ...buildFeedUrls(req, token) }, 'Calendar feed created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List own active calendar feeds
+ * GET /api/v1/calendar-feeds
+ * Requires authentication
+ */
+const listFeeds = async (req, res, next) => {
+  try {
+    const feeds = await calendarFeedService.listFeeds(req.userId);
+
+    return sendSuccess(res, feeds, 'Calendar feeds retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a calendar feed
+ * DELETE /api/v1/calendar-feeds/:id
+ * Requires authentication (feed creator only)
+ */
+const revokeFeed = async (req, res, next) => {
+  try {
+    const feedId = parseInt(req.params.id, 10);
+
+    if (isNaN(feedId)) {
+      return sendValidationError(res, 'Invalid calendar feed ID');
+    }
+
+    const feed = await calendarFeedService.revokeFeed(feedId, req.userId);
+
+    return sendSuccess(res, feed, 'Calendar feed revoked successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve a calendar feed as iCalendar text
+ * GET /api/v1/calendar-feeds/:token.ics
+ * Public (the token in the URL is the credential)
+ */
+const getFeedCalendar = async (req, res, next) => {
+  try {
+    const { body } = await calendarFeedService.renderFeed(req.params.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="sportsarena.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    return res.status(200).send(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  getFeedCalendar
+};
@@ -0,0 +1,150 @@
+/**
+ * Calendar Import Controller
+ *
+ * Handles HTTP requests for importing external calendars (.ics) into a
+ * court's blocked time ranges (under /courts/:id/calendar-imports)
+ */
+
+const calendarImportService = require('../services/calendarImportService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Read the court and source IDs from the route
+ * @private
+ * @returns {Object|null} { courtId, sourceId } or null if an ID is invalid
+ */
+const parseIds = (req) => {
+  const courtId = parseInt(req.params.id, 10);
+  const sourceId = req.params.sourceId !== undefined ? parseInt(req.params.sourceId, 10) : null;
+  if (isNaN(courtId) || (sourceId !== null && isNaN(sourceId))) {
+    return null;
+  }
+  return { courtId, sourceId };
+};
+
+/**
+ * List import sources of a court
+ * GET /api/v1/courts/:id/calendar-imports
+ * Requires authentication and facility_admin role (owner only)
+ */
+const listSources = async (req, res, next) => {
+  try {
+    const ids = parseIds(req);
+    if (!ids) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const sources = await calendarImportService.listSources(ids.courtId, req.userId);
+
+    return sendSuccess(res, sources, 'Calendar import sources retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an import source (file sources are imported right away)
+ * POST /api/v1/courts/:id/calendar-imports
+ * Requires authentication and facility_admin role (owner only)
+ *
+ * Request body:
+ * {
+ *   "sourceType": "file",                  // upload | file
+ *   "name": "Front desk calendar",         // optional
+ *   "filePath": "elite/court-1.ics"        // file sources: relative to CALENDAR_IMPORT_DIR
+ * }
+ */
+const createSource = async (req, res, next) => {
+  try {
+    const ids = parseIds(req);
+    if (!ids) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const result = await calendarImportService.createSource(ids.courtId, req.body || {}, req.userId);
+
+    return sendCreated(res, result, 'Calendar import source created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an .ics file into an upload source
+ * POST /api/v1/courts/:id/calendar-imports/:sourceId/upload
+ * Requires authentication and facility_admin role (owner only)
+ *
+ * Request body: the .ics file as text/calendar (up to MAX_CALENDAR_IMPORT_BYTES),
+ * or JSON { "ics": "BEGIN:VCALENDAR..." }
+ */
+const uploadCalendar = async (req, res, next) => {
+  try {
+    const ids = parseIds(req);
+    if (!ids) {
+      return sendValidationError(res, 'Invalid court or source ID');
+    }
+
+    const icsText = typeof req.body === 'string' ? req.body : (req.body || {}).ics;
+    if (typeof icsText !== 'string' || icsText.trim() === '') {
+      return sendValidationError(res, 'Upload the .ics file as text/calendar, or send it as "ics" in a JSON body');
+    }
+
+    const result = await calendarImportService.uploadCalendar(ids.courtId, ids.sourceId, icsText, req.userId);
+
+    return sendSuccess(res, result, 'Calendar imported successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-read a file source now
+ * POST /api/v1/courts/:id/calendar-imports/:sourceId/sync
+ * Requires authentication and facility_admin role (owner only)
+ */
+const syncSource = async (req, res, next) => {
+  try {
+    const ids = parseIds(req);
+    if (!ids) {
+      return sendValidationError(res, 'Invalid court or source ID');
+    }
+
+    const result = await calendarImportService.syncSource(ids.courtId, ids.sourceId, req.userId);
+
+    return sendSuccess(res, result, 'Calendar imported successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an import source and its imported blocks
+ * DELETE /api/v1/courts/:id/calendar-imports/:sourceId
+ * Requires authentication and facility_admin role (owner only)
+ */
+const deleteSource = async (req, res, next) => {
+  try {
+    const ids = parseIds(req);
+    if (!ids) {
+      return sendValidationError(res, 'Invalid court or source ID');
+    }
+
+    await calendarImportService.deleteSource(ids.courtId, ids.sourceId, req.userId);
+
+    return sendSuccess(res, null, 'Calendar import source deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listSources,
+  createSource,
+  uploadCalendar,
+  syncSource,
+  deleteSource
+};
@@ -12,6 +12,7 @@ const {
   sendValidationError 
 } = require('../utils/response');
 const { parsePagination, sendPaginatedResponse } = require('../utils/pagination');
+const { isValidTimeZone } = require('../utils/timezone');
 
 /**
  * List all facilities with optional filters
@@ -255,6 +256,7 @@ const updateFacility = async (req, res, next) => {
       photos,
       openingHours,
       amenities,
+      timezone,
       isActive
     } = req.body;
 
@@ -296,6 +298,12 @@ const updateFacility = async (req, res, next) => {
       }
       updateData.amenities = amenities;
     }
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return sendValidationError(res, 'Invalid timezone. Must be an IANA time zone (e.g., Asia/Karachi)');
+      }
+      updateData.timezone = timezone;
+    }
     if (isActive !== undefined) {
       if (typeof isActive !== 'boolean') {
         return sendValidationError(res, 'isActive must be a boolean');
@@ -0,0 +1,231 @@
+/**
+ * Open Game Controller
+ *
+ * Handles HTTP requests for open games (bookings other players can join)
+ */
+
+const openGameService = require('../services/openGameService');
+const {
+  sendSuccess,
+  sendValidationError
+} = require('../utils/response');
+const { parsePagination, sendPaginatedResponse } = require('../utils/pagination');
+
+/**
+ * List open games with free seats
+ * GET /api/v1/open-games
+ * Requires authentication
+ *
+ * Query parameters:
+ * - sportId: Filter by sport
+ * - city: Filter by facility city
+ * - date: Filter by booking date (YYYY-MM-DD)
+ * - skillLevel: any | beginner | intermediate | advanced
+ * - includeFull: true to also list games without free seats
+ * - page, limit: Pagination
+ */
+const listOpenGames = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const { sportId, city, date, skillLevel, includeFull } = req.query;
+
+    const parsedSportId = sportId ? parseInt(sportId, 10) : undefined;
+    if (sportId && isNaN(parsedSportId)) {
+      return sendValidationError(res, 'Invalid sport ID');
+    }
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    const result = await openGameService.listOpenGames({
+      sportId: parsedSportId,
+      city: city || undefined,
+      date: date || undefined,
+      skillLevel: skillLevel || undefined,
+      includeFull: includeFull === 'true',
+      page,
+      limit
+    });
+
+    return sendPaginatedResponse(
+      res,
+      result.games,
+      result.page,
+      result.limit,
+      result.total,
+      'Open games retrieved successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an open game with its players
+ * GET /api/v1/open-games/:bookingId
+ * Requires authentication (the organizer also sees join requests)
+ */
+const getOpenGame = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const game = await openGameService.getOpenGame(bookingId, req.userId);
+
+    return sendSuccess(res, game, 'Open game retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a booking as a game, or update its settings
+ * PUT /api/v1/open-games/:bookingId
+ * Requires authentication (booker only)
+ *
+ * Request body:
+ * {
+ *   "skillLevel": "intermediate",   // any | beginner | intermediate | advanced
+ *   "maxPlayers": 4,                // seats including the organizer
+ *   "pricePerPlayer": 500,
+ *   "joinMode": "approval",         // instant | approval (default approval)
+ *   "description": "Friendly doubles" // optional
+ * }
+ */
+const openGame = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+    const { skillLevel, maxPlayers, pricePerPlayer, joinMode, description } = req.body;
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (!skillLevel || maxPlayers === undefined || pricePerPlayer === undefined) {
+      return sendValidationError(res, 'Missing required fields: skillLevel, maxPlayers, pricePerPlayer');
+    }
+
+    const game = await openGameService.openGame(bookingId, req.userId, {
+      skillLevel,
+      maxPlayers,
+      pricePerPlayer,
+      joinMode,
+      description
+    });
+
+    return sendSuccess(res, game, 'Open game saved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close an open game
+ * DELETE /api/v1/open-games/:bookingId
+ * Requires authentication (booker only)
+ */
+const closeGame = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const game = await openGameService.closeGame(bookingId, req.userId);
+
+    return sendSuccess(res, game, 'Open game closed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Join an open game (or ask to join it in approval mode)
+ * POST /api/v1/open-games/:bookingId/join
+ * Requires authentication
+ */
+const joinGame = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    const participant = await openGameService.joinGame(bookingId, req.userId);
+    const message = participant.invitationStatus === 'accepted'
+      ? 'Joined the game'
+      : 'Join request sent to the organizer';
+
+    return sendSuccess(res, participant, message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a join request
+ * PUT /api/v1/open-games/:bookingId/players/:userId/approve
+ * Requires authentication (booker only)
+ */
+const approvePlayer = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+    const playerId = parseInt(req.params.userId, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (isNaN(playerId)) {
+      return sendValidationError(res, 'Invalid user ID');
+    }
+
+    const participant = await openGameService.approvePlayer(bookingId, req.userId, playerId);
+
+    return sendSuccess(res, participant, 'Player approved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a player or turn down a join request
+ * DELETE /api/v1/open-games/:bookingId/players/:userId
+ * Requires authentication (booker only)
+ */
+const removePlayer = async (req, res, next) => {
+  try {
+    const bookingId = parseInt(req.params.bookingId, 10);
+    const playerId = parseInt(req.params.userId, 10);
+
+    if (isNaN(bookingId)) {
+      return sendValidationError(res, 'Invalid booking ID');
+    }
+
+    if (isNaN(playerId)) {
+      return sendValidationError(res, 'Invalid user ID');
+    }
+
+    const participant = await openGameService.removePlayer(bookingId, req.userId, playerId);
+
+    return sendSuccess(res, participant, 'Player removed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listOpenGames,
+  getOpenGame,
+  openGame,
+  closeGame,
+  joinGame,
+  approvePlayer,
+  removePlayer
+};
@@ -0,0 +1,151 @@
+/**
+ * Player Screening Controller
+ *
+ * Handles HTTP requests for facility screening policies and blocked players
+ */
+
+const playerScreeningService = require('../services/playerScreeningService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Get the facility's screening policy
+ * GET /api/v1/facilities/:id/screening
+ * Requires authentication and facility_admin role (facility owner only)
+ */
+const getScreeningPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const policy = await playerScreeningService.getScreeningPolicy(facilityId, req.userId);
+
+    return sendSuccess(res, policy, 'Screening policy retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the facility's screening policy
+ * PUT /api/v1/facilities/:id/screening
+ * Requires authentication and facility_admin role (facility owner only)
+ *
+ * Request body (all optional):
+ * {
+ *   "paymentProofBelowScore": 60,   // 1-100, null to turn off
+ *   "autoRejectBlocked": true
+ * }
+ */
+const updateScreeningPolicy = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const { paymentProofBelowScore, autoRejectBlocked } = req.body;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const policy = await playerScreeningService.updateScreeningPolicy(facilityId, req.userId, {
+      paymentProofBelowScore,
+      autoRejectBlocked
+    });
+
+    return sendSuccess(res, policy, 'Screening policy updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the players blocked by the facility
+ * GET /api/v1/facilities/:id/blocked-players
+ * Requires authentication and facility_admin role (facility owner only)
+ */
+const listBlockedPlayers = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const blocks = await playerScreeningService.listBlockedPlayers(facilityId, req.userId);
+
+    return sendSuccess(res, blocks, 'Blocked players retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Block a player
+ * POST /api/v1/facilities/:id/blocked-players
+ * Requires authentication and facility_admin role (facility owner only)
+ *
+ * Request body:
+ * {
+ *   "userId": 8,
+ *   "reason": "Two no-shows in March"   // optional, visible to the facility only
+ * }
+ */
+const blockPlayer = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const { userId, reason } = req.body;
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (userId === undefined) {
+      return sendValidationError(res, 'Missing required field: userId');
+    }
+
+    const block = await playerScreeningService.blockPlayer(facilityId, req.userId, { userId, reason });
+
+    return sendCreated(res, block, 'Player blocked');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unblock a player
+ * DELETE /api/v1/facilities/:id/blocked-players/:userId
+ * Requires authentication and facility_admin role (facility owner only)
+ */
+const unblockPlayer = async (req, res, next) => {
+  try {
+    const facilityId = parseInt(req.params.id, 10);
+    const playerId = parseInt(req.params.userId, 10);
+
+    if (isNaN(facilityId)) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (isNaN(playerId)) {
+      return sendValidationError(res, 'Invalid user ID');
+    }
+
+    await playerScreeningService.unblockPlayer(facilityId, req.userId, playerId);
+
+    return sendSuccess(res, null, 'Player unblocked');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getScreeningPolicy,
+  updateScreeningPolicy,
+  listBlockedPlayers,
+  blockPlayer,
+  unblockPlayer
+};
@@ -0,0 +1,187 @@
+/**
+ * Pricing Rule Controller
+ *
+ * Handles HTTP requests for dynamic pricing rule management
+ * (facility-wide rules under /facilities/:id/pricing-rules, court-level rules
+ * under /courts/:id/pricing-rules) and price simulation
+ */
+
+const pricingRuleService = require('../services/pricingRuleService');
+const { formatTimeString } = require('../utils/timeNormalization');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Read the scope from the route (:id is a facility or court ID)
+ * @private
+ * @returns {Object|null} Scope object or null if the ID is invalid
+ */
+const parseScope = (req, scopeType) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return null;
+  }
+  return scopeType === 'court' ? { courtId: id } : { facilityId: id };
+};
+
+/**
+ * Add readable window times to a rule
+ * @private
+ */
+const formatRule = (rule) => ({
+  ...rule,
+  startTimeFormatted: rule.startTime !== null ? formatTimeString(rule.startTime % 1440) : null,
+  endTimeFormatted: rule.endTime !== null ? formatTimeString(rule.endTime % 1440) : null
+});
+
+/**
+ * List rules in evaluation order
+ * GET /api/v1/facilities/:id/pricing-rules?courtId=&isActive=
+ * GET /api/v1/courts/:id/pricing-rules?isActive=
+ * @private
+ */
+const listRules = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    const options = {};
+    if (req.query.isActive !== undefined) {
+      options.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.courtId !== undefined) {
+      options.courtId = parseInt(req.query.courtId, 10);
+      if (isNaN(options.courtId)) {
+        return sendValidationError(res, 'Invalid court ID');
+      }
+    }
+
+    const rules = await pricingRuleService.listRules(scope, options, req.userId);
+
+    return sendSuccess(res, rules.map(formatRule), 'Pricing rules retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a rule
+ * POST /api/v1/facilities/:id/pricing-rules
+ * POST /api/v1/courts/:id/pricing-rules
+ * @private
+ */
+const createRule = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    const rule = await pricingRuleService.createRule(scope, req.body || {}, req.userId);
+
+    return sendCreated(res, formatRule(rule), 'Pricing rule created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a rule
+ * PUT /api/v1/facilities/:id/pricing-rules/:ruleId
+ * PUT /api/v1/courts/:id/pricing-rules/:ruleId
+ * @private
+ */
+const updateRule = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const ruleId = parseInt(req.params.ruleId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    if (isNaN(ruleId)) {
+      return sendValidationError(res, 'Invalid pricing rule ID');
+    }
+
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return sendValidationError(res, 'At least one field must be provided for update');
+    }
+
+    const rule = await pricingRuleService.updateRule(scope, ruleId, req.body, req.userId);
+
+    return sendSuccess(res, formatRule(rule), 'Pricing rule updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a rule
+ * DELETE /api/v1/facilities/:id/pricing-rules/:ruleId
+ * DELETE /api/v1/courts/:id/pricing-rules/:ruleId
+ * @private
+ */
+const deleteRule = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const ruleId = parseInt(req.params.ruleId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, `Invalid ${scopeType} ID`);
+    }
+
+    if (isNaN(ruleId)) {
+      return sendValidationError(res, 'Invalid pricing rule ID');
+    }
+
+    await pricingRuleService.deleteRule(scope, ruleId, req.userId);
+
+    return sendSuccess(res, null, 'Pricing rule deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Simulate the price of a booking range
+ * POST /api/v1/courts/:id/pricing-rules/simulate
+ */
+const simulatePrice = async (req, res, next) => {
+  try {
+    const courtId = parseInt(req.params.id, 10);
+
+    if (isNaN(courtId)) {
+      return sendValidationError(res, 'Invalid court ID');
+    }
+
+    const result = await pricingRuleService.simulatePrice(courtId, req.body || {}, req.userId);
+
+    return sendSuccess(res, {
+      ...result,
+      startTimeFormatted: formatTimeString(result.startTime),
+      endTimeFormatted: formatTimeString(result.endTime),
+      appliedRules: result.appliedRules.map(formatRule),
+      evaluatedRules: result.evaluatedRules.map(formatRule)
+    }, 'Price simulated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listFacilityRules: (req, res, next) => listRules('facility', req, res, next),
+  createFacilityRule: (req, res, next) => createRule('facility', req, res, next),
+  updateFacilityRule: (req, res, next) => updateRule('facility', req, res, next),
+  deleteFacilityRule: (req, res, next) => deleteRule('facility', req, res, next),
+  listCourtRules: (req, res, next) => listRules('court', req, res, next),
+  createCourtRule: (req, res, next) => createRule('court', req, res, next),
+  updateCourtRule: (req, res, next) => updateRule('court', req, res, next),
+  deleteCourtRule: (req, res, next) => deleteRule('court', req, res, next),
+  simulatePrice
+};
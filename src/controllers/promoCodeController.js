@@ -0,0 +1,144 @@
+/**
+ * Promo Code Controller
+ *
+ * Handles HTTP requests for promo code management
+ * (facility codes under /facilities/:id/promo-codes, platform-wide codes
+ * under /admin/promo-codes)
+ */
+
+const promoCodeService = require('../services/promoCodeService');
+const {
+  sendSuccess,
+  sendCreated,
+  sendValidationError
+} = require('../utils/response');
+
+/**
+ * Read the scope from the route (:id is a facility ID on facility routes)
+ * @private
+ * @returns {Object|null} Scope object or null if the ID is invalid
+ */
+const parseScope = (req, scopeType) => {
+  if (scopeType === 'platform') {
+    return { facilityId: null };
+  }
+
+  const id = parseInt(req.params.id, 10);
+  return isNaN(id) ? null : { facilityId: id };
+};
+
+/**
+ * List promo codes
+ * GET /api/v1/facilities/:id/promo-codes?isActive=
+ * GET /api/v1/admin/promo-codes?isActive=
+ * @private
+ */
+const listPromoCodes = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const options = {};
+    if (req.query.isActive !== undefined) {
+      options.isActive = req.query.isActive === 'true';
+    }
+
+    const promoCodes = await promoCodeService.listPromoCodes(scope, options, req.userId);
+
+    return sendSuccess(res, promoCodes, 'Promo codes retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code
+ * POST /api/v1/facilities/:id/promo-codes
+ * POST /api/v1/admin/promo-codes
+ * @private
+ */
+const createPromoCode = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    if (!scope) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    const promoCode = await promoCodeService.createPromoCode(scope, req.body || {}, req.userId);
+
+    return sendCreated(res, promoCode, 'Promo code created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code
+ * PUT /api/v1/facilities/:id/promo-codes/:promoCodeId
+ * PUT /api/v1/admin/promo-codes/:promoCodeId
+ * @private
+ */
+const updatePromoCode = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const promoCodeId = parseInt(req.params.promoCodeId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (isNaN(promoCodeId)) {
+      return sendValidationError(res, 'Invalid promo code ID');
+    }
+
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return sendValidationError(res, 'At least one field must be provided for update');
+    }
+
+    const promoCode = await promoCodeService.updatePromoCode(scope, promoCodeId, req.body, req.userId);
+
+    return sendSuccess(res, promoCode, 'Promo code updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a promo code that was never redeemed
+ * DELETE /api/v1/facilities/:id/promo-codes/:promoCodeId
+ * DELETE /api/v1/admin/promo-codes/:promoCodeId
+ * @private
+ */
+const deletePromoCode = async (scopeType, req, res, next) => {
+  try {
+    const scope = parseScope(req, scopeType);
+    const promoCodeId = parseInt(req.params.promoCodeId, 10);
+
+    if (!scope) {
+      return sendValidationError(res, 'Invalid facility ID');
+    }
+
+    if (isNaN(promoCodeId)) {
+      return sendValidationError(res, 'Invalid promo code ID');
+    }
+
+    await promoCodeService.deletePromoCode(scope, promoCodeId, req.userId);
+
+    return sendSuccess(res, null, 'Promo code deleted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listFacilityPromoCodes: (req, res, next) => listPromoCodes('facility', req, res, next),
+  createFacilityPromoCode: (req, res, next) => createPromoCode('facility', req, res, next),
+  updateFacilityPromoCode: (req, res, next) => updatePromoCode('facility', req, res, next),
+  deleteFacilityPromoCode: (req, res, next) => deletePromoCode('facility', req, res, next),
+  listPlatformPromoCodes: (req, res, next) => listPromoCodes('platform', req, res, next),
+  createPlatformPromoCode: (req, res, next) => createPromoCode('platform', req, res, next),
+  updatePlatformPromoCode: (req, res, next) => updatePromoCode('platform', req, res, next),
+  deletePlatformPromoCode: (req, res, next) => deletePromoCode('platform', req, res, next)
+};
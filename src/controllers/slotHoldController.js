@@ -0,0 +1,153 @@
+/**
+ * Slot Hold Controller
+ * 
+ * Handles HTTP requests for checkout slot holds
+ */
+
+const slotHoldService = require('../services/slotHoldService');
+const timeNorm = require('../utils/timeNormalization');
+const { 
+  sendSuccess, 
+  sendCreated, 
+  sendValidationError 
+} = require('../utils/response');
+
+/**
+ * Place a hold on a free time slot
+ * POST /api/v1/slot-holds
+ * Requires authentication
+ */
+const createSlotHold = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { courtId, date, startTime, endTime } = req.body;
+
+    // Validate required fields
+    if (!courtId || !date || !startTime || !endTime) {
+      return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime');
+    }
+
+    // Validate and parse date (YYYY-MM-DD format)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    const [year, month, day] = date.split('-').map(Number);
+    const holdDate = new Date(year, month - 1, day);
+    if (isNaN(holdDate.getTime())) {
+      return sendValidationError(res, 'Invalid date');
+    }
+
+    // Convert time strings (HH:MM) to minutes since midnight
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    const hold = await slotHoldService.createSlotHold(
+      userId,
+      parseInt(courtId, 10),
+      holdDate,
+      startTimeMinutes,
+      endTimeMinutes
+    );
+
+    return sendCreated(res, formatHold(hold), 'Time slot held successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged-in user's slot holds
+ * GET /api/v1/slot-holds
+ * Requires authentication
+ */
+const getMySlotHolds = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { status } = req.query;
+
+    const holds = await slotHoldService.getUserSlotHolds(userId, { status });
+
+    return sendSuccess(res, holds.map(formatHold), 'Slot holds retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release a slot hold
+ * DELETE /api/v1/slot-holds/:id
+ * Requires authentication (must be hold owner)
+ */
+const releaseSlotHold = async (req, res, next) => {
+  try {
+    const holdId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+
+    if (isNaN(holdId)) {
+      return sendValidationError(res, 'Invalid slot hold ID');
+    }
+
+    const hold = await slotHoldService.releaseSlotHold(holdId, userId);
+
+    return sendSuccess(res, formatHold(hold), 'Slot hold released successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Convert a slot hold into a booking (creates a pending booking)
+ * POST /api/v1/slot-holds/:id/convert
+ * Requires authentication (must be hold owner)
+ */
+const convertSlotHold = async (req, res, next) => {
+  try {
+    const holdId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { paymentReference, promoCode } = req.body || {};
+
+    if (isNaN(holdId)) {
+      return sendValidationError(res, 'Invalid slot hold ID');
+    }
+
+    if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+      return sendValidationError(res, 'promoCode must be a string');
+    }
+
+    const result = await slotHoldService.convertSlotHold(holdId, userId, {
+      paymentReference,
+      promoCode: promoCode || null
+    });
+
+    return sendCreated(res, {
+      hold: formatHold(result.hold),
+      booking: result.booking
+    }, 'Slot hold converted. Booking created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add readable time strings to a slot hold
+ * @private
+ */
+const formatHold = (hold) => ({
+  ...hold,
+  startTimeFormatted: timeNorm.formatTimeString(hold.startTime),
+  endTimeFormatted: timeNorm.formatTimeString(hold.endTime)
+});
+
+module.exports = {
+  createSlotHold,
+  getMySlotHolds,
+  releaseSlotHold,
+  convertSlotHold
+};
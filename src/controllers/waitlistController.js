@@ -0,0 +1,146 @@
+/**
+ * Waitlist Controller
+ * 
+ * Handles HTTP requests for waitlist operations
+ */
+
+const waitlistService = require('../services/waitlistService');
+const timeNorm = require('../utils/timeNormalization');
+const { 
+  sendSuccess, 
+  sendCreated, 
+  sendValidationError 
+} = require('../utils/response');
+
+/**
+ * Join the waitlist for a taken time slot
+ * POST /api/v1/waitlist
+ * Requires authentication
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { courtId, date, startTime, endTime } = req.body;
+
+    // Validate required fields
+    if (!courtId || !date || !startTime || !endTime) {
+      return sendValidationError(res, 'Missing required fields: courtId, date, startTime, endTime');
+    }
+
+    // Validate and parse date (YYYY-MM-DD format)
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(date)) {
+      return sendValidationError(res, 'Invalid date format. Expected YYYY-MM-DD (e.g., 2025-12-31)');
+    }
+
+    const [year, month, day] = date.split('-').map(Number);
+    const waitlistDate = new Date(year, month - 1, day);
+    if (isNaN(waitlistDate.getTime())) {
+      return sendValidationError(res, 'Invalid date');
+    }
+
+    // Convert time strings (HH:MM) to minutes since midnight
+    let startTimeMinutes, endTimeMinutes;
+    try {
+      startTimeMinutes = timeNorm.parseTimeString(startTime);
+      endTimeMinutes = timeNorm.parseTimeString(endTime);
+    } catch (error) {
+      return sendValidationError(res, `Invalid time format: ${error.message}. Expected HH:MM format (e.g., 13:00)`);
+    }
+
+    const entry = await waitlistService.joinWaitlist(
+      userId,
+      parseInt(courtId, 10),
+      waitlistDate,
+      startTimeMinutes,
+      endTimeMinutes
+    );
+
+    return sendCreated(res, formatEntry(entry), 'Joined waitlist successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged-in user's waitlist entries
+ * GET /api/v1/waitlist
+ * Requires authentication
+ */
+const getMyWaitlistEntries = async (req, res, next) => {
+  try {
+    const userId = req.userId;
+    const { status } = req.query;
+
+    const entries = await waitlistService.getUserWaitlistEntries(userId, { status });
+
+    return sendSuccess(res, entries.map(formatEntry), 'Waitlist entries retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave the waitlist
+ * DELETE /api/v1/waitlist/:id
+ * Requires authentication (must be entry owner)
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entryId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+
+    if (isNaN(entryId)) {
+      return sendValidationError(res, 'Invalid waitlist entry ID');
+    }
+
+    const entry = await waitlistService.leaveWaitlist(entryId, userId);
+
+    return sendSuccess(res, formatEntry(entry), 'Left waitlist successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim an open waitlist offer (creates a pending booking)
+ * POST /api/v1/waitlist/:id/claim
+ * Requires authentication (must be entry owner)
+ */
+const claimWaitlistOffer = async (req, res, next) => {
+  try {
+    const entryId = parseInt(req.params.id, 10);
+    const userId = req.userId;
+    const { paymentReference } = req.body;
+
+    if (isNaN(entryId)) {
+      return sendValidationError(res, 'Invalid waitlist entry ID');
+    }
+
+    const result = await waitlistService.claimWaitlistOffer(entryId, userId, { paymentReference });
+
+    return sendCreated(res, {
+      entry: formatEntry(result.entry),
+      booking: result.booking
+    }, 'Waitlist offer claimed. Booking created successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add readable time strings to a waitlist entry
+ * @private
+ */
+const formatEntry = (entry) => ({
+  ...entry,
+  startTimeFormatted: timeNorm.formatTimeString(entry.startTime),
+  endTimeFormatted: timeNorm.formatTimeString(entry.endTime)
+});
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist,
+  claimWaitlistOffer
+};
@@ -0,0 +1,66 @@
+-- Create booking_series table
+-- Stores recurring booking series (e.g., same court every Tuesday 19:00-21:00 for a season)
+--
+-- A series is created in one request and expands into individual rows in the
+-- bookings table (one per occurrence). Each occurrence keeps its own status so
+-- it can be accepted, rejected or cancelled independently.
+
+CREATE TABLE IF NOT EXISTS booking_series (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    court_id INTEGER NOT NULL REFERENCES courts(id) ON DELETE RESTRICT,
+    
+    -- Recurrence pattern: 'weekly' (every week) or 'biweekly' (every other week)
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly')),
+    
+    -- Day of week of every occurrence: 0=Sunday, 1=Monday, ..., 6=Saturday
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+    
+    -- Time range using minutes since midnight (0-1439)
+    start_time INTEGER NOT NULL CHECK (start_time >= 0 AND start_time < 1440),
+    end_time INTEGER NOT NULL CHECK (end_time >= 0 AND end_time < 1440),
+    
+    -- First and last occurrence dates (end_date is derived when a count is requested)
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    
+    -- Number of occurrences requested by the pattern (before conflicts were skipped)
+    occurrence_count INTEGER NOT NULL CHECK (occurrence_count > 0),
+    
+    -- How conflicts were handled when the series was created
+    conflict_mode VARCHAR(20) NOT NULL DEFAULT 'all_or_nothing'
+        CHECK (conflict_mode IN ('all_or_nothing', 'skip_conflicts')),
+    
+    series_status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (series_status IN ('active', 'cancelled')),
+    cancellation_reason TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_series_time_range CHECK (start_time < end_time),
+    CONSTRAINT check_series_date_range CHECK (start_date <= end_date)
+);
+
+-- Link occurrences to their series
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_booking_series_user ON booking_series(user_id);
+CREATE INDEX IF NOT EXISTS idx_booking_series_court ON booking_series(court_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id, booking_date)
+  WHERE series_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE booking_series IS 
+'Recurring booking series. Each occurrence is stored as a row in bookings with series_id set.';
+
+COMMENT ON COLUMN booking_series.frequency IS 
+'Recurrence pattern: weekly (every 7 days) or biweekly (every 14 days).';
+
+COMMENT ON COLUMN booking_series.conflict_mode IS 
+'all_or_nothing: series fails if any occurrence conflicts. skip_conflicts: conflicting occurrences are skipped.';
+
+COMMENT ON COLUMN bookings.series_id IS 
+'Booking series this occurrence belongs to. NULL for one-off bookings.';
@@ -0,0 +1,12 @@
+-- Add reschedule cutoff configuration to booking_policies table
+--
+-- Allows facilities/courts to control how close to the booking start time
+-- a user may still move (reschedule) an existing booking.
+
+ALTER TABLE booking_policies
+  ADD COLUMN IF NOT EXISTS min_reschedule_notice_minutes INTEGER
+    CHECK (min_reschedule_notice_minutes >= 0);
+
+-- Add comment
+COMMENT ON COLUMN booking_policies.min_reschedule_notice_minutes IS
+'Minimum minutes before the current booking start time that rescheduling is allowed. NULL uses system default (60 minutes). 0 allows rescheduling until the booking starts.';
@@ -0,0 +1,54 @@
+-- Create waitlist_entries table
+-- Players waiting for a court/date/time range that is currently taken
+--
+-- Lifecycle:
+--   waiting   -> offered   (a matching booking was cancelled, rejected or expired)
+--   offered   -> claimed   (player booked the range during the claim window)
+--   offered   -> expired   (claim window passed; the range is offered to the next player)
+--   waiting/offered -> cancelled (player left the waitlist)
+--
+-- While an entry is 'offered' and claim_expires_at is in the future, the range
+-- is reserved exclusively for that player.
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    court_id INTEGER NOT NULL REFERENCES courts(id) ON DELETE CASCADE,
+    
+    booking_date DATE NOT NULL,
+    
+    -- Time range using minutes since midnight (0-1439)
+    start_time INTEGER NOT NULL CHECK (start_time >= 0 AND start_time < 1440),
+    end_time INTEGER NOT NULL CHECK (end_time >= 0 AND end_time < 1440),
+    
+    entry_status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (entry_status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+    
+    -- Exclusive claim window (set when the entry is offered)
+    offered_at TIMESTAMP,
+    claim_expires_at TIMESTAMP,
+    
+    -- Booking created when the offer was claimed
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_waitlist_time_range CHECK (start_time < end_time)
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_user ON waitlist_entries(user_id, entry_status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_court_date ON waitlist_entries(court_id, booking_date, entry_status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_claims ON waitlist_entries(claim_expires_at)
+  WHERE entry_status = 'offered';
+
+-- Add comments
+COMMENT ON TABLE waitlist_entries IS 
+'Players waiting for a taken court time range. Freed ranges are offered in FIFO order with an exclusive, time-limited claim.';
+
+COMMENT ON COLUMN waitlist_entries.entry_status IS 
+'waiting, offered (claim window open), claimed (booked), expired (claim window missed), cancelled (left waitlist).';
+
+COMMENT ON COLUMN waitlist_entries.claim_expires_at IS 
+'End of the exclusive claim window. Other users cannot book an overlapping range before this time.';
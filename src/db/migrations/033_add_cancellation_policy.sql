@@ -0,0 +1,29 @@
+-- Add tiered cancellation policy to booking_policies and refund tracking to bookings
+--
+-- cancellation_tiers is a JSON array of refund tiers, evaluated against the
+-- time left before the booking starts. Example (free until 24h, 50% until 6h,
+-- nothing after):
+--   [
+--     {"minHoursBeforeStart": 24, "refundPercentage": 100},
+--     {"minHoursBeforeStart": 6,  "refundPercentage": 50}
+--   ]
+-- Cancelling with less notice than every tier refunds nothing.
+
+ALTER TABLE booking_policies
+  ADD COLUMN IF NOT EXISTS cancellation_tiers JSONB
+    CHECK (cancellation_tiers IS NULL OR jsonb_typeof(cancellation_tiers) = 'array');
+
+-- Amounts computed when the booking is cancelled (NULL for bookings never cancelled)
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10, 2) CHECK (refund_amount >= 0),
+  ADD COLUMN IF NOT EXISTS cancellation_penalty DECIMAL(10, 2) CHECK (cancellation_penalty >= 0);
+
+-- Add comments
+COMMENT ON COLUMN booking_policies.cancellation_tiers IS 
+'Refund tiers as JSON array of {minHoursBeforeStart, refundPercentage}. NULL uses system default (full refund).';
+
+COMMENT ON COLUMN bookings.refund_amount IS 
+'Amount refunded to the player when the booking was cancelled, per cancellation policy.';
+
+COMMENT ON COLUMN bookings.cancellation_penalty IS 
+'Amount retained by the facility when the booking was cancelled (final_price - refund_amount).';
@@ -0,0 +1,41 @@
+-- Create job_runs table
+-- Run history for scheduled background jobs (e.g., booking lifecycle job)
+--
+-- One row per task execution. A row is inserted as 'running' when the task
+-- starts and updated to 'succeeded' or 'failed' when it finishes.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    
+    -- Job and task name (e.g., job 'booking_lifecycle', task 'expire_pending')
+    job_name VARCHAR(100) NOT NULL,
+    task_name VARCHAR(100) NOT NULL,
+    
+    -- What started the run
+    trigger_type VARCHAR(20) NOT NULL
+        CHECK (trigger_type IN ('schedule', 'startup', 'manual')),
+    
+    run_status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (run_status IN ('running', 'succeeded', 'failed')),
+    
+    -- Number of records processed (e.g., bookings expired)
+    processed_count INTEGER NOT NULL DEFAULT 0 CHECK (processed_count >= 0),
+    
+    -- Task-specific result details and error message on failure
+    details JSONB,
+    error_message TEXT,
+    
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_task_started ON job_runs(job_name, task_name, started_at DESC);
+
+-- Add comments
+COMMENT ON TABLE job_runs IS 
+'Run history for scheduled background jobs. One row per task execution.';
+
+COMMENT ON COLUMN job_runs.trigger_type IS 
+'schedule: cron trigger, startup: run on server start, manual: triggered by an admin.';
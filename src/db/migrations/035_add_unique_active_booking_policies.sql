@@ -0,0 +1,35 @@
+-- Enforce at most one active booking policy per scope
+--
+-- Policies are resolved court -> facility -> system default, so a scope with
+-- several active policies has no well-defined value. Before adding the unique
+-- indexes, keep only the most recently created active policy per scope.
+
+UPDATE booking_policies bp
+SET is_active = FALSE,
+    updated_at = CURRENT_TIMESTAMP
+WHERE bp.is_active = TRUE
+  AND EXISTS (
+    SELECT 1
+    FROM booking_policies newer
+    WHERE newer.is_active = TRUE
+      AND newer.facility_id = bp.facility_id
+      AND newer.court_id IS NOT DISTINCT FROM bp.court_id
+      AND newer.id > bp.id
+  );
+
+-- One active facility-level policy per facility
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_policies_unique_active_facility
+  ON booking_policies(facility_id)
+  WHERE court_id IS NULL AND is_active = TRUE;
+
+-- One active court-level policy per court
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_policies_unique_active_court
+  ON booking_policies(court_id)
+  WHERE court_id IS NOT NULL AND is_active = TRUE;
+
+-- Add comments
+COMMENT ON INDEX idx_booking_policies_unique_active_facility IS
+'At most one active facility-level booking policy per facility.';
+
+COMMENT ON INDEX idx_booking_policies_unique_active_court IS
+'At most one active court-level booking policy per court.';
@@ -0,0 +1,19 @@
+-- Add itemized price breakdown to bookings (time-of-day pricing)
+--
+-- A booking is split across the availability rule windows it covers and each
+-- part is charged at the window's price_per_hour_override (or the court price).
+-- Example (court 2000/h, evening rule from 18:00 at 3000/h, booking 17:00-19:00):
+--   [
+--     {"startTime": 1020, "endTime": 1080, "durationMinutes": 60, "pricePerHour": 2000, "amount": 2000, "source": "court"},
+--     {"startTime": 1080, "endTime": 1140, "durationMinutes": 60, "pricePerHour": 3000, "amount": 3000, "source": "rule"}
+--   ]
+-- The line amounts add up to final_price. Bookings created before this
+-- migration keep NULL.
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS price_breakdown JSONB
+    CHECK (price_breakdown IS NULL OR jsonb_typeof(price_breakdown) = 'array');
+
+-- Add comments
+COMMENT ON COLUMN bookings.price_breakdown IS 
+'Itemized price as JSON array of {startTime, endTime, durationMinutes, pricePerHour, amount, source}. Sums to final_price.';
@@ -0,0 +1,83 @@
+-- Create pricing_rules table
+-- Dynamic pricing rules applied on top of time-of-day pricing
+-- (court price / availability rule price_per_hour_override)
+--
+-- Scope:
+--   court_id NULL     -> applies to every court of the facility
+--   court_id NOT NULL -> applies to one court
+--
+-- Conditions (NULL = no restriction, all set conditions must match):
+--   days_of_week                 booking date's day (0=Sunday, 6=Saturday)
+--   dates                        specific booking dates (holidays, events)
+--   start_time/end_time          time window; the action only applies to the
+--                                part of the booking inside the window
+--   min/max_lead_minutes         minutes between booking time and booking start
+--   min/max_duration_minutes     booking duration
+--
+-- Actions:
+--   fixed_price  action_value is the hourly price for the matched time
+--   percentage   action_value is a +/- percentage of the matched time's price
+--   surcharge    action_value is a flat amount added once per booking
+--
+-- Evaluation order: priority DESC, court-level before facility-level, id ASC.
+-- 'stack' rules all apply in that order; a matching 'exclusive' rule applies
+-- and stops evaluation of the remaining rules.
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    court_id INTEGER REFERENCES courts(id) ON DELETE CASCADE,
+    
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    
+    priority INTEGER NOT NULL DEFAULT 0,
+    stacking VARCHAR(20) NOT NULL DEFAULT 'stack'
+        CHECK (stacking IN ('stack', 'exclusive')),
+    
+    -- Conditions
+    days_of_week INTEGER[],
+    dates DATE[],
+    start_time INTEGER CHECK (start_time >= 0 AND start_time < 1440),
+    end_time INTEGER CHECK (end_time > 0 AND end_time <= 1440),
+    min_lead_minutes INTEGER CHECK (min_lead_minutes >= 0),
+    max_lead_minutes INTEGER CHECK (max_lead_minutes >= 0),
+    min_duration_minutes INTEGER CHECK (min_duration_minutes > 0),
+    max_duration_minutes INTEGER CHECK (max_duration_minutes > 0),
+    
+    -- Action
+    action_type VARCHAR(20) NOT NULL
+        CHECK (action_type IN ('fixed_price', 'percentage', 'surcharge')),
+    action_value DECIMAL(10, 2) NOT NULL,
+    
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_pricing_rule_time_window CHECK (
+        (start_time IS NULL AND end_time IS NULL) OR
+        (start_time IS NOT NULL AND end_time IS NOT NULL AND start_time < end_time)
+    ),
+    CONSTRAINT check_pricing_rule_lead CHECK (
+        min_lead_minutes IS NULL OR max_lead_minutes IS NULL OR min_lead_minutes <= max_lead_minutes
+    ),
+    CONSTRAINT check_pricing_rule_duration CHECK (
+        min_duration_minutes IS NULL OR max_duration_minutes IS NULL OR min_duration_minutes <= max_duration_minutes
+    )
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_facility ON pricing_rules(facility_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_court ON pricing_rules(court_id)
+  WHERE court_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE pricing_rules IS 
+'Dynamic pricing rules (weekends, holidays, lead time, ...) applied on top of time-of-day pricing when a booking is priced.';
+
+COMMENT ON COLUMN pricing_rules.stacking IS 
+'stack: applies together with other matching rules. exclusive: applies and stops evaluation of lower-ordered rules.';
+
+COMMENT ON COLUMN pricing_rules.action_value IS 
+'fixed_price: price per hour; percentage: +/- percent of the matched price; surcharge: flat amount per booking.';
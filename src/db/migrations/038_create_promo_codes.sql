@@ -0,0 +1,98 @@
+-- Create promo_codes and promo_code_redemptions tables
+-- Discount codes applied to a booking when it is created
+--
+-- Scope:
+--   facility_id NULL     -> platform-wide code (managed by platform admins)
+--   facility_id NOT NULL -> code of one facility (managed by its owner)
+--
+-- Discounts (applied to the booking's computed price):
+--   percentage    discount_value percent off (1-100), optionally capped by
+--                 max_discount_amount
+--   fixed_amount  discount_value off the price (never below 0)
+--
+-- Restrictions (NULL = no restriction):
+--   valid_from/valid_until      when the code can be redeemed
+--   max_redemptions             total redemptions
+--   max_redemptions_per_user    redemptions per user
+--   min_booking_amount          minimum price before discount
+--   sport_ids / court_ids       courts the code can be used on
+--
+-- redemption_count is incremented in the booking transaction while the code
+-- row is locked (SELECT ... FOR UPDATE), so concurrent bookings can never
+-- exceed max_redemptions or max_redemptions_per_user.
+
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL CHECK (code = UPPER(code) AND code ~ '^[A-Z0-9_-]+$'),
+    facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE,
+    description TEXT,
+
+    discount_type VARCHAR(20) NOT NULL
+        CHECK (discount_type IN ('percentage', 'fixed_amount')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    max_discount_amount DECIMAL(10, 2) CHECK (max_discount_amount > 0),
+    min_booking_amount DECIMAL(10, 2) CHECK (min_booking_amount >= 0),
+
+    valid_from TIMESTAMP,
+    valid_until TIMESTAMP,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    max_redemptions_per_user INTEGER CHECK (max_redemptions_per_user > 0),
+    redemption_count INTEGER NOT NULL DEFAULT 0 CHECK (redemption_count >= 0),
+
+    sport_ids INTEGER[],
+    court_ids INTEGER[],
+
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_promo_code_percentage CHECK (
+        discount_type <> 'percentage' OR discount_value <= 100
+    ),
+    CONSTRAINT check_promo_code_validity CHECK (
+        valid_from IS NULL OR valid_until IS NULL OR valid_from < valid_until
+    ),
+    CONSTRAINT check_promo_code_redemption_cap CHECK (
+        max_redemptions IS NULL OR redemption_count <= max_redemptions
+    )
+);
+
+-- Codes are unique across the platform (stored upper case)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(code);
+CREATE INDEX IF NOT EXISTS idx_promo_codes_facility ON promo_codes(facility_id)
+  WHERE facility_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+    id SERIAL PRIMARY KEY,
+    promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10, 2) NOT NULL CHECK (discount_amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_user
+  ON promo_code_redemptions(promo_code_id, user_id);
+
+-- Discount applied to a booking
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS original_price DECIMAL(10, 2) CHECK (original_price >= 0),
+  ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0);
+
+-- Add comments
+COMMENT ON TABLE promo_codes IS
+'Platform-wide (facility_id NULL) and facility-scoped discount codes applied at booking creation.';
+
+COMMENT ON COLUMN promo_codes.redemption_count IS
+'Number of bookings created with this code. Incremented atomically in the booking transaction.';
+
+COMMENT ON TABLE promo_code_redemptions IS
+'One row per booking created with a promo code (used for per-user limits and reporting).';
+
+COMMENT ON COLUMN bookings.original_price IS
+'Price before the promo code discount (NULL when no code was used).';
+
+COMMENT ON COLUMN bookings.discount_amount IS
+'Promo code discount subtracted from original_price to get final_price.';
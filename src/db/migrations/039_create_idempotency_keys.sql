@@ -0,0 +1,39 @@
+-- Create idempotency_keys table
+-- Stored responses for requests sent with an Idempotency-Key header
+--
+-- A key is scoped per user and route (method + path, e.g.
+-- 'PUT /api/v1/bookings/12/cancel'). The first request reserves the key as
+-- 'in_progress'; when it finishes the response is stored as 'completed' and
+-- replayed for retries with the same key until expires_at. request_hash
+-- (SHA-256 of the request body) detects a key reused with a different payload.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    route VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+
+    key_status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+        CHECK (key_status IN ('in_progress', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    UNIQUE (user_id, route, idempotency_key),
+    CONSTRAINT check_idempotency_key_response CHECK (
+        key_status = 'in_progress' OR response_status IS NOT NULL
+    )
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Add comments
+COMMENT ON TABLE idempotency_keys IS
+'Idempotency-Key header records: stored responses replayed for retried requests within the TTL.';
+
+COMMENT ON COLUMN idempotency_keys.request_hash IS
+'SHA-256 of the canonical JSON request body. A retry with the same key but a different hash is rejected.';
@@ -0,0 +1,52 @@
+-- Create slot_holds table
+-- Short-lived holds on a court/date/time range while a player checks out
+--
+-- Lifecycle:
+--   active -> converted (holder turned the hold into a booking)
+--   active -> released  (holder gave the hold up)
+--   active -> expired   (expires_at passed; marked by the booking lifecycle job)
+--
+-- While a hold is 'active' and expires_at is in the future, no other user can
+-- book or hold an overlapping range. Queries always compare expires_at, so a
+-- lapsed hold stops blocking immediately, before the job marks it expired.
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    court_id INTEGER NOT NULL REFERENCES courts(id) ON DELETE CASCADE,
+    
+    booking_date DATE NOT NULL,
+    
+    -- Time range using minutes since midnight (0-1439)
+    start_time INTEGER NOT NULL CHECK (start_time >= 0 AND start_time < 1440),
+    end_time INTEGER NOT NULL CHECK (end_time >= 0 AND end_time < 1440),
+    
+    hold_status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (hold_status IN ('active', 'converted', 'released', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    
+    -- Booking created when the hold was converted
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_slot_hold_time_range CHECK (start_time < end_time)
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_slot_holds_user ON slot_holds(user_id, hold_status);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_court_date ON slot_holds(court_id, booking_date)
+  WHERE hold_status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expires_at ON slot_holds(expires_at)
+  WHERE hold_status = 'active';
+
+-- Add comments
+COMMENT ON TABLE slot_holds IS 
+'Short-lived checkout holds. An active, unexpired hold blocks the range for every other user.';
+
+COMMENT ON COLUMN slot_holds.hold_status IS 
+'active, converted (booked by the holder), released (given up), expired (lapsed).';
+
+COMMENT ON COLUMN slot_holds.expires_at IS 
+'End of the hold. Other users can book an overlapping range from this time on.';
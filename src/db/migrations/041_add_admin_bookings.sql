@@ -0,0 +1,75 @@
+-- Add front-desk (walk-in and phone) bookings created by facility admins
+--
+-- Changes:
+-- - guest_contacts: customers without an app account, kept per facility
+-- - bookings.user_id becomes nullable; a booking belongs to a user OR a guest contact
+-- - bookings.booking_source: 'app' (player booked in the app), 'walk_in', 'phone'
+-- - bookings.payment_method: how a front-desk booking is paid ('cash', 'bank_transfer')
+-- - bookings.created_by: facility admin who entered the booking (NULL for app bookings)
+
+CREATE TABLE IF NOT EXISTS guest_contacts (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    full_name VARCHAR(200) NOT NULL,
+    phone VARCHAR(50),
+    email VARCHAR(255),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT check_guest_contact_reachable CHECK (phone IS NOT NULL OR email IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_contacts_facility_phone ON guest_contacts(facility_id, phone);
+CREATE INDEX IF NOT EXISTS idx_guest_contacts_facility_email ON guest_contacts(facility_id, LOWER(email));
+
+ALTER TABLE bookings
+  ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS guest_contact_id INTEGER REFERENCES guest_contacts(id) ON DELETE RESTRICT,
+  ADD COLUMN IF NOT EXISTS booking_source VARCHAR(20) NOT NULL DEFAULT 'app',
+  ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'check_booking_source'
+  ) THEN
+    ALTER TABLE bookings
+      ADD CONSTRAINT check_booking_source CHECK (booking_source IN ('app', 'walk_in', 'phone'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'check_booking_payment_method'
+  ) THEN
+    ALTER TABLE bookings
+      ADD CONSTRAINT check_booking_payment_method CHECK (
+        payment_method IS NULL OR payment_method IN ('cash', 'bank_transfer')
+      );
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'check_booking_customer'
+  ) THEN
+    ALTER TABLE bookings
+      ADD CONSTRAINT check_booking_customer CHECK (user_id IS NOT NULL OR guest_contact_id IS NOT NULL);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_guest_contact_id ON bookings(guest_contact_id)
+  WHERE guest_contact_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE guest_contacts IS 
+'Customers without an app account (walk-in/phone), recorded per facility by its admins.';
+
+COMMENT ON COLUMN bookings.guest_contact_id IS 
+'Guest customer for front-desk bookings without an app account. Either user_id or guest_contact_id is set.';
+
+COMMENT ON COLUMN bookings.booking_source IS 
+'app (booked by the player), walk_in or phone (entered by a facility admin).';
+
+COMMENT ON COLUMN bookings.payment_method IS 
+'Payment method recorded by the facility admin for front-desk bookings: cash or bank_transfer.';
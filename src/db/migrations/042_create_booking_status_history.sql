@@ -0,0 +1,47 @@
+-- Create booking_status_history table
+-- One row per booking status change, written by the booking state machine
+-- (src/services/bookingStateMachine.js)
+--
+-- previous_status is NULL for the row recording the creation of the booking.
+-- actor_type says who caused the change:
+--   player         - the player who owns the booking
+--   facility_admin - the facility owner (accept/reject, front-desk booking, blocks)
+--   system         - background jobs (expiration, completion)
+--
+-- Bookings created before this migration have no history for their earlier changes.
+
+CREATE TABLE IF NOT EXISTS booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    
+    previous_status VARCHAR(20),
+    new_status VARCHAR(20) NOT NULL,
+    
+    -- State machine action (create, accept, reject, confirm, cancel, expire, complete)
+    action VARCHAR(20) NOT NULL,
+    
+    actor_type VARCHAR(20) NOT NULL
+        CHECK (actor_type IN ('player', 'facility_admin', 'system')),
+    actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    
+    reason TEXT,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking
+  ON booking_status_history(booking_id, created_at);
+
+-- Add comments
+COMMENT ON TABLE booking_status_history IS 
+'Audit trail of booking status changes (one row per transition, including creation).';
+
+COMMENT ON COLUMN booking_status_history.previous_status IS 
+'Status before the change. NULL when the row records the creation of the booking.';
+
+COMMENT ON COLUMN booking_status_history.actor_type IS 
+'player, facility_admin or system (background jobs).';
+
+COMMENT ON COLUMN booking_status_history.actor_user_id IS 
+'User who caused the change. NULL for system changes.';
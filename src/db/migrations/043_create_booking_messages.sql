@@ -0,0 +1,70 @@
+-- Create booking message threads
+-- One thread per booking between the booking's player and the facility owner
+-- (payment details, questions), instead of exchanging them outside the app.
+--
+-- - booking_messages: the messages; a message has text, image attachments, or both
+-- - booking_message_reads: read marker per participant (last message they have read)
+-- - images: new 'booking_message' entity type (entity_id = booking ID) with the
+--   'attachment' image type; attachments are uploaded first, then referenced by
+--   the message that sends them
+
+CREATE TABLE IF NOT EXISTS booking_messages (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Side of the thread the sender wrote from
+    sender_role VARCHAR(20) NOT NULL
+        CHECK (sender_role IN ('player', 'facility_admin')),
+
+    body TEXT,
+    attachment_image_ids UUID[] NOT NULL DEFAULT '{}',
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT booking_messages_not_empty
+        CHECK (body IS NOT NULL OR cardinality(attachment_image_ids) > 0)
+);
+
+CREATE TABLE IF NOT EXISTS booking_message_reads (
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_message_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (booking_id, user_id)
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_booking_messages_booking
+  ON booking_messages(booking_id, id);
+
+-- Allow message attachments in the images table
+ALTER TABLE images DROP CONSTRAINT IF EXISTS images_entity_type_check;
+
+ALTER TABLE images ADD CONSTRAINT images_entity_type_check
+  CHECK (entity_type IN ('user', 'facility', 'court', 'sport', 'review', 'booking', 'booking_message'));
+
+ALTER TABLE images DROP CONSTRAINT IF EXISTS images_image_type_check;
+
+ALTER TABLE images ADD CONSTRAINT images_image_type_check
+  CHECK (image_type IN ('profile', 'cover', 'gallery', 'icon', 'banner', 'main', 'payment_proof', 'attachment'));
+
+-- Add comments
+COMMENT ON TABLE booking_messages IS
+'Messages between the player and the facility owner about a booking.';
+
+COMMENT ON COLUMN booking_messages.sender_role IS
+'player (booking owner) or facility_admin (facility owner).';
+
+COMMENT ON COLUMN booking_messages.attachment_image_ids IS
+'Images (entity_type booking_message, image_type attachment) sent with the message.';
+
+COMMENT ON TABLE booking_message_reads IS
+'Read marker per booking thread participant. Messages with a higher ID from the other side are unread.';
+
+COMMENT ON COLUMN images.entity_type IS
+'Type of entity: user, facility, court, sport, review, booking, or booking_message (entity_id = booking ID)';
+
+COMMENT ON COLUMN images.image_type IS
+'Type of image: profile, cover, gallery, icon, banner, main, payment_proof, or attachment';
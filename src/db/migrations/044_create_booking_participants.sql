@@ -0,0 +1,63 @@
+-- Create booking participants and cost shares
+-- A court booking is usually for a group; the booker (bookings.user_id) can
+-- invite other users and split the booking price between them.
+--
+-- booking_participants: invitations
+--   invited -> accepted (invitee joins the booking)
+--   invited -> declined (invitee turns it down; the booker may invite again)
+--
+-- booking_cost_shares: the booking price split between the booker and the
+-- accepted participants. The shares of a booking add up to bookings.final_price
+-- when they are set; each share tracks whether it has been paid to the booker.
+
+CREATE TABLE IF NOT EXISTS booking_participants (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    invitation_status VARCHAR(20) NOT NULL DEFAULT 'invited'
+        CHECK (invitation_status IN ('invited', 'accepted', 'declined')),
+    responded_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT booking_participants_unique_user UNIQUE (booking_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS booking_cost_shares (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+
+    payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid'
+        CHECK (payment_status IN ('unpaid', 'paid')),
+    paid_at TIMESTAMP,
+    marked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT booking_cost_shares_unique_user UNIQUE (booking_id, user_id)
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+-- Bookings a user takes part in (GET /users/bookings)
+CREATE INDEX IF NOT EXISTS idx_booking_participants_user
+  ON booking_participants(user_id, invitation_status);
+
+-- Add comments
+COMMENT ON TABLE booking_participants IS
+'Users invited to a booking by its booker (bookings.user_id is not listed here).';
+
+COMMENT ON COLUMN booking_participants.invitation_status IS
+'invited, accepted or declined.';
+
+COMMENT ON TABLE booking_cost_shares IS
+'Booking price split between the booker and accepted participants, with payment status per share.';
+
+COMMENT ON COLUMN booking_cost_shares.marked_by IS
+'User who last changed the payment status (the booker).';
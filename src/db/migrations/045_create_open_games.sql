@@ -0,0 +1,56 @@
+-- Create open_games table
+-- A booker can open their booking to other players who need a game. Players
+-- found through the open-game listing join the booking as participants
+-- (booking_participants), so seats are the organizer plus accepted participants.
+--
+-- join_mode:
+--   instant  - a player who joins is accepted right away (if a seat is left)
+--   approval - a join creates a request the organizer approves or removes
+--
+-- New participant statuses:
+--   requested - player asked to join an approval-mode game
+--   removed   - organizer removed the player (or turned the request down)
+
+CREATE TABLE IF NOT EXISTS open_games (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    organizer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    skill_level VARCHAR(20) NOT NULL
+        CHECK (skill_level IN ('any', 'beginner', 'intermediate', 'advanced')),
+    -- Seats including the organizer
+    max_players INTEGER NOT NULL CHECK (max_players >= 2),
+    price_per_player DECIMAL(10, 2) NOT NULL CHECK (price_per_player >= 0),
+    join_mode VARCHAR(20) NOT NULL DEFAULT 'approval'
+        CHECK (join_mode IN ('instant', 'approval')),
+    description TEXT,
+
+    game_status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (game_status IN ('open', 'closed')),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_open_games_status
+  ON open_games(game_status) WHERE game_status = 'open';
+
+-- Allow join requests and removals on participants
+ALTER TABLE booking_participants DROP CONSTRAINT IF EXISTS booking_participants_invitation_status_check;
+
+ALTER TABLE booking_participants ADD CONSTRAINT booking_participants_invitation_status_check
+  CHECK (invitation_status IN ('invited', 'accepted', 'declined', 'requested', 'removed'));
+
+-- Add comments
+COMMENT ON TABLE open_games IS
+'Bookings opened to other players (listing, join requests, seats).';
+
+COMMENT ON COLUMN open_games.max_players IS
+'Total seats including the organizer. Taken seats = 1 + accepted participants.';
+
+COMMENT ON COLUMN open_games.price_per_player IS
+'What a joining player is expected to pay the organizer.';
+
+COMMENT ON COLUMN booking_participants.invitation_status IS
+'invited, accepted, declined, requested (open game join request) or removed (by the organizer).';
@@ -0,0 +1,35 @@
+-- Add QR check-in and 'no_show' status to bookings
+--
+-- The player shows a signed check-in token (QR code) for a confirmed booking;
+-- the facility owner scans it and the check-in time is recorded.
+--
+-- After the end time, the booking lifecycle job moves confirmed bookings:
+--   checked in     -> completed
+--   not checked in -> no_show
+--
+-- Note: 'rejected' was added in migration 011, 'expired' in migration 021
+
+-- Step 1: Add check-in columns
+ALTER TABLE bookings
+  ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Step 2: Update booking status constraint to include 'no_show'
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_booking_status_check;
+
+ALTER TABLE bookings ADD CONSTRAINT bookings_booking_status_check 
+  CHECK (booking_status IN ('pending', 'confirmed', 'cancelled', 'completed', 'rejected', 'expired', 'no_show'));
+
+-- Step 3: Create index for the completion / no-show tasks
+CREATE INDEX IF NOT EXISTS idx_bookings_confirmed_end
+  ON bookings(booking_date, end_time) WHERE booking_status = 'confirmed';
+
+-- Add comments
+COMMENT ON COLUMN bookings.checked_in_at IS 
+'When the facility owner scanned the player''s check-in token. NULL if the player has not checked in.';
+
+COMMENT ON COLUMN bookings.checked_in_by IS 
+'Facility owner who recorded the check-in.';
+
+COMMENT ON COLUMN bookings.booking_status IS 
+'Status: pending (awaiting payment/approval), confirmed, cancelled, completed, rejected, expired, or no_show (confirmed but never checked in)';
@@ -0,0 +1,51 @@
+-- Create facility player screening tables
+-- Facility owners screen players before accepting their pending bookings,
+-- using a reliability score computed from each player's booking history
+-- (completed, late cancellations, no-shows, expired unpaid, rejected).
+--
+-- facility_screening_policies: one row per facility (no row = no screening)
+--   payment_proof_below_score - pending bookings of players scoring below this
+--                               need a payment proof before they can be accepted
+--   auto_reject_blocked       - booking requests of blocked players are refused
+--
+-- facility_player_blocks: players a facility has blocked
+
+CREATE TABLE IF NOT EXISTS facility_screening_policies (
+    facility_id INTEGER PRIMARY KEY REFERENCES facilities(id) ON DELETE CASCADE,
+
+    payment_proof_below_score INTEGER
+        CHECK (payment_proof_below_score IS NULL OR payment_proof_below_score BETWEEN 1 AND 100),
+    auto_reject_blocked BOOLEAN NOT NULL DEFAULT false,
+
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS facility_player_blocks (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT,
+    blocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (facility_id, user_id)
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+-- Reliability is computed per user from their bookings
+CREATE INDEX IF NOT EXISTS idx_bookings_user_status ON bookings(user_id, booking_status);
+
+-- Add comments
+COMMENT ON TABLE facility_screening_policies IS 
+'Per-facility screening of players by reliability score and blocks.';
+
+COMMENT ON COLUMN facility_screening_policies.payment_proof_below_score IS 
+'Pending bookings of players with a reliability score below this need a payment proof to be accepted. NULL = off. Players without history are not affected.';
+
+COMMENT ON COLUMN facility_screening_policies.auto_reject_blocked IS 
+'Refuse booking requests from players blocked by this facility.';
+
+COMMENT ON TABLE facility_player_blocks IS 
+'Players blocked by a facility (shown on their pending bookings; refused if auto_reject_blocked).';
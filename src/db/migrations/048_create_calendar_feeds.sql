@@ -0,0 +1,54 @@
+-- Create calendar feeds and facility time zones
+--
+-- Calendar feeds are tokenized, revocable iCalendar (.ics) URLs that calendar
+-- apps (Google, Outlook, Apple) subscribe to:
+--   user     - the creator's own pending and confirmed bookings
+--   facility - bookings on every court of a facility (facility owner)
+--   court    - bookings on one court (facility owner)
+--
+-- Only a SHA-256 hash of the feed token is stored; the feed URL is shown once
+-- when the feed is created. Revoked feeds stop serving immediately.
+--
+-- Booking times are wall-clock times at the facility, so facilities get an
+-- IANA time zone that feeds use to convert them to UTC.
+
+-- Step 1: Add facility time zone
+ALTER TABLE facilities
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Karachi';
+
+-- Step 2: Create calendar feeds table
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+
+    feed_type VARCHAR(20) NOT NULL CHECK (feed_type IN ('user', 'facility', 'court')),
+    facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE,
+    court_id INTEGER REFERENCES courts(id) ON DELETE CASCADE,
+
+    revoked_at TIMESTAMP,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT calendar_feeds_scope_check CHECK (
+        (feed_type = 'user' AND facility_id IS NULL AND court_id IS NULL) OR
+        (feed_type = 'facility' AND facility_id IS NOT NULL AND court_id IS NULL) OR
+        (feed_type = 'court' AND facility_id IS NOT NULL AND court_id IS NOT NULL)
+    )
+);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id);
+
+-- Add comments
+COMMENT ON COLUMN facilities.timezone IS
+'IANA time zone of the facility (e.g., Asia/Karachi). Booking times are wall-clock times in this zone.';
+
+COMMENT ON TABLE calendar_feeds IS
+'Tokenized iCalendar feed URLs of bookings (own bookings, or a facility/court schedule for its owner).';
+
+COMMENT ON COLUMN calendar_feeds.token_hash IS
+'SHA-256 hex digest of the feed token (the token itself is only returned when the feed is created).';
+
+COMMENT ON COLUMN calendar_feeds.revoked_at IS
+'When the feed was revoked. Revoked feeds are no longer served.';
@@ -0,0 +1,62 @@
+-- Create calendar import sources and link imported blocked time ranges
+--
+-- Facility admins import external calendars (.ics: paper bookings typed into
+-- another calendar, another booking system's export) into a court's blocked
+-- time ranges. A source is either:
+--   upload - the admin uploads the .ics file
+--   file   - a file on the server (under CALENDAR_IMPORT_DIR), re-read by the
+--            booking lifecycle job
+--
+-- Every imported block remembers its source and the event key it came from
+-- (UID, plus the occurrence for expanded recurring events), so re-imports
+-- update blocks in place and delete blocks whose events were removed.
+
+-- Step 1: Create calendar import sources table
+CREATE TABLE IF NOT EXISTS calendar_import_sources (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER NOT NULL REFERENCES facilities(id) ON DELETE CASCADE,
+    court_id INTEGER NOT NULL REFERENCES courts(id) ON DELETE CASCADE,
+
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('upload', 'file')),
+    name VARCHAR(100) NOT NULL,
+    file_path VARCHAR(500),
+
+    last_imported_at TIMESTAMP,
+    last_import_result JSONB,
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT calendar_import_sources_file_check CHECK (
+        (source_type = 'file' AND file_path IS NOT NULL) OR
+        (source_type = 'upload' AND file_path IS NULL)
+    )
+);
+
+-- Step 2: Link blocked time ranges to their import source
+ALTER TABLE blocked_time_ranges
+  ADD COLUMN IF NOT EXISTS import_source_id INTEGER REFERENCES calendar_import_sources(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS external_uid VARCHAR(512);
+
+-- Create indexes (IF NOT EXISTS for idempotency)
+CREATE INDEX IF NOT EXISTS idx_calendar_import_sources_court ON calendar_import_sources(court_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blocked_ranges_import_uid
+  ON blocked_time_ranges(import_source_id, external_uid)
+  WHERE import_source_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE calendar_import_sources IS
+'External calendars (.ics) imported into a court''s blocked time ranges.';
+
+COMMENT ON COLUMN calendar_import_sources.file_path IS
+'For file sources: path of the .ics file relative to CALENDAR_IMPORT_DIR. NULL for uploads.';
+
+COMMENT ON COLUMN calendar_import_sources.last_import_result IS
+'Summary of the last import (created/updated/deleted/unchanged counts, skipped events, or the error).';
+
+COMMENT ON COLUMN blocked_time_ranges.import_source_id IS
+'Calendar import source that created this block (NULL for blocks created by hand). Deleting the source deletes its blocks.';
+
+COMMENT ON COLUMN blocked_time_ranges.external_uid IS
+'Event key in the imported calendar (UID, with the occurrence or part suffix). Re-imports match blocks by this key.';
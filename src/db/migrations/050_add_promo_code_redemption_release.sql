@@ -0,0 +1,24 @@
+-- Release promo code redemptions of bookings that did not go ahead
+--
+-- When a booking is cancelled, rejected or expires, its redemption is
+-- released in the same transaction: released_at is set and the code's
+-- redemption_count goes down by one, so the redemption no longer counts
+-- toward max_redemptions or max_redemptions_per_user.
+--
+-- Released rows are kept for reporting (the booking keeps its discount).
+
+ALTER TABLE promo_code_redemptions
+  ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+
+-- Per-user cap checks only count redemptions that were not released
+DROP INDEX IF EXISTS idx_promo_code_redemptions_user;
+CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_user
+  ON promo_code_redemptions(promo_code_id, user_id)
+  WHERE released_at IS NULL;
+
+-- Add comments
+COMMENT ON COLUMN promo_codes.redemption_count IS
+'Number of redemptions that count toward max_redemptions (released redemptions are subtracted). Updated in the booking transaction.';
+
+COMMENT ON COLUMN promo_code_redemptions.released_at IS
+'When the booking was cancelled, rejected or expired and the redemption stopped counting toward the caps. NULL while it counts.';
@@ -0,0 +1,181 @@
+/**
+ * Idempotency Middleware
+ *
+ * Adds Idempotency-Key header support to write endpoints so clients on
+ * flaky networks can safely retry a request.
+ *
+ * - No header: request is handled normally
+ * - First request with a key: key is reserved, the response is stored
+ * - Retry with the same key and body: stored response is replayed
+ *   (with `Idempotent-Replayed: true` header)
+ * - Same key with a different body: 422 IDEMPOTENCY_KEY_REUSED
+ * - Retry while the first request is still running: 409 IDEMPOTENCY_REQUEST_IN_PROGRESS
+ *
+ * Keys are scoped per user and route (method + path) and expire after
+ * IDEMPOTENCY_KEY_TTL_HOURS. Server errors (5xx) are not stored, so the
+ * request can be retried with the same key.
+ *
+ * Must run after authenticate (needs req.userId).
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { sendError, sendValidationError } = require('../utils/response');
+const {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  MAX_IDEMPOTENCY_KEY_LENGTH
+} = require('../config/bookingRules');
+
+/**
+ * Serialize a value as JSON with object keys sorted (so key order does not change the hash)
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash a request body
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+};
+
+/**
+ * Reserve the key, or load the record of an earlier request with the same key
+ * @private
+ */
+const reserveKey = async (keyData) => {
+  const result = await IdempotencyKey.reserve(keyData);
+
+  // The earlier request released the key between our insert and select - try once more
+  if (!result.reserved && !result.record) {
+    return IdempotencyKey.reserve(keyData);
+  }
+
+  return result;
+};
+
+/**
+ * Idempotency-Key middleware
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware
+ */
+const idempotency = async (req, res, next) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    // Header is optional
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (
+      idempotencyKey.length === 0 ||
+      idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH ||
+      !/^[\x21-\x7E]+$/.test(idempotencyKey)
+    ) {
+      return sendValidationError(
+        res,
+        `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} visible ASCII characters`
+      );
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+
+    const { reserved, record } = await reserveKey({
+      userId: req.userId,
+      route,
+      idempotencyKey,
+      requestHash,
+      ttlHours: IDEMPOTENCY_KEY_TTL_HOURS
+    });
+
+    if (!reserved) {
+      if (!record) {
+        return sendError(
+          res,
+          'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+          'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          409
+        );
+      }
+
+      if (record.requestHash !== requestHash) {
+        return sendError(
+          res,
+          'This Idempotency-Key was already used with a different request body. Use a new key.',
+          'IDEMPOTENCY_KEY_REUSED',
+          422
+        );
+      }
+
+      if (record.keyStatus === 'in_progress') {
+        return sendError(
+          res,
+          'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+          'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          409
+        );
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store the response before sending it, so a retry right after sees it
+    let responded = false;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      responded = true;
+      const statusCode = res.statusCode;
+      const save = statusCode >= 500
+        ? IdempotencyKey.release(record.id)
+        : IdempotencyKey.complete(record.id, statusCode, body);
+
+      save
+        .catch((error) => {
+          console.error(`[Idempotency] Failed to store response for key ${record.id}:`, error.message);
+        })
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    // Non-JSON response or client gone before a response - free the key so it can be retried
+    res.on('close', () => {
+      if (!responded) {
+        IdempotencyKey.release(record.id).catch((error) => {
+          console.error(`[Idempotency] Failed to release key ${record.id}:`, error.message);
+        });
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
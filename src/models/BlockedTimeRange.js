@@ -0,0 +1,230 @@
+const { pool } = require('../config/database');
+
+class BlockedTimeRange {
+  /**
+   * Valid block types
+   */
+  static BLOCK_TYPES = ['one_time', 'recurring', 'date_range'];
+
+  /**
+   * Get standard block fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getBlockFields() {
+    return [
+      'id', 'facility_id', 'court_id', 'block_type', 'start_date', 'end_date', 'start_time', 'end_time',
+      'day_of_week', 'reason', 'description', 'is_active', 'import_source_id', 'external_uid',
+      'created_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a blocked time range
+   * @param {Object} blockData - Block data object (type-specific fields not used by the type must be null)
+   * @param {number} blockData.facilityId - Facility ID
+   * @param {number|null} blockData.courtId - Court ID (null for a facility-wide block)
+   * @param {string} blockData.blockType - 'one_time', 'recurring' or 'date_range'
+   * @param {string|null} blockData.startDate - Start date (YYYY-MM-DD)
+   * @param {string|null} blockData.endDate - End date (YYYY-MM-DD)
+   * @param {number|null} blockData.startTime - Start time in minutes since midnight
+   * @param {number|null} blockData.endTime - End time in minutes since midnight
+   * @param {number|null} blockData.dayOfWeek - Day of week (0=Sunday, 6=Saturday)
+   * @param {string|null} blockData.reason - Reason for blocking
+   * @param {string|null} blockData.description - Longer description
+   * @param {boolean} blockData.isActive - Whether the block is active
+   * @param {number} blockData.createdBy - Admin user ID
+   * @param {number|null} [blockData.importSourceId] - Calendar import source (imported blocks)
+   * @param {string|null} [blockData.externalUid] - Event key in the imported calendar
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created block object
+   */
+  static async create(blockData, client = null) {
+    const {
+      facilityId, courtId, blockType, startDate, endDate, startTime, endTime,
+      dayOfWeek, reason, description, isActive, createdBy, importSourceId = null, externalUid = null
+    } = blockData;
+
+    const query = `
+      INSERT INTO blocked_time_ranges (
+        facility_id, court_id, block_type, start_date, end_date, start_time, end_time,
+        day_of_week, reason, description, is_active, created_by, import_source_id, external_uid
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING ${this._getBlockFields()}
+    `;
+
+    const values = [
+      facilityId, courtId, blockType, startDate, endDate, startTime, endTime,
+      dayOfWeek, reason, description, isActive, createdBy, importSourceId, externalUid
+    ];
+    const result = await (client || pool).query(query, values);
+    return this._formatBlock(result.rows[0]);
+  }
+
+  /**
+   * Find block by ID
+   * @param {number} blockId - Block ID
+   * @returns {Promise<Object|null>} Block object or null if not found
+   */
+  static async findById(blockId) {
+    const query = `
+      SELECT ${this._getBlockFields()}
+      FROM blocked_time_ranges
+      WHERE id = $1
+    `;
+    const result = await pool.query(query, [blockId]);
+    return result.rows[0] ? this._formatBlock(result.rows[0]) : null;
+  }
+
+  /**
+   * Find blocks of a facility (facility-wide and court-level)
+   * @param {number} facilityId - Facility ID
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.courtId] - Only blocks that apply to this court (its own and facility-wide)
+   * @param {boolean} [options.facilityWideOnly] - Only facility-wide blocks
+   * @param {boolean} [options.isActive] - Filter by active status
+   * @returns {Promise<Array>} Array of block objects
+   */
+  static async findByFacilityId(facilityId, options = {}) {
+    const { courtId, facilityWideOnly, isActive } = options;
+    const conditions = ['facility_id = $1'];
+    const values = [facilityId];
+    let paramCount = 2;
+
+    if (facilityWideOnly) {
+      conditions.push('court_id IS NULL');
+    } else if (courtId !== undefined) {
+      conditions.push(`(court_id IS NULL OR court_id = $${paramCount})`);
+      values.push(courtId);
+      paramCount++;
+    }
+
+    if (isActive !== undefined) {
+      conditions.push(`is_active = $${paramCount}`);
+      values.push(isActive);
+      paramCount++;
+    }
+
+    const query = `
+      SELECT ${this._getBlockFields()}
+      FROM blocked_time_ranges
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY block_type, start_date ASC NULLS LAST, day_of_week ASC NULLS LAST, start_time ASC NULLS FIRST
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this._formatBlock(row));
+  }
+
+  /**
+   * Find the blocks imported from a calendar import source
+   * @param {number} importSourceId - Calendar import source ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of block objects
+   */
+  static async findByImportSourceId(importSourceId, client = null) {
+    const query = `
+      SELECT ${this._getBlockFields()}
+      FROM blocked_time_ranges
+      WHERE import_source_id = $1
+      ORDER BY id ASC
+    `;
+    const result = await (client || pool).query(query, [importSourceId]);
+    return result.rows.map(row => this._formatBlock(row));
+  }
+
+  /**
+   * Replace the definition of a block
+   * @param {number} blockId - Block ID
+   * @param {Object} blockData - Full block definition (see create; scope and createdBy are not changed)
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated block object or null if not found
+   */
+  static async update(blockId, blockData, client = null) {
+    const {
+      blockType, startDate, endDate, startTime, endTime, dayOfWeek, reason, description, isActive
+    } = blockData;
+
+    const query = `
+      UPDATE blocked_time_ranges
+      SET block_type = $1,
+          start_date = $2,
+          end_date = $3,
+          start_time = $4,
+          end_time = $5,
+          day_of_week = $6,
+          reason = $7,
+          description = $8,
+          is_active = $9,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $10
+      RETURNING ${this._getBlockFields()}
+    `;
+
+    const values = [
+      blockType, startDate, endDate, startTime, endTime, dayOfWeek, reason, description, isActive, blockId
+    ];
+    const result = await (client || pool).query(query, values);
+    return result.rows[0] ? this._formatBlock(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a block
+   * @param {number} blockId - Block ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  static async delete(blockId) {
+    const result = await pool.query('DELETE FROM blocked_time_ranges WHERE id = $1', [blockId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete several blocks
+   * @param {Array<number>} blockIds - Block IDs
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Number of deleted blocks
+   */
+  static async deleteMany(blockIds, client = null) {
+    if (blockIds.length === 0) {
+      return 0;
+    }
+
+    const result = await (client || pool).query(
+      'DELETE FROM blocked_time_ranges WHERE id = ANY($1::INTEGER[])',
+      [blockIds]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Format block object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted block object
+   */
+  static _formatBlock(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      facilityId: row.facility_id,
+      courtId: row.court_id,
+      scope: row.court_id ? 'court' : 'facility',
+      blockType: row.block_type,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      dayOfWeek: row.day_of_week,
+      reason: row.reason,
+      description: row.description,
+      isActive: row.is_active,
+      importSourceId: row.import_source_id || null,
+      externalUid: row.external_uid || null,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = BlockedTimeRange;
@@ -6,6 +6,26 @@ class Booking {
    * This model provides read and update operations only
    */
 
+  /**
+   * Valid booking statuses
+   */
+  static BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'rejected', 'expired', 'no_show'];
+
+  /**
+   * Get standard booking fields for SELECT/RETURNING clauses
+   * @param {string} [alias] - Optional table alias to prefix columns with
+   * @returns {string} Comma-separated field list
+   */
+  static _getBookingFields(alias = null) {
+    const prefix = alias ? `${alias}.` : '';
+    return [
+      'id', 'user_id', 'court_id', 'booking_date', 'start_time', 'end_time', 'final_price', 'price_breakdown',
+      'original_price', 'discount_amount', 'promo_code_id', 'booking_status', 'payment_reference', 'payment_proof_image_id', 'cancellation_reason',
+      'expires_at', 'series_id', 'refund_amount', 'cancellation_penalty', 'guest_contact_id', 'booking_source',
+      'payment_method', 'created_by', 'checked_in_at', 'checked_in_by', 'created_at', 'updated_at'
+    ].map(field => `${prefix}${field}`).join(', ');
+  }
+
   /**
    * Find booking by ID
    * @param {number} bookingId - Booking ID
@@ -13,8 +33,7 @@ class Booking {
    */
   static async findById(bookingId) {
     const query = `
-      SELECT id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-             payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      SELECT ${this._getBookingFields()}
       FROM bookings
       WHERE id = $1
     `;
@@ -46,8 +65,7 @@ class Booking {
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const query = `
-      SELECT id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-             payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      SELECT ${this._getBookingFields()}
       FROM bookings
       ${whereClause}
       ORDER BY created_at DESC
@@ -74,6 +92,54 @@ class Booking {
     };
   }
 
+  /**
+   * Find bookings belonging to a recurring series
+   * @param {number} seriesId - Booking series ID
+   * @returns {Promise<Array>} Array of booking objects ordered by date
+   */
+  static async findBySeriesId(seriesId) {
+    const query = `
+      SELECT ${this._getBookingFields()}
+      FROM bookings
+      WHERE series_id = $1
+      ORDER BY booking_date ASC, start_time ASC
+    `;
+    const result = await pool.query(query, [seriesId]);
+    return result.rows.map(row => this._formatBooking(row));
+  }
+
+  /**
+   * Find live (pending/confirmed, not yet ended) bookings overlapping a blocked time range
+   * Facility-wide blocks match bookings on every court of the facility.
+   * @param {number} blockId - Blocked time range ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @param {boolean} [forUpdate=false] - Lock the booking rows (SELECT FOR UPDATE)
+   * @returns {Promise<Array>} Array of booking objects ordered by date
+   */
+  static async findOverlappingBlock(blockId, client = null, forUpdate = false) {
+    const query = `
+      SELECT ${this._getBookingFields('b')}
+      FROM blocked_time_ranges br
+      JOIN courts c ON c.facility_id = br.facility_id
+        AND (br.court_id IS NULL OR c.id = br.court_id)
+      JOIN bookings b ON b.court_id = c.id
+      WHERE br.id = $1
+        AND b.booking_status IN ('pending', 'confirmed')
+        AND b.booking_date + (b.end_time * INTERVAL '1 minute') > LOCALTIMESTAMP
+        AND (
+          (br.block_type = 'one_time' AND b.booking_date = br.start_date
+            AND b.start_time < br.end_time AND b.end_time > br.start_time) OR
+          (br.block_type = 'recurring' AND EXTRACT(DOW FROM b.booking_date) = br.day_of_week
+            AND b.start_time < br.end_time AND b.end_time > br.start_time) OR
+          (br.block_type = 'date_range' AND b.booking_date BETWEEN br.start_date AND br.end_date)
+        )
+      ORDER BY b.booking_date ASC, b.start_time ASC
+      ${forUpdate ? 'FOR UPDATE OF b' : ''}
+    `;
+    const result = await (client || pool).query(query, [blockId]);
+    return result.rows.map(row => this._formatBooking(row));
+  }
+
   /**
    * Find booking by payment reference
    * @param {string} paymentReference - Payment reference/transaction ID
@@ -81,8 +147,7 @@ class Booking {
    */
   static async findByPaymentReference(paymentReference) {
     const query = `
-      SELECT id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-             payment_reference, cancellation_reason, expires_at, created_at, updated_at
+      SELECT ${this._getBookingFields()}
       FROM bookings
       WHERE payment_reference = $1
     `;
@@ -120,8 +185,7 @@ class Booking {
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const query = `
-      SELECT id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-             payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      SELECT ${this._getBookingFields()}
       FROM bookings
       ${whereClause}
       ORDER BY created_at DESC
@@ -150,19 +214,19 @@ class Booking {
 
   /**
    * Update booking information
+   * Status changes go through bookingStateMachine, not this method.
    * @param {number} bookingId - Booking ID
    * @param {Object} updateData - Fields to update
    * @returns {Promise<Object|null>} Updated booking object or null if not found
    */
   static async update(bookingId, updateData) {
-    const allowedFields = ['booking_status', 'payment_reference', 'payment_proof_image_id', 'cancellation_reason'];
+    const allowedFields = ['payment_reference', 'payment_proof_image_id', 'cancellation_reason'];
     const updates = [];
     const values = [];
     let paramCount = 1;
 
     for (const [key, value] of Object.entries(updateData)) {
-      const dbField = key === 'bookingStatus' ? 'booking_status' :
-                     key === 'paymentReference' ? 'payment_reference' :
+      const dbField = key === 'paymentReference' ? 'payment_reference' :
                      key === 'paymentProofImageId' ? 'payment_proof_image_id' :
                      key === 'cancellationReason' ? 'cancellation_reason' : key;
 
@@ -185,65 +249,60 @@ class Booking {
       UPDATE bookings
       SET ${updates.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      RETURNING ${this._getBookingFields()}
     `;
 
     const result = await pool.query(query, values);
     return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
   }
 
-  /**
-   * Confirm booking (after payment)
-   * @param {number} bookingId - Booking ID
-   * @param {string} paymentReference - Payment transaction reference
-   * @returns {Promise<Object|null>} Updated booking object or null if not found
-   */
-  static async confirm(bookingId, paymentReference) {
-    const query = `
-      UPDATE bookings
-      SET booking_status = 'confirmed', payment_reference = $1, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
-    `;
-    const result = await pool.query(query, [paymentReference, bookingId]);
-    return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
-  }
-
   /**
    * Cancel booking
    * @param {number} bookingId - Booking ID
    * @param {string} [cancellationReason] - Reason for cancellation
+   * @param {Object} [settlement] - Amounts computed by the cancellation policy
+   * @param {number} [settlement.refundAmount] - Amount refunded to the player
+   * @param {number} [settlement.penaltyAmount] - Amount retained by the facility
+   * @param {Object} [client] - Database client (for transactions, optional)
    * @returns {Promise<Object|null>} Updated booking object or null if not found
    */
-  static async cancel(bookingId, cancellationReason = null) {
+  static async cancel(bookingId, cancellationReason = null, settlement = {}, client = null) {
+    const { refundAmount = null, penaltyAmount = null } = settlement;
+
     const query = `
       UPDATE bookings
-      SET booking_status = 'cancelled', cancellation_reason = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      SET booking_status = 'cancelled',
+          cancellation_reason = $1,
+          refund_amount = $2,
+          cancellation_penalty = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING ${this._getBookingFields()}
     `;
-    const result = await pool.query(query, [cancellationReason, bookingId]);
+    const result = await (client || pool).query(query, [cancellationReason, refundAmount, penaltyAmount, bookingId]);
     return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
   }
 
   /**
-   * Accept a pending booking (by facility owner)
+   * Confirm a pending booking that has not expired (accept by the facility
+   * owner, or confirm by the player)
+   * An expired pending booking no longer holds its slot (overlap checks treat
+   * it as free), so confirming it could double book the court.
    * @param {number} bookingId - Booking ID
    * @param {string} [paymentReference] - Payment transaction reference
-   * @returns {Promise<Object|null>} Updated booking object or null if not found
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated booking object, or null if not found, not pending or expired
    */
-  static async accept(bookingId, paymentReference = null) {
+  static async accept(bookingId, paymentReference = null, client = null) {
     const query = `
       UPDATE bookings
       SET booking_status = 'confirmed', payment_reference = $1, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+        AND booking_status = 'pending'
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      RETURNING ${this._getBookingFields()}
     `;
-    const result = await pool.query(query, [paymentReference, bookingId]);
+    const result = await (client || pool).query(query, [paymentReference, bookingId]);
     return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
   }
 
@@ -251,34 +310,53 @@ class Booking {
    * Reject a pending booking (by facility owner)
    * @param {number} bookingId - Booking ID
    * @param {string} [rejectionReason] - Reason for rejection
+   * @param {Object} [client] - Database client (for transactions, optional)
    * @returns {Promise<Object|null>} Updated booking object or null if not found
    */
-  static async reject(bookingId, rejectionReason = null) {
+  static async reject(bookingId, rejectionReason = null, client = null) {
     const query = `
       UPDATE bookings
       SET booking_status = 'rejected', cancellation_reason = $1, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      RETURNING ${this._getBookingFields()}
     `;
-    const result = await pool.query(query, [rejectionReason, bookingId]);
+    const result = await (client || pool).query(query, [rejectionReason, bookingId]);
     return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
   }
 
   /**
-   * Mark booking as completed
+   * Set the status of several bookings (background job transitions)
+   * @param {Array<number>} bookingIds - Booking IDs
+   * @param {string} status - New status
+   * @param {Object} client - Database client (from transaction)
+   * @returns {Promise<Array>} Updated booking objects
+   */
+  static async setStatusMany(bookingIds, status, client) {
+    const query = `
+      UPDATE bookings
+      SET booking_status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($2::INTEGER[])
+      RETURNING ${this._getBookingFields()}
+    `;
+    const result = await client.query(query, [status, bookingIds]);
+    return result.rows.map(row => this._formatBooking(row));
+  }
+
+  /**
+   * Record a check-in
    * @param {number} bookingId - Booking ID
+   * @param {number} checkedInBy - Facility owner user ID
+   * @param {Object} [client] - Database client (for transactions, optional)
    * @returns {Promise<Object|null>} Updated booking object or null if not found
    */
-  static async markAsCompleted(bookingId) {
+  static async checkIn(bookingId, checkedInBy, client = null) {
     const query = `
       UPDATE bookings
-      SET booking_status = 'completed', updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING id, user_id, court_id, booking_date, start_time, end_time, final_price, booking_status, 
-                 payment_reference, payment_proof_image_id, cancellation_reason, expires_at, created_at, updated_at
+      SET checked_in_at = CURRENT_TIMESTAMP, checked_in_by = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING ${this._getBookingFields()}
     `;
-    const result = await pool.query(query, [bookingId]);
+    const result = await (client || pool).query(query, [checkedInBy, bookingId]);
     return result.rows[0] ? this._formatBooking(result.rows[0]) : null;
   }
 
@@ -301,11 +379,30 @@ class Booking {
       startTimeMinutes: row.start_time,
       endTimeMinutes: row.end_time,
       finalPrice: parseFloat(row.final_price),
+      priceBreakdown: row.price_breakdown || null,
+      originalPrice: row.original_price !== null && row.original_price !== undefined
+        ? parseFloat(row.original_price)
+        : null,
+      discountAmount: row.discount_amount !== null && row.discount_amount !== undefined
+        ? parseFloat(row.discount_amount)
+        : 0,
+      promoCodeId: row.promo_code_id || null,
       bookingStatus: row.booking_status,
       paymentReference: row.payment_reference,
       paymentProofImageId: row.payment_proof_image_id,
       cancellationReason: row.cancellation_reason,
       expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+      seriesId: row.series_id || null,
+      refundAmount: row.refund_amount !== null && row.refund_amount !== undefined ? parseFloat(row.refund_amount) : null,
+      cancellationPenalty: row.cancellation_penalty !== null && row.cancellation_penalty !== undefined
+        ? parseFloat(row.cancellation_penalty)
+        : null,
+      guestContactId: row.guest_contact_id || null,
+      bookingSource: row.booking_source || 'app',
+      paymentMethod: row.payment_method || null,
+      createdBy: row.created_by || null,
+      checkedInAt: row.checked_in_at ? new Date(row.checked_in_at) : null,
+      checkedInBy: row.checked_in_by || null,
       createdAt: new Date(row.created_at),
       updatedAt: new Date(row.updated_at)
     };
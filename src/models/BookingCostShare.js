@@ -0,0 +1,114 @@
+const { pool } = require('../config/database');
+
+class BookingCostShare {
+  /**
+   * Valid payment statuses
+   */
+  static PAYMENT_STATUSES = ['unpaid', 'paid'];
+
+  /**
+   * Get standard share fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getShareFields() {
+    return [
+      'id', 'booking_id', 'user_id', 'amount', 'payment_status', 'paid_at', 'marked_by',
+      'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Replace the cost shares of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Array<Object>} shares - Shares ({ userId, amount })
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of created share objects
+   */
+  static async replaceForBooking(bookingId, shares, client = null) {
+    const db = client || pool;
+
+    await db.query('DELETE FROM booking_cost_shares WHERE booking_id = $1', [bookingId]);
+
+    if (shares.length === 0) {
+      return [];
+    }
+
+    const values = [bookingId];
+    const rows = shares.map((share, index) => {
+      values.push(share.userId, share.amount);
+      return `($1, $${index * 2 + 2}, $${index * 2 + 3})`;
+    });
+
+    const query = `
+      INSERT INTO booking_cost_shares (booking_id, user_id, amount)
+      VALUES ${rows.join(', ')}
+      RETURNING ${this._getShareFields()}
+    `;
+    const result = await db.query(query, values);
+    return result.rows.map(row => this._formatShare(row));
+  }
+
+  /**
+   * Find the cost shares of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of share objects
+   */
+  static async findByBookingId(bookingId, client = null) {
+    const query = `
+      SELECT ${this._getShareFields()}
+      FROM booking_cost_shares
+      WHERE booking_id = $1
+      ORDER BY id ASC
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return result.rows.map(row => this._formatShare(row));
+  }
+
+  /**
+   * Set the payment status of a share
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - User the share belongs to
+   * @param {string} paymentStatus - 'unpaid' or 'paid'
+   * @param {number} markedBy - User making the change
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated share object or null if the user has no share
+   */
+  static async updatePaymentStatus(bookingId, userId, paymentStatus, markedBy, client = null) {
+    const query = `
+      UPDATE booking_cost_shares
+      SET payment_status = $3,
+          paid_at = CASE WHEN $3 = 'paid' THEN COALESCE(paid_at, CURRENT_TIMESTAMP) ELSE NULL END,
+          marked_by = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1 AND user_id = $2
+      RETURNING ${this._getShareFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, paymentStatus, markedBy]);
+    return result.rows[0] ? this._formatShare(result.rows[0]) : null;
+  }
+
+  /**
+   * Format share object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted share object
+   */
+  static _formatShare(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      bookingId: row.booking_id,
+      userId: row.user_id,
+      amount: parseFloat(row.amount),
+      paymentStatus: row.payment_status,
+      paidAt: row.paid_at ? new Date(row.paid_at) : null,
+      markedBy: row.marked_by,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = BookingCostShare;
@@ -0,0 +1,183 @@
+const { pool } = require('../config/database');
+
+class BookingMessage {
+  /**
+   * Valid sender roles
+   */
+  static SENDER_ROLES = ['player', 'facility_admin'];
+
+  /**
+   * Get standard message fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getMessageFields() {
+    return [
+      'id', 'booking_id', 'sender_id', 'sender_role', 'body', 'attachment_image_ids', 'created_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a message
+   * @param {Object} messageData - Message data object
+   * @param {number} messageData.bookingId - Booking ID
+   * @param {number} messageData.senderId - Sender user ID
+   * @param {string} messageData.senderRole - 'player' or 'facility_admin'
+   * @param {string|null} [messageData.body] - Message text
+   * @param {Array<string>} [messageData.attachmentImageIds] - Attached image IDs
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created message object
+   */
+  static async create(messageData, client = null) {
+    const { bookingId, senderId, senderRole, body = null, attachmentImageIds = [] } = messageData;
+
+    const query = `
+      INSERT INTO booking_messages (booking_id, sender_id, sender_role, body, attachment_image_ids)
+      VALUES ($1, $2, $3, $4, $5::UUID[])
+      RETURNING ${this._getMessageFields()}
+    `;
+
+    const values = [bookingId, senderId, senderRole, body, attachmentImageIds];
+    const result = await (client || pool).query(query, values);
+    return this._formatMessage(result.rows[0]);
+  }
+
+  /**
+   * Find the messages of a booking (newest page first, returned oldest first)
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.limit=50] - Number of messages to return
+   * @param {number} [options.beforeId] - Only messages older than this message ID
+   * @returns {Promise<Array>} Array of message objects, oldest first
+   */
+  static async findByBookingId(bookingId, options = {}) {
+    const { limit = 50, beforeId = null } = options;
+
+    const query = `
+      SELECT ${this._getMessageFields()}
+      FROM booking_messages
+      WHERE booking_id = $1
+        AND ($2::INTEGER IS NULL OR id < $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `;
+    const result = await pool.query(query, [bookingId, beforeId, limit]);
+    return result.rows.reverse().map(row => this._formatMessage(row));
+  }
+
+  /**
+   * Find which of the given images are already attached to a message of the booking
+   * @param {number} bookingId - Booking ID
+   * @param {Array<string>} imageIds - Image IDs
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array<string>>} Image IDs already attached
+   */
+  static async findAttachedImageIds(bookingId, imageIds, client = null) {
+    const query = `
+      SELECT DISTINCT image_id
+      FROM booking_messages, UNNEST(attachment_image_ids) AS image_id
+      WHERE booking_id = $1 AND image_id = ANY($2::UUID[])
+    `;
+    const result = await (client || pool).query(query, [bookingId, imageIds]);
+    return result.rows.map(row => row.image_id);
+  }
+
+  /**
+   * Move a participant's read marker forward (never backwards)
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Participant user ID
+   * @param {number} messageId - Last message read
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Last read message ID after the update
+   */
+  static async markRead(bookingId, userId, messageId, client = null) {
+    const query = `
+      INSERT INTO booking_message_reads (booking_id, user_id, last_read_message_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (booking_id, user_id) DO UPDATE
+        SET last_read_message_id = GREATEST(booking_message_reads.last_read_message_id, EXCLUDED.last_read_message_id),
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING last_read_message_id
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, messageId]);
+    return result.rows[0].last_read_message_id;
+  }
+
+  /**
+   * Get a participant's read marker
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Participant user ID
+   * @returns {Promise<number>} Last read message ID (0 if nothing was read)
+   */
+  static async getLastReadMessageId(bookingId, userId) {
+    const query = `
+      SELECT last_read_message_id
+      FROM booking_message_reads
+      WHERE booking_id = $1 AND user_id = $2
+    `;
+    const result = await pool.query(query, [bookingId, userId]);
+    return result.rows[0] ? result.rows[0].last_read_message_id : 0;
+  }
+
+  /**
+   * Get the latest message ID of a booking
+   * @param {number} bookingId - Booking ID
+   * @returns {Promise<number>} Latest message ID (0 if the thread is empty)
+   */
+  static async getLatestMessageId(bookingId) {
+    const query = `
+      SELECT COALESCE(MAX(id), 0) AS latest_id
+      FROM booking_messages
+      WHERE booking_id = $1
+    `;
+    const result = await pool.query(query, [bookingId]);
+    return result.rows[0].latest_id;
+  }
+
+  /**
+   * Count unread messages per booking for a participant
+   * Messages the participant sent are never unread.
+   * @param {Array<number>} bookingIds - Booking IDs
+   * @param {number} userId - Participant user ID
+   * @returns {Promise<Map<number, number>>} Unread count by booking ID (bookings without unread messages are left out)
+   */
+  static async getUnreadCounts(bookingIds, userId) {
+    if (bookingIds.length === 0) {
+      return new Map();
+    }
+
+    const query = `
+      SELECT m.booking_id, COUNT(*) AS unread_count
+      FROM booking_messages m
+      LEFT JOIN booking_message_reads r
+        ON r.booking_id = m.booking_id AND r.user_id = $2
+      WHERE m.booking_id = ANY($1::INTEGER[])
+        AND m.sender_id IS DISTINCT FROM $2
+        AND m.id > COALESCE(r.last_read_message_id, 0)
+      GROUP BY m.booking_id
+    `;
+    const result = await pool.query(query, [bookingIds, userId]);
+    return new Map(result.rows.map(row => [row.booking_id, parseInt(row.unread_count, 10)]));
+  }
+
+  /**
+   * Format message object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted message object
+   */
+  static _formatMessage(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      bookingId: row.booking_id,
+      senderId: row.sender_id,
+      senderRole: row.sender_role,
+      body: row.body,
+      attachmentImageIds: row.attachment_image_ids || [],
+      createdAt: new Date(row.created_at)
+    };
+  }
+}
+
+module.exports = BookingMessage;
@@ -0,0 +1,199 @@
+const { pool } = require('../config/database');
+
+class BookingParticipant {
+  /**
+   * Valid invitation statuses ('requested' and 'removed' come from open games)
+   */
+  static INVITATION_STATUSES = ['invited', 'accepted', 'declined', 'requested', 'removed'];
+
+  /**
+   * Get standard participant fields for SELECT/RETURNING clauses
+   * @param {string} [alias] - Table alias to prefix the columns with
+   * @returns {string} Comma-separated field list
+   */
+  static _getParticipantFields(alias = null) {
+    const fields = [
+      'id', 'booking_id', 'user_id', 'invited_by', 'invitation_status', 'responded_at',
+      'created_at', 'updated_at'
+    ];
+    return (alias ? fields.map(field => `${alias}.${field}`) : fields).join(', ');
+  }
+
+  /**
+   * Invite a user to a booking
+   * A declined invitation (or a player removed from an open game) is turned
+   * back into an open one; other existing rows are left unchanged.
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Invited user ID
+   * @param {number} invitedBy - Booker user ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Invitation, or null if an existing row was left unchanged
+   */
+  static async invite(bookingId, userId, invitedBy, client = null) {
+    const query = `
+      INSERT INTO booking_participants (booking_id, user_id, invited_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (booking_id, user_id) DO UPDATE
+        SET invitation_status = 'invited',
+            invited_by = EXCLUDED.invited_by,
+            responded_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE booking_participants.invitation_status IN ('declined', 'removed')
+      RETURNING ${this._getParticipantFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, invitedBy]);
+    return result.rows[0] ? this._formatParticipant(result.rows[0]) : null;
+  }
+
+  /**
+   * Add a player who joins an open game
+   * An open invitation or a declined one is replaced; other existing rows
+   * (accepted, requested, removed) are left unchanged.
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Joining user ID
+   * @param {string} invitationStatus - 'accepted' (instant join) or 'requested'
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Participant, or null if an existing row was left unchanged
+   */
+  static async join(bookingId, userId, invitationStatus, client = null) {
+    const query = `
+      INSERT INTO booking_participants (booking_id, user_id, invitation_status, responded_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (booking_id, user_id) DO UPDATE
+        SET invitation_status = EXCLUDED.invitation_status,
+            responded_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE booking_participants.invitation_status IN ('invited', 'declined')
+      RETURNING ${this._getParticipantFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, invitationStatus]);
+    return result.rows[0] ? this._formatParticipant(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the participants of a booking, with their user details
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of participant objects (oldest invitation first)
+   */
+  static async findByBookingId(bookingId, client = null) {
+    const query = `
+      SELECT ${this._getParticipantFields('p')},
+             u.username, u.first_name, u.last_name
+      FROM booking_participants p
+      INNER JOIN users u ON p.user_id = u.id
+      WHERE p.booking_id = $1
+      ORDER BY p.created_at ASC, p.id ASC
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return result.rows.map(row => this._formatParticipant(row));
+  }
+
+  /**
+   * Find a user's invitation to a booking
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Participant object or null if the user was never invited
+   */
+  static async findByBookingAndUser(bookingId, userId, client = null) {
+    const query = `
+      SELECT ${this._getParticipantFields()}
+      FROM booking_participants
+      WHERE booking_id = $1 AND user_id = $2
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId]);
+    return result.rows[0] ? this._formatParticipant(result.rows[0]) : null;
+  }
+
+  /**
+   * Record an invitee's answer
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Invited user ID
+   * @param {string} invitationStatus - 'accepted' or 'declined'
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated participant object
+   */
+  static async respond(bookingId, userId, invitationStatus, client = null) {
+    const query = `
+      UPDATE booking_participants
+      SET invitation_status = $3,
+          responded_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1 AND user_id = $2
+      RETURNING ${this._getParticipantFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, invitationStatus]);
+    return result.rows[0] ? this._formatParticipant(result.rows[0]) : null;
+  }
+
+  /**
+   * Set a participant's status (organizer approving or removing a player)
+   * @param {number} bookingId - Booking ID
+   * @param {number} userId - Participant user ID
+   * @param {string} invitationStatus - New status
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated participant object
+   */
+  static async updateStatus(bookingId, userId, invitationStatus, client = null) {
+    const query = `
+      UPDATE booking_participants
+      SET invitation_status = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1 AND user_id = $2
+      RETURNING ${this._getParticipantFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, userId, invitationStatus]);
+    return result.rows[0] ? this._formatParticipant(result.rows[0]) : null;
+  }
+
+  /**
+   * Count the accepted participants of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Number of accepted participants
+   */
+  static async countAccepted(bookingId, client = null) {
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM booking_participants
+      WHERE booking_id = $1 AND invitation_status = 'accepted'
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return parseInt(result.rows[0].total, 10);
+  }
+
+  /**
+   * Format participant object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted participant object
+   */
+  static _formatParticipant(row) {
+    if (!row) return null;
+
+    const participant = {
+      id: row.id,
+      bookingId: row.booking_id,
+      userId: row.user_id,
+      invitedBy: row.invited_by,
+      invitationStatus: row.invitation_status,
+      respondedAt: row.responded_at ? new Date(row.responded_at) : null,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+
+    // User details are only selected by findByBookingId
+    if (row.username !== undefined) {
+      participant.user = {
+        id: row.user_id,
+        username: row.username,
+        firstName: row.first_name,
+        lastName: row.last_name
+      };
+    }
+
+    return participant;
+  }
+}
+
+module.exports = BookingParticipant;
@@ -0,0 +1,231 @@
+const { pool } = require('../config/database');
+
+class BookingPolicy {
+  /**
+   * Map of camelCase policy value fields to database columns
+   * (the configurable values; scope and bookkeeping columns are not listed)
+   */
+  static VALUE_COLUMNS = {
+    maxAdvanceBookingDays: 'max_advance_booking_days',
+    minBookingDurationMinutes: 'min_booking_duration_minutes',
+    maxBookingDurationMinutes: 'max_booking_duration_minutes',
+    bookingBufferMinutes: 'booking_buffer_minutes',
+    minAdvanceNoticeMinutes: 'min_advance_notice_minutes',
+    pendingBookingExpirationHours: 'pending_booking_expiration_hours',
+    minRescheduleNoticeMinutes: 'min_reschedule_notice_minutes',
+    cancellationTiers: 'cancellation_tiers'
+  };
+
+  /**
+   * Get standard policy fields for SELECT/RETURNING clauses
+   * @param {string} [alias] - Optional table alias to prefix columns with
+   * @returns {string} Comma-separated field list
+   */
+  static _getPolicyFields(alias = null) {
+    const prefix = alias ? `${alias}.` : '';
+    return [
+      'id', 'facility_id', 'court_id',
+      ...Object.values(this.VALUE_COLUMNS),
+      'is_active', 'created_at', 'updated_at'
+    ].map(field => `${prefix}${field}`).join(', ');
+  }
+
+  /**
+   * Convert a policy value for storage
+   * @param {string} column - Database column
+   * @param {*} value - Value to store
+   * @returns {*} Database value
+   * @private
+   */
+  static _toDbValue(column, value) {
+    if (column === 'cancellation_tiers' && value !== null) {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  /**
+   * Create a booking policy
+   * @param {Object} policyData - Policy data object
+   * @param {number} policyData.facilityId - Facility ID
+   * @param {number|null} [policyData.courtId] - Court ID (null for a facility-level policy)
+   * @param {Object} policyData.values - Policy values keyed by camelCase field (see VALUE_COLUMNS)
+   * @returns {Promise<Object>} Created policy object
+   */
+  static async create(policyData) {
+    const { facilityId, courtId = null, values = {} } = policyData;
+
+    const columns = ['facility_id', 'court_id'];
+    const params = [facilityId, courtId];
+
+    for (const [field, column] of Object.entries(this.VALUE_COLUMNS)) {
+      if (values[field] !== undefined) {
+        columns.push(column);
+        params.push(this._toDbValue(column, values[field]));
+      }
+    }
+
+    const placeholders = params.map((_, index) => `$${index + 1}`);
+
+    const query = `
+      INSERT INTO booking_policies (${columns.join(', ')})
+      VALUES (${placeholders.join(', ')})
+      RETURNING ${this._getPolicyFields()}
+    `;
+
+    const result = await pool.query(query, params);
+    return this._formatPolicy(result.rows[0]);
+  }
+
+  /**
+   * Find the active facility-level policy of a facility
+   * @param {number} facilityId - Facility ID
+   * @returns {Promise<Object|null>} Policy object or null if not set
+   */
+  static async findActiveByFacilityId(facilityId) {
+    const query = `
+      SELECT ${this._getPolicyFields()}
+      FROM booking_policies
+      WHERE facility_id = $1
+        AND court_id IS NULL
+        AND is_active = TRUE
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [facilityId]);
+    return result.rows[0] ? this._formatPolicy(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the active court-level policy of a court
+   * @param {number} courtId - Court ID
+   * @returns {Promise<Object|null>} Policy object or null if not set
+   */
+  static async findActiveByCourtId(courtId) {
+    const query = `
+      SELECT ${this._getPolicyFields()}
+      FROM booking_policies
+      WHERE court_id = $1
+        AND is_active = TRUE
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [courtId]);
+    return result.rows[0] ? this._formatPolicy(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the active court-level and facility-level policies that apply to a court
+   * @param {number} courtId - Court ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Object with facilityId, courtPolicy and facilityPolicy
+   *   (each null if not set), or null if the court does not exist
+   */
+  static async findApplicableToCourt(courtId, client = null) {
+    const query = `
+      SELECT c.facility_id as court_facility_id, ${this._getPolicyFields('bp')}
+      FROM courts c
+      LEFT JOIN booking_policies bp ON bp.is_active = TRUE
+        AND (bp.court_id = c.id OR (bp.court_id IS NULL AND bp.facility_id = c.facility_id))
+      WHERE c.id = $1
+      ORDER BY bp.id DESC
+    `;
+    const result = await (client || pool).query(query, [courtId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const policyRows = result.rows.filter(row => row.id !== null);
+    const courtRow = policyRows.find(row => row.court_id !== null);
+    const facilityRow = policyRows.find(row => row.court_id === null);
+
+    return {
+      facilityId: result.rows[0].court_facility_id,
+      courtPolicy: courtRow ? this._formatPolicy(courtRow) : null,
+      facilityPolicy: facilityRow ? this._formatPolicy(facilityRow) : null
+    };
+  }
+
+  /**
+   * Update policy values
+   * @param {number} policyId - Policy ID
+   * @param {Object} values - Policy values keyed by camelCase field (null clears a value)
+   * @returns {Promise<Object|null>} Updated policy object or null if not found
+   */
+  static async update(policyId, values) {
+    const updates = [];
+    const params = [];
+    let paramCount = 1;
+
+    for (const [field, column] of Object.entries(this.VALUE_COLUMNS)) {
+      if (values[field] !== undefined) {
+        updates.push(`${column} = $${paramCount}`);
+        params.push(this._toDbValue(column, values[field]));
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      const result = await pool.query(
+        `SELECT ${this._getPolicyFields()} FROM booking_policies WHERE id = $1`,
+        [policyId]
+      );
+      return result.rows[0] ? this._formatPolicy(result.rows[0]) : null;
+    }
+
+    // Add updated_at
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(policyId);
+
+    const query = `
+      UPDATE booking_policies
+      SET ${updates.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING ${this._getPolicyFields()}
+    `;
+
+    const result = await pool.query(query, params);
+    return result.rows[0] ? this._formatPolicy(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a policy (its scope falls back to the next level)
+   * @param {number} policyId - Policy ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  static async delete(policyId) {
+    const result = await pool.query('DELETE FROM booking_policies WHERE id = $1', [policyId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Format policy object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted policy object
+   */
+  static _formatPolicy(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      facilityId: row.facility_id,
+      courtId: row.court_id,
+      scope: row.court_id ? 'court' : 'facility',
+      maxAdvanceBookingDays: row.max_advance_booking_days,
+      minBookingDurationMinutes: row.min_booking_duration_minutes,
+      maxBookingDurationMinutes: row.max_booking_duration_minutes,
+      bookingBufferMinutes: row.booking_buffer_minutes,
+      minAdvanceNoticeMinutes: row.min_advance_notice_minutes,
+      pendingBookingExpirationHours: row.pending_booking_expiration_hours,
+      minRescheduleNoticeMinutes: row.min_reschedule_notice_minutes,
+      cancellationTiers: row.cancellation_tiers,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = BookingPolicy;
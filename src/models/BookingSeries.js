@@ -0,0 +1,126 @@
+const { pool } = require('../config/database');
+
+class BookingSeries {
+  /**
+   * Get standard series fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getSeriesFields() {
+    return [
+      'id', 'user_id', 'court_id', 'frequency', 'day_of_week', 'start_time', 'end_time',
+      'start_date', 'end_date', 'occurrence_count', 'conflict_mode', 'series_status',
+      'cancellation_reason', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a booking series
+   * @param {Object} seriesData - Series data object
+   * @param {number} seriesData.userId - User ID
+   * @param {number} seriesData.courtId - Court ID
+   * @param {string} seriesData.frequency - 'weekly' or 'biweekly'
+   * @param {number} seriesData.dayOfWeek - Day of week (0-6)
+   * @param {number} seriesData.startTime - Start time in minutes since midnight
+   * @param {number} seriesData.endTime - End time in minutes since midnight
+   * @param {string} seriesData.startDate - First occurrence date (YYYY-MM-DD)
+   * @param {string} seriesData.endDate - Last occurrence date (YYYY-MM-DD)
+   * @param {number} seriesData.occurrenceCount - Number of occurrences in the pattern
+   * @param {string} seriesData.conflictMode - 'all_or_nothing' or 'skip_conflicts'
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created series object
+   */
+  static async create(seriesData, client = null) {
+    const {
+      userId,
+      courtId,
+      frequency,
+      dayOfWeek,
+      startTime,
+      endTime,
+      startDate,
+      endDate,
+      occurrenceCount,
+      conflictMode
+    } = seriesData;
+
+    const query = `
+      INSERT INTO booking_series (
+        user_id, court_id, frequency, day_of_week, start_time, end_time,
+        start_date, end_date, occurrence_count, conflict_mode
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${this._getSeriesFields()}
+    `;
+
+    const values = [
+      userId, courtId, frequency, dayOfWeek, startTime, endTime,
+      startDate, endDate, occurrenceCount, conflictMode
+    ];
+    const result = await (client || pool).query(query, values);
+    return this._formatSeries(result.rows[0]);
+  }
+
+  /**
+   * Find series by ID
+   * @param {number} seriesId - Series ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Series object or null if not found
+   */
+  static async findById(seriesId, client = null) {
+    const query = `
+      SELECT ${this._getSeriesFields()}
+      FROM booking_series
+      WHERE id = $1
+    `;
+    const result = await (client || pool).query(query, [seriesId]);
+    return result.rows[0] ? this._formatSeries(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark a series as cancelled
+   * @param {number} seriesId - Series ID
+   * @param {string} [cancellationReason] - Reason for cancellation
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated series object or null if not found
+   */
+  static async cancel(seriesId, cancellationReason = null, client = null) {
+    const query = `
+      UPDATE booking_series
+      SET series_status = 'cancelled', cancellation_reason = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING ${this._getSeriesFields()}
+    `;
+    const result = await (client || pool).query(query, [cancellationReason, seriesId]);
+    return result.rows[0] ? this._formatSeries(result.rows[0]) : null;
+  }
+
+  /**
+   * Format series object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted series object
+   */
+  static _formatSeries(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      courtId: row.court_id,
+      frequency: row.frequency,
+      dayOfWeek: row.day_of_week,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      startDate: row.start_date ? new Date(row.start_date) : null,
+      endDate: row.end_date ? new Date(row.end_date) : null,
+      occurrenceCount: row.occurrence_count,
+      conflictMode: row.conflict_mode,
+      seriesStatus: row.series_status,
+      cancellationReason: row.cancellation_reason,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = BookingSeries;
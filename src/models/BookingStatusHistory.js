@@ -0,0 +1,104 @@
+const { pool } = require('../config/database');
+
+class BookingStatusHistory {
+  /**
+   * Valid actor types
+   */
+  static ACTOR_TYPES = ['player', 'facility_admin', 'system'];
+
+  /**
+   * Get standard history fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getHistoryFields() {
+    return [
+      'id', 'booking_id', 'previous_status', 'new_status', 'action', 'actor_type', 'actor_user_id',
+      'reason', 'created_at'
+    ].join(', ');
+  }
+
+  /**
+   * Record status changes of one or more bookings
+   * @param {Array<Object>} entries - History entries
+   * @param {number} entries[].bookingId - Booking ID
+   * @param {string|null} entries[].previousStatus - Status before the change (null on creation)
+   * @param {string} entries[].newStatus - Status after the change
+   * @param {string} entries[].action - State machine action
+   * @param {string} entries[].actorType - 'player', 'facility_admin' or 'system'
+   * @param {number|null} entries[].actorUserId - User who caused the change
+   * @param {string|null} entries[].reason - Reason given for the change
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of created history objects
+   */
+  static async createMany(entries, client = null) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const values = [];
+    const rows = entries.map((entry, index) => {
+      const offset = index * 7;
+      values.push(
+        entry.bookingId,
+        entry.previousStatus,
+        entry.newStatus,
+        entry.action,
+        entry.actorType,
+        entry.actorUserId,
+        entry.reason
+      );
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`;
+    });
+
+    const query = `
+      INSERT INTO booking_status_history (
+        booking_id, previous_status, new_status, action, actor_type, actor_user_id, reason
+      )
+      VALUES ${rows.join(', ')}
+      RETURNING ${this._getHistoryFields()}
+    `;
+    const result = await (client || pool).query(query, values);
+    return result.rows.map(row => this._formatHistory(row));
+  }
+
+  /**
+   * Find the status history of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of history objects, oldest first
+   */
+  static async findByBookingId(bookingId, client = null) {
+    const query = `
+      SELECT ${this._getHistoryFields()}
+      FROM booking_status_history
+      WHERE booking_id = $1
+      ORDER BY created_at ASC, id ASC
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return result.rows.map(row => this._formatHistory(row));
+  }
+
+  /**
+   * Format history object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted history object
+   */
+  static _formatHistory(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      bookingId: row.booking_id,
+      previousStatus: row.previous_status,
+      newStatus: row.new_status,
+      action: row.action,
+      actorType: row.actor_type,
+      actorUserId: row.actor_user_id,
+      reason: row.reason,
+      createdAt: new Date(row.created_at)
+    };
+  }
+}
+
+module.exports = BookingStatusHistory;
@@ -0,0 +1,158 @@
+const { pool } = require('../config/database');
+
+class CalendarFeed {
+  /**
+   * Valid feed types
+   */
+  static FEED_TYPES = ['user', 'facility', 'court'];
+
+  /**
+   * Get standard calendar feed fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getFeedFields() {
+    return [
+      'id', 'user_id', 'feed_type', 'facility_id', 'court_id', 'revoked_at', 'last_accessed_at', 'created_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a calendar feed
+   * @param {Object} feedData - Feed data
+   * @param {number} feedData.userId - Creator user ID
+   * @param {string} feedData.tokenHash - SHA-256 hex digest of the feed token
+   * @param {string} feedData.feedType - 'user', 'facility' or 'court'
+   * @param {number|null} [feedData.facilityId] - Facility ID (facility and court feeds)
+   * @param {number|null} [feedData.courtId] - Court ID (court feeds)
+   * @returns {Promise<Object>} Calendar feed object
+   */
+  static async create(feedData) {
+    const { userId, tokenHash, feedType, facilityId = null, courtId = null } = feedData;
+
+    const query = `
+      INSERT INTO calendar_feeds (user_id, token_hash, feed_type, facility_id, court_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${this._getFeedFields()}
+    `;
+
+    const result = await pool.query(query, [userId, tokenHash, feedType, facilityId, courtId]);
+    return this._formatFeed(result.rows[0]);
+  }
+
+  /**
+   * Find a calendar feed by ID
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<Object|null>} Calendar feed object or null if not found
+   */
+  static async findById(feedId) {
+    const query = `
+      SELECT ${this._getFeedFields()}
+      FROM calendar_feeds
+      WHERE id = $1
+    `;
+    const result = await pool.query(query, [feedId]);
+    return result.rows[0] ? this._formatFeed(result.rows[0]) : null;
+  }
+
+  /**
+   * Find an active (not revoked) calendar feed by its token hash
+   * @param {string} tokenHash - SHA-256 hex digest of the feed token
+   * @returns {Promise<Object|null>} Calendar feed object or null if unknown or revoked
+   */
+  static async findActiveByTokenHash(tokenHash) {
+    const query = `
+      SELECT ${this._getFeedFields()}
+      FROM calendar_feeds
+      WHERE token_hash = $1 AND revoked_at IS NULL
+    `;
+    const result = await pool.query(query, [tokenHash]);
+    return result.rows[0] ? this._formatFeed(result.rows[0]) : null;
+  }
+
+  /**
+   * Find a user's calendar feeds
+   * @param {number} userId - Creator user ID
+   * @param {Object} [options] - Query options
+   * @param {boolean} [options.includeRevoked=false] - Include revoked feeds
+   * @returns {Promise<Array>} Array of calendar feed objects (newest first)
+   */
+  static async findByUserId(userId, options = {}) {
+    const { includeRevoked = false } = options;
+
+    const query = `
+      SELECT ${this._getFeedFields()}
+      FROM calendar_feeds
+      WHERE user_id = $1
+        ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+      ORDER BY created_at DESC, id DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows.map(row => this._formatFeed(row));
+  }
+
+  /**
+   * Count a user's active calendar feeds
+   * @param {number} userId - Creator user ID
+   * @returns {Promise<number>} Number of feeds that are not revoked
+   */
+  static async countActiveByUserId(userId) {
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM calendar_feeds
+      WHERE user_id = $1 AND revoked_at IS NULL
+    `;
+    const result = await pool.query(query, [userId]);
+    return parseInt(result.rows[0].total, 10);
+  }
+
+  /**
+   * Revoke a calendar feed
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<Object|null>} Updated feed object or null if it was already revoked
+   */
+  static async revoke(feedId) {
+    const query = `
+      UPDATE calendar_feeds
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING ${this._getFeedFields()}
+    `;
+    const result = await pool.query(query, [feedId]);
+    return result.rows[0] ? this._formatFeed(result.rows[0]) : null;
+  }
+
+  /**
+   * Record that a calendar app fetched the feed
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<void>}
+   */
+  static async touch(feedId) {
+    await pool.query(
+      'UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [feedId]
+    );
+  }
+
+  /**
+   * Format calendar feed object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted calendar feed object
+   */
+  static _formatFeed(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      feedType: row.feed_type,
+      facilityId: row.facility_id,
+      courtId: row.court_id,
+      revokedAt: row.revoked_at ? new Date(row.revoked_at) : null,
+      lastAccessedAt: row.last_accessed_at ? new Date(row.last_accessed_at) : null,
+      createdAt: new Date(row.created_at)
+    };
+  }
+}
+
+module.exports = CalendarFeed;
@@ -0,0 +1,164 @@
+const { pool } = require('../config/database');
+
+class CalendarImportSource {
+  /**
+   * Valid source types
+   */
+  static SOURCE_TYPES = ['upload', 'file'];
+
+  /**
+   * Get standard import source fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getSourceFields() {
+    return [
+      'id', 'facility_id', 'court_id', 'source_type', 'name', 'file_path', 'last_imported_at',
+      'last_import_result', 'created_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a calendar import source
+   * @param {Object} sourceData - Source data
+   * @param {number} sourceData.facilityId - Facility ID
+   * @param {number} sourceData.courtId - Court ID
+   * @param {string} sourceData.sourceType - 'upload' or 'file'
+   * @param {string} sourceData.name - Display name
+   * @param {string|null} [sourceData.filePath] - File path relative to CALENDAR_IMPORT_DIR (file sources)
+   * @param {number} sourceData.createdBy - Facility admin user ID
+   * @returns {Promise<Object>} Import source object
+   */
+  static async create(sourceData) {
+    const { facilityId, courtId, sourceType, name, filePath = null, createdBy } = sourceData;
+
+    const query = `
+      INSERT INTO calendar_import_sources (facility_id, court_id, source_type, name, file_path, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${this._getSourceFields()}
+    `;
+
+    const values = [facilityId, courtId, sourceType, name, filePath, createdBy];
+    const result = await pool.query(query, values);
+    return this._formatSource(result.rows[0]);
+  }
+
+  /**
+   * Find an import source by ID
+   * @param {number} sourceId - Source ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @param {boolean} [forUpdate=false] - Lock the row (SELECT FOR UPDATE)
+   * @returns {Promise<Object|null>} Import source object or null if not found
+   */
+  static async findById(sourceId, client = null, forUpdate = false) {
+    const query = `
+      SELECT ${this._getSourceFields()}
+      FROM calendar_import_sources
+      WHERE id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await (client || pool).query(query, [sourceId]);
+    return result.rows[0] ? this._formatSource(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the import sources of a court
+   * @param {number} courtId - Court ID
+   * @returns {Promise<Array>} Array of import source objects (oldest first)
+   */
+  static async findByCourtId(courtId) {
+    const query = `
+      SELECT ${this._getSourceFields()}
+      FROM calendar_import_sources
+      WHERE court_id = $1
+      ORDER BY created_at ASC, id ASC
+    `;
+    const result = await pool.query(query, [courtId]);
+    return result.rows.map(row => this._formatSource(row));
+  }
+
+  /**
+   * Find all file sources (re-read by the booking lifecycle job)
+   * @returns {Promise<Array>} Array of import source objects
+   */
+  static async findFileSources() {
+    const query = `
+      SELECT ${this._getSourceFields()}
+      FROM calendar_import_sources
+      WHERE source_type = 'file'
+      ORDER BY id ASC
+    `;
+    const result = await pool.query(query);
+    return result.rows.map(row => this._formatSource(row));
+  }
+
+  /**
+   * Count the import sources of a court
+   * @param {number} courtId - Court ID
+   * @returns {Promise<number>} Number of sources
+   */
+  static async countByCourtId(courtId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) AS total FROM calendar_import_sources WHERE court_id = $1',
+      [courtId]
+    );
+    return parseInt(result.rows[0].total, 10);
+  }
+
+  /**
+   * Record the result of an import
+   * @param {number} sourceId - Source ID
+   * @param {Object} importResult - Import summary (or { error })
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated import source object
+   */
+  static async recordImport(sourceId, importResult, client = null) {
+    const query = `
+      UPDATE calendar_import_sources
+      SET last_imported_at = CURRENT_TIMESTAMP,
+          last_import_result = $2::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${this._getSourceFields()}
+    `;
+    const result = await (client || pool).query(query, [sourceId, JSON.stringify(importResult)]);
+    return result.rows[0] ? this._formatSource(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete an import source (its imported blocks are deleted with it)
+   * @param {number} sourceId - Source ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  static async delete(sourceId) {
+    const result = await pool.query('DELETE FROM calendar_import_sources WHERE id = $1', [sourceId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Format import source object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted import source object
+   */
+  static _formatSource(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      facilityId: row.facility_id,
+      courtId: row.court_id,
+      sourceType: row.source_type,
+      name: row.name,
+      filePath: row.file_path,
+      lastImportedAt: row.last_imported_at ? new Date(row.last_imported_at) : null,
+      lastImportResult: typeof row.last_import_result === 'string'
+        ? JSON.parse(row.last_import_result)
+        : (row.last_import_result || null),
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = CalendarImportSource;
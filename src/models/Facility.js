@@ -69,7 +69,7 @@ class Facility {
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING id, name, description, address, city, latitude, longitude,
                 contact_phone, contact_email, owner_id, photos, opening_hours,
-                amenities, is_active, created_at, updated_at
+                amenities, timezone, is_active, created_at, updated_at
     `;
 
     const values = [
@@ -122,7 +122,7 @@ class Facility {
     const query = `
       SELECT id, name, description, address, city, latitude, longitude,
              contact_phone, contact_email, owner_id, photos, opening_hours,
-             amenities, is_active, created_at, updated_at
+             amenities, timezone, is_active, created_at, updated_at
              ${distanceSelect}
       FROM facilities
       WHERE id = $1
@@ -140,7 +140,7 @@ class Facility {
     const query = `
       SELECT id, name, description, address, city, latitude, longitude,
              contact_phone, contact_email, owner_id, photos, opening_hours,
-             amenities, is_active, created_at, updated_at
+             amenities, timezone, is_active, created_at, updated_at
       FROM facilities
       WHERE owner_id = $1
       ORDER BY created_at DESC
@@ -158,7 +158,7 @@ class Facility {
   static async update(facilityId, updateData) {
     const allowedFields = [
       'name', 'description', 'address', 'city', 'latitude', 'longitude',
-      'contact_phone', 'contact_email', 'photos', 'opening_hours', 'amenities', 'is_active'
+      'contact_phone', 'contact_email', 'photos', 'opening_hours', 'amenities', 'timezone', 'is_active'
     ];
     const updates = [];
     const values = [];
@@ -198,7 +198,7 @@ class Facility {
       WHERE id = $${paramCount}
       RETURNING id, name, description, address, city, latitude, longitude,
                 contact_phone, contact_email, owner_id, photos, opening_hours,
-                amenities, is_active, created_at, updated_at
+                amenities, timezone, is_active, created_at, updated_at
     `;
 
     const result = await pool.query(query, values);
@@ -297,7 +297,7 @@ class Facility {
       SELECT 
         f.id, f.name, f.description, f.address, f.city, f.latitude, f.longitude,
         f.contact_phone, f.contact_email, f.owner_id, f.photos, f.opening_hours,
-        f.amenities, f.is_active, f.created_at, f.updated_at,
+        f.amenities, f.timezone, f.is_active, f.created_at, f.updated_at,
         ${minPriceSubquery} AS min_price_per_hour,
         ${sportsSubquery} AS sports
         ${distanceSelect}
@@ -426,7 +426,7 @@ class Facility {
     const query = `
       SELECT id, name, description, address, city, latitude, longitude,
              contact_phone, contact_email, owner_id, photos, opening_hours,
-             amenities, is_active, created_at, updated_at
+             amenities, timezone, is_active, created_at, updated_at
       FROM facilities
       WHERE is_active = $1
         AND (name ILIKE $2 OR address ILIKE $2 OR city ILIKE $2)
@@ -476,6 +476,7 @@ class Facility {
       photos: typeof row.photos === 'string' ? JSON.parse(row.photos) : (row.photos || []),
       openingHours: typeof row.opening_hours === 'string' ? JSON.parse(row.opening_hours) : (row.opening_hours || {}),
       amenities: typeof row.amenities === 'string' ? JSON.parse(row.amenities) : (row.amenities || []),
+      timezone: row.timezone,
       isActive: row.is_active,
       createdAt: row.created_at,
       updatedAt: row.updated_at
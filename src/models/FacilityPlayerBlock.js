@@ -0,0 +1,125 @@
+const { pool } = require('../config/database');
+
+class FacilityPlayerBlock {
+  /**
+   * Get standard block fields for SELECT/RETURNING clauses
+   * @param {string} [alias] - Table alias to prefix the columns with
+   * @returns {string} Comma-separated field list
+   */
+  static _getBlockFields(alias = null) {
+    const fields = ['id', 'facility_id', 'user_id', 'reason', 'blocked_by', 'created_at'];
+    return (alias ? fields.map(field => `${alias}.${field}`) : fields).join(', ');
+  }
+
+  /**
+   * Block a player at a facility (updates the reason if already blocked)
+   * @param {Object} blockData - Block data
+   * @param {number} blockData.facilityId - Facility ID
+   * @param {number} blockData.userId - Blocked user ID
+   * @param {string|null} [blockData.reason] - Reason (visible to the facility only)
+   * @param {number} blockData.blockedBy - Facility owner user ID
+   * @returns {Promise<Object>} Block object
+   */
+  static async create(blockData) {
+    const { facilityId, userId, reason = null, blockedBy } = blockData;
+
+    const query = `
+      INSERT INTO facility_player_blocks (facility_id, user_id, reason, blocked_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (facility_id, user_id) DO UPDATE
+        SET reason = EXCLUDED.reason, blocked_by = EXCLUDED.blocked_by
+      RETURNING ${this._getBlockFields()}
+    `;
+
+    const result = await pool.query(query, [facilityId, userId, reason, blockedBy]);
+    return this._formatBlock(result.rows[0]);
+  }
+
+  /**
+   * Find the blocked players of a facility, with their user details
+   * @param {number} facilityId - Facility ID
+   * @returns {Promise<Array>} Array of block objects (newest first)
+   */
+  static async findByFacilityId(facilityId) {
+    const query = `
+      SELECT ${this._getBlockFields('pb')},
+             u.username, u.first_name, u.last_name
+      FROM facility_player_blocks pb
+      INNER JOIN users u ON pb.user_id = u.id
+      WHERE pb.facility_id = $1
+      ORDER BY pb.created_at DESC, pb.id DESC
+    `;
+    const result = await pool.query(query, [facilityId]);
+    return result.rows.map(row => this._formatBlock(row));
+  }
+
+  /**
+   * Find the blocks of some users at a facility
+   * @param {number} facilityId - Facility ID
+   * @param {Array<number>} userIds - User IDs
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Map<number, Object>>} Map of user ID -> block object (blocked users only)
+   */
+  static async findByUserIds(facilityId, userIds, client = null) {
+    if (userIds.length === 0) {
+      return new Map();
+    }
+
+    const query = `
+      SELECT ${this._getBlockFields()}
+      FROM facility_player_blocks
+      WHERE facility_id = $1 AND user_id = ANY($2::INTEGER[])
+    `;
+    const result = await (client || pool).query(query, [facilityId, userIds]);
+    return new Map(result.rows.map(row => [row.user_id, this._formatBlock(row)]));
+  }
+
+  /**
+   * Unblock a player
+   * @param {number} facilityId - Facility ID
+   * @param {number} userId - Blocked user ID
+   * @returns {Promise<boolean>} True if a block was removed
+   */
+  static async delete(facilityId, userId) {
+    const query = `
+      DELETE FROM facility_player_blocks
+      WHERE facility_id = $1 AND user_id = $2
+      RETURNING id
+    `;
+    const result = await pool.query(query, [facilityId, userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Format block object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted block object
+   */
+  static _formatBlock(row) {
+    if (!row) return null;
+
+    const block = {
+      id: row.id,
+      facilityId: row.facility_id,
+      userId: row.user_id,
+      reason: row.reason,
+      blockedBy: row.blocked_by,
+      createdAt: new Date(row.created_at)
+    };
+
+    // User details are only selected by findByFacilityId
+    if (row.username !== undefined) {
+      block.user = {
+        id: row.user_id,
+        username: row.username,
+        firstName: row.first_name,
+        lastName: row.last_name
+      };
+    }
+
+    return block;
+  }
+}
+
+module.exports = FacilityPlayerBlock;
@@ -0,0 +1,78 @@
+const { pool } = require('../config/database');
+
+class FacilityScreeningPolicy {
+  /**
+   * Get standard screening policy fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getPolicyFields() {
+    return [
+      'facility_id', 'payment_proof_below_score', 'auto_reject_blocked', 'updated_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Find the screening policy of a facility
+   * @param {number} facilityId - Facility ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Policy object or null if the facility has none
+   */
+  static async findByFacilityId(facilityId, client = null) {
+    const query = `
+      SELECT ${this._getPolicyFields()}
+      FROM facility_screening_policies
+      WHERE facility_id = $1
+    `;
+    const result = await (client || pool).query(query, [facilityId]);
+    return result.rows[0] ? this._formatPolicy(result.rows[0]) : null;
+  }
+
+  /**
+   * Create or replace the screening policy of a facility
+   * @param {Object} policyData - Policy data
+   * @param {number} policyData.facilityId - Facility ID
+   * @param {number|null} policyData.paymentProofBelowScore - Score threshold (null = off)
+   * @param {boolean} policyData.autoRejectBlocked - Refuse requests of blocked players
+   * @param {number} policyData.updatedBy - Facility owner user ID
+   * @returns {Promise<Object>} Policy object
+   */
+  static async upsert(policyData) {
+    const { facilityId, paymentProofBelowScore, autoRejectBlocked, updatedBy } = policyData;
+
+    const query = `
+      INSERT INTO facility_screening_policies (facility_id, payment_proof_below_score, auto_reject_blocked, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (facility_id) DO UPDATE
+        SET payment_proof_below_score = EXCLUDED.payment_proof_below_score,
+            auto_reject_blocked = EXCLUDED.auto_reject_blocked,
+            updated_by = EXCLUDED.updated_by,
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING ${this._getPolicyFields()}
+    `;
+
+    const values = [facilityId, paymentProofBelowScore, autoRejectBlocked, updatedBy];
+    const result = await pool.query(query, values);
+    return this._formatPolicy(result.rows[0]);
+  }
+
+  /**
+   * Format policy object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted policy object
+   */
+  static _formatPolicy(row) {
+    if (!row) return null;
+
+    return {
+      facilityId: row.facility_id,
+      paymentProofBelowScore: row.payment_proof_below_score,
+      autoRejectBlocked: row.auto_reject_blocked,
+      updatedBy: row.updated_by,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = FacilityScreeningPolicy;
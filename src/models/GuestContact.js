@@ -0,0 +1,141 @@
+const { pool } = require('../config/database');
+
+class GuestContact {
+  /**
+   * Get standard guest contact fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getContactFields() {
+    return [
+      'id', 'facility_id', 'full_name', 'phone', 'email', 'created_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a guest contact
+   * @param {Object} contactData - Contact data object
+   * @param {number} contactData.facilityId - Facility ID
+   * @param {string} contactData.fullName - Guest name
+   * @param {string} [contactData.phone] - Phone number
+   * @param {string} [contactData.email] - Email address (lowercase)
+   * @param {number} [contactData.createdBy] - Facility admin who created the contact
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created contact object
+   */
+  static async create(contactData, client = null) {
+    const { facilityId, fullName, phone = null, email = null, createdBy = null } = contactData;
+
+    const query = `
+      INSERT INTO guest_contacts (facility_id, full_name, phone, email, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${this._getContactFields()}
+    `;
+
+    const values = [facilityId, fullName, phone, email, createdBy];
+    const result = await (client || pool).query(query, values);
+    return this._formatContact(result.rows[0]);
+  }
+
+  /**
+   * Find contact by ID
+   * @param {number} contactId - Contact ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Contact object or null if not found
+   */
+  static async findById(contactId, client = null) {
+    const query = `
+      SELECT ${this._getContactFields()}
+      FROM guest_contacts
+      WHERE id = $1
+    `;
+    const result = await (client || pool).query(query, [contactId]);
+    return result.rows[0] ? this._formatContact(result.rows[0]) : null;
+  }
+
+  /**
+   * Find a facility's contact by phone (digits only) or email
+   * @param {number} facilityId - Facility ID
+   * @param {Object} lookup - Lookup values
+   * @param {string} [lookup.phone] - Phone number
+   * @param {string} [lookup.email] - Email address
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Contact object or null if none (phone matches first)
+   */
+  static async findByFacilityAndContact(facilityId, lookup, client = null) {
+    const phoneDigits = lookup.phone ? String(lookup.phone).replace(/\D/g, '') : null;
+    const email = lookup.email ? lookup.email.toLowerCase() : null;
+
+    const query = `
+      SELECT ${this._getContactFields()}
+      FROM guest_contacts
+      WHERE facility_id = $1
+        AND (
+          ($2::TEXT IS NOT NULL AND regexp_replace(phone, '[^0-9]', '', 'g') = $2) OR
+          ($3::TEXT IS NOT NULL AND LOWER(email) = $3)
+        )
+      ORDER BY (regexp_replace(phone, '[^0-9]', '', 'g') = $2) DESC NULLS LAST, id ASC
+      LIMIT 1
+    `;
+    const result = await (client || pool).query(query, [facilityId, phoneDigits, email]);
+    return result.rows[0] ? this._formatContact(result.rows[0]) : null;
+  }
+
+  /**
+   * Update a contact's details (only provided fields)
+   * @param {number} contactId - Contact ID
+   * @param {Object} updateData - Fields to update (fullName, phone, email)
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated contact object
+   */
+  static async update(contactId, updateData, client = null) {
+    const columns = { fullName: 'full_name', phone: 'phone', email: 'email' };
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (updateData[key] !== undefined) {
+        updates.push(`${column} = $${paramCount}`);
+        values.push(updateData[key]);
+        paramCount++;
+      }
+    }
+
+    if (updates.length === 0) {
+      return this.findById(contactId, client);
+    }
+
+    values.push(contactId);
+    const query = `
+      UPDATE guest_contacts
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramCount}
+      RETURNING ${this._getContactFields()}
+    `;
+    const result = await (client || pool).query(query, values);
+    return result.rows[0] ? this._formatContact(result.rows[0]) : null;
+  }
+
+  /**
+   * Format contact object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted contact object
+   */
+  static _formatContact(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      facilityId: row.facility_id,
+      fullName: row.full_name,
+      phone: row.phone,
+      email: row.email,
+      createdBy: row.created_by,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = GuestContact;
@@ -0,0 +1,132 @@
+const { pool } = require('../config/database');
+
+class IdempotencyKey {
+  /**
+   * Get standard idempotency key fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getKeyFields() {
+    return [
+      'id', 'user_id', 'route', 'idempotency_key', 'request_hash', 'key_status', 'response_status',
+      'response_body', 'created_at', 'expires_at'
+    ].join(', ');
+  }
+
+  /**
+   * Reserve a key for a request
+   *
+   * Inserts the key as 'in_progress'. An expired record with the same key is
+   * taken over. If a live record exists nothing is changed and it is returned
+   * instead.
+   *
+   * @param {Object} keyData - Key data
+   * @param {number} keyData.userId - User ID
+   * @param {string} keyData.route - Method and path (e.g., 'POST /api/v1/bookings')
+   * @param {string} keyData.idempotencyKey - Idempotency-Key header value
+   * @param {string} keyData.requestHash - SHA-256 of the request body
+   * @param {number} keyData.ttlHours - Hours until the record expires
+   * @returns {Promise<Object>} { reserved: boolean, record: Object|null }
+   */
+  static async reserve(keyData) {
+    const { userId, route, idempotencyKey, requestHash, ttlHours } = keyData;
+
+    const insertResult = await pool.query(
+      `
+        INSERT INTO idempotency_keys (user_id, route, idempotency_key, request_hash, expires_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 * INTERVAL '1 hour'))
+        ON CONFLICT (user_id, route, idempotency_key) DO UPDATE
+          SET request_hash = EXCLUDED.request_hash,
+              key_status = 'in_progress',
+              response_status = NULL,
+              response_body = NULL,
+              created_at = CURRENT_TIMESTAMP,
+              expires_at = EXCLUDED.expires_at
+          WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+        RETURNING ${this._getKeyFields()}
+      `,
+      [userId, route, idempotencyKey, requestHash, ttlHours]
+    );
+
+    if (insertResult.rows.length > 0) {
+      return { reserved: true, record: this._formatKey(insertResult.rows[0]) };
+    }
+
+    const existingResult = await pool.query(
+      `
+        SELECT ${this._getKeyFields()}
+        FROM idempotency_keys
+        WHERE user_id = $1 AND route = $2 AND idempotency_key = $3
+      `,
+      [userId, route, idempotencyKey]
+    );
+
+    // null when the live record was released in between (caller may retry)
+    return {
+      reserved: false,
+      record: existingResult.rows[0] ? this._formatKey(existingResult.rows[0]) : null
+    };
+  }
+
+  /**
+   * Store the response of a reserved key
+   * @param {number} keyId - Key record ID
+   * @param {number} responseStatus - HTTP status code
+   * @param {Object} responseBody - JSON response body
+   * @returns {Promise<void>}
+   */
+  static async complete(keyId, responseStatus, responseBody) {
+    await pool.query(
+      `
+        UPDATE idempotency_keys
+        SET key_status = 'completed',
+            response_status = $1,
+            response_body = $2
+        WHERE id = $3
+      `,
+      [responseStatus, JSON.stringify(responseBody), keyId]
+    );
+  }
+
+  /**
+   * Release a reserved key without storing a response (so the request can be retried)
+   * @param {number} keyId - Key record ID
+   * @returns {Promise<void>}
+   */
+  static async release(keyId) {
+    await pool.query("DELETE FROM idempotency_keys WHERE id = $1 AND key_status = 'in_progress'", [keyId]);
+  }
+
+  /**
+   * Delete expired key records
+   * @returns {Promise<number>} Number of deleted records
+   */
+  static async deleteExpired() {
+    const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  /**
+   * Format key object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted key object
+   */
+  static _formatKey(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      route: row.route,
+      idempotencyKey: row.idempotency_key,
+      requestHash: row.request_hash,
+      keyStatus: row.key_status,
+      responseStatus: row.response_status,
+      responseBody: row.response_body,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+module.exports = IdempotencyKey;
@@ -13,9 +13,9 @@ class Image {
   /**
    * Create a new image record
    * @param {Object} imageData - Image data object
-   * @param {string} imageData.entityType - Entity type (user, facility, court, sport, review)
+   * @param {string} imageData.entityType - Entity type (user, facility, court, sport, review, booking, booking_message)
    * @param {number} imageData.entityId - Entity ID
-   * @param {string} imageData.imageType - Image type (profile, cover, gallery, icon, banner, main)
+   * @param {string} imageData.imageType - Image type (profile, cover, gallery, icon, banner, main, payment_proof, attachment)
    * @param {number} imageData.createdBy - User ID who created the image
    * @param {string} [imageData.storageKey] - S3 storage key (nullable until S3 integration)
    * @param {string} [imageData.url] - Full URL to image (nullable until S3 integration)
@@ -38,13 +38,13 @@ class Image {
     } = imageData;
 
     // Validate entity type
-    const validEntityTypes = ['user', 'facility', 'court', 'sport', 'review', 'booking'];
+    const validEntityTypes = ['user', 'facility', 'court', 'sport', 'review', 'booking', 'booking_message'];
     if (!validEntityTypes.includes(entityType)) {
       throw new Error(`Invalid entity type. Must be one of: ${validEntityTypes.join(', ')}`);
     }
 
     // Validate image type
-    const validImageTypes = ['profile', 'cover', 'gallery', 'icon', 'banner', 'main', 'payment_proof'];
+    const validImageTypes = ['profile', 'cover', 'gallery', 'icon', 'banner', 'main', 'payment_proof', 'attachment'];
     if (!validImageTypes.includes(imageType)) {
       throw new Error(`Invalid image type. Must be one of: ${validImageTypes.join(', ')}`);
     }
@@ -0,0 +1,115 @@
+const { pool } = require('../config/database');
+
+class JobRun {
+  /**
+   * Get standard job run fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getJobRunFields() {
+    return [
+      'id', 'job_name', 'task_name', 'trigger_type', 'run_status', 'processed_count',
+      'details', 'error_message', 'started_at', 'finished_at'
+    ].join(', ');
+  }
+
+  /**
+   * Record the start of a task run
+   * @param {string} jobName - Job name (e.g., 'booking_lifecycle')
+   * @param {string} taskName - Task name (e.g., 'expire_pending')
+   * @param {string} triggerType - 'schedule', 'startup' or 'manual'
+   * @returns {Promise<Object>} Created job run object
+   */
+  static async start(jobName, taskName, triggerType) {
+    const query = `
+      INSERT INTO job_runs (job_name, task_name, trigger_type)
+      VALUES ($1, $2, $3)
+      RETURNING ${this._getJobRunFields()}
+    `;
+    const result = await pool.query(query, [jobName, taskName, triggerType]);
+    return this._formatJobRun(result.rows[0]);
+  }
+
+  /**
+   * Record the end of a task run
+   * @param {number} runId - Job run ID
+   * @param {Object} outcome - Run outcome
+   * @param {string} outcome.runStatus - 'succeeded' or 'failed'
+   * @param {number} [outcome.processedCount=0] - Number of records processed
+   * @param {Object} [outcome.details] - Task-specific details
+   * @param {string} [outcome.errorMessage] - Error message (failed runs)
+   * @returns {Promise<Object|null>} Updated job run object
+   */
+  static async finish(runId, outcome) {
+    const { runStatus, processedCount = 0, details = null, errorMessage = null } = outcome;
+
+    const query = `
+      UPDATE job_runs
+      SET run_status = $1,
+          processed_count = $2,
+          details = $3,
+          error_message = $4,
+          finished_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING ${this._getJobRunFields()}
+    `;
+    const values = [runStatus, processedCount, details ? JSON.stringify(details) : null, errorMessage, runId];
+    const result = await pool.query(query, values);
+    return result.rows[0] ? this._formatJobRun(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the most recent runs of a job
+   * @param {string} jobName - Job name
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.taskName] - Filter by task name
+   * @param {number} [options.limit=20] - Number of records to return
+   * @returns {Promise<Array>} Array of job run objects, newest first
+   */
+  static async findRecent(jobName, options = {}) {
+    const { taskName, limit = 20 } = options;
+    const conditions = ['job_name = $1'];
+    const values = [jobName];
+
+    if (taskName) {
+      conditions.push('task_name = $2');
+      values.push(taskName);
+    }
+
+    values.push(limit);
+
+    const query = `
+      SELECT ${this._getJobRunFields()}
+      FROM job_runs
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY started_at DESC
+      LIMIT $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this._formatJobRun(row));
+  }
+
+  /**
+   * Format job run object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted job run object
+   */
+  static _formatJobRun(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      jobName: row.job_name,
+      taskName: row.task_name,
+      triggerType: row.trigger_type,
+      runStatus: row.run_status,
+      processedCount: row.processed_count,
+      details: row.details,
+      errorMessage: row.error_message,
+      startedAt: new Date(row.started_at),
+      finishedAt: row.finished_at ? new Date(row.finished_at) : null
+    };
+  }
+}
+
+module.exports = JobRun;
@@ -0,0 +1,130 @@
+const { pool } = require('../config/database');
+
+class OpenGame {
+  /**
+   * Valid skill levels
+   */
+  static SKILL_LEVELS = ['any', 'beginner', 'intermediate', 'advanced'];
+
+  /**
+   * Valid join modes
+   */
+  static JOIN_MODES = ['instant', 'approval'];
+
+  /**
+   * Get standard open game fields for SELECT/RETURNING clauses
+   * @param {string} [alias] - Table alias to prefix the columns with
+   * @returns {string} Comma-separated field list
+   */
+  static _getGameFields(alias = null) {
+    const fields = [
+      'id', 'booking_id', 'organizer_id', 'skill_level', 'max_players', 'price_per_player',
+      'join_mode', 'description', 'game_status', 'created_at', 'updated_at'
+    ];
+    return (alias ? fields.map(field => `${alias}.${field}`) : fields).join(', ');
+  }
+
+  /**
+   * Open a booking as a game, or update and reopen its existing game
+   * @param {Object} gameData - Open game data
+   * @param {number} gameData.bookingId - Booking ID
+   * @param {number} gameData.organizerId - Booker user ID
+   * @param {string} gameData.skillLevel - Skill level
+   * @param {number} gameData.maxPlayers - Seats including the organizer
+   * @param {number} gameData.pricePerPlayer - Price per joining player
+   * @param {string} gameData.joinMode - 'instant' or 'approval'
+   * @param {string|null} [gameData.description] - Description
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Open game object
+   */
+  static async upsert(gameData, client = null) {
+    const {
+      bookingId,
+      organizerId,
+      skillLevel,
+      maxPlayers,
+      pricePerPlayer,
+      joinMode,
+      description = null
+    } = gameData;
+
+    const query = `
+      INSERT INTO open_games (
+        booking_id, organizer_id, skill_level, max_players, price_per_player, join_mode, description
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (booking_id) DO UPDATE
+        SET skill_level = EXCLUDED.skill_level,
+            max_players = EXCLUDED.max_players,
+            price_per_player = EXCLUDED.price_per_player,
+            join_mode = EXCLUDED.join_mode,
+            description = EXCLUDED.description,
+            game_status = 'open',
+            updated_at = CURRENT_TIMESTAMP
+      RETURNING ${this._getGameFields()}
+    `;
+
+    const values = [bookingId, organizerId, skillLevel, maxPlayers, pricePerPlayer, joinMode, description];
+    const result = await (client || pool).query(query, values);
+    return this._formatGame(result.rows[0]);
+  }
+
+  /**
+   * Find the open game of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Open game object or null if the booking was never opened
+   */
+  static async findByBookingId(bookingId, client = null) {
+    const query = `
+      SELECT ${this._getGameFields()}
+      FROM open_games
+      WHERE booking_id = $1
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return result.rows[0] ? this._formatGame(result.rows[0]) : null;
+  }
+
+  /**
+   * Close an open game (it leaves the listing; players keep their seats)
+   * @param {number} bookingId - Booking ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated open game object
+   */
+  static async close(bookingId, client = null) {
+    const query = `
+      UPDATE open_games
+      SET game_status = 'closed', updated_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1
+      RETURNING ${this._getGameFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId]);
+    return result.rows[0] ? this._formatGame(result.rows[0]) : null;
+  }
+
+  /**
+   * Format open game object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted open game object
+   */
+  static _formatGame(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      bookingId: row.booking_id,
+      organizerId: row.organizer_id,
+      skillLevel: row.skill_level,
+      maxPlayers: row.max_players,
+      pricePerPlayer: parseFloat(row.price_per_player),
+      joinMode: row.join_mode,
+      description: row.description,
+      gameStatus: row.game_status,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = OpenGame;
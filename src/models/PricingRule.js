@@ -0,0 +1,237 @@
+const { pool } = require('../config/database');
+
+class PricingRule {
+  /**
+   * Valid action types
+   */
+  static ACTION_TYPES = ['fixed_price', 'percentage', 'surcharge'];
+
+  /**
+   * Valid stacking modes
+   */
+  static STACKING_MODES = ['stack', 'exclusive'];
+
+  /**
+   * Get standard rule fields for SELECT/RETURNING clauses
+   * (dates are returned as YYYY-MM-DD strings)
+   * @returns {string} Comma-separated field list
+   */
+  static _getRuleFields() {
+    return [
+      'id', 'facility_id', 'court_id', 'name', 'description', 'priority', 'stacking', 'days_of_week',
+      'dates::text[] AS dates', 'start_time', 'end_time', 'min_lead_minutes', 'max_lead_minutes',
+      'min_duration_minutes', 'max_duration_minutes', 'action_type', 'action_value', 'is_active',
+      'created_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a pricing rule
+   * @param {Object} ruleData - Full rule definition (unused conditions must be null)
+   * @param {number} ruleData.facilityId - Facility ID
+   * @param {number|null} ruleData.courtId - Court ID (null for a facility-wide rule)
+   * @param {string} ruleData.name - Rule name
+   * @param {string|null} ruleData.description - Description
+   * @param {number} ruleData.priority - Priority (higher is evaluated first)
+   * @param {string} ruleData.stacking - 'stack' or 'exclusive'
+   * @param {Array<number>|null} ruleData.daysOfWeek - Days of week (0=Sunday)
+   * @param {Array<string>|null} ruleData.dates - Specific dates (YYYY-MM-DD)
+   * @param {number|null} ruleData.startTime - Window start in minutes since midnight
+   * @param {number|null} ruleData.endTime - Window end in minutes since midnight
+   * @param {number|null} ruleData.minLeadMinutes - Minimum lead time
+   * @param {number|null} ruleData.maxLeadMinutes - Maximum lead time
+   * @param {number|null} ruleData.minDurationMinutes - Minimum booking duration
+   * @param {number|null} ruleData.maxDurationMinutes - Maximum booking duration
+   * @param {string} ruleData.actionType - 'fixed_price', 'percentage' or 'surcharge'
+   * @param {number} ruleData.actionValue - Action value
+   * @param {boolean} ruleData.isActive - Whether the rule is active
+   * @param {number} ruleData.createdBy - Admin user ID
+   * @returns {Promise<Object>} Created rule object
+   */
+  static async create(ruleData) {
+    const query = `
+      INSERT INTO pricing_rules (
+        facility_id, court_id, name, description, priority, stacking, days_of_week, dates,
+        start_time, end_time, min_lead_minutes, max_lead_minutes, min_duration_minutes,
+        max_duration_minutes, action_type, action_value, is_active, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING ${this._getRuleFields()}
+    `;
+
+    const values = [
+      ruleData.facilityId, ruleData.courtId, ...this._getDefinitionValues(ruleData), ruleData.createdBy
+    ];
+    const result = await pool.query(query, values);
+    return this._formatRule(result.rows[0]);
+  }
+
+  /**
+   * Find rule by ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<Object|null>} Rule object or null if not found
+   */
+  static async findById(ruleId) {
+    const query = `
+      SELECT ${this._getRuleFields()}
+      FROM pricing_rules
+      WHERE id = $1
+    `;
+    const result = await pool.query(query, [ruleId]);
+    return result.rows[0] ? this._formatRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Find rules of a facility (facility-wide and court-level)
+   * @param {number} facilityId - Facility ID
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.courtId] - Only rules that apply to this court (its own and facility-wide)
+   * @param {boolean} [options.isActive] - Filter by active status
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of rule objects
+   */
+  static async findByFacilityId(facilityId, options = {}, client = null) {
+    const { courtId, isActive } = options;
+    const conditions = ['facility_id = $1'];
+    const values = [facilityId];
+    let paramCount = 2;
+
+    if (courtId !== undefined) {
+      conditions.push(`(court_id IS NULL OR court_id = $${paramCount})`);
+      values.push(courtId);
+      paramCount++;
+    }
+
+    if (isActive !== undefined) {
+      conditions.push(`is_active = $${paramCount}`);
+      values.push(isActive);
+      paramCount++;
+    }
+
+    const query = `
+      SELECT ${this._getRuleFields()}
+      FROM pricing_rules
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY priority DESC, court_id ASC NULLS LAST, id ASC
+    `;
+    const result = await (client || pool).query(query, values);
+    return result.rows.map(row => this._formatRule(row));
+  }
+
+  /**
+   * Find the active rules that apply to a court (its own and facility-wide)
+   * @param {number} courtId - Court ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of rule objects
+   */
+  static async findActiveForCourt(courtId, client = null) {
+    const query = `
+      SELECT ${this._getRuleFields()}
+      FROM pricing_rules
+      WHERE is_active = TRUE
+        AND (
+          court_id = $1 OR
+          (court_id IS NULL AND facility_id = (SELECT facility_id FROM courts WHERE id = $1))
+        )
+      ORDER BY priority DESC, court_id ASC NULLS LAST, id ASC
+    `;
+    const result = await (client || pool).query(query, [courtId]);
+    return result.rows.map(row => this._formatRule(row));
+  }
+
+  /**
+   * Replace the definition of a rule
+   * @param {number} ruleId - Rule ID
+   * @param {Object} ruleData - Full rule definition (see create; scope and createdBy are not changed)
+   * @returns {Promise<Object|null>} Updated rule object or null if not found
+   */
+  static async update(ruleId, ruleData) {
+    const query = `
+      UPDATE pricing_rules
+      SET name = $1,
+          description = $2,
+          priority = $3,
+          stacking = $4,
+          days_of_week = $5,
+          dates = $6,
+          start_time = $7,
+          end_time = $8,
+          min_lead_minutes = $9,
+          max_lead_minutes = $10,
+          min_duration_minutes = $11,
+          max_duration_minutes = $12,
+          action_type = $13,
+          action_value = $14,
+          is_active = $15,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $16
+      RETURNING ${this._getRuleFields()}
+    `;
+
+    const values = [...this._getDefinitionValues(ruleData), ruleId];
+    const result = await pool.query(query, values);
+    return result.rows[0] ? this._formatRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a rule
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  static async delete(ruleId) {
+    const result = await pool.query('DELETE FROM pricing_rules WHERE id = $1', [ruleId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Definition values in column order (name ... is_active)
+   * @private
+   * @param {Object} ruleData - Rule definition
+   * @returns {Array} Query values
+   */
+  static _getDefinitionValues(ruleData) {
+    return [
+      ruleData.name, ruleData.description, ruleData.priority, ruleData.stacking, ruleData.daysOfWeek,
+      ruleData.dates, ruleData.startTime, ruleData.endTime, ruleData.minLeadMinutes, ruleData.maxLeadMinutes,
+      ruleData.minDurationMinutes, ruleData.maxDurationMinutes, ruleData.actionType, ruleData.actionValue,
+      ruleData.isActive
+    ];
+  }
+
+  /**
+   * Format rule object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted rule object
+   */
+  static _formatRule(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      facilityId: row.facility_id,
+      courtId: row.court_id,
+      scope: row.court_id ? 'court' : 'facility',
+      name: row.name,
+      description: row.description,
+      priority: row.priority,
+      stacking: row.stacking,
+      daysOfWeek: row.days_of_week,
+      dates: row.dates,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      minLeadMinutes: row.min_lead_minutes,
+      maxLeadMinutes: row.max_lead_minutes,
+      minDurationMinutes: row.min_duration_minutes,
+      maxDurationMinutes: row.max_duration_minutes,
+      actionType: row.action_type,
+      actionValue: parseFloat(row.action_value),
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = PricingRule;
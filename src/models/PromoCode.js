@@ -0,0 +1,321 @@
+const { pool } = require('../config/database');
+
+class PromoCode {
+  /**
+   * Valid discount types
+   */
+  static DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+
+  /**
+   * Get standard promo code fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getPromoCodeFields() {
+    return [
+      'id', 'code', 'facility_id', 'description', 'discount_type', 'discount_value', 'max_discount_amount',
+      'min_booking_amount', 'valid_from', 'valid_until', 'max_redemptions', 'max_redemptions_per_user',
+      'redemption_count', 'sport_ids', 'court_ids', 'is_active', 'created_by', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} promoData - Full promo code definition (unused restrictions must be null)
+   * @param {string} promoData.code - Code (upper case)
+   * @param {number|null} promoData.facilityId - Facility ID (null for a platform-wide code)
+   * @param {string|null} promoData.description - Description
+   * @param {string} promoData.discountType - 'percentage' or 'fixed_amount'
+   * @param {number} promoData.discountValue - Percent off or amount off
+   * @param {number|null} promoData.maxDiscountAmount - Cap for percentage discounts
+   * @param {number|null} promoData.minBookingAmount - Minimum booking price before discount
+   * @param {Date|null} promoData.validFrom - Start of the validity window
+   * @param {Date|null} promoData.validUntil - End of the validity window
+   * @param {number|null} promoData.maxRedemptions - Total redemption cap
+   * @param {number|null} promoData.maxRedemptionsPerUser - Redemption cap per user
+   * @param {Array<number>|null} promoData.sportIds - Sports the code can be used for
+   * @param {Array<number>|null} promoData.courtIds - Courts the code can be used on
+   * @param {boolean} promoData.isActive - Whether the code is active
+   * @param {number} promoData.createdBy - Admin user ID
+   * @returns {Promise<Object>} Created promo code object
+   */
+  static async create(promoData) {
+    const query = `
+      INSERT INTO promo_codes (
+        code, facility_id, description, discount_type, discount_value, max_discount_amount,
+        min_booking_amount, valid_from, valid_until, max_redemptions, max_redemptions_per_user,
+        sport_ids, court_ids, is_active, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING ${this._getPromoCodeFields()}
+    `;
+
+    const values = [
+      promoData.code, promoData.facilityId, ...this._getDefinitionValues(promoData), promoData.createdBy
+    ];
+    const result = await pool.query(query, values);
+    return this._formatPromoCode(result.rows[0]);
+  }
+
+  /**
+   * Find promo code by ID
+   * @param {number} promoCodeId - Promo code ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Promo code object or null if not found
+   */
+  static async findById(promoCodeId, client = null) {
+    const query = `
+      SELECT ${this._getPromoCodeFields()}
+      FROM promo_codes
+      WHERE id = $1
+    `;
+    const result = await (client || pool).query(query, [promoCodeId]);
+    return result.rows[0] ? this._formatPromoCode(result.rows[0]) : null;
+  }
+
+  /**
+   * Find promo code by code
+   * @param {string} code - Code (upper case)
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @param {boolean} [forUpdate=false] - Lock the row until the transaction ends
+   * @returns {Promise<Object|null>} Promo code object or null if not found
+   */
+  static async findByCode(code, client = null, forUpdate = false) {
+    const query = `
+      SELECT ${this._getPromoCodeFields()}
+      FROM promo_codes
+      WHERE code = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await (client || pool).query(query, [code]);
+    return result.rows[0] ? this._formatPromoCode(result.rows[0]) : null;
+  }
+
+  /**
+   * Find platform-wide or facility promo codes
+   * @param {number|null} facilityId - Facility ID (null for platform-wide codes)
+   * @param {Object} [options={}] - Query options
+   * @param {boolean} [options.isActive] - Filter by active status
+   * @returns {Promise<Array>} Array of promo code objects (newest first)
+   */
+  static async findByFacilityId(facilityId, options = {}) {
+    const { isActive } = options;
+    const conditions = [facilityId === null ? 'facility_id IS NULL' : 'facility_id = $1'];
+    const values = facilityId === null ? [] : [facilityId];
+
+    if (isActive !== undefined) {
+      values.push(isActive);
+      conditions.push(`is_active = $${values.length}`);
+    }
+
+    const query = `
+      SELECT ${this._getPromoCodeFields()}
+      FROM promo_codes
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this._formatPromoCode(row));
+  }
+
+  /**
+   * Replace the definition of a promo code
+   * @param {number} promoCodeId - Promo code ID
+   * @param {Object} promoData - Full promo code definition (see create; code, scope and createdBy are not changed)
+   * @returns {Promise<Object|null>} Updated promo code object or null if not found
+   */
+  static async update(promoCodeId, promoData) {
+    const query = `
+      UPDATE promo_codes
+      SET description = $1,
+          discount_type = $2,
+          discount_value = $3,
+          max_discount_amount = $4,
+          min_booking_amount = $5,
+          valid_from = $6,
+          valid_until = $7,
+          max_redemptions = $8,
+          max_redemptions_per_user = $9,
+          sport_ids = $10,
+          court_ids = $11,
+          is_active = $12,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $13
+      RETURNING ${this._getPromoCodeFields()}
+    `;
+
+    const values = [...this._getDefinitionValues(promoData), promoCodeId];
+    const result = await pool.query(query, values);
+    return result.rows[0] ? this._formatPromoCode(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a promo code
+   * @param {number} promoCodeId - Promo code ID
+   * @returns {Promise<boolean>} True if deleted successfully
+   */
+  static async delete(promoCodeId) {
+    const result = await pool.query('DELETE FROM promo_codes WHERE id = $1', [promoCodeId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Check if a code was ever redeemed (released redemptions included)
+   * @param {number} promoCodeId - Promo code ID
+   * @returns {Promise<boolean>} True if a booking used the code
+   */
+  static async hasRedemptions(promoCodeId) {
+    const result = await pool.query(
+      'SELECT EXISTS (SELECT 1 FROM promo_code_redemptions WHERE promo_code_id = $1) AS redeemed',
+      [promoCodeId]
+    );
+    return result.rows[0].redeemed;
+  }
+
+  /**
+   * Count a user's redemptions of a code that were not released
+   * @param {number} promoCodeId - Promo code ID
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Number of redemptions
+   */
+  static async countUserRedemptions(promoCodeId, userId, client = null) {
+    const result = await (client || pool).query(
+      'SELECT COUNT(*) AS count FROM promo_code_redemptions WHERE promo_code_id = $1 AND user_id = $2 AND released_at IS NULL',
+      [promoCodeId, userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Record a redemption and increment the code's redemption count
+   * Must run inside the booking transaction, after the code row was locked
+   * with findByCode(..., forUpdate = true)
+   * @param {Object} client - Database client (from transaction)
+   * @param {Object} redemptionData - Redemption data
+   * @param {number} redemptionData.promoCodeId - Promo code ID
+   * @param {number} redemptionData.bookingId - Booking ID
+   * @param {number} redemptionData.userId - User ID
+   * @param {number} redemptionData.discountAmount - Discount given
+   * @returns {Promise<void>}
+   */
+  static async recordRedemption(client, redemptionData) {
+    await client.query(
+      `
+        INSERT INTO promo_code_redemptions (promo_code_id, booking_id, user_id, discount_amount)
+        VALUES ($1, $2, $3, $4)
+      `,
+      [redemptionData.promoCodeId, redemptionData.bookingId, redemptionData.userId, redemptionData.discountAmount]
+    );
+
+    await client.query(
+      `
+        UPDATE promo_codes
+        SET redemption_count = redemption_count + 1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `,
+      [redemptionData.promoCodeId]
+    );
+  }
+
+  /**
+   * Release the redemptions of bookings that were cancelled, rejected or expired
+   * (they stop counting toward max_redemptions and max_redemptions_per_user)
+   * Must run in the transaction that changed the booking status
+   * @param {Object} client - Database client (from transaction)
+   * @param {Array<number>} bookingIds - Booking IDs
+   * @returns {Promise<void>}
+   */
+  static async releaseRedemptions(client, bookingIds) {
+    await client.query(
+      `
+        WITH released AS (
+          UPDATE promo_code_redemptions
+          SET released_at = CURRENT_TIMESTAMP
+          WHERE booking_id = ANY($1::INTEGER[])
+            AND released_at IS NULL
+          RETURNING promo_code_id
+        )
+        UPDATE promo_codes
+        SET redemption_count = redemption_count - counts.count,
+            updated_at = CURRENT_TIMESTAMP
+        FROM (
+          SELECT promo_code_id, COUNT(*) AS count FROM released GROUP BY promo_code_id
+        ) counts
+        WHERE promo_codes.id = counts.promo_code_id
+      `,
+      [bookingIds]
+    );
+  }
+
+  /**
+   * Update the discount of a booking's redemption (after a reschedule re-priced it)
+   * @param {Object} client - Database client (from transaction)
+   * @param {number} bookingId - Booking ID
+   * @param {number} discountAmount - New discount
+   * @returns {Promise<void>}
+   */
+  static async updateRedemptionDiscount(client, bookingId, discountAmount) {
+    await client.query(
+      'UPDATE promo_code_redemptions SET discount_amount = $1 WHERE booking_id = $2',
+      [discountAmount, bookingId]
+    );
+  }
+
+  /**
+   * Definition values in column order (description ... is_active)
+   * @private
+   * @param {Object} promoData - Promo code definition
+   * @returns {Array} Query values
+   */
+  static _getDefinitionValues(promoData) {
+    return [
+      promoData.description, promoData.discountType, promoData.discountValue, promoData.maxDiscountAmount,
+      promoData.minBookingAmount, promoData.validFrom, promoData.validUntil, promoData.maxRedemptions,
+      promoData.maxRedemptionsPerUser, promoData.sportIds, promoData.courtIds, promoData.isActive
+    ];
+  }
+
+  /**
+   * Parse a nullable DECIMAL column
+   * @private
+   */
+  static _parseAmount(value) {
+    return value !== null && value !== undefined ? parseFloat(value) : null;
+  }
+
+  /**
+   * Format promo code object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted promo code object
+   */
+  static _formatPromoCode(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      code: row.code,
+      facilityId: row.facility_id,
+      scope: row.facility_id ? 'facility' : 'platform',
+      description: row.description,
+      discountType: row.discount_type,
+      discountValue: parseFloat(row.discount_value),
+      maxDiscountAmount: this._parseAmount(row.max_discount_amount),
+      minBookingAmount: this._parseAmount(row.min_booking_amount),
+      validFrom: row.valid_from ? new Date(row.valid_from) : null,
+      validUntil: row.valid_until ? new Date(row.valid_until) : null,
+      maxRedemptions: row.max_redemptions,
+      maxRedemptionsPerUser: row.max_redemptions_per_user,
+      redemptionCount: row.redemption_count,
+      sportIds: row.sport_ids,
+      courtIds: row.court_ids,
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = PromoCode;
@@ -0,0 +1,237 @@
+const { pool } = require('../config/database');
+
+class SlotHold {
+  /**
+   * Valid hold statuses
+   */
+  static HOLD_STATUSES = ['active', 'converted', 'released', 'expired'];
+
+  /**
+   * Get standard slot hold fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getHoldFields() {
+    return [
+      'id', 'user_id', 'court_id', 'booking_date', 'start_time', 'end_time', 'hold_status',
+      'expires_at', 'booking_id', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create an active slot hold
+   * @param {Object} holdData - Hold data object
+   * @param {number} holdData.userId - User ID
+   * @param {number} holdData.courtId - Court ID
+   * @param {string} holdData.bookingDate - Date (YYYY-MM-DD)
+   * @param {number} holdData.startTime - Start time in minutes since midnight
+   * @param {number} holdData.endTime - End time in minutes since midnight
+   * @param {Date} holdData.expiresAt - End of the hold
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created hold object
+   */
+  static async create(holdData, client = null) {
+    const { userId, courtId, bookingDate, startTime, endTime, expiresAt } = holdData;
+
+    const query = `
+      INSERT INTO slot_holds (user_id, court_id, booking_date, start_time, end_time, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${this._getHoldFields()}
+    `;
+
+    const values = [userId, courtId, bookingDate, startTime, endTime, expiresAt];
+    const result = await (client || pool).query(query, values);
+    return this._formatHold(result.rows[0]);
+  }
+
+  /**
+   * Find hold by ID
+   * @param {number} holdId - Hold ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @param {boolean} [forUpdate=false] - Lock the row (SELECT FOR UPDATE)
+   * @returns {Promise<Object|null>} Hold object or null if not found
+   */
+  static async findById(holdId, client = null, forUpdate = false) {
+    const query = `
+      SELECT ${this._getHoldFields()}
+      FROM slot_holds
+      WHERE id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await (client || pool).query(query, [holdId]);
+    return result.rows[0] ? this._formatHold(result.rows[0]) : null;
+  }
+
+  /**
+   * Find holds by user ID
+   * @param {number} userId - User ID
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.status] - Filter by hold status ('active' only returns unexpired holds)
+   * @returns {Promise<Array>} Array of hold objects, newest first
+   */
+  static async findByUserId(userId, options = {}) {
+    const { status } = options;
+    const conditions = ['user_id = $1'];
+    const values = [userId];
+
+    if (status) {
+      conditions.push('hold_status = $2');
+      values.push(status);
+
+      if (status === 'active') {
+        conditions.push('expires_at > CURRENT_TIMESTAMP');
+      }
+    }
+
+    const query = `
+      SELECT ${this._getHoldFields()}
+      FROM slot_holds
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this._formatHold(row));
+  }
+
+  /**
+   * Find active (unexpired) holds on a court/date
+   * @param {number} courtId - Court ID
+   * @param {string} bookingDate - Date (YYYY-MM-DD)
+   * @param {Object} [options={}] - Query options
+   * @param {number} [options.excludeUserId] - Ignore this user's holds
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of hold objects, earliest first
+   */
+  static async findActiveByCourtAndDate(courtId, bookingDate, options = {}, client = null) {
+    const { excludeUserId = null } = options;
+
+    const query = `
+      SELECT ${this._getHoldFields()}
+      FROM slot_holds
+      WHERE court_id = $1
+        AND booking_date = $2
+        AND hold_status = 'active'
+        AND expires_at > CURRENT_TIMESTAMP
+        AND ($3::INTEGER IS NULL OR user_id != $3)
+      ORDER BY start_time ASC
+    `;
+    const result = await (client || pool).query(query, [courtId, bookingDate, excludeUserId]);
+    return result.rows.map(row => this._formatHold(row));
+  }
+
+  /**
+   * Find the user's active hold overlapping a range on a court
+   * @param {Object} holdData - userId, courtId, bookingDate, startTime, endTime
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Hold object or null if none
+   */
+  static async findActiveOverlapForUser(holdData, client = null) {
+    const { userId, courtId, bookingDate, startTime, endTime } = holdData;
+
+    const query = `
+      SELECT ${this._getHoldFields()}
+      FROM slot_holds
+      WHERE user_id = $1 AND court_id = $2 AND booking_date = $3
+        AND start_time < $5 AND end_time > $4
+        AND hold_status = 'active'
+        AND expires_at > CURRENT_TIMESTAMP
+      LIMIT 1
+    `;
+    const values = [userId, courtId, bookingDate, startTime, endTime];
+    const result = await (client || pool).query(query, values);
+    return result.rows[0] ? this._formatHold(result.rows[0]) : null;
+  }
+
+  /**
+   * Count a user's active (unexpired) holds
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Number of active holds
+   */
+  static async countActiveByUserId(userId, client = null) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM slot_holds
+      WHERE user_id = $1 AND hold_status = 'active' AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const result = await (client || pool).query(query, [userId]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Mark an active hold as converted into a booking
+   * @param {number} holdId - Hold ID
+   * @param {number} bookingId - Booking created from the hold
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated hold object
+   */
+  static async markConverted(holdId, bookingId, client = null) {
+    const query = `
+      UPDATE slot_holds
+      SET hold_status = 'converted', booking_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING ${this._getHoldFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, holdId]);
+    return result.rows[0] ? this._formatHold(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark an active hold as released (holder gave it up)
+   * @param {number} holdId - Hold ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated hold object
+   */
+  static async release(holdId, client = null) {
+    const query = `
+      UPDATE slot_holds
+      SET hold_status = 'released', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${this._getHoldFields()}
+    `;
+    const result = await (client || pool).query(query, [holdId]);
+    return result.rows[0] ? this._formatHold(result.rows[0]) : null;
+  }
+
+  /**
+   * Expire active holds whose time has passed
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of expired hold objects
+   */
+  static async expireLapsedHolds(client = null) {
+    const query = `
+      UPDATE slot_holds
+      SET hold_status = 'expired', updated_at = CURRENT_TIMESTAMP
+      WHERE hold_status = 'active'
+        AND expires_at <= CURRENT_TIMESTAMP
+      RETURNING ${this._getHoldFields()}
+    `;
+    const result = await (client || pool).query(query);
+    return result.rows.map(row => this._formatHold(row));
+  }
+
+  /**
+   * Format hold object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted hold object
+   */
+  static _formatHold(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      courtId: row.court_id,
+      bookingDate: row.booking_date,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      holdStatus: row.hold_status,
+      expiresAt: new Date(row.expires_at),
+      bookingId: row.booking_id,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = SlotHold;
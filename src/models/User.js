@@ -109,6 +109,24 @@ class User {
     return result.rows[0] || null;
   }
 
+  /**
+   * Find users by phone number
+   * Compares digits only, so formatting (spaces, dashes, parentheses) is ignored.
+   * Phone numbers are not unique, so all matches are returned.
+   * @param {string} phone - Phone number
+   * @returns {Promise<Array>} Array of user objects (oldest first)
+   */
+  static async findByPhone(phone) {
+    const query = `
+      SELECT ${this._getUserFields()}
+      FROM users
+      WHERE regexp_replace(phone, '[^0-9]', '', 'g') = $1
+      ORDER BY id ASC
+    `;
+    const result = await pool.query(query, [String(phone).replace(/\D/g, '')]);
+    return result.rows;
+  }
+
   /**
    * Find user by username
    * @param {string} username - User username
@@ -0,0 +1,247 @@
+const { pool } = require('../config/database');
+
+class WaitlistEntry {
+  /**
+   * Get standard waitlist entry fields for SELECT/RETURNING clauses
+   * @returns {string} Comma-separated field list
+   */
+  static _getEntryFields() {
+    return [
+      'id', 'user_id', 'court_id', 'booking_date', 'start_time', 'end_time', 'entry_status',
+      'offered_at', 'claim_expires_at', 'booking_id', 'created_at', 'updated_at'
+    ].join(', ');
+  }
+
+  /**
+   * Create a waitlist entry
+   * @param {Object} entryData - Entry data object
+   * @param {number} entryData.userId - User ID
+   * @param {number} entryData.courtId - Court ID
+   * @param {string} entryData.bookingDate - Date (YYYY-MM-DD)
+   * @param {number} entryData.startTime - Start time in minutes since midnight
+   * @param {number} entryData.endTime - End time in minutes since midnight
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object>} Created entry object
+   */
+  static async create(entryData, client = null) {
+    const { userId, courtId, bookingDate, startTime, endTime } = entryData;
+
+    const query = `
+      INSERT INTO waitlist_entries (user_id, court_id, booking_date, start_time, end_time)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${this._getEntryFields()}
+    `;
+
+    const values = [userId, courtId, bookingDate, startTime, endTime];
+    const result = await (client || pool).query(query, values);
+    return this._formatEntry(result.rows[0]);
+  }
+
+  /**
+   * Find entry by ID
+   * @param {number} entryId - Entry ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @param {boolean} [forUpdate=false] - Lock the row (SELECT FOR UPDATE)
+   * @returns {Promise<Object|null>} Entry object or null if not found
+   */
+  static async findById(entryId, client = null, forUpdate = false) {
+    const query = `
+      SELECT ${this._getEntryFields()}
+      FROM waitlist_entries
+      WHERE id = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `;
+    const result = await (client || pool).query(query, [entryId]);
+    return result.rows[0] ? this._formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Find entries by user ID
+   * @param {number} userId - User ID
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.status] - Filter by entry status
+   * @returns {Promise<Array>} Array of entry objects, soonest first
+   */
+  static async findByUserId(userId, options = {}) {
+    const { status } = options;
+    const conditions = ['user_id = $1'];
+    const values = [userId];
+
+    if (status) {
+      conditions.push('entry_status = $2');
+      values.push(status);
+    }
+
+    const query = `
+      SELECT ${this._getEntryFields()}
+      FROM waitlist_entries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY booking_date ASC, start_time ASC
+    `;
+    const result = await pool.query(query, values);
+    return result.rows.map(row => this._formatEntry(row));
+  }
+
+  /**
+   * Find an open (waiting or offered) entry for the same user and range
+   * @param {Object} entryData - userId, courtId, bookingDate, startTime, endTime
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Entry object or null if none
+   */
+  static async findOpenDuplicate(entryData, client = null) {
+    const { userId, courtId, bookingDate, startTime, endTime } = entryData;
+
+    const query = `
+      SELECT ${this._getEntryFields()}
+      FROM waitlist_entries
+      WHERE user_id = $1 AND court_id = $2 AND booking_date = $3
+        AND start_time = $4 AND end_time = $5
+        AND entry_status IN ('waiting', 'offered')
+      LIMIT 1
+    `;
+    const values = [userId, courtId, bookingDate, startTime, endTime];
+    const result = await (client || pool).query(query, values);
+    return result.rows[0] ? this._formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Count a user's open (waiting or offered) entries
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<number>} Number of open entries
+   */
+  static async countOpenByUserId(userId, client = null) {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM waitlist_entries
+      WHERE user_id = $1 AND entry_status IN ('waiting', 'offered')
+    `;
+    const result = await (client || pool).query(query, [userId]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Find waiting entries overlapping a freed range, oldest first (locks rows)
+   * @param {Object} client - Database client (from transaction)
+   * @param {number} courtId - Court ID
+   * @param {string} bookingDate - Date (YYYY-MM-DD)
+   * @param {number} startTime - Freed range start in minutes since midnight
+   * @param {number} endTime - Freed range end in minutes since midnight
+   * @returns {Promise<Array>} Array of entry objects
+   */
+  static async findWaitingForRange(client, courtId, bookingDate, startTime, endTime) {
+    const query = `
+      SELECT ${this._getEntryFields()}
+      FROM waitlist_entries
+      WHERE court_id = $1
+        AND booking_date = $2
+        AND entry_status = 'waiting'
+        AND start_time < $4
+        AND end_time > $3
+      ORDER BY created_at ASC, id ASC
+      FOR UPDATE SKIP LOCKED
+    `;
+    const result = await client.query(query, [courtId, bookingDate, startTime, endTime]);
+    return result.rows.map(row => this._formatEntry(row));
+  }
+
+  /**
+   * Offer an entry: open an exclusive claim window
+   * @param {number} entryId - Entry ID
+   * @param {Date} claimExpiresAt - End of the claim window
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated entry object
+   */
+  static async markOffered(entryId, claimExpiresAt, client = null) {
+    const query = `
+      UPDATE waitlist_entries
+      SET entry_status = 'offered',
+          offered_at = CURRENT_TIMESTAMP,
+          claim_expires_at = $1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING ${this._getEntryFields()}
+    `;
+    const result = await (client || pool).query(query, [claimExpiresAt, entryId]);
+    return result.rows[0] ? this._formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark an offered entry as claimed by a booking
+   * @param {number} entryId - Entry ID
+   * @param {number} bookingId - Booking created from the claim
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated entry object
+   */
+  static async markClaimed(entryId, bookingId, client = null) {
+    const query = `
+      UPDATE waitlist_entries
+      SET entry_status = 'claimed', booking_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING ${this._getEntryFields()}
+    `;
+    const result = await (client || pool).query(query, [bookingId, entryId]);
+    return result.rows[0] ? this._formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark an entry as cancelled (user left the waitlist)
+   * @param {number} entryId - Entry ID
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Object|null>} Updated entry object
+   */
+  static async cancel(entryId, client = null) {
+    const query = `
+      UPDATE waitlist_entries
+      SET entry_status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${this._getEntryFields()}
+    `;
+    const result = await (client || pool).query(query, [entryId]);
+    return result.rows[0] ? this._formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Expire offers whose claim window has passed
+   * @param {Object} [client] - Database client (for transactions, optional)
+   * @returns {Promise<Array>} Array of expired entry objects
+   */
+  static async expireLapsedOffers(client = null) {
+    const query = `
+      UPDATE waitlist_entries
+      SET entry_status = 'expired', updated_at = CURRENT_TIMESTAMP
+      WHERE entry_status = 'offered'
+        AND claim_expires_at <= CURRENT_TIMESTAMP
+      RETURNING ${this._getEntryFields()}
+    `;
+    const result = await (client || pool).query(query);
+    return result.rows.map(row => this._formatEntry(row));
+  }
+
+  /**
+   * Format entry object - normalize field names
+   * @private
+   * @param {Object} row - Raw database row
+   * @returns {Object} Formatted entry object
+   */
+  static _formatEntry(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      courtId: row.court_id,
+      bookingDate: row.booking_date,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      entryStatus: row.entry_status,
+      offeredAt: row.offered_at ? new Date(row.offered_at) : null,
+      claimExpiresAt: row.claim_expires_at ? new Date(row.claim_expires_at) : null,
+      bookingId: row.booking_id,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+module.exports = WaitlistEntry;
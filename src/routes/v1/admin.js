@@ -0,0 +1,31 @@
+/**
+ * Admin Routes
+ * 
+ * Platform administration endpoints (platform_admin role only)
+ * 
+ * Endpoints:
+ * - GET    /admin/jobs/booking-lifecycle      - Booking lifecycle job status and recent run history
+ * - POST   /admin/jobs/booking-lifecycle/run  - Manually run booking lifecycle tasks
+ * - GET    /admin/promo-codes                 - List platform-wide promo codes (?isActive=)
+ * - POST   /admin/promo-codes                 - Create platform-wide promo code
+ * - PUT    /admin/promo-codes/:promoCodeId    - Update platform-wide promo code
+ * - DELETE /admin/promo-codes/:promoCodeId    - Delete platform-wide promo code (never redeemed only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminJobController = require('../../controllers/adminJobController');
+const promoCodeController = require('../../controllers/promoCodeController');
+const { authenticate } = require('../../middleware/auth');
+const { requirePlatformAdmin } = require('../../middleware/authorization');
+const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+
+// All routes require authentication, complete profile and platform_admin role
+router.get('/jobs/booking-lifecycle', authenticate, requireCompleteProfile, requirePlatformAdmin, adminJobController.getBookingLifecycleStatus);
+router.post('/jobs/booking-lifecycle/run', authenticate, requireCompleteProfile, requirePlatformAdmin, adminJobController.runBookingLifecycle);
+router.get('/promo-codes', authenticate, requireCompleteProfile, requirePlatformAdmin, promoCodeController.listPlatformPromoCodes);
+router.post('/promo-codes', authenticate, requireCompleteProfile, requirePlatformAdmin, promoCodeController.createPlatformPromoCode);
+router.put('/promo-codes/:promoCodeId', authenticate, requireCompleteProfile, requirePlatformAdmin, promoCodeController.updatePlatformPromoCode);
+router.delete('/promo-codes/:promoCodeId', authenticate, requireCompleteProfile, requirePlatformAdmin, promoCodeController.deletePlatformPromoCode);
+
+module.exports = router;
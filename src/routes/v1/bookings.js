@@ -5,17 +5,36 @@
  * 
  * Endpoints:
  * - POST   /bookings                      - Create a new booking (user) - status: pending
+ * - POST   /bookings/quote                - Price and check a booking without creating it (dry run)
+ * - POST   /bookings/series               - Create a recurring booking series (weekly/biweekly)
+ * - GET    /bookings/series/:seriesId     - Get a booking series with its occurrences
+ * - PUT    /bookings/series/:seriesId/cancel - Cancel a series (whole or from a date forward)
  * - GET    /bookings/:id                  - Get booking details
  * - PUT    /bookings/:id/confirm          - Confirm a pending booking (DEPRECATED: Use accept/reject by facility owner)
  * - PUT    /bookings/:id/accept           - Accept a pending booking (facility owner only)
  * - PUT    /bookings/:id/reject           - Reject a pending booking (facility owner only)
  * - PUT    /bookings/:id/cancel           - Cancel a booking (if allowed by policy)
+ * - PUT    /bookings/:id/reschedule       - Move a booking to a new court/date/time (if allowed by policy)
  * - PUT    /bookings/:id/payment-proof    - Upload payment proof image (user, booking owner only)
  * - DELETE /bookings/:id/payment-proof    - Remove payment proof image (user, booking owner only)
+ * - GET    /bookings/:id/messages         - Get the booking's message thread (player or facility owner)
+ * - POST   /bookings/:id/messages         - Post a message (text and/or uploaded image attachments)
+ * - POST   /bookings/:id/messages/attachments - Start uploading an image attachment (pre-signed URL)
+ * - PUT    /bookings/:id/messages/read    - Mark the thread as read
+ * - GET    /bookings/:id/participants     - Participants and cost shares (booker, participant or facility owner)
+ * - POST   /bookings/:id/participants     - Invite users by username or email (booker only)
+ * - PUT    /bookings/:id/participants/accept  - Accept an invitation (invited user)
+ * - PUT    /bookings/:id/participants/decline - Decline an invitation (invited user)
+ * - PUT    /bookings/:id/split            - Split the price between booker and accepted participants (booker only)
+ * - PUT    /bookings/:id/shares/:userId/payment - Mark a share paid/unpaid (booker only)
+ * - GET    /bookings/:id/check-in-token - Signed check-in token to show as a QR code (booker, confirmed bookings)
  * 
  * Note: GET /users/bookings is already implemented in user routes
  * Note: GET /facilities/:id/bookings/pending is for facility owners to view pending bookings
  * 
+ * Idempotency: create, accept, reject, cancel and PUT payment-proof accept an optional
+ * Idempotency-Key header; retries with the same key replay the stored response.
+ * 
  * Important: Backend handles slot locking to prevent double booking.
  * Bookings are created with 'pending' status and must be accepted/rejected by facility owner.
  */
@@ -23,19 +42,48 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../../controllers/bookingController');
+const bookingMessageController = require('../../controllers/bookingMessageController');
+const bookingParticipantController = require('../../controllers/bookingParticipantController');
+const bookingCheckInController = require('../../controllers/bookingCheckInController');
 const { authenticate } = require('../../middleware/auth');
 const { requireFacilityAdmin } = require('../../middleware/authorization');
 const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+const { idempotency } = require('../../middleware/idempotency');
 
 // All routes require authentication and complete profile
-router.post('/', authenticate, requireCompleteProfile, bookingController.createBooking);
+router.post('/', authenticate, requireCompleteProfile, idempotency, bookingController.createBooking);
+router.post('/quote', authenticate, requireCompleteProfile, bookingController.quoteBooking);
+
+// Booking series routes (must come before /:id routes)
+router.post('/series', authenticate, requireCompleteProfile, bookingController.createBookingSeries);
+router.get('/series/:seriesId', authenticate, requireCompleteProfile, bookingController.getBookingSeries);
+router.put('/series/:seriesId/cancel', authenticate, requireCompleteProfile, bookingController.cancelBookingSeries);
+
 router.get('/:id', authenticate, requireCompleteProfile, bookingController.getBookingDetails);
 router.put('/:id/confirm', authenticate, requireCompleteProfile, bookingController.confirmBooking); // DEPRECATED
-router.put('/:id/accept', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingController.acceptBooking);
-router.put('/:id/reject', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingController.rejectBooking);
-router.put('/:id/cancel', authenticate, requireCompleteProfile, bookingController.cancelBooking);
-router.put('/:id/payment-proof', authenticate, requireCompleteProfile, bookingController.uploadPaymentProof);
+router.put('/:id/accept', authenticate, requireCompleteProfile, requireFacilityAdmin, idempotency, bookingController.acceptBooking);
+router.put('/:id/reject', authenticate, requireCompleteProfile, requireFacilityAdmin, idempotency, bookingController.rejectBooking);
+router.put('/:id/cancel', authenticate, requireCompleteProfile, idempotency, bookingController.cancelBooking);
+router.put('/:id/reschedule', authenticate, requireCompleteProfile, bookingController.rescheduleBooking);
+router.put('/:id/payment-proof', authenticate, requireCompleteProfile, idempotency, bookingController.uploadPaymentProof);
 router.delete('/:id/payment-proof', authenticate, requireCompleteProfile, bookingController.removePaymentProof);
 
+// Booking message thread (booking owner and facility owner)
+router.get('/:id/messages', authenticate, requireCompleteProfile, bookingMessageController.getBookingMessages);
+router.post('/:id/messages', authenticate, requireCompleteProfile, bookingMessageController.postBookingMessage);
+router.post('/:id/messages/attachments', authenticate, requireCompleteProfile, bookingMessageController.createMessageAttachment);
+router.put('/:id/messages/read', authenticate, requireCompleteProfile, bookingMessageController.markBookingMessagesRead);
+
+// Participants and cost split
+router.get('/:id/participants', authenticate, requireCompleteProfile, bookingParticipantController.getBookingParticipants);
+router.post('/:id/participants', authenticate, requireCompleteProfile, bookingParticipantController.inviteParticipants);
+router.put('/:id/participants/accept', authenticate, requireCompleteProfile, bookingParticipantController.acceptInvitation);
+router.put('/:id/participants/decline', authenticate, requireCompleteProfile, bookingParticipantController.declineInvitation);
+router.put('/:id/split', authenticate, requireCompleteProfile, bookingParticipantController.splitBookingCost);
+router.put('/:id/shares/:userId/payment', authenticate, requireCompleteProfile, bookingParticipantController.updateSharePayment);
+
+// QR check-in (scanned by the facility owner via POST /facilities/:id/check-ins)
+router.get('/:id/check-in-token', authenticate, requireCompleteProfile, bookingCheckInController.getCheckInToken);
+
 module.exports = router;
 
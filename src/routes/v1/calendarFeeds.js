@@ -0,0 +1,28 @@
+/**
+ * Calendar Feed Routes
+ * 
+ * Endpoints:
+ * - GET    /calendar-feeds/:token.ics - iCalendar feed (public; the token is the credential)
+ * - POST   /calendar-feeds            - Create a feed of own bookings, or of an own facility/court
+ * - GET    /calendar-feeds            - List own active feeds
+ * - DELETE /calendar-feeds/:id        - Revoke a feed
+ * 
+ * Note: The feed URL (with its token) is only returned when the feed is
+ * created. To rotate a URL, revoke the feed and create a new one.
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../../controllers/calendarFeedController');
+const { authenticate } = require('../../middleware/auth');
+const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+
+// Public route (calendar apps cannot send auth headers)
+router.get('/:token.ics', calendarFeedController.getFeedCalendar);
+
+// Feed management requires authentication and complete profile
+router.post('/', authenticate, requireCompleteProfile, calendarFeedController.createFeed);
+router.get('/', authenticate, requireCompleteProfile, calendarFeedController.listFeeds);
+router.delete('/:id', authenticate, requireCompleteProfile, calendarFeedController.revokeFeed);
+
+module.exports = router;
@@ -20,6 +20,34 @@
  * - POST   /courts/:id/availability/rules - Create availability rule
  * - PUT    /courts/:id/availability/rules/:ruleId - Update availability rule
  * - DELETE /courts/:id/availability/rules/:ruleId - Delete availability rule
+ * 
+ * Booking policy endpoints:
+ * - GET    /courts/:id/policies/effective - Get effective policy (court -> facility -> default)
+ * - GET    /courts/:id/policies - Get court-level policy (admin)
+ * - POST   /courts/:id/policies - Create court-level policy (admin)
+ * - PUT    /courts/:id/policies - Update court-level policy (admin)
+ * - DELETE /courts/:id/policies - Delete court-level policy (admin)
+ * 
+ * Blocked time range endpoints (admin):
+ * - GET    /courts/:id/blocks - List blocks applying to the court (own and facility-wide)
+ * - POST   /courts/:id/blocks - Create court-level block (reports/cancels overlapping bookings)
+ * - GET    /courts/:id/blocks/:blockId/impact - List bookings the block overlaps
+ * - PUT    /courts/:id/blocks/:blockId - Update court-level block
+ * - DELETE /courts/:id/blocks/:blockId - Delete court-level block
+ * 
+ * Calendar import endpoints (admin):
+ * - GET    /courts/:id/calendar-imports - List calendar import sources
+ * - POST   /courts/:id/calendar-imports - Create import source (file sources are imported right away)
+ * - POST   /courts/:id/calendar-imports/:sourceId/upload - Import an uploaded .ics file
+ * - POST   /courts/:id/calendar-imports/:sourceId/sync - Re-read a file source
+ * - DELETE /courts/:id/calendar-imports/:sourceId - Delete import source and its blocks
+ * 
+ * Pricing rule endpoints (admin):
+ * - GET    /courts/:id/pricing-rules - List pricing rules applying to the court (own and facility-wide)
+ * - POST   /courts/:id/pricing-rules - Create court-level pricing rule
+ * - POST   /courts/:id/pricing-rules/simulate - Simulate the price of a booking range
+ * - PUT    /courts/:id/pricing-rules/:ruleId - Update court-level pricing rule
+ * - DELETE /courts/:id/pricing-rules/:ruleId - Delete court-level pricing rule
  */
 
 const express = require('express');
@@ -27,9 +55,14 @@ const router = express.Router();
 const courtController = require('../../controllers/courtController');
 const availabilityController = require('../../controllers/availabilityController');
 const availabilityRuleController = require('../../controllers/availabilityRuleController');
+const bookingPolicyController = require('../../controllers/bookingPolicyController');
+const blockedTimeRangeController = require('../../controllers/blockedTimeRangeController');
+const pricingRuleController = require('../../controllers/pricingRuleController');
+const calendarImportController = require('../../controllers/calendarImportController');
 const { authenticate, optionalAuthenticate } = require('../../middleware/auth');
 const { requireFacilityAdmin } = require('../../middleware/authorization');
 const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+const { MAX_CALENDAR_IMPORT_BYTES } = require('../../config/bookingRules');
 
 // Protected route (authentication and facility_admin role required)
 router.put('/:id', authenticate, requireCompleteProfile, requireFacilityAdmin, courtController.updateCourt);
@@ -41,6 +74,40 @@ router.post('/:id/availability/rules', authenticate, requireCompleteProfile, req
 router.put('/:id/availability/rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, availabilityRuleController.updateAvailabilityRule);
 router.delete('/:id/availability/rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, availabilityRuleController.deleteAvailabilityRule);
 
+// Booking policy routes
+// IMPORTANT: More specific routes must come before less specific ones
+router.get('/:id/policies/effective', optionalAuthenticate, requireCompleteProfile, bookingPolicyController.getEffectivePolicy);
+router.get('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.getCourtPolicy);
+router.post('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.createCourtPolicy);
+router.put('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.updateCourtPolicy);
+router.delete('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.deleteCourtPolicy);
+
+// Blocked time range routes (protected - admin only)
+router.get('/:id/blocks', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.listCourtBlocks);
+router.post('/:id/blocks', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.createCourtBlock);
+router.get('/:id/blocks/:blockId/impact', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.getCourtBlockImpact);
+router.put('/:id/blocks/:blockId', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.updateCourtBlock);
+router.delete('/:id/blocks/:blockId', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.deleteCourtBlock);
+
+// Calendar import routes (protected - admin only)
+// Uploads may be sent as text/calendar; JSON bodies use the global parser
+const parseCalendarUpload = express.text({
+  type: ['text/calendar', 'text/plain'],
+  limit: MAX_CALENDAR_IMPORT_BYTES
+});
+router.get('/:id/calendar-imports', authenticate, requireCompleteProfile, requireFacilityAdmin, calendarImportController.listSources);
+router.post('/:id/calendar-imports', authenticate, requireCompleteProfile, requireFacilityAdmin, calendarImportController.createSource);
+router.post('/:id/calendar-imports/:sourceId/upload', authenticate, requireCompleteProfile, requireFacilityAdmin, parseCalendarUpload, calendarImportController.uploadCalendar);
+router.post('/:id/calendar-imports/:sourceId/sync', authenticate, requireCompleteProfile, requireFacilityAdmin, calendarImportController.syncSource);
+router.delete('/:id/calendar-imports/:sourceId', authenticate, requireCompleteProfile, requireFacilityAdmin, calendarImportController.deleteSource);
+
+// Pricing rule routes (protected - admin only)
+router.get('/:id/pricing-rules', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.listCourtRules);
+router.post('/:id/pricing-rules', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.createCourtRule);
+router.post('/:id/pricing-rules/simulate', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.simulatePrice);
+router.put('/:id/pricing-rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.updateCourtRule);
+router.delete('/:id/pricing-rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.deleteCourtRule);
+
 // Availability routes (public - no authentication required, but check profile completeness if authenticated)
 // IMPORTANT: More specific routes must come before less specific ones
 router.get('/:id/availability/range', optionalAuthenticate, requireCompleteProfile, availabilityController.getAvailabilityRange);
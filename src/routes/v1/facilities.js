@@ -17,6 +17,46 @@
  * Court Routes (nested):
  * - GET    /facilities/:id/courts - List all courts for a facility
  * - POST   /facilities/:id/courts - Add new court to facility
+ * 
+ * Booking Routes (nested, admin):
+ * - GET    /facilities/:id/bookings/pending - List pending bookings of the facility
+ * - GET    /facilities/:id/bookings/calendar - Bookings calendar across courts with blocked/closed overlays
+ *          (?startDate=, ?endDate=, ?courtId=, ?sportId=, ?status=, ?search=)
+ * - POST   /facilities/:id/bookings - Create front-desk booking (walk-in/phone customer, user or guest)
+ * - POST   /facilities/:id/bookings/decisions - Accept/reject many pending bookings (per-booking results)
+ * - POST   /facilities/:id/check-ins - Check a player in by their scanned QR check-in token, or a booking by its ID
+ * 
+ * Booking Policy Routes (nested, admin):
+ * - GET    /facilities/:id/policies - Get facility-level booking policy
+ * - POST   /facilities/:id/policies - Create facility-level booking policy
+ * - PUT    /facilities/:id/policies - Update facility-level booking policy
+ * - DELETE /facilities/:id/policies - Delete facility-level booking policy
+ * 
+ * Player Screening Routes (nested, admin):
+ * - GET    /facilities/:id/screening - Get the screening policy (payment proof below a reliability score, auto-reject blocked players)
+ * - PUT    /facilities/:id/screening - Update the screening policy
+ * - GET    /facilities/:id/blocked-players - List blocked players (with reliability)
+ * - POST   /facilities/:id/blocked-players - Block a player
+ * - DELETE /facilities/:id/blocked-players/:userId - Unblock a player
+ * 
+ * Blocked Time Range Routes (nested, admin):
+ * - GET    /facilities/:id/blocks - List all blocks of the facility (?courtId=, ?isActive=)
+ * - POST   /facilities/:id/blocks - Create facility-wide block (reports/cancels overlapping bookings)
+ * - GET    /facilities/:id/blocks/:blockId/impact - List bookings the block overlaps
+ * - PUT    /facilities/:id/blocks/:blockId - Update any block of the facility
+ * - DELETE /facilities/:id/blocks/:blockId - Delete any block of the facility
+ * 
+ * Pricing Rule Routes (nested, admin):
+ * - GET    /facilities/:id/pricing-rules - List all pricing rules of the facility (?courtId=, ?isActive=)
+ * - POST   /facilities/:id/pricing-rules - Create facility-wide pricing rule
+ * - PUT    /facilities/:id/pricing-rules/:ruleId - Update any pricing rule of the facility
+ * - DELETE /facilities/:id/pricing-rules/:ruleId - Delete any pricing rule of the facility
+ * 
+ * Promo Code Routes (nested, admin):
+ * - GET    /facilities/:id/promo-codes - List promo codes of the facility (?isActive=)
+ * - POST   /facilities/:id/promo-codes - Create facility promo code
+ * - PUT    /facilities/:id/promo-codes/:promoCodeId - Update facility promo code
+ * - DELETE /facilities/:id/promo-codes/:promoCodeId - Delete facility promo code (never redeemed only)
  */
 
 const express = require('express');
@@ -25,9 +65,16 @@ const facilityController = require('../../controllers/facilityController');
 const facilitySportController = require('../../controllers/facilitySportController');
 const courtController = require('../../controllers/courtController');
 const bookingController = require('../../controllers/bookingController');
+const bookingCheckInController = require('../../controllers/bookingCheckInController');
+const bookingPolicyController = require('../../controllers/bookingPolicyController');
+const blockedTimeRangeController = require('../../controllers/blockedTimeRangeController');
+const pricingRuleController = require('../../controllers/pricingRuleController');
+const promoCodeController = require('../../controllers/promoCodeController');
+const playerScreeningController = require('../../controllers/playerScreeningController');
 const { authenticate, optionalAuthenticate } = require('../../middleware/auth');
 const { requireFacilityAdmin } = require('../../middleware/authorization');
 const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+const { idempotency } = require('../../middleware/idempotency');
 
 // Public routes (no authentication required, but check profile completeness if authenticated)
 router.get('/', optionalAuthenticate, requireCompleteProfile, facilityController.listFacilities);
@@ -44,6 +91,42 @@ router.post('/:id/courts', authenticate, requireCompleteProfile, requireFacility
 
 // Booking management routes (must come before /:id route)
 router.get('/:id/bookings/pending', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingController.getPendingBookingsForFacility);
+router.get('/:id/bookings/calendar', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingController.getFacilityBookingsCalendar);
+router.post('/:id/bookings', authenticate, requireCompleteProfile, requireFacilityAdmin, idempotency, bookingController.createFacilityBooking);
+router.post('/:id/bookings/decisions', authenticate, requireCompleteProfile, requireFacilityAdmin, idempotency, bookingController.decideFacilityBookings);
+router.post('/:id/check-ins', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingCheckInController.checkInBooking);
+
+// Booking policy routes (must come before /:id route)
+router.get('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.getFacilityPolicy);
+router.post('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.createFacilityPolicy);
+router.put('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.updateFacilityPolicy);
+router.delete('/:id/policies', authenticate, requireCompleteProfile, requireFacilityAdmin, bookingPolicyController.deleteFacilityPolicy);
+
+// Player screening routes (must come before /:id route)
+router.get('/:id/screening', authenticate, requireCompleteProfile, requireFacilityAdmin, playerScreeningController.getScreeningPolicy);
+router.put('/:id/screening', authenticate, requireCompleteProfile, requireFacilityAdmin, playerScreeningController.updateScreeningPolicy);
+router.get('/:id/blocked-players', authenticate, requireCompleteProfile, requireFacilityAdmin, playerScreeningController.listBlockedPlayers);
+router.post('/:id/blocked-players', authenticate, requireCompleteProfile, requireFacilityAdmin, playerScreeningController.blockPlayer);
+router.delete('/:id/blocked-players/:userId', authenticate, requireCompleteProfile, requireFacilityAdmin, playerScreeningController.unblockPlayer);
+
+// Blocked time range routes (must come before /:id route)
+router.get('/:id/blocks', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.listFacilityBlocks);
+router.post('/:id/blocks', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.createFacilityBlock);
+router.get('/:id/blocks/:blockId/impact', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.getFacilityBlockImpact);
+router.put('/:id/blocks/:blockId', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.updateFacilityBlock);
+router.delete('/:id/blocks/:blockId', authenticate, requireCompleteProfile, requireFacilityAdmin, blockedTimeRangeController.deleteFacilityBlock);
+
+// Pricing rule routes (must come before /:id route)
+router.get('/:id/pricing-rules', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.listFacilityRules);
+router.post('/:id/pricing-rules', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.createFacilityRule);
+router.put('/:id/pricing-rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.updateFacilityRule);
+router.delete('/:id/pricing-rules/:ruleId', authenticate, requireCompleteProfile, requireFacilityAdmin, pricingRuleController.deleteFacilityRule);
+
+// Promo code routes (must come before /:id route)
+router.get('/:id/promo-codes', authenticate, requireCompleteProfile, requireFacilityAdmin, promoCodeController.listFacilityPromoCodes);
+router.post('/:id/promo-codes', authenticate, requireCompleteProfile, requireFacilityAdmin, promoCodeController.createFacilityPromoCode);
+router.put('/:id/promo-codes/:promoCodeId', authenticate, requireCompleteProfile, requireFacilityAdmin, promoCodeController.updateFacilityPromoCode);
+router.delete('/:id/promo-codes/:promoCodeId', authenticate, requireCompleteProfile, requireFacilityAdmin, promoCodeController.deleteFacilityPromoCode);
 
 // Facility routes
 router.get('/:id', optionalAuthenticate, requireCompleteProfile, facilityController.getFacilityDetails);
@@ -25,6 +25,11 @@ router.get('/', (req, res) => {
       sports: '/api/v1/sports',
       courts: '/api/v1/courts',
       bookings: '/api/v1/bookings',
+      waitlist: '/api/v1/waitlist',
+      slotHolds: '/api/v1/slot-holds',
+      openGames: '/api/v1/open-games',
+      calendarFeeds: '/api/v1/calendar-feeds',
+      admin: '/api/v1/admin',
       images: '/api/v1/images',
       payments: '/api/v1/payments'
     }
@@ -38,6 +43,11 @@ const facilityRoutes = require('./facilities');
 const sportRoutes = require('./sports');
 const courtRoutes = require('./courts');
 const bookingRoutes = require('./bookings');
+const waitlistRoutes = require('./waitlist');
+const slotHoldRoutes = require('./slotHolds');
+const openGameRoutes = require('./openGames');
+const calendarFeedRoutes = require('./calendarFeeds');
+const adminRoutes = require('./admin');
 const imageRoutes = require('./images');
 
 router.use('/auth', authRoutes);
@@ -46,6 +56,11 @@ router.use('/facilities', facilityRoutes);
 router.use('/sports', sportRoutes);
 router.use('/courts', courtRoutes);
 router.use('/bookings', bookingRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/slot-holds', slotHoldRoutes);
+router.use('/open-games', openGameRoutes);
+router.use('/calendar-feeds', calendarFeedRoutes);
+router.use('/admin', adminRoutes);
 router.use('/images', imageRoutes);
  
 module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Open Game Routes
+ * 
+ * Endpoints:
+ * - GET    /open-games                                - List open games with free seats (?sportId, city, date, skillLevel, includeFull)
+ * - GET    /open-games/:bookingId                     - Open game details with players (organizer also sees join requests)
+ * - PUT    /open-games/:bookingId                     - Open own booking as a game or update its settings (booker only)
+ * - DELETE /open-games/:bookingId                     - Close the game (booker only)
+ * - POST   /open-games/:bookingId/join                - Join (instant mode) or ask to join (approval mode)
+ * - PUT    /open-games/:bookingId/players/:userId/approve - Approve a join request (booker only)
+ * - DELETE /open-games/:bookingId/players/:userId     - Remove a player or turn down a request (booker only)
+ * 
+ * Note: Players who join become booking participants, so they can see the
+ * booking, its messages and cost split like invited participants.
+ */
+
+const express = require('express');
+const router = express.Router();
+const openGameController = require('../../controllers/openGameController');
+const { authenticate } = require('../../middleware/auth');
+const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+
+// All routes require authentication and complete profile
+router.get('/', authenticate, requireCompleteProfile, openGameController.listOpenGames);
+router.get('/:bookingId', authenticate, requireCompleteProfile, openGameController.getOpenGame);
+router.put('/:bookingId', authenticate, requireCompleteProfile, openGameController.openGame);
+router.delete('/:bookingId', authenticate, requireCompleteProfile, openGameController.closeGame);
+router.post('/:bookingId/join', authenticate, requireCompleteProfile, openGameController.joinGame);
+router.put('/:bookingId/players/:userId/approve', authenticate, requireCompleteProfile, openGameController.approvePlayer);
+router.delete('/:bookingId/players/:userId', authenticate, requireCompleteProfile, openGameController.removePlayer);
+
+module.exports = router;
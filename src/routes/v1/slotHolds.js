@@ -0,0 +1,27 @@
+/**
+ * Slot Hold Routes
+ * 
+ * Endpoints:
+ * - POST   /slot-holds             - Hold a free court/date/time range for a few minutes during checkout
+ * - GET    /slot-holds             - List own slot holds (optional ?status=)
+ * - DELETE /slot-holds/:id         - Release a hold
+ * - POST   /slot-holds/:id/convert - Convert a hold into a booking (creates a pending booking)
+ * 
+ * Note: While a hold is active, other users cannot book or hold an overlapping
+ * range and it is hidden from their availability. Holds lapse automatically.
+ */
+
+const express = require('express');
+const router = express.Router();
+const slotHoldController = require('../../controllers/slotHoldController');
+const { authenticate } = require('../../middleware/auth');
+const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+const { idempotency } = require('../../middleware/idempotency');
+
+// All routes require authentication and complete profile
+router.post('/', authenticate, requireCompleteProfile, slotHoldController.createSlotHold);
+router.get('/', authenticate, requireCompleteProfile, slotHoldController.getMySlotHolds);
+router.delete('/:id', authenticate, requireCompleteProfile, slotHoldController.releaseSlotHold);
+router.post('/:id/convert', authenticate, requireCompleteProfile, idempotency, slotHoldController.convertSlotHold);
+
+module.exports = router;
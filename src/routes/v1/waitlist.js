@@ -0,0 +1,26 @@
+/**
+ * Waitlist Routes
+ * 
+ * Endpoints:
+ * - POST   /waitlist           - Join the waitlist for a taken court/date/time range
+ * - GET    /waitlist           - List own waitlist entries (optional ?status=)
+ * - DELETE /waitlist/:id       - Leave the waitlist (also declines an open offer)
+ * - POST   /waitlist/:id/claim - Claim an open offer (creates a pending booking)
+ * 
+ * Note: When a matching booking is cancelled, rejected or expires, the first
+ * waiting player gets an exclusive, time-limited claim on the freed range.
+ */
+
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../../controllers/waitlistController');
+const { authenticate } = require('../../middleware/auth');
+const { requireCompleteProfile } = require('../../middleware/profileCompleteness');
+
+// All routes require authentication and complete profile
+router.post('/', authenticate, requireCompleteProfile, waitlistController.joinWaitlist);
+router.get('/', authenticate, requireCompleteProfile, waitlistController.getMyWaitlistEntries);
+router.delete('/:id', authenticate, requireCompleteProfile, waitlistController.leaveWaitlist);
+router.post('/:id/claim', authenticate, requireCompleteProfile, waitlistController.claimWaitlistOffer);
+
+module.exports = router;
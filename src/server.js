@@ -78,6 +78,16 @@ app.listen(PORT, () => {
   
   // Start scheduled cleanup job
   startCleanupJob();
+  
+  // Start booking lifecycle job (expire pending, complete confirmed bookings)
+  const { startBookingLifecycleJob, runStartupLifecycleTasks } = require('./services/bookingLifecycleJob');
+  
+  runStartupLifecycleTasks().catch(error => {
+    console.error('[Server] Failed to run initial booking lifecycle tasks:', error.message);
+    // Don't fail server if lifecycle tasks fail
+  });
+  
+  startBookingLifecycleJob();
 });
 
 // Graceful shutdown
@@ -88,6 +98,10 @@ process.on('SIGTERM', async () => {
   const { stopCleanupJob } = require('./services/emailVerificationCleanupJob');
   stopCleanupJob();
   
+  // Stop booking lifecycle job
+  const { stopBookingLifecycleJob } = require('./services/bookingLifecycleJob');
+  stopBookingLifecycleJob();
+  
   await pool.end();
   process.exit(0);
 });
@@ -99,6 +113,10 @@ process.on('SIGINT', async () => {
   const { stopCleanupJob } = require('./services/emailVerificationCleanupJob');
   stopCleanupJob();
   
+  // Stop booking lifecycle job
+  const { stopBookingLifecycleJob } = require('./services/bookingLifecycleJob');
+  stopBookingLifecycleJob();
+  
   await pool.end();
   process.exit(0);
 });
@@ -0,0 +1,374 @@
+/**
+ * Admin Booking Service
+ *
+ * Front-desk bookings (walk-in and phone customers) entered by facility admins.
+ *
+ * Architecture:
+ * - The customer is an existing user (looked up by email or phone) or a
+ *   guest contact kept per facility (reused by phone/email)
+ * - The range goes through the same in-transaction checks as player bookings
+ *   (assertSlotBookable); only the minimum advance notice is skipped, so a
+ *   walk-in can book a court that is free right now
+ * - The booking is created pending and, unless the admin asks for the normal
+ *   approval flow, confirmed in the same transaction
+ * - booking_source, payment_method and created_by record how it was taken
+ */
+
+const { pool } = require('../config/database');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const GuestContact = require('../models/GuestContact');
+const User = require('../models/User');
+const bookingStateMachine = require('./bookingStateMachine');
+const { sanitizeEmail, validateEmailFormat } = require('../utils/validation');
+const {
+  validateBookingRequest,
+  assertSlotBookable,
+  insertPendingBooking
+} = require('./transactionSafeBookingService');
+
+/**
+ * Sources of front-desk bookings ('app' is reserved for player bookings)
+ */
+const ADMIN_BOOKING_SOURCES = ['walk_in', 'phone'];
+
+/**
+ * Payment methods a facility admin can record
+ */
+const PAYMENT_METHODS = ['cash', 'bank_transfer'];
+
+/**
+ * Maximum guest name length (guest_contacts.full_name)
+ */
+const MAX_GUEST_NAME_LENGTH = 200;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400 and VALIDATION_ERROR code
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Validate and normalize a phone number (same rules as user profiles)
+ * @param {*} phone - Phone number
+ * @returns {string} Trimmed phone number
+ * @throws {Error} VALIDATION_ERROR if invalid
+ * @private
+ */
+function normalizePhone(phone) {
+  if (typeof phone !== 'string' || !/^[\d\s\-+()]+$/.test(phone.trim())) {
+    throw validationError('Phone number contains invalid characters');
+  }
+
+  const digitsOnly = phone.replace(/\D/g, '');
+  if (digitsOnly.length < 10 || digitsOnly.length > 15) {
+    throw validationError('Phone number must contain 10 to 15 digits');
+  }
+
+  return phone.trim();
+}
+
+/**
+ * Validate and normalize the customer of a front-desk booking
+ *
+ * - { type: 'user', email } or { type: 'user', phone }: existing app user
+ * - { type: 'guest', name, phone?, email? }: guest without an account (phone or email required)
+ *
+ * @param {Object} customer - Customer input
+ * @returns {Object} Normalized customer ({ type, email, phone, name })
+ * @throws {Error} VALIDATION_ERROR if invalid
+ */
+function normalizeCustomer(customer) {
+  if (!customer || typeof customer !== 'object' || Array.isArray(customer)) {
+    throw validationError('customer is required ({ type: "user" | "guest", ... })');
+  }
+
+  const { type } = customer;
+  if (type !== 'user' && type !== 'guest') {
+    throw validationError('customer.type must be "user" or "guest"');
+  }
+
+  let email = null;
+  if (customer.email !== undefined && customer.email !== null && customer.email !== '') {
+    const emailCheck = validateEmailFormat(customer.email);
+    if (!emailCheck.valid) {
+      throw validationError(emailCheck.error);
+    }
+    email = sanitizeEmail(customer.email);
+  }
+
+  const phone = customer.phone !== undefined && customer.phone !== null && customer.phone !== ''
+    ? normalizePhone(customer.phone)
+    : null;
+
+  if (type === 'user') {
+    if (!email && !phone) {
+      throw validationError('customer.email or customer.phone is required to find the user');
+    }
+    return { type, email, phone, name: null };
+  }
+
+  const name = typeof customer.name === 'string' ? customer.name.trim() : '';
+  if (!name) {
+    throw validationError('customer.name is required for guests');
+  }
+  if (name.length > MAX_GUEST_NAME_LENGTH) {
+    throw validationError(`customer.name must be at most ${MAX_GUEST_NAME_LENGTH} characters`);
+  }
+  if (!phone && !email) {
+    throw validationError('customer.phone or customer.email is required for guests');
+  }
+
+  return { type, email, phone, name };
+}
+
+/**
+ * Validate the front-desk booking options
+ * @param {Object} options - Options input
+ * @param {string} options.source - 'walk_in' or 'phone'
+ * @param {string} options.paymentMethod - 'cash' or 'bank_transfer'
+ * @param {boolean} [options.skipApproval=true] - Confirm immediately
+ * @returns {Object} Normalized options ({ source, paymentMethod, skipApproval })
+ * @throws {Error} VALIDATION_ERROR if invalid
+ */
+function validateAdminBookingOptions(options) {
+  const { source, paymentMethod, skipApproval = true } = options;
+
+  if (!ADMIN_BOOKING_SOURCES.includes(source)) {
+    throw validationError(`source must be one of: ${ADMIN_BOOKING_SOURCES.join(', ')}`);
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw validationError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+
+  if (typeof skipApproval !== 'boolean') {
+    throw validationError('skipApproval must be a boolean');
+  }
+
+  return { source, paymentMethod, skipApproval };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only create bookings for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Find the existing user a front-desk booking is for
+ * @param {Object} customer - Normalized customer (type 'user')
+ * @returns {Promise<Object>} User row
+ * @throws {Error} CUSTOMER_NOT_FOUND or CUSTOMER_AMBIGUOUS
+ * @private
+ */
+async function findCustomerUser(customer) {
+  let users;
+  if (customer.email) {
+    const user = await User.findByEmail(customer.email);
+    users = user ? [user] : [];
+  } else {
+    users = await User.findByPhone(customer.phone);
+  }
+
+  users = users.filter(user => user.is_active !== false);
+
+  if (users.length === 0) {
+    const error = new Error('No active user found with this email or phone. Book as a guest instead.');
+    error.statusCode = 404;
+    error.errorCode = 'CUSTOMER_NOT_FOUND';
+    throw error;
+  }
+
+  if (users.length > 1) {
+    const error = new Error('Several users share this phone number. Use the customer email instead.');
+    error.statusCode = 409;
+    error.errorCode = 'CUSTOMER_AMBIGUOUS';
+    throw error;
+  }
+
+  return users[0];
+}
+
+/**
+ * Find or create the facility's guest contact (reused by phone, then email)
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} facilityId - Facility ID
+ * @param {Object} customer - Normalized customer (type 'guest')
+ * @param {number} adminUserId - Facility admin entering the booking
+ * @returns {Promise<Object>} Guest contact
+ * @private
+ */
+async function resolveGuestContact(client, facilityId, customer, adminUserId) {
+  const existing = await GuestContact.findByFacilityAndContact(
+    facilityId,
+    { phone: customer.phone, email: customer.email },
+    client
+  );
+
+  if (!existing) {
+    return GuestContact.create({
+      facilityId,
+      fullName: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      createdBy: adminUserId
+    }, client);
+  }
+
+  // Keep the contact current, never erase a known phone/email
+  return GuestContact.update(existing.id, {
+    fullName: customer.name,
+    ...(customer.phone && { phone: customer.phone }),
+    ...(customer.email && { email: customer.email })
+  }, client);
+}
+
+/**
+ * Create a front-desk booking for a walk-in or phone customer
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} adminUserId - Facility owner entering the booking
+ * @param {Object} bookingData - Booking data
+ * @param {number} bookingData.courtId - Court ID (must belong to the facility)
+ * @param {Date} bookingData.bookingDate - Booking date
+ * @param {number} bookingData.startTimeMinutes - Start time in minutes since midnight
+ * @param {number} bookingData.endTimeMinutes - End time in minutes since midnight
+ * @param {Object} bookingData.customer - Customer (see normalizeCustomer)
+ * @param {string} bookingData.source - 'walk_in' or 'phone'
+ * @param {string} bookingData.paymentMethod - 'cash' or 'bank_transfer'
+ * @param {string} [bookingData.paymentReference] - Receipt or transfer reference
+ * @param {boolean} [bookingData.skipApproval=true] - Confirm immediately instead of leaving it pending
+ * @returns {Promise<Object>} Object with booking and customer
+ * @throws {Error} If validation fails, the customer cannot be found, or the range is not bookable
+ */
+async function createAdminBooking(facilityId, adminUserId, bookingData) {
+  const {
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    paymentReference = null
+  } = bookingData;
+
+  validateBookingRequest(courtId, bookingDate, startTimeMinutes, endTimeMinutes);
+  const customer = normalizeCustomer(bookingData.customer);
+  const { source, paymentMethod, skipApproval } = validateAdminBookingOptions(bookingData);
+
+  await getOwnedFacility(facilityId, adminUserId);
+
+  const court = await Court.findById(courtId);
+  if (!court || court.facilityId !== facilityId) {
+    const error = new Error('Court not found in this facility');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const customerUser = customer.type === 'user' ? await findCustomerUser(customer) : null;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const guestContact = customer.type === 'guest'
+      ? await resolveGuestContact(client, facilityId, customer, adminUserId)
+      : null;
+
+    // Same checks as player bookings (the customer's own holds/claims are theirs to use)
+    await assertSlotBookable(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes, {
+      userId: customerUser ? customerUser.id : null,
+      ignoreAdvanceNotice: true
+    });
+
+    let booking = await insertPendingBooking(client, {
+      userId: customerUser ? customerUser.id : null,
+      guestContactId: guestContact ? guestContact.id : null,
+      courtId,
+      bookingDate,
+      startTimeMinutes,
+      endTimeMinutes,
+      paymentReference,
+      bookingSource: source,
+      paymentMethod,
+      createdBy: adminUserId
+    });
+
+    if (skipApproval) {
+      booking = await bookingStateMachine.transitionBooking(
+        client,
+        booking,
+        'accept',
+        { type: bookingStateMachine.ACTORS.FACILITY_ADMIN, userId: adminUserId },
+        { paymentReference }
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      booking,
+      customer: customerUser
+        ? {
+            type: 'user',
+            userId: customerUser.id,
+            firstName: customerUser.first_name,
+            lastName: customerUser.last_name,
+            email: customerUser.email,
+            phone: customerUser.phone
+          }
+        : { type: 'guest', guestContact }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createAdminBooking,
+  ADMIN_BOOKING_SOURCES,
+  PAYMENT_METHODS
+};
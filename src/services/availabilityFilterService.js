@@ -1,7 +1,8 @@
 /**
  * Availability Filter Service
  * 
- * Filters base availability blocks by removing overlapping bookings and blocked time ranges.
+ * Filters base availability blocks by removing overlapping bookings, other users'
+ * checkout holds and blocked time ranges.
  * This service is pure and deterministic - it takes base availability as input and
  * returns filtered availability without modifying the database.
  * 
@@ -13,6 +14,8 @@
 
 const { pool } = require('../config/database');
 const timeNorm = require('../utils/timeNormalization');
+const { TIME_GRANULARITY_MINUTES } = require('../config/bookingRules');
+const { getMinutesUntilStart } = require('./bookingPolicyService');
 
 /**
  * ============================================================================
@@ -179,6 +182,42 @@ async function fetchBlockedTimeRanges(courtId, date) {
   });
 }
 
+/**
+ * Fetch active checkout holds for a court on a given date
+ * 
+ * Lapsed holds are ignored even before the lifecycle job marks them expired.
+ * 
+ * @param {number} courtId - Court ID
+ * @param {Date|string} date - Date to fetch holds for
+ * @param {number|null} [excludeUserId] - Viewer whose own holds stay available to them
+ * @returns {Promise<Array>} Array of hold objects with startTime and endTime
+ * @private
+ */
+async function fetchActiveSlotHolds(courtId, date, excludeUserId = null) {
+  const bookingDate = date instanceof Date ? date : new Date(date);
+  const dateString = bookingDate.toISOString().split('T')[0]; // YYYY-MM-DD
+  
+  const query = `
+    SELECT id, start_time, end_time, expires_at
+    FROM slot_holds
+    WHERE court_id = $1
+      AND booking_date = $2
+      AND hold_status = 'active'
+      AND expires_at > CURRENT_TIMESTAMP
+      AND ($3::INTEGER IS NULL OR user_id != $3)
+    ORDER BY start_time ASC
+  `;
+  
+  const result = await pool.query(query, [courtId, dateString, excludeUserId]);
+  
+  return result.rows.map(row => ({
+    id: row.id,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    expiresAt: new Date(row.expires_at)
+  }));
+}
+
 /**
  * ============================================================================
  * PURE TIME-RANGE LOGIC LAYER
@@ -331,59 +370,77 @@ function subtractRangesFromBlocks(blocks, ranges) {
  */
 
 /**
- * Filter out past time slots for today's date
- * Only returns slots that start at least 1 hour from now
+ * Widen booking ranges by the policy buffer (changeover time between bookings)
+ * 
+ * Widened ranges are rounded outward to the booking granularity so the
+ * remaining free blocks stay aligned.
+ * 
+ * @param {Array<Object>} ranges - Array of range objects with startTime and endTime
+ * @param {number} bufferMinutes - Buffer in minutes on each side
+ * @returns {Array<Object>} Widened ranges
+ */
+function applyBookingBuffer(ranges, bufferMinutes) {
+  if (!bufferMinutes) {
+    return ranges;
+  }
+  
+  return ranges.map(range => ({
+    ...range,
+    startTime: Math.max(
+      0,
+      Math.floor((range.startTime - bufferMinutes) / TIME_GRANULARITY_MINUTES) * TIME_GRANULARITY_MINUTES
+    ),
+    endTime: Math.ceil((range.endTime + bufferMinutes) / TIME_GRANULARITY_MINUTES) * TIME_GRANULARITY_MINUTES
+  }));
+}
+
+/**
+ * Filter out time slots that start too soon to be booked
+ * Only returns slots that start at least minNoticeMinutes from now
+ * (works for any date, so a long notice period also trims the next days)
  * 
  * @param {Array<Object>} blocks - Array of block objects with startTime
  * @param {Date|string} date - The date being queried
- * @param {number} [bufferMinutes=60] - Minimum minutes from now for a slot to be available (default: 60 = 1 hour)
- * @returns {Array<Object>} Filtered blocks (only future slots)
+ * @param {number} [minNoticeMinutes=0] - Minimum minutes from now for a slot to be available
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {Array<Object>} Filtered blocks (only bookable future slots)
  */
-function filterPastTimeSlots(blocks, date, bufferMinutes = 60) {
-  const now = new Date();
-  const queryDate = date instanceof Date ? date : new Date(date);
-  
-  // Get just the date parts for comparison (YYYY-MM-DD)
-  const todayDateString = now.toISOString().split('T')[0];
-  const queryDateString = queryDate.toISOString().split('T')[0];
+function filterPastTimeSlots(blocks, date, minNoticeMinutes = 0, now = new Date()) {
+  // Earliest bookable start on this date, in minutes since its midnight
+  const earliestStartTime = minNoticeMinutes - getMinutesUntilStart(date, 0, now);
   
-  // If the query date is not today, return all blocks (no past filtering needed)
-  if (queryDateString !== todayDateString) {
+  if (earliestStartTime <= 0) {
     return blocks;
   }
   
-  // For today, calculate the minimum start time (current time + buffer)
-  // Convert current time to minutes since midnight
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  const minimumStartTime = currentMinutes + bufferMinutes;
-  
-  // Filter out blocks that start before the minimum time
-  const futureBlocks = blocks.filter(block => block.startTime >= minimumStartTime);
-  
-  return futureBlocks;
+  return blocks.filter(block => block.startTime >= earliestStartTime);
 }
 
 /**
  * Filter base availability blocks by removing overlapping bookings and blocked ranges
  * 
  * This is a pure, deterministic function that:
- * 1. Fetches confirmed bookings for the court/date
+ * 1. Fetches confirmed bookings and other users' active slot holds for the court/date
  * 2. Fetches blocked time ranges for the court/date
  * 3. Subtracts overlapping ranges from base availability blocks
- * 4. Filters out past time slots for today (with 1 hour buffer)
+ *    (bookings and holds widened by the policy's bookingBufferMinutes)
+ * 4. Filters out slots that start within the policy's minAdvanceNoticeMinutes
  * 5. Returns only truly free blocks
  * 
  * @param {Object} baseAvailability - Base availability object from generateBaseAvailability
  * @param {Object} [options] - Optional configuration
- * @param {boolean} [options.includeBookings=true] - Whether to filter out bookings
+ * @param {boolean} [options.includeBookings=true] - Whether to filter out bookings and slot holds
+ * @param {number|null} [options.userId] - Viewer (their own slot holds are not filtered out)
  * @param {boolean} [options.includeBlocked=true] - Whether to filter out blocked ranges
- * @param {boolean} [options.filterPastSlots=true] - Whether to filter out past time slots for today
- * @param {number} [options.pastSlotBufferMinutes=60] - Buffer in minutes from now for slots to be available (default: 60 = 1 hour)
+ * @param {boolean} [options.filterPastSlots=true] - Whether to filter out slots that start too soon
+ * @param {number} [options.pastSlotBufferMinutes] - Minimum minutes from now for slots to be available
+ *   (default: the policy's minAdvanceNoticeMinutes)
  * @returns {Promise<Object>} Filtered availability object with:
  *   - All properties from baseAvailability
  *   - blocks: Filtered blocks (only free time)
  *   - bookings: Array of bookings found (for reference)
  *   - blockedRanges: Array of blocked ranges found (for reference)
+ *   - metadata.slotHoldsCount: Number of other users' holds subtracted
  * 
  * @example
  * const baseAvailability = await availabilityService.generateBaseAvailability(1, date);
@@ -394,24 +451,33 @@ async function filterAvailability(baseAvailability, options = {}) {
   const {
     includeBookings = true,
     includeBlocked = true,
+    userId = null,
     filterPastSlots = true,
-    pastSlotBufferMinutes = 60
+    pastSlotBufferMinutes = baseAvailability.policy.minAdvanceNoticeMinutes
   } = options;
   
-  const { courtId, date, blocks: baseBlocks } = baseAvailability;
+  const { courtId, date, blocks: baseBlocks, policy } = baseAvailability;
   
   // Fetch data (separated from logic)
-  const [bookings, blockedRanges] = await Promise.all([
+  const [bookings, slotHolds, blockedRanges] = await Promise.all([
     includeBookings ? fetchConfirmedBookings(courtId, date) : Promise.resolve([]),
+    includeBookings ? fetchActiveSlotHolds(courtId, date, userId) : Promise.resolve([]),
     includeBlocked ? fetchBlockedTimeRanges(courtId, date) : Promise.resolve([])
   ]);
   
-  // Convert bookings to time ranges
-  const bookingRanges = bookings.map(booking => ({
+  // Convert bookings to time ranges (including the changeover buffer)
+  const bookingRanges = applyBookingBuffer(bookings.map(booking => ({
     startTime: booking.startTime,
     endTime: booking.endTime,
     bookingId: booking.id
-  }));
+  })), policy.bookingBufferMinutes);
+  
+  // Held ranges become bookings, so they get the same buffer
+  const holdRanges = applyBookingBuffer(slotHolds.map(hold => ({
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    holdId: hold.id
+  })), policy.bookingBufferMinutes);
   
   // Convert blocked ranges to time ranges
   const blockedTimeRanges = blockedRanges.map(block => ({
@@ -424,13 +490,14 @@ async function filterAvailability(baseAvailability, options = {}) {
   // Combine all ranges to subtract
   const allRangesToSubtract = [
     ...(includeBookings ? bookingRanges : []),
+    ...(includeBookings ? holdRanges : []),
     ...(includeBlocked ? blockedTimeRanges : [])
   ];
   
   // Apply pure time-range logic
   let filteredBlocks = subtractRangesFromBlocks(baseBlocks, allRangesToSubtract);
   
-  // Filter out past time slots for today (with buffer)
+  // Filter out slots inside the minimum advance notice
   if (filterPastSlots) {
     filteredBlocks = filterPastTimeSlots(filteredBlocks, date, pastSlotBufferMinutes);
   }
@@ -444,7 +511,9 @@ async function filterAvailability(baseAvailability, options = {}) {
       totalBaseBlocks: baseBlocks.length,
       totalFilteredBlocks: filteredBlocks.length,
       bookingsCount: bookings.length,
+      slotHoldsCount: slotHolds.length,
       blockedRangesCount: blockedRanges.length,
+      bookingBufferMinutes: policy.bookingBufferMinutes,
       pastSlotsFiltered: filterPastSlots,
       pastSlotBufferMinutes: filterPastSlots ? pastSlotBufferMinutes : null
     }
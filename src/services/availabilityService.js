@@ -12,48 +12,24 @@
 const { pool } = require('../config/database');
 const bookingRules = require('../config/bookingRules');
 const timeNorm = require('../utils/timeNormalization');
+const bookingPolicyService = require('./bookingPolicyService');
 
 /**
  * Get booking policy for a court (court-level or facility-level)
+ * Values are merged court -> facility -> system default by bookingPolicyService.
  * @param {number} courtId - Court ID
  * @returns {Promise<Object>} Booking policy object
  * @private
  */
 async function getBookingPolicy(courtId) {
-  const query = `
-    SELECT 
-      COALESCE(cp.max_advance_booking_days, fp.max_advance_booking_days, $1) as max_advance_booking_days,
-      COALESCE(cp.min_booking_duration_minutes, fp.min_booking_duration_minutes, $2) as min_booking_duration_minutes,
-      COALESCE(cp.max_booking_duration_minutes, fp.max_booking_duration_minutes, $3) as max_booking_duration_minutes,
-      COALESCE(cp.booking_buffer_minutes, fp.booking_buffer_minutes, 0) as booking_buffer_minutes,
-      COALESCE(cp.min_advance_notice_minutes, fp.min_advance_notice_minutes, 0) as min_advance_notice_minutes
-    FROM courts c
-    LEFT JOIN booking_policies cp ON c.id = cp.court_id AND cp.is_active = TRUE
-    LEFT JOIN booking_policies fp ON c.facility_id = fp.facility_id 
-      AND fp.court_id IS NULL AND fp.is_active = TRUE
-    WHERE c.id = $4
-  `;
-  
-  const result = await pool.query(query, [
-    bookingRules.DEFAULT_MAX_ADVANCE_BOOKING_DAYS,
-    bookingRules.MIN_BOOKING_DURATION_MINUTES,
-    bookingRules.DEFAULT_MAX_BOOKING_DURATION_HOURS * 60, // Convert to minutes
-    courtId
-  ]);
-  
-  if (result.rows.length === 0) {
-    const error = new Error('Court not found');
-    error.statusCode = 404;
-    error.errorCode = 'COURT_NOT_FOUND';
-    throw error;
-  }
+  const { policy } = await bookingPolicyService.getEffectivePolicy(courtId);
   
   return {
-    maxAdvanceBookingDays: parseInt(result.rows[0].max_advance_booking_days, 10),
-    minBookingDurationMinutes: parseInt(result.rows[0].min_booking_duration_minutes, 10),
-    maxBookingDurationMinutes: parseInt(result.rows[0].max_booking_duration_minutes, 10),
-    bookingBufferMinutes: parseInt(result.rows[0].booking_buffer_minutes, 10) || 0,
-    minAdvanceNoticeMinutes: parseInt(result.rows[0].min_advance_notice_minutes, 10) || 0
+    maxAdvanceBookingDays: policy.maxAdvanceBookingDays,
+    minBookingDurationMinutes: policy.minBookingDurationMinutes,
+    maxBookingDurationMinutes: policy.maxBookingDurationMinutes,
+    bookingBufferMinutes: policy.bookingBufferMinutes,
+    minAdvanceNoticeMinutes: policy.minAdvanceNoticeMinutes
   };
 }
 
@@ -154,23 +130,7 @@ function validateAdvanceBookingWindow(date, policy) {
     throw error;
   }
   
-  // Check minimum advance notice
-  if (policy.minAdvanceNoticeMinutes > 0) {
-    const nowWithTime = new Date();
-    const bookingDateTime = new Date(date);
-    const minutesUntil = (bookingDateTime.getTime() - nowWithTime.getTime()) / (1000 * 60);
-    
-    if (minutesUntil < policy.minAdvanceNoticeMinutes) {
-      const error = new Error(
-        `Booking requires at least ${policy.minAdvanceNoticeMinutes} minutes advance notice`
-      );
-      error.statusCode = 400;
-      error.errorCode = 'INSUFFICIENT_ADVANCE_NOTICE';
-      error.requiredMinutes = policy.minAdvanceNoticeMinutes;
-      error.availableMinutes = Math.max(0, minutesUntil);
-      throw error;
-    }
-  }
+  // Minimum advance notice is applied per slot by availabilityFilterService
 }
 
 /**
@@ -0,0 +1,564 @@
+/**
+ * Blocked Time Range Service
+ *
+ * Business logic for managing blocked time ranges (maintenance, private
+ * events, ...). Blocks are already honored by availability
+ * (fetchBlockedTimeRanges) and booking creation (checkBlockedRanges); this
+ * service lets facility admins manage them.
+ *
+ * Architecture:
+ * - Facility-wide blocks (court_id NULL) apply to every court of the facility
+ * - Court-level blocks apply to one court
+ * - Creating or updating a block reports the live (pending/confirmed, not yet
+ *   ended) bookings it overlaps; existing bookings are kept unless the admin
+ *   asks to cancel them (cancelAffectedBookings)
+ * - Bookings cancelled because of a block are fully refunded and the players
+ *   are notified after commit
+ */
+
+const { pool } = require('../config/database');
+const Booking = require('../models/Booking');
+const BlockedTimeRange = require('../models/BlockedTimeRange');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const bookingNotificationService = require('./bookingNotificationService');
+const bookingStateMachine = require('./bookingStateMachine');
+const { parseTimeString } = require('../utils/timeNormalization');
+
+/**
+ * Maximum length of the reason column
+ */
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Parse a time given as HH:MM string or minutes since midnight
+ * @param {string|number} value - Time value
+ * @param {string} field - Field name (for error messages)
+ * @returns {number} Minutes since midnight
+ * @private
+ */
+function parseTimeValue(value, field) {
+  if (value === undefined || value === null) {
+    throw validationError(`${field} is required for this block type`);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value) || value < 0 || value >= 1440) {
+      throw validationError(`${field} must be between 0 and 1439 (minutes since midnight)`);
+    }
+    return value;
+  }
+
+  try {
+    return parseTimeString(value);
+  } catch (error) {
+    throw validationError(`Invalid ${field}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a YYYY-MM-DD date
+ * @param {string|Date} value - Date value
+ * @param {string} field - Field name (for error messages)
+ * @returns {string} Date string (YYYY-MM-DD)
+ * @private
+ */
+function parseDateValue(value, field) {
+  if (value === undefined || value === null) {
+    throw validationError(`${field} is required for this block type`);
+  }
+
+  // Stored dates come back from the model as Date objects
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw validationError(`${field} must be in YYYY-MM-DD format (e.g., 2025-12-31)`);
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw validationError(`${field} is not a valid date`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate and normalize a block definition
+ *
+ * Fields that do not apply to the block type are set to null, matching the
+ * table's check constraints:
+ * - one_time:   startDate + startTime/endTime (endDate = startDate)
+ * - recurring:  dayOfWeek + startTime/endTime
+ * - date_range: startDate/endDate (whole days)
+ *
+ * @param {Object} data - Block definition (times as HH:MM or minutes)
+ * @returns {Object} Normalized block definition
+ * @throws {Error} If the definition is invalid
+ */
+function validateBlockDefinition(data) {
+  const { blockType } = data;
+
+  if (!BlockedTimeRange.BLOCK_TYPES.includes(blockType)) {
+    throw validationError(`blockType must be one of: ${BlockedTimeRange.BLOCK_TYPES.join(', ')}`);
+  }
+
+  const block = {
+    blockType,
+    startDate: null,
+    endDate: null,
+    startTime: null,
+    endTime: null,
+    dayOfWeek: null
+  };
+
+  if (blockType === 'one_time' || blockType === 'recurring') {
+    block.startTime = parseTimeValue(data.startTime, 'startTime');
+    block.endTime = parseTimeValue(data.endTime, 'endTime');
+
+    if (block.endTime <= block.startTime) {
+      throw validationError('endTime must be after startTime');
+    }
+  }
+
+  if (blockType === 'one_time') {
+    block.startDate = parseDateValue(data.startDate, 'startDate');
+    block.endDate = block.startDate;
+  }
+
+  if (blockType === 'recurring') {
+    const dayOfWeek = data.dayOfWeek;
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw validationError('dayOfWeek must be between 0 (Sunday) and 6 (Saturday)');
+    }
+    block.dayOfWeek = dayOfWeek;
+  }
+
+  if (blockType === 'date_range') {
+    block.startDate = parseDateValue(data.startDate, 'startDate');
+    block.endDate = parseDateValue(data.endDate, 'endDate');
+
+    if (block.endDate < block.startDate) {
+      throw validationError('endDate must be on or after startDate');
+    }
+  }
+
+  if (data.reason !== undefined && data.reason !== null) {
+    if (typeof data.reason !== 'string' || data.reason.length > MAX_REASON_LENGTH) {
+      throw validationError(`reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+    }
+  }
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    throw validationError('description must be a string');
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    throw validationError('isActive must be a boolean');
+  }
+
+  block.reason = data.reason || null;
+  block.description = data.description || null;
+  block.isActive = data.isActive !== undefined ? data.isActive : true;
+
+  return block;
+}
+
+/**
+ * Settlement for a booking the facility cancels: a confirmed (paid) booking
+ * is refunded in full, a pending one has nothing to refund
+ * @param {Object} booking - Booking object
+ * @returns {Object} Settlement with refundAmount and penaltyAmount
+ * @private
+ */
+function getFacilityCancellationSettlement(booking) {
+  const refundAmount = booking.bookingStatus === 'confirmed' ? (parseFloat(booking.finalPrice) || 0) : 0;
+  return { refundAmount, penaltyAmount: 0 };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage blocked times for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Load a court and verify the user owns its facility
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Court object
+ * @private
+ */
+async function getOwnedCourt(courtId, userId) {
+  const court = await Court.findById(courtId);
+  if (!court) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const facility = await Facility.findById(court.facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage blocked times for courts in your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return court;
+}
+
+/**
+ * Resolve and authorize a scope
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Scope with facilityId and courtId (null for facility scope)
+ * @private
+ */
+async function resolveScope(scope, userId) {
+  if (scope.courtId) {
+    const court = await getOwnedCourt(scope.courtId, userId);
+    return { facilityId: court.facilityId, courtId: court.id };
+  }
+
+  await getOwnedFacility(scope.facilityId, userId);
+  return { facilityId: scope.facilityId, courtId: null };
+}
+
+/**
+ * Load a block and check it is reachable through the scope
+ * (facility scope: any block of the facility; court scope: the court's own blocks)
+ * @param {Object} resolvedScope - Scope from resolveScope
+ * @param {number} blockId - Block ID
+ * @returns {Promise<Object>} Block object
+ * @private
+ */
+async function getScopedBlock(resolvedScope, blockId) {
+  const block = await BlockedTimeRange.findById(blockId);
+
+  const inScope = block && block.facilityId === resolvedScope.facilityId &&
+    (resolvedScope.courtId === null || block.courtId === resolvedScope.courtId);
+
+  if (!inScope) {
+    const error = new Error('Blocked time range not found');
+    error.statusCode = 404;
+    error.errorCode = 'BLOCK_NOT_FOUND';
+    throw error;
+  }
+
+  return block;
+}
+
+/**
+ * Find the bookings a block overlaps and optionally cancel them
+ *
+ * Must run inside the transaction that wrote the block. The affected courts
+ * are locked first so no booking can slip in between the check and commit
+ * (booking creation locks the court row in assertSlotBookable).
+ *
+ * @param {Object} client - Database client (in a transaction)
+ * @param {Object} block - Saved block
+ * @param {Object} options - Options
+ * @param {boolean} options.cancelAffectedBookings - Cancel the overlapping bookings
+ * @param {string} options.cancellationReason - Reason stored on cancelled bookings
+ * @param {number} options.actorUserId - Facility admin saving the block (status history)
+ * @returns {Promise<Object>} Object with affectedBookings and cancelledBookings
+ * @private
+ */
+async function applyBlockToBookings(client, block, options) {
+  const { cancelAffectedBookings, cancellationReason, actorUserId } = options;
+
+  if (!block.isActive) {
+    return { affectedBookings: [], cancelledBookings: [] };
+  }
+
+  await client.query(
+    `SELECT id FROM courts WHERE facility_id = $1 AND ($2::INTEGER IS NULL OR id = $2) ORDER BY id FOR UPDATE`,
+    [block.facilityId, block.courtId]
+  );
+
+  const affectedBookings = await Booking.findOverlappingBlock(block.id, client, cancelAffectedBookings);
+
+  if (!cancelAffectedBookings) {
+    return { affectedBookings, cancelledBookings: [] };
+  }
+
+  const cancelledBookings = [];
+  for (const booking of affectedBookings) {
+    const settlement = getFacilityCancellationSettlement(booking);
+    cancelledBookings.push(await bookingStateMachine.transitionBooking(
+      client,
+      booking,
+      'cancel',
+      { type: bookingStateMachine.ACTORS.FACILITY_ADMIN, userId: actorUserId },
+      { reason: cancellationReason, settlement }
+    ));
+  }
+
+  return { affectedBookings: cancelledBookings, cancelledBookings };
+}
+
+/**
+ * Read the impact options from a request body
+ * @param {Object} data - Request body
+ * @param {Object} block - Block definition (for the default reason)
+ * @param {number} userId - Facility admin saving the block
+ * @returns {Object} Options for applyBlockToBookings
+ * @private
+ */
+function getImpactOptions(data, block, userId) {
+  if (data.cancelAffectedBookings !== undefined && typeof data.cancelAffectedBookings !== 'boolean') {
+    throw validationError('cancelAffectedBookings must be a boolean');
+  }
+
+  if (data.cancellationReason !== undefined && data.cancellationReason !== null &&
+      typeof data.cancellationReason !== 'string') {
+    throw validationError('cancellationReason must be a string');
+  }
+
+  const defaultReason = block.reason ? `Court unavailable: ${block.reason}` : 'Court unavailable';
+
+  return {
+    cancelAffectedBookings: data.cancelAffectedBookings === true,
+    cancellationReason: data.cancellationReason || defaultReason,
+    actorUserId: userId
+  };
+}
+
+/**
+ * Notify players whose bookings were cancelled (after commit, best-effort)
+ * @param {Array<Object>} cancelledBookings - Cancelled bookings
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<number>} Number of players notified
+ * @private
+ */
+async function notifyCancelledPlayers(cancelledBookings, reason) {
+  let notifiedCount = 0;
+  for (const booking of cancelledBookings) {
+    if (await bookingNotificationService.notifyBookingCancelledByFacility(booking, reason)) {
+      notifiedCount++;
+    }
+  }
+  return notifiedCount;
+}
+
+/**
+ * Write a block (create or update) and apply it to existing bookings
+ * @param {Function} writeBlock - (client) => Promise<block>
+ * @param {Object} impactOptions - Options for applyBlockToBookings
+ * @returns {Promise<Object>} Object with block and impact report
+ * @private
+ */
+async function saveBlockWithImpact(writeBlock, impactOptions) {
+  const client = await pool.connect();
+  let block;
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    block = await writeBlock(client);
+    result = await applyBlockToBookings(client, block, impactOptions);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const notifiedCount = await notifyCancelledPlayers(result.cancelledBookings, impactOptions.cancellationReason);
+
+  return {
+    block,
+    impact: {
+      affectedBookings: result.affectedBookings,
+      affectedCount: result.affectedBookings.length,
+      cancelledCount: result.cancelledBookings.length,
+      notifiedCount
+    }
+  };
+}
+
+/**
+ * List blocks
+ * Facility scope lists every block of the facility (optionally only those
+ * applying to one court); court scope lists the blocks applying to the court
+ * (its own and facility-wide).
+ *
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {Object} options - Query options
+ * @param {number} [options.courtId] - Facility scope: only blocks applying to this court
+ * @param {boolean} [options.isActive] - Filter by active status
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Array>} Array of block objects
+ */
+async function listBlocks(scope, options, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+
+  return await BlockedTimeRange.findByFacilityId(resolvedScope.facilityId, {
+    courtId: resolvedScope.courtId !== null ? resolvedScope.courtId : options.courtId,
+    isActive: options.isActive
+  });
+}
+
+/**
+ * Create a block and report (optionally cancel) the bookings it overlaps
+ *
+ * @param {Object} scope - { facilityId } (facility-wide) or { courtId } (court-level)
+ * @param {Object} data - Block definition plus cancelAffectedBookings / cancellationReason
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Object with block and impact
+ * @throws {Error} If not authorized or the definition is invalid
+ */
+async function createBlock(scope, data, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  const definition = validateBlockDefinition(data);
+  const impactOptions = getImpactOptions(data, definition, userId);
+
+  return await saveBlockWithImpact(
+    (client) => BlockedTimeRange.create({
+      ...definition,
+      facilityId: resolvedScope.facilityId,
+      courtId: resolvedScope.courtId,
+      createdBy: userId
+    }, client),
+    impactOptions
+  );
+}
+
+/**
+ * Update a block and report (optionally cancel) the bookings it now overlaps
+ * Omitted fields keep their current values.
+ *
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} blockId - Block ID
+ * @param {Object} data - Fields to change plus cancelAffectedBookings / cancellationReason
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Object with block and impact
+ * @throws {Error} If not authorized, not found, or the result is invalid
+ */
+async function updateBlock(scope, blockId, data, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  const existing = await getScopedBlock(resolvedScope, blockId);
+
+  const merged = { ...existing };
+  for (const field of ['blockType', 'startDate', 'endDate', 'startTime', 'endTime', 'dayOfWeek',
+    'reason', 'description', 'isActive']) {
+    if (data[field] !== undefined) {
+      merged[field] = data[field];
+    }
+  }
+
+  const definition = validateBlockDefinition(merged);
+  const impactOptions = getImpactOptions(data, definition, userId);
+
+  return await saveBlockWithImpact(
+    (client) => BlockedTimeRange.update(blockId, definition, client),
+    impactOptions
+  );
+}
+
+/**
+ * Delete a block
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} blockId - Block ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteBlock(scope, blockId, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  await getScopedBlock(resolvedScope, blockId);
+
+  return await BlockedTimeRange.delete(blockId);
+}
+
+/**
+ * Report the live bookings an existing block overlaps (read-only)
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} blockId - Block ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Object with block and impact
+ */
+async function getBlockImpact(scope, blockId, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  const block = await getScopedBlock(resolvedScope, blockId);
+
+  const affectedBookings = block.isActive ? await Booking.findOverlappingBlock(blockId) : [];
+
+  return {
+    block,
+    impact: {
+      affectedBookings,
+      affectedCount: affectedBookings.length,
+      cancelledCount: 0,
+      notifiedCount: 0
+    }
+  };
+}
+
+module.exports = {
+  listBlocks,
+  createBlock,
+  updateBlock,
+  deleteBlock,
+  getBlockImpact,
+  validateBlockDefinition
+};
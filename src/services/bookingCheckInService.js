@@ -0,0 +1,295 @@
+/**
+ * Booking Check-In Service
+ *
+ * QR check-in of players at the facility.
+ *
+ * Architecture:
+ * - The booker gets a signed check-in token for a confirmed booking; the app
+ *   shows it as a QR code. The token names the booking, court, date and time
+ *   range and expires at the booking's end time
+ * - The facility owner scans it; the token is verified against the booking as
+ *   it is now (a rescheduled booking needs a new token), the scanning owner's
+ *   facility and the check-in window, and the check-in time is recorded
+ * - The owner can also check a booking in by its ID (front desk without a QR
+ *   scanner, walk-in/phone bookings that have no booker to show a code)
+ * - Check-in is open from CHECK_IN_OPENS_MINUTES_BEFORE_START minutes before
+ *   the start time until the end time (server local time, like booking dates
+ *   everywhere else)
+ * - After the end time the booking lifecycle job completes checked-in
+ *   bookings and marks the other player bookings as 'no_show'; bookings the
+ *   facility entered itself are completed either way (bookingCompletionService)
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const { generateCheckInToken, verifyCheckInToken } = require('../utils/jwt');
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Format a date as YYYY-MM-DD (local time)
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ * @private
+ */
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the check-in window of a booking
+ * @param {Object} booking - Booking object (bookingDate, startTime, endTime)
+ * @returns {Object} { opensAt, closesAt } as Dates
+ */
+function getCheckInWindow(booking) {
+  const opensAt = new Date(booking.bookingDate);
+  opensAt.setHours(0, booking.startTime - bookingRules.CHECK_IN_OPENS_MINUTES_BEFORE_START, 0, 0);
+
+  const closesAt = new Date(booking.bookingDate);
+  closesAt.setHours(0, booking.endTime, 0, 0);
+
+  return { opensAt, closesAt };
+}
+
+/**
+ * Build the check-in token payload of a booking
+ * @param {Object} booking - Booking object
+ * @returns {Object} { bookingId, courtId, bookingDate, startTime, endTime }
+ */
+function buildCheckInPayload(booking) {
+  return {
+    bookingId: booking.id,
+    courtId: booking.courtId,
+    bookingDate: toDateKey(new Date(booking.bookingDate)),
+    startTime: booking.startTime,
+    endTime: booking.endTime
+  };
+}
+
+/**
+ * Check that a token payload still matches the booking
+ * @param {Object} payload - Decoded token payload
+ * @param {Object} booking - Booking object
+ * @returns {boolean} True if court, date and time range are unchanged
+ */
+function tokenMatchesBooking(payload, booking) {
+  const current = buildCheckInPayload(booking);
+  return payload.bookingId === current.bookingId &&
+    payload.courtId === current.courtId &&
+    payload.bookingDate === current.bookingDate &&
+    payload.startTime === current.startTime &&
+    payload.endTime === current.endTime;
+}
+
+/**
+ * Build a check-in error
+ * @param {number} statusCode - HTTP status
+ * @param {string} errorCode - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode/errorCode
+ * @private
+ */
+function checkInError(statusCode, errorCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Issue a check-in token for a booking
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request (booker only)
+ * @returns {Promise<Object>} { bookingId, token, checkInOpensAt, expiresAt, checkedInAt }
+ * @throws {Error} If the booking is not found, not the user's, not confirmed or already over
+ */
+async function issueCheckInToken(bookingId, userId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw checkInError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+  }
+
+  if (booking.userId !== userId) {
+    throw checkInError(403, 'FORBIDDEN', 'Only the booker can get the check-in code');
+  }
+
+  if (booking.bookingStatus !== 'confirmed') {
+    throw checkInError(400, 'INVALID_BOOKING_STATUS', `Only confirmed bookings can be checked in (status: ${booking.bookingStatus})`);
+  }
+
+  const { opensAt, closesAt } = getCheckInWindow(booking);
+  if (closesAt <= new Date()) {
+    throw checkInError(400, 'CHECK_IN_WINDOW_CLOSED', 'This booking has already ended');
+  }
+
+  return {
+    bookingId: booking.id,
+    token: generateCheckInToken(buildCheckInPayload(booking), closesAt),
+    checkInOpensAt: opensAt,
+    expiresAt: closesAt,
+    checkedInAt: booking.checkedInAt
+  };
+}
+
+/**
+ * Load the facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, ownerId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    throw checkInError(404, 'FACILITY_NOT_FOUND', 'Facility not found');
+  }
+
+  if (facility.ownerId !== ownerId) {
+    throw checkInError(403, 'FORBIDDEN', 'You can only check in players at your own facilities');
+  }
+
+  return facility;
+}
+
+/**
+ * Record the check-in of a booking (locks the booking, checks status and window)
+ * @param {number} bookingId - Booking ID
+ * @param {number} ownerId - Facility owner user ID
+ * @param {Function} verify - Extra check on the locked booking (throws if it fails)
+ * @returns {Promise<Object>} Checked-in booking
+ * @private
+ */
+async function recordCheckIn(bookingId, ownerId, verify) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lockResult = await client.query(
+      `SELECT ${Booking._getBookingFields()} FROM bookings WHERE id = $1 FOR UPDATE`,
+      [bookingId]
+    );
+    const booking = lockResult.rows[0] ? Booking._formatBooking(lockResult.rows[0]) : null;
+
+    if (!booking) {
+      throw checkInError(404, 'BOOKING_NOT_FOUND', 'Booking not found');
+    }
+
+    verify(booking);
+
+    if (booking.checkedInAt) {
+      throw checkInError(409, 'ALREADY_CHECKED_IN', 'This booking is already checked in');
+    }
+
+    if (booking.bookingStatus !== 'confirmed') {
+      throw checkInError(400, 'INVALID_BOOKING_STATUS', `Only confirmed bookings can be checked in (status: ${booking.bookingStatus})`);
+    }
+
+    const { opensAt, closesAt } = getCheckInWindow(booking);
+    const now = new Date();
+    if (now < opensAt) {
+      throw checkInError(400, 'CHECK_IN_NOT_OPEN', `Check-in opens ${bookingRules.CHECK_IN_OPENS_MINUTES_BEFORE_START} minutes before the start time`);
+    }
+    if (now >= closesAt) {
+      throw checkInError(400, 'CHECK_IN_WINDOW_CLOSED', 'This booking has already ended');
+    }
+
+    const checkedIn = await Booking.checkIn(booking.id, ownerId, client);
+
+    await client.query('COMMIT');
+
+    return checkedIn;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check a player in by their scanned token
+ *
+ * @param {number} facilityId - Facility ID (where the token is scanned)
+ * @param {number} ownerId - Facility owner user ID
+ * @param {string} token - Scanned check-in token
+ * @returns {Promise<Object>} Checked-in booking
+ * @throws {Error} If the token is invalid, for another facility, out of its window, or the booking is already checked in
+ */
+async function checkInBooking(facilityId, ownerId, token) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  if (!token || typeof token !== 'string') {
+    throw checkInError(400, 'VALIDATION_ERROR', 'token is required');
+  }
+
+  let payload;
+  try {
+    payload = verifyCheckInToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw checkInError(400, 'CHECK_IN_WINDOW_CLOSED', 'This check-in code has expired');
+    }
+    throw checkInError(400, 'INVALID_CHECK_IN_TOKEN', 'Invalid check-in code');
+  }
+
+  const court = await Court.findById(payload.courtId);
+  if (!court || court.facilityId !== facilityId) {
+    throw checkInError(400, 'WRONG_FACILITY', 'This check-in code is for another facility');
+  }
+
+  return await recordCheckIn(payload.bookingId, ownerId, (booking) => {
+    if (!tokenMatchesBooking(payload, booking)) {
+      throw checkInError(400, 'INVALID_CHECK_IN_TOKEN', 'The booking was changed; ask the player to reopen the check-in code');
+    }
+  });
+}
+
+/**
+ * Check a booking in by its ID (manual check-in at the front desk)
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} Checked-in booking
+ * @throws {Error} If the booking is not at this facility, out of its window, or already checked in
+ */
+async function checkInBookingById(facilityId, ownerId, bookingId) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  const booking = await Booking.findById(bookingId);
+  const court = booking ? await Court.findById(booking.courtId) : null;
+  if (!court || court.facilityId !== facilityId) {
+    throw checkInError(404, 'BOOKING_NOT_FOUND', 'Booking not found at this facility');
+  }
+
+  return await recordCheckIn(bookingId, ownerId, (lockedBooking) => {
+    // The booking may have moved to another court since it was read
+    if (lockedBooking.courtId !== booking.courtId) {
+      throw checkInError(409, 'BOOKING_CHANGED', 'The booking was changed; try again');
+    }
+  });
+}
+
+module.exports = {
+  issueCheckInToken,
+  checkInBooking,
+  checkInBookingById
+};
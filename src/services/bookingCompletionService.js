@@ -0,0 +1,173 @@
+/**
+ * Booking Completion Service
+ *
+ * Moves CONFIRMED bookings on once their end time has passed:
+ * - checked in (see bookingCheckInService)                -> 'completed'
+ * - entered by the facility (walk-in/phone/guest bookings) -> 'completed'
+ * - player requests never checked in                      -> 'no_show'
+ *
+ * Facility-entered bookings (created_by set, or no user) have no booker to
+ * show a check-in code, so a missing check-in says nothing about attendance.
+ *
+ * Counterpart of bookingExpirationService (which handles PENDING bookings).
+ * Intended to be run by the booking lifecycle job.
+ *
+ * Architecture:
+ * - Batch processing: Complete multiple bookings at once
+ * - Transaction-safe: Uses transactions for atomic updates
+ * - Booking end time is booking_date + end_time (minutes since midnight),
+ *   compared in server local time like booking dates everywhere else
+ */
+
+const { pool } = require('../config/database');
+const bookingStateMachine = require('./bookingStateMachine');
+
+/**
+ * SQL condition for bookings a missing check-in does not make a no-show
+ * (checked in, or entered by the facility)
+ * @private
+ */
+const ATTENDANCE_NOT_TRACKED = `(checked_in_at IS NOT NULL OR created_by IS NOT NULL OR user_id IS NULL)`;
+
+/**
+ * Mark finished CONFIRMED bookings that are checked in or were entered by the
+ * facility as 'completed'
+ *
+ * This function:
+ * 1. Finds such CONFIRMED bookings whose end time is in the past
+ * 2. Updates their status to 'completed' in a transaction (with status history)
+ * 3. Returns count of completed bookings
+ *
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.batchSize=100] - Maximum number of bookings to complete per call
+ * @returns {Promise<Object>} Result object with completedCount and completedBookingIds
+ *
+ * @example
+ * const result = await completeFinishedBookings();
+ * console.log(`Completed ${result.completedCount} bookings`);
+ */
+async function completeFinishedBookings(options = {}) {
+  const { batchSize = 100 } = options;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Find finished CONFIRMED bookings that are checked in or facility-entered
+    // Use FOR UPDATE to lock rows and prevent concurrent completion
+    const findQuery = `
+      SELECT id, booking_status
+      FROM bookings
+      WHERE booking_status = 'confirmed'
+        AND ${ATTENDANCE_NOT_TRACKED}
+        AND booking_date + (end_time * INTERVAL '1 minute') <= LOCALTIMESTAMP
+      ORDER BY booking_date ASC, end_time ASC
+      LIMIT $1
+      FOR UPDATE
+    `;
+
+    const findResult = await client.query(findQuery, [batchSize]);
+
+    if (findResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return {
+        completedCount: 0,
+        completedBookingIds: []
+      };
+    }
+
+    // Update status to 'completed' (with status history)
+    const completedBookings = await bookingStateMachine.transitionBookings(
+      client,
+      findResult.rows.map(row => ({ id: row.id, bookingStatus: row.booking_status })),
+      'complete',
+      { type: bookingStateMachine.ACTORS.SYSTEM, userId: null }
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      completedCount: completedBookings.length,
+      completedBookingIds: completedBookings.map(booking => booking.id)
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark finished CONFIRMED player bookings without a check-in as 'no_show'
+ *
+ * This function:
+ * 1. Finds CONFIRMED player bookings (not facility-entered) whose end time is in the past and that were never checked in
+ * 2. Updates their status to 'no_show' in a transaction (with status history)
+ * 3. Returns count of no-show bookings
+ *
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.batchSize=100] - Maximum number of bookings to mark per call
+ * @returns {Promise<Object>} Result object with noShowCount and noShowBookingIds
+ */
+async function markNoShowBookings(options = {}) {
+  const { batchSize = 100 } = options;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Find finished CONFIRMED player bookings nobody checked in for
+    const findQuery = `
+      SELECT id, booking_status
+      FROM bookings
+      WHERE booking_status = 'confirmed'
+        AND NOT ${ATTENDANCE_NOT_TRACKED}
+        AND booking_date + (end_time * INTERVAL '1 minute') <= LOCALTIMESTAMP
+      ORDER BY booking_date ASC, end_time ASC
+      LIMIT $1
+      FOR UPDATE
+    `;
+
+    const findResult = await client.query(findQuery, [batchSize]);
+
+    if (findResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return {
+        noShowCount: 0,
+        noShowBookingIds: []
+      };
+    }
+
+    // Update status to 'no_show' (with status history); the rows are locked,
+    // so no check-in can be recorded meanwhile
+    const noShowBookings = await bookingStateMachine.transitionBookings(
+      client,
+      findResult.rows.map(row => ({ id: row.id, bookingStatus: row.booking_status })),
+      'no_show',
+      { type: bookingStateMachine.ACTORS.SYSTEM, userId: null },
+      'Not checked in before the end time'
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      noShowCount: noShowBookings.length,
+      noShowBookingIds: noShowBookings.map(booking => booking.id)
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  completeFinishedBookings,
+  markNoShowBookings
+};
@@ -0,0 +1,307 @@
+/**
+ * Booking Decision Service
+ *
+ * Bulk accept/reject of pending bookings by the facility owner.
+ *
+ * Architecture:
+ * - One request carries decisions for bookings of one facility; they are
+ *   processed in a single transaction with the bookings locked (FOR UPDATE)
+ * - Each decision succeeds or fails on its own and gets a result with an
+ *   error code (same codes as PUT /bookings/:id/accept and /reject, from
+ *   bookingStateMachine)
+ * - Two overlapping bookings of the same court cannot both be accepted in
+ *   one batch; both accept decisions fail with BATCH_OVERLAP
+ * - Rejected ranges are offered to the waitlist after commit
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const Facility = require('../models/Facility');
+const waitlistService = require('./waitlistService');
+const bookingStateMachine = require('./bookingStateMachine');
+const playerScreeningService = require('./playerScreeningService');
+
+/**
+ * Valid decisions
+ */
+const DECISIONS = ['accept', 'reject'];
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Validate and normalize a list of decisions
+ * @param {Array<Object>} decisions - Decisions ({ bookingId, decision, reason?, paymentReference? })
+ * @returns {Array<Object>} Normalized decisions ({ bookingId, decision, reason, paymentReference })
+ * @throws {Error} VALIDATION_ERROR if the list or a decision is invalid
+ */
+function validateDecisions(decisions) {
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    throw validationError('decisions must be a non-empty array');
+  }
+
+  if (decisions.length > bookingRules.MAX_BULK_BOOKING_DECISIONS) {
+    throw validationError(`At most ${bookingRules.MAX_BULK_BOOKING_DECISIONS} decisions can be sent at once`);
+  }
+
+  const seenIds = new Set();
+
+  return decisions.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw validationError(`decisions[${index}] must be an object`);
+    }
+
+    const bookingId = Number(item.bookingId);
+    if (!Number.isInteger(bookingId) || bookingId < 1) {
+      throw validationError(`decisions[${index}].bookingId must be a positive integer`);
+    }
+
+    if (seenIds.has(bookingId)) {
+      throw validationError(`Booking ${bookingId} appears more than once`);
+    }
+    seenIds.add(bookingId);
+
+    if (!DECISIONS.includes(item.decision)) {
+      throw validationError(`decisions[${index}].decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    if (item.reason !== undefined && item.reason !== null && typeof item.reason !== 'string') {
+      throw validationError(`decisions[${index}].reason must be a string`);
+    }
+
+    if (item.paymentReference !== undefined && item.paymentReference !== null) {
+      if (typeof item.paymentReference !== 'string' || item.paymentReference.length > 255) {
+        throw validationError(`decisions[${index}].paymentReference must be a string of at most 255 characters`);
+      }
+    }
+
+    return {
+      bookingId,
+      decision: item.decision,
+      reason: item.reason || null,
+      paymentReference: item.paymentReference || null
+    };
+  });
+}
+
+/**
+ * Find bookings that overlap another booking of the same court and date
+ * @param {Array<Object>} bookings - Bookings ({ id, courtId, bookingDate, startTime, endTime })
+ * @returns {Set<number>} IDs of bookings that overlap at least one other booking in the list
+ */
+function findOverlappingBookingIds(bookings) {
+  const overlapping = new Set();
+
+  for (let i = 0; i < bookings.length; i++) {
+    for (let j = i + 1; j < bookings.length; j++) {
+      const a = bookings[i];
+      const b = bookings[j];
+
+      if (
+        a.courtId === b.courtId &&
+        new Date(a.bookingDate).getTime() === new Date(b.bookingDate).getTime() &&
+        a.startTime < b.endTime &&
+        b.startTime < a.endTime
+      ) {
+        overlapping.add(a.id);
+        overlapping.add(b.id);
+      }
+    }
+  }
+
+  return overlapping;
+}
+
+/**
+ * Check why a decision cannot be applied to a booking
+ * @param {Object} decision - Normalized decision
+ * @param {Object|undefined} booking - Locked booking row of the facility (undefined if not found)
+ * @returns {Object|null} Error ({ statusCode, errorCode, message }) or null if the decision can be applied
+ * @private
+ */
+function getDecisionError(decision, booking) {
+  if (!booking) {
+    return { statusCode: 404, errorCode: 'BOOKING_NOT_FOUND', message: 'Booking not found in this facility' };
+  }
+
+  return bookingStateMachine.getTransitionError(
+    booking.bookingStatus,
+    decision.decision,
+    bookingStateMachine.ACTORS.FACILITY_ADMIN
+  ) || bookingStateMachine.getExpiryError(booking, decision.decision);
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only accept or reject bookings for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Lock the facility's bookings with the given IDs
+ * @param {Object} client - Database client (in a transaction)
+ * @param {number} facilityId - Facility ID
+ * @param {Array<number>} bookingIds - Booking IDs
+ * @returns {Promise<Map<number, Object>>} Bookings by ID (bookings of other facilities are left out)
+ * @private
+ */
+async function lockFacilityBookings(client, facilityId, bookingIds) {
+  const query = `
+    SELECT ${Booking._getBookingFields('b')}
+    FROM bookings b
+    INNER JOIN courts c ON b.court_id = c.id
+    WHERE b.id = ANY($1::INTEGER[]) AND c.facility_id = $2
+    ORDER BY b.id
+    FOR UPDATE OF b
+  `;
+  const result = await client.query(query, [bookingIds, facilityId]);
+
+  return new Map(result.rows.map(row => [row.id, Booking._formatBooking(row)]));
+}
+
+/**
+ * Accept or reject many pending bookings of a facility
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID (for authorization check)
+ * @param {Array<Object>} decisions - Decisions ({ bookingId, decision: 'accept'|'reject', reason?, paymentReference? })
+ * @returns {Promise<Object>} Object with results (one per decision, in request order) and summary counts
+ * @throws {Error} If the facility is not owned by the user or the decisions are invalid
+ */
+async function decidePendingBookings(facilityId, ownerId, decisions) {
+  const normalized = validateDecisions(decisions);
+
+  await getOwnedFacility(facilityId, ownerId);
+
+  const client = await pool.connect();
+  let results;
+  const rejectedBookings = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const bookings = await lockFacilityBookings(client, facilityId, normalized.map(item => item.bookingId));
+
+    const errors = new Map();
+    for (const decision of normalized) {
+      const error = getDecisionError(decision, bookings.get(decision.bookingId));
+      if (error) {
+        errors.set(decision.bookingId, error);
+      }
+    }
+
+    // Accepting both sides of an overlap would double book the court
+    const acceptable = normalized
+      .filter(item => item.decision === 'accept' && !errors.has(item.bookingId))
+      .map(item => bookings.get(item.bookingId));
+
+    // Facility screening (e.g. payment proof required below a reliability score)
+    const screenings = await playerScreeningService.screenBookings(facilityId, acceptable, client);
+    for (const booking of acceptable) {
+      const screening = screenings.get(booking.id);
+      const screeningError = screening ? playerScreeningService.getAcceptanceError(screening, booking) : null;
+      if (screeningError) {
+        errors.set(booking.id, screeningError);
+      }
+    }
+
+    for (const bookingId of findOverlappingBookingIds(acceptable.filter(booking => !errors.has(booking.id)))) {
+      errors.set(bookingId, {
+        statusCode: 409,
+        errorCode: 'BATCH_OVERLAP',
+        message: 'Overlaps another booking of the same court accepted in this batch. Accept them separately.'
+      });
+    }
+
+    results = [];
+    for (const decision of normalized) {
+      const error = errors.get(decision.bookingId);
+      if (error) {
+        results.push({ bookingId: decision.bookingId, decision: decision.decision, success: false, error });
+        continue;
+      }
+
+      const booking = await bookingStateMachine.transitionBooking(
+        client,
+        bookings.get(decision.bookingId),
+        decision.decision,
+        { type: bookingStateMachine.ACTORS.FACILITY_ADMIN, userId: ownerId },
+        { reason: decision.reason, paymentReference: decision.paymentReference }
+      );
+      if (decision.decision === 'reject') {
+        rejectedBookings.push(booking);
+      }
+
+      results.push({ bookingId: decision.bookingId, decision: decision.decision, success: true, booking });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Offer the freed slots to the waitlist
+  if (rejectedBookings.length > 0) {
+    await waitlistService.releaseToWaitlist(rejectedBookings);
+  }
+
+  return {
+    results,
+    summary: {
+      accepted: results.filter(result => result.success && result.decision === 'accept').length,
+      rejected: results.filter(result => result.success && result.decision === 'reject').length,
+      failed: results.filter(result => !result.success).length
+    }
+  };
+}
+
+module.exports = {
+  decidePendingBookings,
+  DECISIONS
+};
@@ -16,14 +16,17 @@
  */
 
 const { pool } = require('../config/database');
+const waitlistService = require('./waitlistService');
+const bookingStateMachine = require('./bookingStateMachine');
 
 /**
  * Mark expired PENDING bookings as 'expired'
  * 
  * This function:
  * 1. Finds all PENDING bookings where expires_at < CURRENT_TIMESTAMP
- * 2. Updates their status to 'expired' in a transaction
- * 3. Returns count of expired bookings
+ * 2. Updates their status to 'expired' in a transaction (with status history)
+ * 3. Offers the freed slots to the waitlist
+ * 4. Returns count of expired bookings
  * 
  * @param {Object} [options] - Optional configuration
  * @param {number} [options.batchSize=100] - Maximum number of bookings to expire per call
@@ -44,7 +47,7 @@ async function expirePendingBookings(options = {}) {
     // Find expired PENDING bookings
     // Use FOR UPDATE to lock rows and prevent concurrent expiration
     const findQuery = `
-      SELECT id
+      SELECT id, booking_status
       FROM bookings
       WHERE booking_status = 'pending'
         AND expires_at IS NOT NULL
@@ -64,26 +67,23 @@ async function expirePendingBookings(options = {}) {
       };
     }
     
-    const expiredIds = findResult.rows.map(row => row.id);
-    
-    // Update status to 'expired'
-    const updateQuery = `
-      UPDATE bookings
-      SET booking_status = 'expired',
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ANY($1::INTEGER[])
-        AND booking_status = 'pending'
-        AND expires_at <= CURRENT_TIMESTAMP
-      RETURNING id
-    `;
-    
-    const updateResult = await client.query(updateQuery, [expiredIds]);
+    // Update status to 'expired' (with status history)
+    const expiredBookings = await bookingStateMachine.transitionBookings(
+      client,
+      findResult.rows.map(row => ({ id: row.id, bookingStatus: row.booking_status })),
+      'expire',
+      { type: bookingStateMachine.ACTORS.SYSTEM, userId: null },
+      'Pending booking was not accepted in time'
+    );
     
     await client.query('COMMIT');
     
+    // Offer the freed slots to the waitlist (after commit, never fails the expiration)
+    await waitlistService.releaseToWaitlist(expiredBookings);
+    
     return {
-      expiredCount: updateResult.rows.length,
-      expiredBookingIds: updateResult.rows.map(row => row.id)
+      expiredCount: expiredBookings.length,
+      expiredBookingIds: expiredBookings.map(booking => booking.id)
     };
     
   } catch (error) {
@@ -0,0 +1,349 @@
+/**
+ * Booking Lifecycle Job
+ *
+ * Scheduled job that moves bookings through their time-based status changes.
+ *
+ * This job:
+ * - Expires PENDING bookings past expires_at (and offers freed slots to the waitlist)
+ * - Expires lapsed waitlist offers (passing the slot to the next player)
+ * - Completes checked-in and facility-entered CONFIRMED bookings after their end time
+ * - Marks CONFIRMED player bookings never checked in as no-shows after their end time
+ * - Expires lapsed slot holds (and offers their ranges to the waitlist)
+ * - Purges expired Idempotency-Key records
+ * - Re-imports file-based calendar import sources into blocked time ranges
+ * - Records every task run in the job_runs table
+ * - Handles errors gracefully (a failed run never stops the schedule)
+ *
+ * Configuration (via environment variables):
+ * - BOOKING_LIFECYCLE_JOB_ENABLED: Enable/disable the job (default: true)
+ * - BOOKING_EXPIRATION_SCHEDULE: Cron schedule for expiring pending bookings (default: '*\/5 * * * *' = every 5 minutes)
+ * - BOOKING_COMPLETION_SCHEDULE: Cron schedule for completing bookings (default: '*\/15 * * * *' = every 15 minutes)
+ * - BOOKING_NO_SHOW_SCHEDULE: Cron schedule for marking no-shows (default: '*\/15 * * * *' = every 15 minutes)
+ * - SLOT_HOLD_EXPIRATION_SCHEDULE: Cron schedule for expiring slot holds (default: '* * * * *' = every minute)
+ * - IDEMPOTENCY_PURGE_SCHEDULE: Cron schedule for purging expired idempotency keys (default: '0 * * * *' = hourly)
+ * - CALENDAR_IMPORT_SYNC_SCHEDULE: Cron schedule for re-reading calendar import files (default: '30 * * * *' = hourly at :30)
+ * - BOOKING_LIFECYCLE_BATCH_SIZE: Bookings processed per batch (default: 100)
+ * - BOOKING_LIFECYCLE_ON_STARTUP: Run all tasks on server startup (default: true)
+ */
+
+const cron = require('node-cron');
+const { expirePendingBookings } = require('./bookingExpirationService');
+const { completeFinishedBookings, markNoShowBookings } = require('./bookingCompletionService');
+const { expireLapsedOffers } = require('./waitlistService');
+const { expireLapsedHolds } = require('./slotHoldService');
+const { syncFileSources } = require('./calendarImportService');
+const JobRun = require('../models/JobRun');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Configuration from environment variables
+const JOB_ENABLED = process.env.BOOKING_LIFECYCLE_JOB_ENABLED !== 'false'; // Default: true
+const EXPIRATION_SCHEDULE = process.env.BOOKING_EXPIRATION_SCHEDULE || '*/5 * * * *'; // Default: every 5 minutes
+const COMPLETION_SCHEDULE = process.env.BOOKING_COMPLETION_SCHEDULE || '*/15 * * * *'; // Default: every 15 minutes
+const NO_SHOW_SCHEDULE = process.env.BOOKING_NO_SHOW_SCHEDULE || '*/15 * * * *'; // Default: every 15 minutes
+const SLOT_HOLD_EXPIRATION_SCHEDULE = process.env.SLOT_HOLD_EXPIRATION_SCHEDULE || '* * * * *'; // Default: every minute
+const IDEMPOTENCY_PURGE_SCHEDULE = process.env.IDEMPOTENCY_PURGE_SCHEDULE || '0 * * * *'; // Default: hourly
+const CALENDAR_IMPORT_SYNC_SCHEDULE = process.env.CALENDAR_IMPORT_SYNC_SCHEDULE || '30 * * * *'; // Default: hourly at :30
+const BATCH_SIZE = parseInt(process.env.BOOKING_LIFECYCLE_BATCH_SIZE || '100', 10);
+const RUN_ON_STARTUP = process.env.BOOKING_LIFECYCLE_ON_STARTUP !== 'false'; // Default: true
+
+const JOB_NAME = 'booking_lifecycle';
+
+// Safety limit so one run cannot loop forever on a huge backlog
+const MAX_BATCHES_PER_RUN = 50;
+
+/**
+ * Task definitions: name -> { schedule, defaultSchedule, handler }
+ */
+const TASKS = {
+  expire_pending: {
+    schedule: EXPIRATION_SCHEDULE,
+    defaultSchedule: '*/5 * * * *',
+    handler: async () => {
+      let expiredCount = 0;
+      let batches = 0;
+      let result;
+
+      do {
+        result = await expirePendingBookings({ batchSize: BATCH_SIZE });
+        expiredCount += result.expiredCount;
+        batches++;
+      } while (result.expiredCount === BATCH_SIZE && batches < MAX_BATCHES_PER_RUN);
+
+      const waitlistResult = await expireLapsedOffers();
+
+      return {
+        processedCount: expiredCount,
+        details: {
+          expiredCount,
+          batches,
+          waitlistOffersExpired: waitlistResult.expiredCount,
+          waitlistOffersMade: waitlistResult.offeredCount
+        }
+      };
+    }
+  },
+  complete_confirmed: {
+    schedule: COMPLETION_SCHEDULE,
+    defaultSchedule: '*/15 * * * *',
+    handler: async () => {
+      let completedCount = 0;
+      let batches = 0;
+      let result;
+
+      do {
+        result = await completeFinishedBookings({ batchSize: BATCH_SIZE });
+        completedCount += result.completedCount;
+        batches++;
+      } while (result.completedCount === BATCH_SIZE && batches < MAX_BATCHES_PER_RUN);
+
+      return {
+        processedCount: completedCount,
+        details: { completedCount, batches }
+      };
+    }
+  },
+  mark_no_shows: {
+    schedule: NO_SHOW_SCHEDULE,
+    defaultSchedule: '*/15 * * * *',
+    handler: async () => {
+      let noShowCount = 0;
+      let batches = 0;
+      let result;
+
+      do {
+        result = await markNoShowBookings({ batchSize: BATCH_SIZE });
+        noShowCount += result.noShowCount;
+        batches++;
+      } while (result.noShowCount === BATCH_SIZE && batches < MAX_BATCHES_PER_RUN);
+
+      return {
+        processedCount: noShowCount,
+        details: { noShowCount, batches }
+      };
+    }
+  },
+  expire_slot_holds: {
+    schedule: SLOT_HOLD_EXPIRATION_SCHEDULE,
+    defaultSchedule: '* * * * *',
+    handler: async () => {
+      const result = await expireLapsedHolds();
+
+      return {
+        processedCount: result.expiredCount,
+        details: {
+          expiredCount: result.expiredCount,
+          waitlistOffersMade: result.offeredCount
+        }
+      };
+    }
+  },
+  purge_idempotency_keys: {
+    schedule: IDEMPOTENCY_PURGE_SCHEDULE,
+    defaultSchedule: '0 * * * *',
+    handler: async () => {
+      const deletedCount = await IdempotencyKey.deleteExpired();
+
+      return {
+        processedCount: deletedCount,
+        details: { deletedCount }
+      };
+    }
+  },
+  sync_calendar_imports: {
+    schedule: CALENDAR_IMPORT_SYNC_SCHEDULE,
+    defaultSchedule: '30 * * * *',
+    handler: async () => {
+      const result = await syncFileSources();
+
+      return {
+        processedCount: result.syncedCount,
+        details: { syncedCount: result.syncedCount, failedCount: result.failedCount }
+      };
+    }
+  }
+};
+
+const scheduledJobs = {};
+const runningTasks = new Set();
+const lastResults = {};
+
+/**
+ * Run one lifecycle task once
+ * @param {string} taskName - Task name ('expire_pending', 'complete_confirmed', 'mark_no_shows', 'expire_slot_holds', 'purge_idempotency_keys' or 'sync_calendar_imports')
+ * @param {string} [triggerType='manual'] - 'schedule', 'startup' or 'manual'
+ * @returns {Promise<Object>} Task result
+ */
+const runTask = async (taskName, triggerType = 'manual') => {
+  const task = TASKS[taskName];
+  if (!task) {
+    const error = new Error(`Unknown booking lifecycle task: ${taskName}. Must be one of: ${Object.keys(TASKS).join(', ')}`);
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_TASK';
+    throw error;
+  }
+
+  // Skip if the previous run of this task is still going
+  if (runningTasks.has(taskName)) {
+    console.log(`[Booking Lifecycle] ⏭️  ${taskName} is already running, skipping`);
+    return { success: false, taskName, skipped: true, reason: 'Task is already running' };
+  }
+
+  runningTasks.add(taskName);
+  let run = null;
+
+  try {
+    // Run history is best-effort: a history failure must not stop the task
+    run = await JobRun.start(JOB_NAME, taskName, triggerType).catch(error => {
+      console.error(`[Booking Lifecycle] Failed to record run start for ${taskName}:`, error.message);
+      return null;
+    });
+
+    const { processedCount, details } = await task.handler();
+
+    if (run) {
+      await JobRun.finish(run.id, { runStatus: 'succeeded', processedCount, details }).catch(error => {
+        console.error(`[Booking Lifecycle] Failed to record run end for ${taskName}:`, error.message);
+      });
+    }
+
+    console.log(`[Booking Lifecycle] ✅ ${taskName} completed: ${processedCount} booking(s) processed`);
+
+    lastResults[taskName] = { success: true, processedCount, details, finishedAt: new Date() };
+    return { success: true, taskName, runId: run ? run.id : null, processedCount, details };
+  } catch (error) {
+    console.error(`[Booking Lifecycle] ❌ ${taskName} failed:`, error.message);
+
+    if (run) {
+      await JobRun.finish(run.id, { runStatus: 'failed', errorMessage: error.message }).catch(() => {});
+    }
+
+    // Log error but don't throw - we want the job to continue running
+    lastResults[taskName] = { success: false, error: error.message, finishedAt: new Date() };
+    return { success: false, taskName, runId: run ? run.id : null, processedCount: 0, error: error.message };
+  } finally {
+    runningTasks.delete(taskName);
+  }
+};
+
+/**
+ * Run all lifecycle tasks once (expiry first, then completion)
+ * @param {string} [triggerType='manual'] - 'schedule', 'startup' or 'manual'
+ * @returns {Promise<Object>} Results keyed by task name
+ */
+const runAllTasks = async (triggerType = 'manual') => {
+  const results = {};
+  for (const taskName of Object.keys(TASKS)) {
+    results[taskName] = await runTask(taskName, triggerType);
+  }
+  return results;
+};
+
+/**
+ * Start the scheduled lifecycle tasks
+ * @returns {Object|null} Map of cron job instances or null if disabled
+ */
+const startBookingLifecycleJob = () => {
+  if (!JOB_ENABLED) {
+    console.log('[Booking Lifecycle] ⏭️  Lifecycle job is disabled (BOOKING_LIFECYCLE_JOB_ENABLED=false)');
+    return null;
+  }
+
+  for (const [taskName, task] of Object.entries(TASKS)) {
+    let schedule = task.schedule;
+
+    // Validate cron schedule
+    if (!cron.validate(schedule)) {
+      console.error(`[Booking Lifecycle] ❌ Invalid cron schedule for ${taskName}: ${schedule}`);
+      console.error(`[Booking Lifecycle] Using default schedule: ${task.defaultSchedule}`);
+      schedule = task.defaultSchedule;
+    }
+
+    scheduledJobs[taskName] = cron.schedule(schedule, () => runTask(taskName, 'schedule'), {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    console.log(`[Booking Lifecycle] ✅ Scheduled ${taskName} (${schedule})`);
+  }
+
+  return scheduledJobs;
+};
+
+/**
+ * Stop the scheduled lifecycle tasks
+ */
+const stopBookingLifecycleJob = () => {
+  const taskNames = Object.keys(scheduledJobs);
+  if (taskNames.length === 0) {
+    return;
+  }
+
+  for (const taskName of taskNames) {
+    scheduledJobs[taskName].stop();
+    delete scheduledJobs[taskName];
+  }
+  console.log('[Booking Lifecycle] ⏸️  Lifecycle job stopped');
+};
+
+/**
+ * Run all tasks on server startup (if enabled)
+ */
+const runStartupLifecycleTasks = async () => {
+  if (!RUN_ON_STARTUP) {
+    console.log('[Booking Lifecycle] ⏭️  Startup run is disabled (BOOKING_LIFECYCLE_ON_STARTUP=false)');
+    return;
+  }
+
+  if (!JOB_ENABLED) {
+    console.log('[Booking Lifecycle] ⏭️  Skipping startup run (lifecycle job is disabled)');
+    return;
+  }
+
+  console.log('[Booking Lifecycle] 🚀 Running lifecycle tasks on startup...');
+  await runAllTasks('startup');
+};
+
+/**
+ * Get lifecycle job status (configuration, in-memory state and recent run history)
+ * @param {Object} [options] - Options
+ * @param {number} [options.historyLimit=20] - Number of recent runs to include
+ * @returns {Promise<Object>} Status information
+ */
+const getBookingLifecycleJobStatus = async (options = {}) => {
+  const { historyLimit = 20 } = options;
+
+  const tasks = {};
+  for (const [taskName, task] of Object.entries(TASKS)) {
+    tasks[taskName] = {
+      schedule: task.schedule,
+      scheduled: Boolean(scheduledJobs[taskName]),
+      running: runningTasks.has(taskName),
+      lastResult: lastResults[taskName] || null
+    };
+  }
+
+  let recentRuns = [];
+  try {
+    recentRuns = await JobRun.findRecent(JOB_NAME, { limit: historyLimit });
+  } catch (error) {
+    console.error('[Booking Lifecycle] Failed to load run history:', error.message);
+  }
+
+  return {
+    enabled: JOB_ENABLED,
+    batchSize: BATCH_SIZE,
+    runOnStartup: RUN_ON_STARTUP,
+    tasks,
+    recentRuns
+  };
+};
+
+module.exports = {
+  startBookingLifecycleJob,
+  stopBookingLifecycleJob,
+  runTask,
+  runAllTasks,
+  runStartupLifecycleTasks,
+  getBookingLifecycleJobStatus,
+  BOOKING_LIFECYCLE_TASKS: Object.keys(TASKS)
+};
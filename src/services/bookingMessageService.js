@@ -0,0 +1,377 @@
+/**
+ * Booking Message Service
+ *
+ * Message thread between the player and the facility owner of a booking
+ * (payment details, questions) so they no longer have to talk outside the app.
+ *
+ * Architecture:
+ * - Participants are the booking's player and the owner of the booking's
+ *   facility; nobody else can read or post
+ * - Image attachments reuse imageService with the 'booking_message' entity
+ *   type (entity ID = booking ID): the sender creates the image, uploads it to
+ *   S3, confirms the upload, then sends a message referencing the image ID
+ * - Read markers store the last message each participant has read; messages
+ *   from the other side with a higher ID are unread
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BookingMessage = require('../models/BookingMessage');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const Image = require('../models/Image');
+const imageService = require('./imageService');
+
+/**
+ * Entity and image type of message attachments in the images table
+ */
+const ATTACHMENT_ENTITY_TYPE = 'booking_message';
+const ATTACHMENT_IMAGE_TYPE = 'attachment';
+
+/**
+ * UUID format (image IDs)
+ */
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Validate and normalize a new message
+ * @param {Object} input - Message input
+ * @param {string} [input.body] - Message text
+ * @param {Array<string>} [input.attachmentImageIds] - Uploaded attachment image IDs
+ * @returns {Object} Normalized message ({ body, attachmentImageIds })
+ * @throws {Error} VALIDATION_ERROR if the message is empty or invalid
+ */
+function validateMessageInput(input) {
+  const { body, attachmentImageIds = [] } = input;
+
+  if (body !== undefined && body !== null && typeof body !== 'string') {
+    throw validationError('body must be a string');
+  }
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (text.length > bookingRules.MAX_MESSAGE_LENGTH) {
+    throw validationError(`body must be at most ${bookingRules.MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(attachmentImageIds)) {
+    throw validationError('attachmentImageIds must be an array');
+  }
+
+  if (attachmentImageIds.length > bookingRules.MAX_MESSAGE_ATTACHMENTS) {
+    throw validationError(`At most ${bookingRules.MAX_MESSAGE_ATTACHMENTS} images can be attached to a message`);
+  }
+
+  attachmentImageIds.forEach((imageId, index) => {
+    if (typeof imageId !== 'string' || !UUID_REGEX.test(imageId)) {
+      throw validationError(`attachmentImageIds[${index}] must be an image ID`);
+    }
+  });
+
+  const uniqueIds = [...new Set(attachmentImageIds.map(imageId => imageId.toLowerCase()))];
+  if (uniqueIds.length !== attachmentImageIds.length) {
+    throw validationError('attachmentImageIds must not contain duplicates');
+  }
+
+  if (!text && uniqueIds.length === 0) {
+    throw validationError('A message needs a body or at least one attachment');
+  }
+
+  return { body: text || null, attachmentImageIds: uniqueIds };
+}
+
+/**
+ * Attach image objects to messages
+ * @param {Array<Object>} messages - Messages
+ * @param {Array<Object>} images - Attachment images of the thread
+ * @returns {Array<Object>} Messages with attachments (images that are gone are left out)
+ * @private
+ */
+function withAttachments(messages, images) {
+  const imagesById = new Map(images.map(image => [image.id, image]));
+
+  return messages.map(message => ({
+    ...message,
+    attachments: message.attachmentImageIds
+      .filter(imageId => imagesById.has(imageId))
+      .map(imageId => {
+        const image = imagesById.get(imageId);
+        return { id: image.id, publicUrl: image.publicUrl, variants: image.variants };
+      })
+  }));
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a booking and the side of its thread the user is on
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} { booking, role: 'player' | 'facility_admin' }
+ * @throws {Error} If the booking does not exist or the user is not a participant
+ * @private
+ */
+async function getThreadParticipant(bookingId, userId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.statusCode = 404;
+    error.errorCode = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
+
+  if (booking.userId === userId) {
+    return { booking, role: 'player' };
+  }
+
+  const court = await Court.findById(booking.courtId);
+  const facility = court ? await Facility.findById(court.facilityId) : null;
+  if (facility && facility.ownerId === userId) {
+    return { booking, role: 'facility_admin' };
+  }
+
+  const error = new Error('You can only access messages of your own bookings');
+  error.statusCode = 403;
+  error.errorCode = 'FORBIDDEN';
+  throw error;
+}
+
+/**
+ * Load the uploaded attachments of a booking thread
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Image objects
+ * @private
+ */
+async function getThreadImages(bookingId) {
+  // Attachments are private to the thread, so they are shown while moderation is pending
+  return Image.findByEntity(ATTACHMENT_ENTITY_TYPE, bookingId, {
+    imageType: ATTACHMENT_IMAGE_TYPE,
+    uploadStatus: 'uploaded',
+    includePending: true
+  });
+}
+
+/**
+ * Check that images can be attached to a new message of the thread
+ * @param {Object} client - Database client (in a transaction)
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - Sender user ID
+ * @param {Array<string>} imageIds - Attachment image IDs
+ * @returns {Promise<void>}
+ * @throws {Error} If an image is missing, not the sender's upload for this thread, or already sent
+ * @private
+ */
+async function assertAttachable(client, bookingId, userId, imageIds) {
+  if (imageIds.length === 0) {
+    return;
+  }
+
+  for (const imageId of imageIds) {
+    const image = await Image.findById(imageId);
+
+    if (!image || image.isDeleted) {
+      const error = new Error(`Image ${imageId} not found`);
+      error.statusCode = 404;
+      error.errorCode = 'IMAGE_NOT_FOUND';
+      throw error;
+    }
+
+    if (
+      image.entityType !== ATTACHMENT_ENTITY_TYPE ||
+      image.entityId !== bookingId ||
+      image.imageType !== ATTACHMENT_IMAGE_TYPE ||
+      image.createdBy !== userId
+    ) {
+      const error = new Error(`Image ${imageId} is not an attachment you uploaded for this booking`);
+      error.statusCode = 400;
+      error.errorCode = 'INVALID_ATTACHMENT';
+      throw error;
+    }
+
+    if (image.uploadStatus !== 'uploaded') {
+      const error = new Error(`Image ${imageId} has not been uploaded yet. Confirm the upload before sending it.`);
+      error.statusCode = 400;
+      error.errorCode = 'ATTACHMENT_NOT_UPLOADED';
+      throw error;
+    }
+  }
+
+  const alreadySent = await BookingMessage.findAttachedImageIds(bookingId, imageIds, client);
+  if (alreadySent.length > 0) {
+    const error = new Error(`Image ${alreadySent[0]} was already sent in another message`);
+    error.statusCode = 409;
+    error.errorCode = 'ATTACHMENT_ALREADY_SENT';
+    throw error;
+  }
+}
+
+/**
+ * Create an attachment image record for a booking thread
+ * Follow with the standard upload flow (presign, upload, confirm-upload) and
+ * send the image ID with the message.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID (thread participant)
+ * @param {string} userRole - User role
+ * @returns {Promise<Object>} Created image object
+ * @throws {Error} If the user is not a participant or the thread's image limit is reached
+ */
+async function createAttachment(bookingId, userId, userRole) {
+  await getThreadParticipant(bookingId, userId);
+
+  return imageService.createImage(
+    {
+      entityType: ATTACHMENT_ENTITY_TYPE,
+      entityId: bookingId,
+      imageType: ATTACHMENT_IMAGE_TYPE
+    },
+    userId,
+    userRole
+  );
+}
+
+/**
+ * Post a message to a booking thread
+ * The sender's read marker moves to their own message.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - Sender user ID (thread participant)
+ * @param {Object} input - Message input ({ body?, attachmentImageIds? })
+ * @returns {Promise<Object>} Created message with attachments
+ * @throws {Error} If validation fails, the user is not a participant, or an attachment is invalid
+ */
+async function postMessage(bookingId, userId, input) {
+  const { body, attachmentImageIds } = validateMessageInput(input);
+  const { role } = await getThreadParticipant(bookingId, userId);
+
+  const client = await pool.connect();
+  let message;
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize posts to the thread so an image cannot be sent twice
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+    await assertAttachable(client, bookingId, userId, attachmentImageIds);
+
+    message = await BookingMessage.create({
+      bookingId,
+      senderId: userId,
+      senderRole: role,
+      body,
+      attachmentImageIds
+    }, client);
+
+    await BookingMessage.markRead(bookingId, userId, message.id, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const images = attachmentImageIds.length > 0 ? await getThreadImages(bookingId) : [];
+  return withAttachments([message], images)[0];
+}
+
+/**
+ * Get the messages of a booking thread
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID (thread participant)
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.limit] - Number of messages (default DEFAULT_MESSAGE_PAGE_SIZE)
+ * @param {number} [options.beforeId] - Only messages older than this message ID (next page)
+ * @returns {Promise<Object>} Object with messages (oldest first), role, lastReadMessageId and unreadCount
+ * @throws {Error} If the user is not a participant
+ */
+async function getMessages(bookingId, userId, options = {}) {
+  const { limit = bookingRules.DEFAULT_MESSAGE_PAGE_SIZE, beforeId = null } = options;
+  const { role } = await getThreadParticipant(bookingId, userId);
+
+  const [messages, lastReadMessageId, unreadCounts] = await Promise.all([
+    BookingMessage.findByBookingId(bookingId, { limit, beforeId }),
+    BookingMessage.getLastReadMessageId(bookingId, userId),
+    BookingMessage.getUnreadCounts([bookingId], userId)
+  ]);
+
+  const hasAttachments = messages.some(message => message.attachmentImageIds.length > 0);
+  const images = hasAttachments ? await getThreadImages(bookingId) : [];
+
+  return {
+    messages: withAttachments(messages, images),
+    role,
+    lastReadMessageId,
+    unreadCount: unreadCounts.get(bookingId) || 0
+  };
+}
+
+/**
+ * Mark a booking thread as read
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID (thread participant)
+ * @param {number} [messageId] - Last message read (default: latest message of the thread)
+ * @returns {Promise<Object>} Object with lastReadMessageId and unreadCount
+ * @throws {Error} If the user is not a participant
+ */
+async function markThreadRead(bookingId, userId, messageId = null) {
+  await getThreadParticipant(bookingId, userId);
+
+  const latestMessageId = await BookingMessage.getLatestMessageId(bookingId);
+  const readUpTo = messageId === null ? latestMessageId : Math.min(messageId, latestMessageId);
+
+  const lastReadMessageId = await BookingMessage.markRead(bookingId, userId, readUpTo);
+  const unreadCounts = await BookingMessage.getUnreadCounts([bookingId], userId);
+
+  return {
+    lastReadMessageId,
+    unreadCount: unreadCounts.get(bookingId) || 0
+  };
+}
+
+/**
+ * Count unread messages for a user over a list of bookings
+ * Callers must only pass bookings the user participates in.
+ *
+ * @param {Array<number>} bookingIds - Booking IDs
+ * @param {number} userId - User ID
+ * @returns {Promise<Map<number, number>>} Unread count by booking ID (missing = 0)
+ */
+async function getUnreadCounts(bookingIds, userId) {
+  return BookingMessage.getUnreadCounts(bookingIds, userId);
+}
+
+module.exports = {
+  createAttachment,
+  postMessage,
+  getMessages,
+  markThreadRead,
+  getUnreadCounts
+};
@@ -0,0 +1,138 @@
+/**
+ * Booking Notification Service
+ *
+ * Sends booking-related emails to players (waitlist offers, facility
+ * cancellations, ...).
+ *
+ * Notifications are best-effort: failures are logged and never propagate,
+ * so a mail outage cannot roll back or fail a booking operation.
+ */
+
+const emailService = require('./emailService');
+const User = require('../models/User');
+const Court = require('../models/Court');
+const { formatTimeString } = require('../utils/timeNormalization');
+const { DEFAULT_VALUES } = require('./emailTemplateService');
+
+/**
+ * Format a date as YYYY-MM-DD for display
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Escape text for an HTML email body
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send an email to a user, logging (not throwing) on failure
+ * @param {number} userId - Recipient user ID
+ * @param {string} subject - Email subject
+ * @param {Function} buildBody - (greeting) => { html, text }
+ * @returns {Promise<boolean>} True if the email was sent
+ * @private
+ */
+async function sendToUser(userId, subject, buildBody) {
+  try {
+    const user = await User.findById(userId);
+    if (!user || !user.email) {
+      return false;
+    }
+
+    const greeting = user.first_name ? `Hello ${user.first_name},` : 'Hello,';
+    const { html, text } = buildBody(greeting);
+
+    await emailService.sendEmail(user.email, subject, html, text);
+    return true;
+  } catch (error) {
+    console.error(`[BookingNotification] Failed to send "${subject}" to user ${userId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Notify a waitlisted player that their range is free and reserved for them
+ * @param {Object} entry - Offered waitlist entry (from WaitlistEntry model)
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function notifyWaitlistOffer(entry) {
+  const court = await Court.findById(entry.courtId).catch(() => null);
+  const courtName = court ? court.name : `Court #${entry.courtId}`;
+  const slot = `${formatDate(entry.bookingDate)} ${formatTimeString(entry.startTime)}-${formatTimeString(entry.endTime)}`;
+  const claimUntil = entry.claimExpiresAt.toISOString();
+
+  return sendToUser(entry.userId, `A slot you were waiting for is available`, (greeting) => ({
+    html: `<p>${greeting}</p>` +
+      `<p><strong>${courtName}</strong> is now available on <strong>${slot}</strong>.</p>` +
+      `<p>It is reserved for you until ${claimUntil}. Open ${DEFAULT_VALUES.BRAND_NAME} to claim it before then.</p>`,
+    text: `${greeting}\n\n${courtName} is now available on ${slot}.\n\n` +
+      `It is reserved for you until ${claimUntil}. Open ${DEFAULT_VALUES.BRAND_NAME} to claim it before then.`
+  }));
+}
+
+/**
+ * Notify a player that the facility cancelled their booking (e.g. court blocked)
+ * @param {Object} booking - Cancelled booking (from Booking model)
+ * @param {string} reason - Cancellation reason shown to the player
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function notifyBookingCancelledByFacility(booking, reason) {
+  const court = await Court.findById(booking.courtId).catch(() => null);
+  const courtName = court ? court.name : `Court #${booking.courtId}`;
+  const slot = `${formatDate(booking.bookingDate)} ${formatTimeString(booking.startTime)}-${formatTimeString(booking.endTime)}`;
+  const refund = booking.refundAmount > 0 ? ` A refund of ${booking.refundAmount.toFixed(2)} will be issued.` : '';
+
+  return sendToUser(booking.userId, `Your booking has been cancelled by the facility`, (greeting) => ({
+    html: `<p>${greeting}</p>` +
+      `<p>Your booking for <strong>${courtName}</strong> on <strong>${slot}</strong> has been cancelled by the facility.</p>` +
+      `<p>Reason: ${escapeHtml(reason)}</p>` +
+      `<p>We are sorry for the inconvenience.${refund}</p>`,
+    text: `${greeting}\n\nYour booking for ${courtName} on ${slot} has been cancelled by the facility.\n\n` +
+      `Reason: ${reason}\n\nWe are sorry for the inconvenience.${refund}`
+  }));
+}
+
+/**
+ * Notify a user that they were invited to join a booking
+ * @param {Object} booking - Booking (from Booking model)
+ * @param {number} invitedUserId - Invited user ID
+ * @param {Object} inviter - Booker (user row)
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+async function notifyParticipantInvited(booking, invitedUserId, inviter) {
+  const court = await Court.findById(booking.courtId).catch(() => null);
+  const courtName = court ? court.name : `Court #${booking.courtId}`;
+  const slot = `${formatDate(booking.bookingDate)} ${formatTimeString(booking.startTime)}-${formatTimeString(booking.endTime)}`;
+  const inviterName = [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.username;
+  // Profile names are user input: no line breaks in the subject header
+  const subjectName = inviterName.replace(/[\r\n]+/g, ' ');
+
+  return sendToUser(invitedUserId, `${subjectName} invited you to a game`, (greeting) => ({
+    html: `<p>${greeting}</p>` +
+      `<p>${escapeHtml(inviterName)} invited you to join their booking for <strong>${courtName}</strong> on <strong>${slot}</strong>.</p>` +
+      `<p>Open ${DEFAULT_VALUES.BRAND_NAME} to accept or decline.</p>`,
+    text: `${greeting}\n\n${inviterName} invited you to join their booking for ${courtName} on ${slot}.\n\n` +
+      `Open ${DEFAULT_VALUES.BRAND_NAME} to accept or decline.`
+  }));
+}
+
+module.exports = {
+  notifyWaitlistOffer,
+  notifyBookingCancelledByFacility,
+  notifyParticipantInvited
+};
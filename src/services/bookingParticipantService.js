@@ -0,0 +1,581 @@
+/**
+ * Booking Participant Service
+ *
+ * Participants of a booking and the split of its price.
+ *
+ * Architecture:
+ * - The booker (bookings.user_id) invites users by username or email; an
+ *   invitee accepts or declines. A declined user can be invited again
+ * - The booker splits final_price between themselves and the accepted
+ *   participants, equally or with custom amounts that add up to the price.
+ *   Shares are replaced as a whole, so a split can only be redone while no
+ *   share has been paid
+ * - The booker records each share's payment (participants pay the booker,
+ *   the booker pays the facility)
+ * - Participants see the booking in GET /users/bookings with role 'participant'
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BookingParticipant = require('../models/BookingParticipant');
+const BookingCostShare = require('../models/BookingCostShare');
+const OpenGame = require('../models/OpenGame');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const bookingNotificationService = require('./bookingNotificationService');
+const { sanitizeEmail } = require('../utils/validation');
+
+/**
+ * Booking statuses that still accept participants and splits
+ */
+const OPEN_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Invitation statuses that count as taking part in the booking
+ */
+const ACTIVE_INVITATION_STATUSES = ['invited', 'accepted'];
+
+/**
+ * Split modes
+ */
+const SPLIT_MODES = ['equal', 'custom'];
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Convert an amount to whole cents
+ * @param {number} amount - Amount
+ * @returns {number} Cents
+ * @private
+ */
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Validate and normalize invitee identifiers (usernames or emails)
+ * @param {Array<string>} identifiers - Usernames or emails
+ * @returns {Array<Object>} Lookups ({ identifier, email } or { identifier, username }), without duplicates
+ * @throws {Error} VALIDATION_ERROR if the list or an identifier is invalid
+ */
+function normalizeIdentifiers(identifiers) {
+  if (!Array.isArray(identifiers) || identifiers.length === 0) {
+    throw validationError('identifiers must be a non-empty array of usernames or emails');
+  }
+
+  if (identifiers.length > bookingRules.MAX_BOOKING_PARTICIPANTS) {
+    throw validationError(`At most ${bookingRules.MAX_BOOKING_PARTICIPANTS} participants can be invited`);
+  }
+
+  const seen = new Set();
+  const lookups = [];
+
+  identifiers.forEach((identifier, index) => {
+    if (typeof identifier !== 'string' || !identifier.trim()) {
+      throw validationError(`identifiers[${index}] must be a username or email`);
+    }
+
+    const value = identifier.trim();
+    const lookup = value.includes('@')
+      ? { identifier: value, email: sanitizeEmail(value) }
+      : { identifier: value, username: value };
+
+    const key = lookup.email || `username:${lookup.username}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      lookups.push(lookup);
+    }
+  });
+
+  return lookups;
+}
+
+/**
+ * Split an amount equally between users
+ * Cents that do not divide evenly go to the first users (the booker comes first).
+ * @param {number} totalPrice - Amount to split
+ * @param {Array<number>} userIds - Users sharing the amount
+ * @returns {Array<Object>} Shares ({ userId, amount })
+ */
+function computeEqualShares(totalPrice, userIds) {
+  const totalCents = toCents(totalPrice);
+  const baseCents = Math.floor(totalCents / userIds.length);
+  const remainder = totalCents - baseCents * userIds.length;
+
+  return userIds.map((userId, index) => ({
+    userId,
+    amount: (baseCents + (index < remainder ? 1 : 0)) / 100
+  }));
+}
+
+/**
+ * Validate custom shares against the booking price
+ * @param {Array<Object>} shares - Shares ({ userId, amount })
+ * @param {number} totalPrice - Booking price
+ * @param {Array<number>} eligibleUserIds - Booker and accepted participants
+ * @returns {Array<Object>} Normalized shares ({ userId, amount })
+ * @throws {Error} VALIDATION_ERROR or SHARES_TOTAL_MISMATCH
+ */
+function validateCustomShares(shares, totalPrice, eligibleUserIds) {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw validationError('shares must be a non-empty array for a custom split');
+  }
+
+  const seen = new Set();
+  const normalized = shares.map((share, index) => {
+    const userId = Number(share && share.userId);
+    if (!Number.isInteger(userId) || !eligibleUserIds.includes(userId)) {
+      throw validationError(`shares[${index}].userId must be the booker or an accepted participant`);
+    }
+    if (seen.has(userId)) {
+      throw validationError(`User ${userId} appears more than once in shares`);
+    }
+    seen.add(userId);
+
+    const amount = Number(share.amount);
+    if (!Number.isFinite(amount) || amount < 0 || Math.abs(amount * 100 - toCents(amount)) > 1e-6) {
+      throw validationError(`shares[${index}].amount must be a non-negative amount with at most 2 decimals`);
+    }
+
+    return { userId, amount };
+  });
+
+  const totalCents = normalized.reduce((sum, share) => sum + toCents(share.amount), 0);
+  if (totalCents !== toCents(totalPrice)) {
+    const error = new Error(`Shares add up to ${(totalCents / 100).toFixed(2)} but the booking costs ${totalPrice.toFixed(2)}`);
+    error.statusCode = 400;
+    error.errorCode = 'SHARES_TOTAL_MISMATCH';
+    throw error;
+  }
+
+  return normalized;
+}
+
+/**
+ * Summarize the payment of the shares
+ * @param {Array<Object>} shares - Shares
+ * @returns {Object} { totalShared, paid, outstanding }
+ * @private
+ */
+function summarizeShares(shares) {
+  const paidCents = shares
+    .filter(share => share.paymentStatus === 'paid')
+    .reduce((sum, share) => sum + toCents(share.amount), 0);
+  const totalCents = shares.reduce((sum, share) => sum + toCents(share.amount), 0);
+
+  return {
+    totalShared: totalCents / 100,
+    paid: paidCents / 100,
+    outstanding: (totalCents - paidCents) / 100
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a booking or throw BOOKING_NOT_FOUND
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} Booking object
+ * @private
+ */
+async function getBookingOrThrow(bookingId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.statusCode = 404;
+    error.errorCode = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
+  return booking;
+}
+
+/**
+ * Load a booking and verify the user is its booker
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request
+ * @param {string} action - What the user tries to do (for the error message)
+ * @returns {Promise<Object>} Booking object
+ * @private
+ */
+async function getOwnedBooking(bookingId, userId, action) {
+  const booking = await getBookingOrThrow(bookingId);
+
+  if (booking.userId !== userId) {
+    const error = new Error(`Only the booker can ${action}`);
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return booking;
+}
+
+/**
+ * Verify that a booking still accepts participants and splits
+ * @param {Object} booking - Booking object
+ * @returns {void}
+ * @throws {Error} INVALID_BOOKING_STATUS
+ * @private
+ */
+function assertBookingOpen(booking) {
+  if (!OPEN_BOOKING_STATUSES.includes(booking.bookingStatus)) {
+    const error = new Error(`Participants cannot be changed on a ${booking.bookingStatus} booking`);
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_BOOKING_STATUS';
+    throw error;
+  }
+}
+
+/**
+ * Find the users to invite
+ * @param {Array<Object>} lookups - Normalized identifiers
+ * @returns {Promise<Array<Object>>} User rows, in lookup order
+ * @throws {Error} PARTICIPANT_NOT_FOUND if an identifier matches no active user
+ * @private
+ */
+async function findInvitees(lookups) {
+  const users = [];
+
+  for (const lookup of lookups) {
+    const user = lookup.email
+      ? await User.findByEmail(lookup.email)
+      : await User.findByUsername(lookup.username);
+
+    if (!user || user.is_active === false) {
+      const error = new Error(`No active user found for "${lookup.identifier}"`);
+      error.statusCode = 404;
+      error.errorCode = 'PARTICIPANT_NOT_FOUND';
+      throw error;
+    }
+
+    users.push(user);
+  }
+
+  return users;
+}
+
+/**
+ * Check that an open game still has a seat (no-op for bookings that were never opened)
+ * Call with the booking locked in the same transaction.
+ * @param {Object} client - Database client (in a transaction)
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<void>}
+ * @throws {Error} GAME_FULL if every seat is taken
+ */
+async function assertSeatAvailable(client, bookingId) {
+  const game = await OpenGame.findByBookingId(bookingId, client);
+  if (!game) {
+    return;
+  }
+
+  // The organizer takes one seat
+  const playerCount = 1 + await BookingParticipant.countAccepted(bookingId, client);
+  if (playerCount >= game.maxPlayers) {
+    const error = new Error('This game is full');
+    error.statusCode = 409;
+    error.errorCode = 'GAME_FULL';
+    throw error;
+  }
+}
+
+/**
+ * Get the participants and cost shares of a booking
+ * Visible to the booker, invited/accepted participants and the facility owner.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Object with bookingId, finalPrice, participants, shares and summary
+ * @throws {Error} If the booking is not found or the user may not see it
+ */
+async function getParticipants(bookingId, userId) {
+  const booking = await getBookingOrThrow(bookingId);
+
+  const [participants, shares] = await Promise.all([
+    BookingParticipant.findByBookingId(bookingId),
+    BookingCostShare.findByBookingId(bookingId)
+  ]);
+
+  const isParticipant = participants.some(participant =>
+    participant.userId === userId && ACTIVE_INVITATION_STATUSES.includes(participant.invitationStatus)
+  );
+
+  if (booking.userId !== userId && !isParticipant) {
+    const court = await Court.findById(booking.courtId);
+    const facility = court ? await Facility.findById(court.facilityId) : null;
+    if (!facility || facility.ownerId !== userId) {
+      const error = new Error('You can only view participants of bookings you take part in');
+      error.statusCode = 403;
+      error.errorCode = 'FORBIDDEN';
+      throw error;
+    }
+  }
+
+  return {
+    bookingId,
+    bookerId: booking.userId,
+    finalPrice: booking.finalPrice,
+    participants,
+    shares,
+    summary: summarizeShares(shares)
+  };
+}
+
+/**
+ * Invite users to a booking
+ * Users who already have an open or accepted invitation are left as they are.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} ownerId - Booker user ID
+ * @param {Array<string>} identifiers - Usernames or emails
+ * @returns {Promise<Object>} Object with invited (new invitations) and participants (all)
+ * @throws {Error} If validation fails, a user is not found, or the participant limit is exceeded
+ */
+async function inviteParticipants(bookingId, ownerId, identifiers) {
+  const lookups = normalizeIdentifiers(identifiers);
+  const booking = await getOwnedBooking(bookingId, ownerId, 'invite participants');
+  assertBookingOpen(booking);
+
+  const invitees = await findInvitees(lookups);
+  if (invitees.some(user => user.id === ownerId)) {
+    throw validationError('You cannot invite yourself to your own booking');
+  }
+
+  const client = await pool.connect();
+  const invited = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize invitations so the participant limit holds
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+    const existing = await BookingParticipant.findByBookingId(bookingId, client);
+    const activeUserIds = new Set(existing
+      .filter(participant => ACTIVE_INVITATION_STATUSES.includes(participant.invitationStatus))
+      .map(participant => participant.userId));
+
+    const newUsers = invitees.filter(user => !activeUserIds.has(user.id));
+    if (activeUserIds.size + newUsers.length > bookingRules.MAX_BOOKING_PARTICIPANTS) {
+      const error = new Error(`A booking can have at most ${bookingRules.MAX_BOOKING_PARTICIPANTS} participants`);
+      error.statusCode = 409;
+      error.errorCode = 'PARTICIPANT_LIMIT_REACHED';
+      throw error;
+    }
+
+    for (const user of newUsers) {
+      const invitation = await BookingParticipant.invite(bookingId, user.id, ownerId, client);
+      if (invitation) {
+        invited.push(invitation);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Let the invitees know (best-effort)
+  if (invited.length > 0) {
+    const inviter = await User.findById(ownerId);
+    await Promise.all(invited.map(invitation =>
+      bookingNotificationService.notifyParticipantInvited(booking, invitation.userId, inviter)
+    ));
+  }
+
+  return {
+    invited,
+    participants: await BookingParticipant.findByBookingId(bookingId)
+  };
+}
+
+/**
+ * Accept or decline an invitation to a booking
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - Invited user ID
+ * @param {string} response - 'accept' or 'decline'
+ * @returns {Promise<Object>} Updated participant object
+ * @throws {Error} If there is no open invitation or the booking is closed
+ */
+async function respondToInvitation(bookingId, userId, response) {
+  const booking = await getBookingOrThrow(bookingId);
+
+  const invitation = await BookingParticipant.findByBookingAndUser(bookingId, userId);
+  if (!invitation) {
+    const error = new Error('You have not been invited to this booking');
+    error.statusCode = 404;
+    error.errorCode = 'INVITATION_NOT_FOUND';
+    throw error;
+  }
+
+  if (invitation.invitationStatus !== 'invited') {
+    const error = new Error(`Invitation is no longer open (status: ${invitation.invitationStatus})`);
+    error.statusCode = 400;
+    error.errorCode = 'INVITATION_ALREADY_ANSWERED';
+    throw error;
+  }
+
+  if (response === 'decline') {
+    return BookingParticipant.respond(bookingId, userId, 'declined');
+  }
+
+  assertBookingOpen(booking);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize with other joins so an open game cannot be overfilled
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+    await assertSeatAvailable(client, bookingId);
+
+    const participant = await BookingParticipant.respond(bookingId, userId, 'accepted', client);
+
+    await client.query('COMMIT');
+
+    return participant;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Split the booking price between the booker and accepted participants
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} ownerId - Booker user ID
+ * @param {Object} splitData - Split data
+ * @param {string} splitData.mode - 'equal' (booker and all accepted participants) or 'custom'
+ * @param {Array<Object>} [splitData.shares] - Custom shares ({ userId, amount }), must add up to final_price
+ * @returns {Promise<Object>} Participants and shares (as getParticipants)
+ * @throws {Error} If validation fails, the booking is closed, or a share was already paid
+ */
+async function splitCost(bookingId, ownerId, splitData) {
+  const { mode, shares } = splitData;
+
+  if (!SPLIT_MODES.includes(mode)) {
+    throw validationError(`mode must be one of: ${SPLIT_MODES.join(', ')}`);
+  }
+
+  const booking = await getOwnedBooking(bookingId, ownerId, 'split the cost');
+  assertBookingOpen(booking);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+    const existingShares = await BookingCostShare.findByBookingId(bookingId, client);
+    if (existingShares.some(share => share.paymentStatus === 'paid')) {
+      const error = new Error('Some shares are already paid. Mark them unpaid before splitting again.');
+      error.statusCode = 409;
+      error.errorCode = 'SHARES_ALREADY_PAID';
+      throw error;
+    }
+
+    const participants = await BookingParticipant.findByBookingId(bookingId, client);
+    const eligibleUserIds = [
+      ownerId,
+      ...participants
+        .filter(participant => participant.invitationStatus === 'accepted')
+        .map(participant => participant.userId)
+    ];
+
+    const newShares = mode === 'equal'
+      ? computeEqualShares(booking.finalPrice, eligibleUserIds)
+      : validateCustomShares(shares, booking.finalPrice, eligibleUserIds);
+
+    await BookingCostShare.replaceForBooking(bookingId, newShares, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getParticipants(bookingId, ownerId);
+}
+
+/**
+ * Record whether a share has been paid to the booker
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} ownerId - Booker user ID
+ * @param {number} shareUserId - User the share belongs to
+ * @param {string} paymentStatus - 'paid' or 'unpaid'
+ * @returns {Promise<Object>} Updated share object
+ * @throws {Error} If the user is not the booker or the share does not exist
+ */
+async function updateSharePaymentStatus(bookingId, ownerId, shareUserId, paymentStatus) {
+  if (!BookingCostShare.PAYMENT_STATUSES.includes(paymentStatus)) {
+    throw validationError(`paymentStatus must be one of: ${BookingCostShare.PAYMENT_STATUSES.join(', ')}`);
+  }
+
+  await getOwnedBooking(bookingId, ownerId, 'record share payments');
+
+  const share = await BookingCostShare.updatePaymentStatus(bookingId, shareUserId, paymentStatus, ownerId);
+  if (!share) {
+    const error = new Error('This user has no share of the booking');
+    error.statusCode = 404;
+    error.errorCode = 'SHARE_NOT_FOUND';
+    throw error;
+  }
+
+  return share;
+}
+
+/**
+ * Check whether a user takes part in a booking (open or accepted invitation)
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the user is an invited or accepted participant
+ */
+async function isParticipant(bookingId, userId) {
+  const participant = await BookingParticipant.findByBookingAndUser(bookingId, userId);
+  return Boolean(participant && ACTIVE_INVITATION_STATUSES.includes(participant.invitationStatus));
+}
+
+module.exports = {
+  getParticipants,
+  inviteParticipants,
+  respondToInvitation,
+  splitCost,
+  updateSharePaymentStatus,
+  isParticipant,
+  assertSeatAvailable,
+  SPLIT_MODES
+};
@@ -0,0 +1,575 @@
+/**
+ * Booking Policy Service
+ *
+ * Business logic for managing booking policies (booking_policies table).
+ *
+ * Policies exist at two levels:
+ * - Facility-level: applies to every court of the facility
+ * - Court-level: overrides the facility policy for one court
+ *
+ * Every value is optional: NULL means "inherit" from the next level, ending
+ * at the system defaults in bookingRules.js. resolveEffectivePolicy is the
+ * single place that performs this court -> facility -> default merge.
+ */
+
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const BookingPolicy = require('../models/BookingPolicy');
+const bookingRules = require('../config/bookingRules');
+const { validateCancellationTiers } = require('./cancellationPolicyService');
+
+/**
+ * Validation limits for integer policy values
+ * multipleOf: value must align to this step (booking durations follow TIME_GRANULARITY)
+ */
+const INTEGER_FIELD_LIMITS = {
+  maxAdvanceBookingDays: {
+    min: 1,
+    max: bookingRules.MAX_POLICY_ADVANCE_BOOKING_DAYS
+  },
+  minBookingDurationMinutes: {
+    min: bookingRules.MIN_BOOKING_DURATION_MINUTES,
+    max: bookingRules.MAX_POLICY_BOOKING_DURATION_MINUTES,
+    multipleOf: bookingRules.TIME_GRANULARITY_MINUTES
+  },
+  maxBookingDurationMinutes: {
+    min: bookingRules.MIN_BOOKING_DURATION_MINUTES,
+    max: bookingRules.MAX_POLICY_BOOKING_DURATION_MINUTES,
+    multipleOf: bookingRules.TIME_GRANULARITY_MINUTES
+  },
+  bookingBufferMinutes: {
+    min: 0,
+    max: bookingRules.MAX_POLICY_BOOKING_BUFFER_MINUTES
+  },
+  minAdvanceNoticeMinutes: {
+    min: 0,
+    max: bookingRules.MAX_POLICY_ADVANCE_NOTICE_MINUTES
+  },
+  pendingBookingExpirationHours: {
+    min: 1,
+    max: bookingRules.MAX_POLICY_PENDING_EXPIRATION_HOURS
+  },
+  minRescheduleNoticeMinutes: {
+    min: 0,
+    max: bookingRules.MAX_POLICY_RESCHEDULE_NOTICE_MINUTES
+  }
+};
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Get the system default policy (used where neither court nor facility sets a value)
+ * @returns {Object} Default policy values
+ */
+function getDefaultPolicy() {
+  return {
+    maxAdvanceBookingDays: bookingRules.DEFAULT_MAX_ADVANCE_BOOKING_DAYS,
+    minBookingDurationMinutes: bookingRules.MIN_BOOKING_DURATION_MINUTES,
+    maxBookingDurationMinutes: bookingRules.DEFAULT_MAX_BOOKING_DURATION_HOURS * 60,
+    bookingBufferMinutes: 0,
+    minAdvanceNoticeMinutes: 0,
+    pendingBookingExpirationHours: bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS,
+    minRescheduleNoticeMinutes: bookingRules.DEFAULT_MIN_RESCHEDULE_NOTICE_MINUTES,
+    cancellationTiers: bookingRules.DEFAULT_CANCELLATION_TIERS
+  };
+}
+
+/**
+ * Merge court-level, facility-level and default values
+ *
+ * @param {Object|null} courtPolicy - Active court-level policy (or null)
+ * @param {Object|null} facilityPolicy - Active facility-level policy (or null)
+ * @returns {Object} Object with the effective values and, per field, the level
+ *   that supplied it ('court', 'facility' or 'default')
+ *
+ * @example
+ * resolveEffectivePolicy({ maxAdvanceBookingDays: 7 }, { maxAdvanceBookingDays: 30, bookingBufferMinutes: 15 });
+ * // values.maxAdvanceBookingDays = 7 (court), values.bookingBufferMinutes = 15 (facility),
+ * // values.minAdvanceNoticeMinutes = 0 (default)
+ */
+function resolveEffectivePolicy(courtPolicy, facilityPolicy) {
+  const defaults = getDefaultPolicy();
+  const values = {};
+  const sources = {};
+
+  for (const field of Object.keys(defaults)) {
+    if (courtPolicy && courtPolicy[field] !== null && courtPolicy[field] !== undefined) {
+      values[field] = courtPolicy[field];
+      sources[field] = 'court';
+    } else if (facilityPolicy && facilityPolicy[field] !== null && facilityPolicy[field] !== undefined) {
+      values[field] = facilityPolicy[field];
+      sources[field] = 'facility';
+    } else {
+      values[field] = defaults[field];
+      sources[field] = 'default';
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Validate policy values from a request body
+ *
+ * Only known policy fields are picked; other keys are ignored. A null value
+ * clears the field (inherit from the next level).
+ *
+ * @param {Object} data - Request body
+ * @returns {Object} Normalized values keyed by camelCase field
+ * @throws {Error} If no policy field is given or a value is out of range
+ */
+function validatePolicyValues(data) {
+  const values = {};
+
+  for (const [field, limits] of Object.entries(INTEGER_FIELD_LIMITS)) {
+    const value = data[field];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (value === null) {
+      values[field] = null;
+      continue;
+    }
+
+    if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+      const error = new Error(`${field} must be an integer between ${limits.min} and ${limits.max}`);
+      error.statusCode = 400;
+      error.errorCode = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    if (limits.multipleOf && value % limits.multipleOf !== 0) {
+      const error = new Error(`${field} must be a multiple of ${limits.multipleOf} minutes`);
+      error.statusCode = 400;
+      error.errorCode = 'VALIDATION_ERROR';
+      throw error;
+    }
+
+    values[field] = value;
+  }
+
+  if (data.cancellationTiers !== undefined) {
+    values.cancellationTiers = data.cancellationTiers === null
+      ? null
+      : validateCancellationTiers(data.cancellationTiers);
+  }
+
+  if (Object.keys(values).length === 0) {
+    const error = new Error(
+      `At least one policy field must be provided: ${Object.keys(BookingPolicy.VALUE_COLUMNS).join(', ')}`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return values;
+}
+
+/**
+ * Check that the resulting duration limits are consistent
+ * @param {Object} effectiveValues - Effective values (see resolveEffectivePolicy)
+ * @throws {Error} If the minimum duration exceeds the maximum duration
+ * @private
+ */
+function assertConsistentDurations(effectiveValues) {
+  if (effectiveValues.minBookingDurationMinutes > effectiveValues.maxBookingDurationMinutes) {
+    const error = new Error(
+      `Minimum booking duration (${effectiveValues.minBookingDurationMinutes} minutes) cannot exceed ` +
+      `maximum booking duration (${effectiveValues.maxBookingDurationMinutes} minutes)`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'VALIDATION_ERROR';
+    throw error;
+  }
+}
+
+/**
+ * Minutes from a moment until a booking starts (negative once started)
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {number} Minutes until start
+ */
+function getMinutesUntilStart(bookingDate, startTimeMinutes, now = new Date()) {
+  const start = new Date(bookingDate);
+  start.setHours(0, 0, 0, 0);
+  start.setMinutes(startTimeMinutes);
+  return (start.getTime() - now.getTime()) / (60 * 1000);
+}
+
+/**
+ * Check a requested range against the time-based policy fields
+ *
+ * Shared by the transactional booking path and availability output so both
+ * apply the same rules (the buffer needs existing bookings and is checked
+ * separately):
+ * - Duration between minBookingDurationMinutes and maxBookingDurationMinutes
+ * - Start at least minAdvanceNoticeMinutes from now (and not in the past)
+ * - Date within maxAdvanceBookingDays calendar days from today
+ *
+ * @param {Object} policy - Effective policy values
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Reference moment
+ * @param {boolean} [options.ignoreAdvanceNotice=false] - Skip minAdvanceNoticeMinutes, but still
+ *   reject ranges that have started (front-desk bookings entered by facility admins)
+ * @throws {Error} DURATION_OUT_OF_POLICY, INSUFFICIENT_NOTICE or EXCEEDS_ADVANCE_BOOKING_WINDOW
+ */
+function assertBookingWithinPolicy(policy, bookingDate, startTimeMinutes, endTimeMinutes, options = {}) {
+  const { now = new Date(), ignoreAdvanceNotice = false } = options;
+
+  const durationMinutes = endTimeMinutes - startTimeMinutes;
+  if (durationMinutes < policy.minBookingDurationMinutes || durationMinutes > policy.maxBookingDurationMinutes) {
+    const error = new Error(
+      `Booking duration must be between ${policy.minBookingDurationMinutes} and ` +
+      `${policy.maxBookingDurationMinutes} minutes for this court`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'DURATION_OUT_OF_POLICY';
+    error.minDurationMinutes = policy.minBookingDurationMinutes;
+    error.maxDurationMinutes = policy.maxBookingDurationMinutes;
+    throw error;
+  }
+
+  const minutesUntilStart = getMinutesUntilStart(bookingDate, startTimeMinutes, now);
+  const requiredNoticeMinutes = ignoreAdvanceNotice ? 0 : policy.minAdvanceNoticeMinutes;
+  if (minutesUntilStart < 0 || minutesUntilStart < requiredNoticeMinutes) {
+    const error = new Error(
+      minutesUntilStart < 0
+        ? 'Cannot book a time slot that has already started'
+        : `Booking requires at least ${policy.minAdvanceNoticeMinutes} minutes advance notice`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'INSUFFICIENT_NOTICE';
+    error.requiredMinutes = requiredNoticeMinutes;
+    throw error;
+  }
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const day = new Date(bookingDate);
+  day.setHours(0, 0, 0, 0);
+  const daysUntil = Math.round((day.getTime() - today.getTime()) / (24 * 60 * 60 * 1000));
+
+  if (daysUntil > policy.maxAdvanceBookingDays) {
+    const error = new Error(
+      `Booking date exceeds maximum advance booking window of ${policy.maxAdvanceBookingDays} days`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'EXCEEDS_ADVANCE_BOOKING_WINDOW';
+    error.maxAllowedDays = policy.maxAdvanceBookingDays;
+    error.requestedDays = daysUntil;
+    throw error;
+  }
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @throws {Error} If facility not found or user not authorized
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage booking policies for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Load a court and verify the user owns its facility
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Court object
+ * @throws {Error} If court/facility not found or user not authorized
+ * @private
+ */
+async function getOwnedCourt(courtId, userId) {
+  const court = await Court.findById(courtId);
+  if (!court) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const facility = await Facility.findById(court.facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage booking policies for courts in your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return court;
+}
+
+/**
+ * Build the error for a scope without a policy
+ * @param {string} scope - 'facility' or 'court'
+ * @returns {Error} POLICY_NOT_FOUND error
+ * @private
+ */
+function policyNotFoundError(scope) {
+  const error = new Error(`No booking policy is set for this ${scope}`);
+  error.statusCode = 404;
+  error.errorCode = 'POLICY_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Build the error for a scope that already has a policy
+ * @param {string} scope - 'facility' or 'court'
+ * @returns {Error} POLICY_EXISTS error
+ * @private
+ */
+function policyExistsError(scope) {
+  const error = new Error(`A booking policy already exists for this ${scope}. Update it instead.`);
+  error.statusCode = 409;
+  error.errorCode = 'POLICY_EXISTS';
+  return error;
+}
+
+/**
+ * Get the facility-level policy
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Policy object
+ * @throws {Error} If not authorized or no policy is set
+ */
+async function getFacilityPolicy(facilityId, userId) {
+  await getOwnedFacility(facilityId, userId);
+
+  const policy = await BookingPolicy.findActiveByFacilityId(facilityId);
+  if (!policy) {
+    throw policyNotFoundError('facility');
+  }
+
+  return policy;
+}
+
+/**
+ * Create the facility-level policy
+ * @param {number} facilityId - Facility ID
+ * @param {Object} data - Policy values (see validatePolicyValues)
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Created policy object
+ * @throws {Error} If not authorized, invalid, or a policy already exists
+ */
+async function createFacilityPolicy(facilityId, data, userId) {
+  await getOwnedFacility(facilityId, userId);
+
+  const values = validatePolicyValues(data);
+  assertConsistentDurations(resolveEffectivePolicy(null, values).values);
+
+  const existing = await BookingPolicy.findActiveByFacilityId(facilityId);
+  if (existing) {
+    throw policyExistsError('facility');
+  }
+
+  return await BookingPolicy.create({ facilityId, values });
+}
+
+/**
+ * Update the facility-level policy
+ * @param {number} facilityId - Facility ID
+ * @param {Object} data - Policy values to change (null clears a value)
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Updated policy object
+ * @throws {Error} If not authorized, invalid, or no policy is set
+ */
+async function updateFacilityPolicy(facilityId, data, userId) {
+  await getOwnedFacility(facilityId, userId);
+
+  const values = validatePolicyValues(data);
+
+  const existing = await BookingPolicy.findActiveByFacilityId(facilityId);
+  if (!existing) {
+    throw policyNotFoundError('facility');
+  }
+
+  assertConsistentDurations(resolveEffectivePolicy(null, { ...existing, ...values }).values);
+
+  return await BookingPolicy.update(existing.id, values);
+}
+
+/**
+ * Delete the facility-level policy (courts fall back to system defaults)
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<boolean>} True if deleted
+ * @throws {Error} If not authorized or no policy is set
+ */
+async function deleteFacilityPolicy(facilityId, userId) {
+  await getOwnedFacility(facilityId, userId);
+
+  const existing = await BookingPolicy.findActiveByFacilityId(facilityId);
+  if (!existing) {
+    throw policyNotFoundError('facility');
+  }
+
+  return await BookingPolicy.delete(existing.id);
+}
+
+/**
+ * Get the court-level policy
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Policy object
+ * @throws {Error} If not authorized or no policy is set
+ */
+async function getCourtPolicy(courtId, userId) {
+  await getOwnedCourt(courtId, userId);
+
+  const policy = await BookingPolicy.findActiveByCourtId(courtId);
+  if (!policy) {
+    throw policyNotFoundError('court');
+  }
+
+  return policy;
+}
+
+/**
+ * Create the court-level policy (overrides the facility policy for this court)
+ * @param {number} courtId - Court ID
+ * @param {Object} data - Policy values (see validatePolicyValues)
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Created policy object
+ * @throws {Error} If not authorized, invalid, or a policy already exists
+ */
+async function createCourtPolicy(courtId, data, userId) {
+  const court = await getOwnedCourt(courtId, userId);
+
+  const values = validatePolicyValues(data);
+
+  const { courtPolicy, facilityPolicy } = await BookingPolicy.findApplicableToCourt(courtId);
+  if (courtPolicy) {
+    throw policyExistsError('court');
+  }
+
+  assertConsistentDurations(resolveEffectivePolicy(values, facilityPolicy).values);
+
+  return await BookingPolicy.create({ facilityId: court.facilityId, courtId, values });
+}
+
+/**
+ * Update the court-level policy
+ * @param {number} courtId - Court ID
+ * @param {Object} data - Policy values to change (null clears a value)
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Updated policy object
+ * @throws {Error} If not authorized, invalid, or no policy is set
+ */
+async function updateCourtPolicy(courtId, data, userId) {
+  await getOwnedCourt(courtId, userId);
+
+  const values = validatePolicyValues(data);
+
+  const { courtPolicy, facilityPolicy } = await BookingPolicy.findApplicableToCourt(courtId);
+  if (!courtPolicy) {
+    throw policyNotFoundError('court');
+  }
+
+  assertConsistentDurations(resolveEffectivePolicy({ ...courtPolicy, ...values }, facilityPolicy).values);
+
+  return await BookingPolicy.update(courtPolicy.id, values);
+}
+
+/**
+ * Delete the court-level policy (the court falls back to the facility policy)
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<boolean>} True if deleted
+ * @throws {Error} If not authorized or no policy is set
+ */
+async function deleteCourtPolicy(courtId, userId) {
+  await getOwnedCourt(courtId, userId);
+
+  const existing = await BookingPolicy.findActiveByCourtId(courtId);
+  if (!existing) {
+    throw policyNotFoundError('court');
+  }
+
+  return await BookingPolicy.delete(existing.id);
+}
+
+/**
+ * Get the effective policy for a court (court -> facility -> default)
+ *
+ * @param {number} courtId - Court ID
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Object>} Object with courtId, facilityId, policy (effective
+ *   values), sources (level per field), courtPolicyId and facilityPolicyId
+ * @throws {Error} If court not found
+ */
+async function getEffectivePolicy(courtId, client = null) {
+  const applicable = await BookingPolicy.findApplicableToCourt(courtId, client);
+
+  if (!applicable) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const { courtPolicy, facilityPolicy, facilityId } = applicable;
+  const { values, sources } = resolveEffectivePolicy(courtPolicy, facilityPolicy);
+
+  return {
+    courtId,
+    facilityId,
+    policy: values,
+    sources,
+    courtPolicyId: courtPolicy ? courtPolicy.id : null,
+    facilityPolicyId: facilityPolicy ? facilityPolicy.id : null
+  };
+}
+
+module.exports = {
+  getFacilityPolicy,
+  createFacilityPolicy,
+  updateFacilityPolicy,
+  deleteFacilityPolicy,
+  getCourtPolicy,
+  createCourtPolicy,
+  updateCourtPolicy,
+  deleteCourtPolicy,
+  getEffectivePolicy,
+  getMinutesUntilStart,
+  assertBookingWithinPolicy
+};
@@ -0,0 +1,384 @@
+/**
+ * Booking Series Service
+ *
+ * Creates and cancels recurring booking series (e.g., every Tuesday 19:00-21:00
+ * for a season). A series expands into one PENDING booking per occurrence.
+ *
+ * Architecture:
+ * - All occurrences are validated and inserted inside ONE transaction
+ * - Each occurrence goes through the same checks as a single booking
+ *   (court lock, booking policy including the advance booking window,
+ *   overlaps, availability rules, blocked ranges)
+ * - Conflict modes:
+ *   - all_or_nothing: any conflicting occurrence fails the whole series
+ *   - skip_conflicts: conflicting occurrences are skipped and reported
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const waitlistService = require('./waitlistService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const bookingStateMachine = require('./bookingStateMachine');
+const {
+  validateBookingRequest,
+  assertSlotBookable,
+  insertPendingBooking
+} = require('./transactionSafeBookingService');
+
+/**
+ * Supported conflict handling modes
+ */
+const CONFLICT_MODES = ['all_or_nothing', 'skip_conflicts'];
+
+/**
+ * Error codes that mark a single occurrence as conflicting.
+ * Any other error aborts the whole series.
+ */
+const OCCURRENCE_CONFLICT_CODES = [
+  'BOOKING_CONFLICT',
+  'BUFFER_CONFLICT',
+  'INSUFFICIENT_NOTICE',
+  'EXCEEDS_ADVANCE_BOOKING_WINDOW',
+  'OUTSIDE_AVAILABILITY',
+  'TIME_BLOCKED',
+  'WAITLIST_CLAIM_HELD',
+  'SLOT_HELD'
+];
+
+/**
+ * Format a date as YYYY-MM-DD (same convention as booking_date)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Expand a recurrence pattern into occurrence dates
+ *
+ * @param {Date} startDate - First occurrence date
+ * @param {Object} recurrence - Recurrence pattern
+ * @param {string} recurrence.frequency - 'weekly' or 'biweekly'
+ * @param {Date} [recurrence.endDate] - Last allowed occurrence date (inclusive)
+ * @param {number} [recurrence.occurrences] - Number of occurrences
+ * @returns {Array<Date>} Occurrence dates in ascending order
+ * @throws {Error} If the pattern is invalid
+ */
+function expandOccurrences(startDate, recurrence) {
+  const { frequency, endDate, occurrences } = recurrence || {};
+
+  const intervalDays = bookingRules.SERIES_FREQUENCY_INTERVAL_DAYS[frequency];
+  if (!intervalDays) {
+    const error = new Error(
+      `Invalid recurrence frequency. Must be one of: ${Object.keys(bookingRules.SERIES_FREQUENCY_INTERVAL_DAYS).join(', ')}`
+    );
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_RECURRENCE';
+    throw error;
+  }
+
+  const hasEndDate = endDate !== undefined && endDate !== null;
+  const hasCount = occurrences !== undefined && occurrences !== null;
+
+  if (hasEndDate === hasCount) {
+    const error = new Error('Recurrence must specify exactly one of endDate or occurrences');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_RECURRENCE';
+    throw error;
+  }
+
+  if (hasCount && (!Number.isInteger(occurrences) || occurrences < 1)) {
+    const error = new Error('Recurrence occurrences must be a positive integer');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_RECURRENCE';
+    throw error;
+  }
+
+  if (hasEndDate && (!(endDate instanceof Date) || isNaN(endDate.getTime()) || endDate < startDate)) {
+    const error = new Error('Recurrence endDate must be a valid date on or after the first occurrence');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_RECURRENCE';
+    throw error;
+  }
+
+  const dates = [];
+  for (let i = 0; ; i++) {
+    const occurrence = new Date(startDate);
+    occurrence.setDate(occurrence.getDate() + (i * intervalDays));
+
+    if (hasCount && dates.length >= occurrences) break;
+    if (hasEndDate && occurrence > endDate) break;
+
+    if (dates.length >= bookingRules.MAX_SERIES_OCCURRENCES) {
+      const error = new Error(
+        `A booking series can contain at most ${bookingRules.MAX_SERIES_OCCURRENCES} occurrences`
+      );
+      error.statusCode = 400;
+      error.errorCode = 'SERIES_TOO_LONG';
+      throw error;
+    }
+
+    dates.push(occurrence);
+  }
+
+  return dates;
+}
+
+/**
+ * Create a recurring booking series
+ *
+ * @param {number} userId - User ID making the booking
+ * @param {number} courtId - Court ID
+ * @param {Date} startDate - First occurrence date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Object} recurrence - Recurrence pattern (see expandOccurrences)
+ * @param {Object} [options] - Optional series options
+ * @param {string} [options.conflictMode='all_or_nothing'] - Conflict handling mode
+ * @param {string} [options.paymentReference] - Payment transaction reference
+ * @returns {Promise<Object>} Object with series, bookings and skippedOccurrences
+ * @throws {Error} SERIES_CONFLICT (409) with error.conflicts if occurrences cannot be booked
+ */
+async function createBookingSeries(
+  userId,
+  courtId,
+  startDate,
+  startTimeMinutes,
+  endTimeMinutes,
+  recurrence,
+  options = {}
+) {
+  const { conflictMode = 'all_or_nothing', paymentReference = null } = options;
+
+  if (!CONFLICT_MODES.includes(conflictMode)) {
+    const error = new Error(`Invalid conflict mode. Must be one of: ${CONFLICT_MODES.join(', ')}`);
+    error.statusCode = 400;
+    error.errorCode = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  // Validate inputs (before transaction)
+  validateBookingRequest(courtId, startDate, startTimeMinutes, endTimeMinutes);
+  const occurrenceDates = expandOccurrences(startDate, recurrence);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const series = await BookingSeries.create({
+      userId,
+      courtId,
+      frequency: recurrence.frequency,
+      dayOfWeek: startDate.getDay(),
+      startTime: startTimeMinutes,
+      endTime: endTimeMinutes,
+      startDate: toDateString(occurrenceDates[0]),
+      endDate: toDateString(occurrenceDates[occurrenceDates.length - 1]),
+      occurrenceCount: occurrenceDates.length,
+      conflictMode
+    }, client);
+
+    const bookings = [];
+    const conflicts = [];
+
+    for (const occurrenceDate of occurrenceDates) {
+      try {
+        await assertSlotBookable(client, courtId, occurrenceDate, startTimeMinutes, endTimeMinutes, {
+          userId
+        });
+      } catch (error) {
+        if (!OCCURRENCE_CONFLICT_CODES.includes(error.errorCode)) {
+          throw error;
+        }
+        conflicts.push({
+          date: toDateString(occurrenceDate),
+          errorCode: error.errorCode,
+          message: error.message
+        });
+        continue;
+      }
+
+      const booking = await insertPendingBooking(client, {
+        userId,
+        courtId,
+        bookingDate: occurrenceDate,
+        startTimeMinutes,
+        endTimeMinutes,
+        paymentReference,
+        seriesId: series.id
+      });
+      bookings.push(booking);
+    }
+
+    if ((conflicts.length > 0 && conflictMode === 'all_or_nothing') || bookings.length === 0) {
+      const error = new Error(
+        bookings.length === 0
+          ? 'None of the series occurrences can be booked'
+          : `${conflicts.length} of ${occurrenceDates.length} occurrences cannot be booked`
+      );
+      error.statusCode = 409;
+      error.errorCode = 'SERIES_CONFLICT';
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      series,
+      bookings,
+      skippedOccurrences: conflicts
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a booking series with its occurrences
+ * @param {number} seriesId - Series ID
+ * @param {number} userId - User ID (for ownership check)
+ * @returns {Promise<Object>} Series object with bookings array
+ * @throws {Error} If series not found or user not authorized
+ */
+async function getBookingSeries(seriesId, userId) {
+  const series = await BookingSeries.findById(seriesId);
+
+  if (!series) {
+    const error = new Error('Booking series not found');
+    error.statusCode = 404;
+    error.errorCode = 'SERIES_NOT_FOUND';
+    throw error;
+  }
+
+  if (series.userId !== userId) {
+    const error = new Error('You can only view your own booking series');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  const bookings = await Booking.findBySeriesId(seriesId);
+
+  return {
+    ...series,
+    bookings
+  };
+}
+
+/**
+ * Cancel a booking series as a whole or from a given date forward
+ *
+ * Only PENDING and CONFIRMED occurrences on or after the cutoff date that
+ * have not started yet are cancelled. Without fromDate the cutoff is today
+ * and the series itself is marked as cancelled. Each occurrence is settled with the cancellation policy
+ * like a single cancellation.
+ *
+ * @param {number} seriesId - Series ID
+ * @param {number} userId - User ID (for ownership check)
+ * @param {Object} [options] - Cancellation options
+ * @param {Date} [options.fromDate] - First occurrence date to cancel (inclusive)
+ * @param {string} [options.cancellationReason] - Reason for cancellation
+ * @returns {Promise<Object>} Object with series and cancelledBookings
+ * @throws {Error} If series not found, user not authorized, or already cancelled
+ */
+async function cancelBookingSeries(seriesId, userId, options = {}) {
+  const { fromDate = null, cancellationReason = null } = options;
+
+  const series = await BookingSeries.findById(seriesId);
+
+  if (!series) {
+    const error = new Error('Booking series not found');
+    error.statusCode = 404;
+    error.errorCode = 'SERIES_NOT_FOUND';
+    throw error;
+  }
+
+  if (series.userId !== userId) {
+    const error = new Error('You can only cancel your own booking series');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  if (series.seriesStatus === 'cancelled') {
+    const error = new Error('Booking series is already cancelled');
+    error.statusCode = 400;
+    error.errorCode = 'ALREADY_CANCELLED';
+    throw error;
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const cutoffDate = fromDate && fromDate > today ? fromDate : today;
+  const cancelsWholeSeries = !fromDate || fromDate <= series.startDate;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const upcomingResult = await client.query(
+      `
+        SELECT ${Booking._getBookingFields()}
+        FROM bookings
+        WHERE series_id = $1
+          AND booking_status IN ('pending', 'confirmed')
+          AND booking_date >= $2
+          AND booking_date + (start_time * INTERVAL '1 minute') > LOCALTIMESTAMP
+        ORDER BY booking_date ASC
+        FOR UPDATE
+      `,
+      [seriesId, toDateString(cutoffDate)]
+    );
+
+    // All occurrences share the court, so the policy is looked up once
+    const tiers = await cancellationPolicyService.getCancellationTiers(series.courtId, client);
+
+    const cancelledBookings = [];
+    for (const row of upcomingResult.rows) {
+      const booking = Booking._formatBooking(row);
+      const settlement = cancellationPolicyService.evaluateCancellation(booking, tiers);
+      cancelledBookings.push(await bookingStateMachine.transitionBooking(
+        client,
+        booking,
+        'cancel',
+        { type: bookingStateMachine.ACTORS.PLAYER, userId },
+        { reason: cancellationReason, settlement }
+      ));
+    }
+
+    const updatedSeries = cancelsWholeSeries
+      ? await BookingSeries.cancel(seriesId, cancellationReason, client)
+      : series;
+
+    await client.query('COMMIT');
+
+    // Offer the freed slots to the waitlist
+    await waitlistService.releaseToWaitlist(cancelledBookings);
+
+    return {
+      series: updatedSeries,
+      cancelledBookings
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createBookingSeries,
+  getBookingSeries,
+  cancelBookingSeries
+};
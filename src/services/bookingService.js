@@ -11,6 +11,14 @@ const Facility = require('../models/Facility');
 const Image = require('../models/Image');
 const { getPublicImageUrl } = require('../config/s3');
 const { pool } = require('../config/database');
+const waitlistService = require('./waitlistService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const bookingStateMachine = require('./bookingStateMachine');
+const bookingMessageService = require('./bookingMessageService');
+const bookingParticipantService = require('./bookingParticipantService');
+const playerScreeningService = require('./playerScreeningService');
+
+const { ACTORS } = bookingStateMachine;
 
 /**
  * Note: Booking creation is handled by transactionSafeBookingService
@@ -96,6 +104,35 @@ async function addPaymentProofUrls(bookings) {
   return Promise.all(imagePromises);
 }
 
+/**
+ * Apply a state machine transition to a booking in its own transaction
+ * @param {number} bookingId - Booking ID
+ * @param {string} action - State machine action
+ * @param {Object} actor - { type, userId }
+ * @param {Object} [details] - Transition details (reason, paymentReference)
+ * @returns {Promise<Object>} Updated booking object
+ * @private
+ */
+async function applyTransition(bookingId, action, actor, details = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lockedBooking = await bookingStateMachine.lockBooking(client, bookingId);
+    const updatedBooking = await bookingStateMachine.transitionBooking(client, lockedBooking, action, actor, details);
+
+    await client.query('COMMIT');
+
+    return updatedBooking;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Get booking details by ID
  * @param {number} bookingId - Booking ID
@@ -113,8 +150,8 @@ const getBookingDetails = async (bookingId, userId) => {
     throw error;
   }
 
-  // Check if user owns the booking
-  if (booking.userId !== userId) {
+  // Booker and invited/accepted participants can view the booking
+  if (booking.userId !== userId && !(await bookingParticipantService.isParticipant(bookingId, userId))) {
     const error = new Error('You can only view your own bookings');
     error.statusCode = 403;
     error.errorCode = 'FORBIDDEN';
@@ -124,11 +161,19 @@ const getBookingDetails = async (bookingId, userId) => {
   // Add payment proof URL if image ID exists
   await addPaymentProofUrl(booking);
 
+  // Show what cancelling now would refund (only while cancellation is possible)
+  booking.cancellationQuote = ['pending', 'confirmed'].includes(booking.bookingStatus)
+    ? await cancellationPolicyService.getCancellationQuote(booking)
+    : null;
+
+  booking.statusHistory = await bookingStateMachine.getStatusHistory(bookingId);
+
   return booking;
 };
 
 /**
  * Cancel a booking
+ * Refund and penalty are computed from the cancellation policy and stored on the booking.
  * @param {number} bookingId - Booking ID
  * @param {number} userId - User ID (for ownership check)
  * @param {string} [cancellationReason] - Reason for cancellation
@@ -154,31 +199,32 @@ const cancelBooking = async (bookingId, userId, cancellationReason = null) => {
     throw error;
   }
 
-  // Check if booking can be cancelled
-  if (booking.bookingStatus === 'cancelled') {
-    const error = new Error('Booking is already cancelled');
-    error.statusCode = 400;
-    error.errorCode = 'ALREADY_CANCELLED';
-    throw error;
-  }
-
-  if (booking.bookingStatus === 'completed') {
-    const error = new Error('Cannot cancel a completed booking');
-    error.statusCode = 400;
-    error.errorCode = 'CANNOT_CANCEL_COMPLETED';
-    throw error;
-  }
-
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
+    // Lock booking so the settlement is computed on the status being cancelled
+    const lockedBooking = await bookingStateMachine.lockBooking(client, bookingId);
+    bookingStateMachine.assertTransition(lockedBooking.bookingStatus, 'cancel', ACTORS.PLAYER);
+
+    // Evaluate cancellation policy
+    const settlement = await cancellationPolicyService.getCancellationQuote(lockedBooking, client);
+
     // Cancel booking
-    const cancelledBooking = await Booking.cancel(bookingId, cancellationReason);
+    const cancelledBooking = await bookingStateMachine.transitionBooking(
+      client,
+      lockedBooking,
+      'cancel',
+      { type: ACTORS.PLAYER, userId },
+      { reason: cancellationReason, settlement }
+    );
 
     await client.query('COMMIT');
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.releaseToWaitlist([cancelledBooking]);
+
     return cancelledBooking;
   } catch (error) {
     await client.query('ROLLBACK');
@@ -215,32 +261,8 @@ const confirmBooking = async (bookingId, userId, paymentReference = null) => {
     throw error;
   }
 
-  // Check if booking can be confirmed
-  if (booking.bookingStatus === 'confirmed') {
-    const error = new Error('Booking is already confirmed');
-    error.statusCode = 400;
-    error.errorCode = 'ALREADY_CONFIRMED';
-    throw error;
-  }
-
-  if (booking.bookingStatus === 'cancelled') {
-    const error = new Error('Cannot confirm a cancelled booking');
-    error.statusCode = 400;
-    error.errorCode = 'CANNOT_CONFIRM_CANCELLED';
-    throw error;
-  }
-
-  if (booking.bookingStatus === 'completed') {
-    const error = new Error('Cannot confirm a completed booking');
-    error.statusCode = 400;
-    error.errorCode = 'CANNOT_CONFIRM_COMPLETED';
-    throw error;
-  }
-
-  // Confirm booking
-  const confirmedBooking = await Booking.confirm(bookingId, paymentReference);
-
-  return confirmedBooking;
+  // Confirm booking (status rules in bookingStateMachine)
+  return await applyTransition(bookingId, 'confirm', { type: ACTORS.PLAYER, userId }, { paymentReference });
 };
 
 /**
@@ -278,12 +300,15 @@ const getPendingBookingsForFacility = async (facilityId, ownerId, options = {})
       b.id, b.user_id, b.court_id, b.booking_date, b.start_time, b.end_time, 
       b.final_price, b.booking_status, b.payment_reference, b.payment_proof_image_id,
       b.cancellation_reason, b.expires_at, b.created_at, b.updated_at,
+      b.guest_contact_id, b.booking_source, b.payment_method,
       c.id as court_id, c.name as court_name, c.price_per_hour,
-      u.first_name, u.last_name, u.email, u.phone
+      u.first_name, u.last_name, u.email, u.phone,
+      g.full_name as guest_full_name, g.email as guest_email, g.phone as guest_phone
     FROM bookings b
     INNER JOIN courts c ON b.court_id = c.id
     INNER JOIN facilities f ON c.facility_id = f.id
-    INNER JOIN users u ON b.user_id = u.id
+    LEFT JOIN users u ON b.user_id = u.id
+    LEFT JOIN guest_contacts g ON b.guest_contact_id = g.id
     WHERE f.id = $1 AND b.booking_status = 'pending'
     ORDER BY b.created_at DESC
     LIMIT $2 OFFSET $3
@@ -319,23 +344,45 @@ const getPendingBookingsForFacility = async (facilityId, ownerId, options = {})
     expiresAt: row.expires_at ? new Date(row.expires_at) : null,
     createdAt: new Date(row.created_at),
     updatedAt: new Date(row.updated_at),
+    guestContactId: row.guest_contact_id,
+    bookingSource: row.booking_source,
+    paymentMethod: row.payment_method,
     court: {
       id: row.court_id,
       name: row.court_name,
       pricePerHour: parseFloat(row.price_per_hour)
     },
-    user: {
+    // Front-desk bookings for customers without an account have a guest instead of a user
+    user: row.user_id ? {
       id: row.user_id,
       firstName: row.first_name,
       lastName: row.last_name,
       email: row.email,
       phone: row.phone
-    }
+    } : null,
+    guest: row.guest_contact_id ? {
+      id: row.guest_contact_id,
+      fullName: row.guest_full_name,
+      email: row.guest_email,
+      phone: row.guest_phone
+    } : null
   }));
 
   // Add payment proof URLs to all bookings
   const bookingsWithUrls = await addPaymentProofUrls(bookings);
 
+  // Unread messages from the players (the owner's side of each thread)
+  const unreadCounts = await bookingMessageService.getUnreadCounts(bookings.map(booking => booking.id), ownerId);
+  bookingsWithUrls.forEach(booking => {
+    booking.unreadMessageCount = unreadCounts.get(booking.id) || 0;
+  });
+
+  // Player reliability, block and screening policy result (null for guests)
+  const screenings = await playerScreeningService.screenBookings(facilityId, bookings);
+  bookingsWithUrls.forEach(booking => {
+    booking.screening = screenings.get(booking.id) || null;
+  });
+
   return {
     bookings: bookingsWithUrls,
     total: parseInt(countResult.rows[0].total),
@@ -384,18 +431,15 @@ const acceptBooking = async (bookingId, ownerId, paymentReference = null) => {
     throw error;
   }
 
-  // Check if booking can be accepted
-  if (bookingRow.booking_status !== 'pending') {
-    const error = new Error('Only pending bookings can be accepted');
-    error.statusCode = 400;
-    error.errorCode = 'CANNOT_ACCEPT_NON_PENDING';
-    throw error;
-  }
+  // Facility screening (e.g. payment proof required below a reliability score)
+  await playerScreeningService.assertBookingAcceptable(bookingRow.facility_id, {
+    id: bookingRow.id,
+    userId: bookingRow.user_id,
+    paymentProofImageId: bookingRow.payment_proof_image_id
+  });
 
   // Accept booking (status changes to 'confirmed', slot remains 'booked')
-  const acceptedBooking = await Booking.accept(bookingId, paymentReference);
-
-  return acceptedBooking;
+  return await applyTransition(bookingId, 'accept', { type: ACTORS.FACILITY_ADMIN, userId: ownerId }, { paymentReference });
 };
 
 /**
@@ -438,35 +482,23 @@ const rejectBooking = async (bookingId, ownerId, rejectionReason = null) => {
     throw error;
   }
 
-  // Check if booking can be rejected
-  if (bookingRow.booking_status !== 'pending') {
-    const error = new Error('Only pending bookings can be rejected');
-    error.statusCode = 400;
-    error.errorCode = 'CANNOT_REJECT_NON_PENDING';
-    throw error;
-  }
+  // Reject booking (status rules in bookingStateMachine)
+  const rejectedBooking = await applyTransition(
+    bookingId,
+    'reject',
+    { type: ACTORS.FACILITY_ADMIN, userId: ownerId },
+    { reason: rejectionReason }
+  );
 
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Reject booking
-    const rejectedBooking = await Booking.reject(bookingId, rejectionReason);
+  // Offer the freed slot to the waitlist
+  await waitlistService.releaseToWaitlist([rejectedBooking]);
 
-    await client.query('COMMIT');
-
-    return rejectedBooking;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
-  }
+  return rejectedBooking;
 };
 
 /**
  * Get user's bookings with related details (time slot, court, facility)
+ * Includes bookings the user was invited to, marked with role 'participant'
  * @param {number} userId - User ID
  * @param {Object} [options={}] - Query options
  * @param {string} [options.status] - Filter by booking status
@@ -478,7 +510,8 @@ const getUserBookings = async (userId, options = {}) => {
   const { status, limit = 50, offset = 0 } = options;
 
   // Build query with joins to get related data
-  const conditions = ['b.user_id = $1'];
+  // Bookings the user made or was invited to (open or accepted invitation)
+  const conditions = ['(b.user_id = $1 OR bp.id IS NOT NULL)'];
   const values = [userId];
   let paramCount = 2;
 
@@ -489,6 +522,10 @@ const getUserBookings = async (userId, options = {}) => {
   }
 
   const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const participantJoin = `
+    LEFT JOIN booking_participants bp
+      ON bp.booking_id = b.id AND bp.user_id = $1 AND bp.invitation_status IN ('invited', 'accepted')
+  `;
 
   const query = `
     SELECT 
@@ -499,10 +536,13 @@ const getUserBookings = async (userId, options = {}) => {
       c.price_per_hour, c.is_indoor,
       f.id as facility_id, f.name as facility_name, f.address as facility_address,
       f.city as facility_city, f.latitude as facility_latitude, f.longitude as facility_longitude,
-      f.contact_phone as facility_phone, f.contact_email as facility_email
+      f.contact_phone as facility_phone, f.contact_email as facility_email,
+      bp.invitation_status, s.amount as share_amount, s.payment_status as share_payment_status
     FROM bookings b
     INNER JOIN courts c ON b.court_id = c.id
     INNER JOIN facilities f ON c.facility_id = f.id
+    ${participantJoin}
+    LEFT JOIN booking_cost_shares s ON s.booking_id = b.id AND s.user_id = $1
     ${whereClause}
     ORDER BY b.created_at DESC
     LIMIT $${paramCount} OFFSET $${paramCount + 1}
@@ -511,6 +551,7 @@ const getUserBookings = async (userId, options = {}) => {
   const countQuery = `
     SELECT COUNT(*) as total
     FROM bookings b
+    ${participantJoin}
     ${whereClause}
   `;
 
@@ -553,12 +594,26 @@ const getUserBookings = async (userId, options = {}) => {
       longitude: row.facility_longitude ? parseFloat(row.facility_longitude) : null,
       contactPhone: row.facility_phone,
       contactEmail: row.facility_email
-    }
+    },
+    // 'owner' for the user's own bookings, 'participant' for bookings they were invited to
+    role: row.user_id === userId ? 'owner' : 'participant',
+    invitationStatus: row.user_id === userId ? null : row.invitation_status,
+    myShare: row.share_amount !== null ? {
+      amount: parseFloat(row.share_amount),
+      paymentStatus: row.share_payment_status
+    } : null
   }));
 
   // Add payment proof URLs to all bookings
   const bookingsWithUrls = await addPaymentProofUrls(bookings);
 
+  // Unread messages from the facilities (the message thread belongs to the booker)
+  const ownBookingIds = bookings.filter(booking => booking.role === 'owner').map(booking => booking.id);
+  const unreadCounts = await bookingMessageService.getUnreadCounts(ownBookingIds, userId);
+  bookingsWithUrls.forEach(booking => {
+    booking.unreadMessageCount = unreadCounts.get(booking.id) || 0;
+  });
+
   return {
     bookings: bookingsWithUrls,
     total: parseInt(countResult.rows[0].total),
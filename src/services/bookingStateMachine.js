@@ -0,0 +1,352 @@
+/**
+ * Booking State Machine
+ *
+ * Single definition of the booking status transitions, who may trigger them,
+ * and the status history they leave behind.
+ *
+ *   (new) ──create──> pending ──accept/confirm──> confirmed ──complete──> completed
+ *                        │                           │
+ *                        ├──reject──> rejected       ├──no_show──> no_show
+ *                        ├──cancel──> cancelled      └──cancel──> cancelled
+ *                        └──expire──> expired
+ *
+ * Actors:
+ * - player:         owner of the booking (create, confirm, cancel)
+ * - facility_admin: facility owner (create, accept, reject, cancel)
+ * - system:         background jobs (expire, complete, no_show)
+ *
+ * A pending booking past its expires_at can no longer be accepted or
+ * confirmed (BOOKING_EXPIRED): its slot is already free for other bookings.
+ *
+ * Every status change goes through this module and writes a
+ * booking_status_history row (actor, reason, previous status). Callers do
+ * their own ownership checks and must pass a booking locked in the current
+ * transaction (lockBooking or an equivalent SELECT ... FOR UPDATE).
+ *
+ * Rejected, cancelled and expired bookings give their promo code redemption
+ * back in the same transaction.
+ */
+
+const Booking = require('../models/Booking');
+const BookingStatusHistory = require('../models/BookingStatusHistory');
+const PromoCode = require('../models/PromoCode');
+
+/**
+ * Actor types
+ */
+const ACTORS = {
+  PLAYER: 'player',
+  FACILITY_ADMIN: 'facility_admin',
+  SYSTEM: 'system'
+};
+
+/**
+ * Allowed transitions per action: target status, source statuses and actors
+ * (null source = booking being created)
+ */
+const BOOKING_ACTIONS = {
+  create: { to: 'pending', from: [null], actors: [ACTORS.PLAYER, ACTORS.FACILITY_ADMIN] },
+  accept: { to: 'confirmed', from: ['pending'], actors: [ACTORS.FACILITY_ADMIN] },
+  confirm: { to: 'confirmed', from: ['pending'], actors: [ACTORS.PLAYER] },
+  reject: { to: 'rejected', from: ['pending'], actors: [ACTORS.FACILITY_ADMIN] },
+  cancel: { to: 'cancelled', from: ['pending', 'confirmed'], actors: [ACTORS.PLAYER, ACTORS.FACILITY_ADMIN] },
+  expire: { to: 'expired', from: ['pending'], actors: [ACTORS.SYSTEM] },
+  complete: { to: 'completed', from: ['confirmed'], actors: [ACTORS.SYSTEM] },
+  no_show: { to: 'no_show', from: ['confirmed'], actors: [ACTORS.SYSTEM] }
+};
+
+/**
+ * Statuses of bookings that did not go ahead; entering one releases the
+ * booking's promo code redemption (it no longer counts toward the code's caps)
+ */
+const REDEMPTION_RELEASING_STATUSES = ['rejected', 'cancelled', 'expired'];
+
+/**
+ * Error for accepting/confirming a pending booking past its expires_at
+ */
+const BOOKING_EXPIRED_ERROR = {
+  statusCode: 400,
+  errorCode: 'BOOKING_EXPIRED',
+  message: 'This pending booking has expired and its slot may have been booked by someone else'
+};
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Get the definition of an action
+ * @param {string} action - Action name
+ * @returns {Object} Action definition
+ * @throws {Error} If the action is unknown (programming error)
+ * @private
+ */
+function getActionDefinition(action) {
+  const definition = BOOKING_ACTIONS[action];
+  if (!definition) {
+    throw new Error(`Unknown booking action: ${action}`);
+  }
+  return definition;
+}
+
+/**
+ * Explain why an action is not allowed (error codes match the former per-endpoint checks)
+ *
+ * @param {string|null} fromStatus - Current status (null for a new booking)
+ * @param {string} action - Action name
+ * @param {string} actorType - Actor type
+ * @returns {Object|null} { statusCode, errorCode, message } or null if the transition is allowed
+ */
+function getTransitionError(fromStatus, action, actorType) {
+  const definition = getActionDefinition(action);
+
+  if (!definition.actors.includes(actorType)) {
+    return {
+      statusCode: 403,
+      errorCode: 'FORBIDDEN',
+      message: `A ${actorType.replace('_', ' ')} cannot ${action} this booking`
+    };
+  }
+
+  if (definition.from.includes(fromStatus)) {
+    return null;
+  }
+
+  switch (action) {
+    case 'accept':
+      return { statusCode: 400, errorCode: 'CANNOT_ACCEPT_NON_PENDING', message: 'Only pending bookings can be accepted' };
+    case 'reject':
+      return { statusCode: 400, errorCode: 'CANNOT_REJECT_NON_PENDING', message: 'Only pending bookings can be rejected' };
+    case 'confirm':
+      return fromStatus === 'confirmed'
+        ? { statusCode: 400, errorCode: 'ALREADY_CONFIRMED', message: 'Booking is already confirmed' }
+        : { statusCode: 400, errorCode: `CANNOT_CONFIRM_${String(fromStatus).toUpperCase()}`, message: `Cannot confirm this booking (status: ${fromStatus})` };
+    case 'cancel':
+      return fromStatus === 'cancelled'
+        ? { statusCode: 400, errorCode: 'ALREADY_CANCELLED', message: 'Booking is already cancelled' }
+        : { statusCode: 400, errorCode: `CANNOT_CANCEL_${String(fromStatus).toUpperCase()}`, message: `Cannot cancel this booking (status: ${fromStatus})` };
+    default:
+      return {
+        statusCode: 400,
+        errorCode: 'INVALID_STATUS_TRANSITION',
+        message: `Cannot ${action} a booking with status ${fromStatus}`
+      };
+  }
+}
+
+/**
+ * Check if a pending booking has expired before it could be accepted/confirmed
+ * @param {Object} booking - Booking object (bookingStatus, expiresAt)
+ * @param {string} action - Action name
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { statusCode, errorCode, message } or null if the booking has not expired
+ */
+function getExpiryError(booking, action, now = new Date()) {
+  if ((action !== 'accept' && action !== 'confirm') || booking.bookingStatus !== 'pending') {
+    return null;
+  }
+
+  if (!booking.expiresAt || new Date(booking.expiresAt) > now) {
+    return null;
+  }
+
+  return BOOKING_EXPIRED_ERROR;
+}
+
+/**
+ * Build an error from a { statusCode, errorCode, message } description
+ * @param {Object} description - Error description
+ * @param {string|null} currentStatus - Current booking status
+ * @returns {Error} Error with statusCode/errorCode
+ * @private
+ */
+function buildTransitionError(description, currentStatus) {
+  const error = new Error(description.message);
+  error.statusCode = description.statusCode;
+  error.errorCode = description.errorCode;
+  error.currentStatus = currentStatus;
+  return error;
+}
+
+/**
+ * Check that an action is allowed and return the resulting status
+ * @param {string|null} fromStatus - Current status (null for a new booking)
+ * @param {string} action - Action name
+ * @param {string} actorType - Actor type
+ * @returns {string} Status after the transition
+ * @throws {Error} With statusCode/errorCode from getTransitionError
+ */
+function assertTransition(fromStatus, action, actorType) {
+  const transitionError = getTransitionError(fromStatus, action, actorType);
+
+  if (transitionError) {
+    throw buildTransitionError(transitionError, fromStatus);
+  }
+
+  return BOOKING_ACTIONS[action].to;
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Lock a booking for a transition (SELECT FOR UPDATE)
+ * @param {Object} client - Database client (in a transaction)
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Booking object or null if not found
+ */
+async function lockBooking(client, bookingId) {
+  const result = await client.query(
+    `SELECT ${Booking._getBookingFields()} FROM bookings WHERE id = $1 FOR UPDATE`,
+    [bookingId]
+  );
+  return result.rows[0] ? Booking._formatBooking(result.rows[0]) : null;
+}
+
+/**
+ * Apply a transition to a locked booking and record it
+ *
+ * @param {Object} client - Database client (in a transaction)
+ * @param {Object} booking - Booking locked in this transaction
+ * @param {string} action - 'accept', 'confirm', 'reject' or 'cancel'
+ * @param {Object} actor - { type, userId }
+ * @param {Object} [details] - Transition details
+ * @param {string} [details.reason] - Reason (stored on rejected/cancelled bookings and in the history)
+ * @param {string} [details.paymentReference] - Payment reference (accept/confirm)
+ * @param {Object} [details.settlement] - Refund and penalty (cancel)
+ * @returns {Promise<Object>} Updated booking
+ * @throws {Error} If the transition is not allowed
+ */
+async function transitionBooking(client, booking, action, actor, details = {}) {
+  const newStatus = assertTransition(booking.bookingStatus, action, actor.type);
+  const reason = details.reason || null;
+
+  let updatedBooking;
+  switch (action) {
+    case 'accept':
+    case 'confirm': {
+      const expiryError = getExpiryError(booking, action);
+      if (expiryError) {
+        throw buildTransitionError(expiryError, booking.bookingStatus);
+      }
+
+      updatedBooking = await Booking.accept(booking.id, details.paymentReference || null, client);
+      if (!updatedBooking) {
+        // The booking is locked and pending, so it expired by the database clock
+        throw buildTransitionError(BOOKING_EXPIRED_ERROR, booking.bookingStatus);
+      }
+      break;
+    }
+    case 'reject':
+      updatedBooking = await Booking.reject(booking.id, reason, client);
+      break;
+    case 'cancel':
+      updatedBooking = await Booking.cancel(booking.id, reason, details.settlement || {}, client);
+      break;
+    default:
+      throw new Error(`Booking action ${action} is not applied to single bookings`);
+  }
+
+  if (REDEMPTION_RELEASING_STATUSES.includes(newStatus)) {
+    await PromoCode.releaseRedemptions(client, [booking.id]);
+  }
+
+  await BookingStatusHistory.createMany([{
+    bookingId: booking.id,
+    previousStatus: booking.bookingStatus,
+    newStatus,
+    action,
+    actorType: actor.type,
+    actorUserId: actor.userId || null,
+    reason
+  }], client);
+
+  return updatedBooking;
+}
+
+/**
+ * Record the creation of a booking (inserted as pending by the caller)
+ * @param {Object} client - Database client (in a transaction)
+ * @param {Object} booking - Created booking
+ * @param {Object} actor - { type, userId }
+ * @returns {Promise<void>}
+ */
+async function recordCreation(client, booking, actor) {
+  const newStatus = assertTransition(null, 'create', actor.type);
+
+  await BookingStatusHistory.createMany([{
+    bookingId: booking.id,
+    previousStatus: null,
+    newStatus,
+    action: 'create',
+    actorType: actor.type,
+    actorUserId: actor.userId || null,
+    reason: null
+  }], client);
+}
+
+/**
+ * Apply a transition to several locked bookings and record it (background jobs)
+ *
+ * @param {Object} client - Database client (in a transaction)
+ * @param {Array<Object>} bookings - Bookings locked in this transaction ({ id, bookingStatus })
+ * @param {string} action - 'expire', 'complete' or 'no_show'
+ * @param {Object} actor - { type, userId }
+ * @param {string} [reason] - Reason for every change
+ * @returns {Promise<Array>} Updated bookings
+ * @throws {Error} If a booking cannot take the transition
+ */
+async function transitionBookings(client, bookings, action, actor, reason = null) {
+  if (bookings.length === 0) {
+    return [];
+  }
+
+  const entries = bookings.map(booking => ({
+    bookingId: booking.id,
+    previousStatus: booking.bookingStatus,
+    newStatus: assertTransition(booking.bookingStatus, action, actor.type),
+    action,
+    actorType: actor.type,
+    actorUserId: actor.userId || null,
+    reason
+  }));
+
+  const bookingIds = bookings.map(booking => booking.id);
+  const newStatus = BOOKING_ACTIONS[action].to;
+  const updatedBookings = await Booking.setStatusMany(bookingIds, newStatus, client);
+
+  if (REDEMPTION_RELEASING_STATUSES.includes(newStatus)) {
+    await PromoCode.releaseRedemptions(client, bookingIds);
+  }
+
+  await BookingStatusHistory.createMany(entries, client);
+
+  return updatedBookings;
+}
+
+/**
+ * Get the status history of a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} History entries, oldest first
+ */
+async function getStatusHistory(bookingId) {
+  return BookingStatusHistory.findByBookingId(bookingId);
+}
+
+module.exports = {
+  ACTORS,
+  BOOKING_ACTIONS,
+  lockBooking,
+  transitionBooking,
+  recordCreation,
+  transitionBookings,
+  getStatusHistory,
+  getTransitionError,
+  getExpiryError,
+  assertTransition
+};
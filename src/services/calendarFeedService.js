@@ -0,0 +1,589 @@
+/**
+ * Calendar Feed Service
+ *
+ * Tokenized, revocable iCalendar (.ics) feeds that calendar apps subscribe to.
+ *
+ * Architecture:
+ * - A feed is one of:
+ *   - user: the creator's pending and confirmed bookings
+ *   - facility: pending and confirmed bookings on every court of a facility
+ *   - court: pending and confirmed bookings on one court
+ *   Facility and court feeds can only be created by the facility owner and stop
+ *   serving if the facility changes hands
+ * - The feed URL carries a random token; only its SHA-256 hash is stored, so
+ *   the URL is returned once when the feed is created. Revoking a feed makes
+ *   its URL fail immediately
+ * - Booking times are wall-clock times at the facility; events are written in
+ *   UTC using the facility's time zone (facilities.timezone)
+ * - Each booking keeps the UID booking-<id>@sportsarena, so calendar apps
+ *   update rescheduled bookings in place and drop cancelled ones (they leave
+ *   the feed) on their next refresh
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const CalendarFeed = require('../models/CalendarFeed');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const { zonedTimeToUtc } = require('../utils/timezone');
+
+/**
+ * Booking statuses shown in feeds, with their iCalendar event status
+ */
+const FEED_EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED'
+};
+
+/**
+ * Domain part of event UIDs
+ */
+const EVENT_UID_DOMAIN = 'sportsarena';
+
+/**
+ * Maximum octets per content line before folding (RFC 5545 section 3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Build a "feed not found" error (unknown, revoked or no longer authorized)
+ * @returns {Error} CALENDAR_FEED_NOT_FOUND error
+ * @private
+ */
+function feedNotFoundError() {
+  const error = new Error('Calendar feed not found');
+  error.statusCode = 404;
+  error.errorCode = 'CALENDAR_FEED_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Validate calendar feed input
+ * @param {Object} input - Request body
+ * @param {string} [input.feedType='user'] - 'user', 'facility' or 'court'
+ * @param {number} [input.facilityId] - Facility ID (facility feeds)
+ * @param {number} [input.courtId] - Court ID (court feeds)
+ * @returns {Object} { feedType, facilityId, courtId }
+ * @throws {Error} If the feed type or its scope is invalid
+ */
+function validateFeedInput(input = {}) {
+  const feedType = input.feedType === undefined ? 'user' : input.feedType;
+
+  if (!CalendarFeed.FEED_TYPES.includes(feedType)) {
+    throw validationError(`feedType must be one of: ${CalendarFeed.FEED_TYPES.join(', ')}`);
+  }
+
+  if (feedType === 'user') {
+    if (input.facilityId !== undefined || input.courtId !== undefined) {
+      throw validationError('facilityId and courtId are not allowed for user feeds');
+    }
+    return { feedType, facilityId: null, courtId: null };
+  }
+
+  if (feedType === 'facility') {
+    if (!Number.isInteger(input.facilityId) || input.facilityId <= 0) {
+      throw validationError('facilityId is required for facility feeds');
+    }
+    if (input.courtId !== undefined) {
+      throw validationError('courtId is not allowed for facility feeds');
+    }
+    return { feedType, facilityId: input.facilityId, courtId: null };
+  }
+
+  if (!Number.isInteger(input.courtId) || input.courtId <= 0) {
+    throw validationError('courtId is required for court feeds');
+  }
+  return { feedType, facilityId: null, courtId: input.courtId };
+}
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Feed token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Format a date as YYYY-MM-DD (local time, like booking_date)
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ * @private
+ */
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Format minutes since midnight as HH:MM (1440 is shown as 24:00)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time string
+ * @private
+ */
+function formatMinutes(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the start and end instants of a booking
+ * @param {Object} booking - Booking object (bookingDate, startTime, endTime)
+ * @param {string} timeZone - IANA time zone of the facility
+ * @returns {Object} { startsAt, endsAt } as Dates
+ */
+function getBookingInstants(booking, timeZone) {
+  const dateKey = toDateKey(new Date(booking.bookingDate));
+  return {
+    startsAt: zonedTimeToUtc(dateKey, booking.startTime, timeZone),
+    endsAt: zonedTimeToUtc(dateKey, booking.endTime, timeZone)
+  };
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF-separated)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  // Iterate by code point so multi-byte characters are never split
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format an instant as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Instant
+ * @returns {string} UTC date-time
+ */
+function formatUtcDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Get the event UID of a booking (stable across reschedules and status changes)
+ * @param {number} bookingId - Booking ID
+ * @returns {string} UID
+ */
+function getEventUid(bookingId) {
+  return `booking-${bookingId}@${EVENT_UID_DOMAIN}`;
+}
+
+/**
+ * Build the VEVENT lines of a booking
+ * @param {Object} booking - Booking object
+ * @param {Object} court - Court context
+ * @param {string} court.courtName - Court name
+ * @param {string} court.facilityName - Facility name
+ * @param {string} [court.address] - Facility address
+ * @param {string} [court.city] - Facility city
+ * @param {string} court.timezone - Facility time zone
+ * @param {Object} [options] - Event options
+ * @param {string} [options.playerName] - Player name (owner feeds)
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildBookingEvent(booking, court, options = {}) {
+  const { playerName = null } = options;
+  const { startsAt, endsAt } = getBookingInstants(booking, court.timezone);
+  const isPending = booking.bookingStatus === 'pending';
+
+  const title = playerName
+    ? `${court.courtName}: ${playerName}`
+    : `${court.courtName} at ${court.facilityName}`;
+  const location = [court.facilityName, court.address, court.city].filter(Boolean).join(', ');
+  const description = [
+    `Booking #${booking.id}`,
+    `Status: ${booking.bookingStatus}`,
+    `Time: ${formatMinutes(booking.startTime)} - ${formatMinutes(booking.endTime)} (${court.timezone})`
+  ].join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(booking.id)}`,
+    `DTSTAMP:${formatUtcDateTime(booking.updatedAt)}`,
+    `CREATED:${formatUtcDateTime(booking.createdAt)}`,
+    `LAST-MODIFIED:${formatUtcDateTime(booking.updatedAt)}`,
+    `DTSTART:${formatUtcDateTime(startsAt)}`,
+    `DTEND:${formatUtcDateTime(endsAt)}`,
+    `SUMMARY:${escapeText(isPending ? `${title} (pending)` : title)}`,
+    `LOCATION:${escapeText(location)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${FEED_EVENT_STATUSES[booking.bookingStatus]}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build an iCalendar document
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array<Array<string>>} events - VEVENT lines per event
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SportsArena//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the display name of a booking's player (owner feeds)
+ * @param {Object} row - Booking row joined with user and guest contact
+ * @returns {string} Guest name, user name or username
+ * @private
+ */
+function getPlayerName(row) {
+  if (row.guest_full_name) {
+    return row.guest_full_name;
+  }
+  const fullName = [row.first_name, row.last_name].filter(Boolean).join(' ');
+  return fullName || row.username || 'Player';
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only create calendar feeds for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Load one of the user's calendar feeds
+ * @param {number} feedId - Feed ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Calendar feed object
+ * @private
+ */
+async function getOwnFeed(feedId, userId) {
+  const feed = await CalendarFeed.findById(feedId);
+  if (!feed || feed.userId !== userId) {
+    throw feedNotFoundError();
+  }
+  return feed;
+}
+
+/**
+ * Fetch the court/facility context of courts
+ * @param {Array<number>} courtIds - Court IDs
+ * @returns {Promise<Map>} Map of court ID to { courtName, facilityName, address, city, timezone }
+ * @private
+ */
+async function fetchCourtContexts(courtIds) {
+  if (courtIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await pool.query(
+    `SELECT c.id, c.name AS court_name, f.name AS facility_name, f.address, f.city, f.timezone
+     FROM courts c
+     INNER JOIN facilities f ON c.facility_id = f.id
+     WHERE c.id = ANY($1::INTEGER[])`,
+    [courtIds]
+  );
+
+  return new Map(result.rows.map(row => [row.id, {
+    courtName: row.court_name,
+    facilityName: row.facility_name,
+    address: row.address,
+    city: row.city,
+    timezone: row.timezone
+  }]));
+}
+
+/**
+ * Build the events of a user feed
+ * @param {number} userId - Feed owner user ID
+ * @returns {Promise<Array<Array<string>>>} VEVENT lines per booking
+ * @private
+ */
+async function buildUserFeedEvents(userId) {
+  const options = { limit: bookingRules.MAX_CALENDAR_FEED_EVENTS, offset: 0 };
+  const [pending, confirmed] = await Promise.all([
+    Booking.findByUserId(userId, { ...options, status: 'pending' }),
+    Booking.findByUserId(userId, { ...options, status: 'confirmed' })
+  ]);
+
+  const bookings = [...pending.bookings, ...confirmed.bookings];
+  const courts = await fetchCourtContexts([...new Set(bookings.map(booking => booking.courtId))]);
+  const cutoff = Date.now() - bookingRules.CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000;
+
+  return bookings
+    .filter(booking => courts.has(booking.courtId))
+    .map(booking => ({ booking, court: courts.get(booking.courtId) }))
+    .map(entry => ({ ...entry, ...getBookingInstants(entry.booking, entry.court.timezone) }))
+    .filter(entry => entry.endsAt.getTime() >= cutoff)
+    .sort((a, b) => a.startsAt - b.startsAt || a.booking.id - b.booking.id)
+    .slice(0, bookingRules.MAX_CALENDAR_FEED_EVENTS)
+    .map(entry => buildBookingEvent(entry.booking, entry.court));
+}
+
+/**
+ * Build the events of a facility or court feed
+ * @param {Object} facility - Facility object
+ * @param {number|null} courtId - Court ID (null = every court)
+ * @returns {Promise<Array<Array<string>>>} VEVENT lines per booking
+ * @private
+ */
+async function buildScheduleFeedEvents(facility, courtId) {
+  const conditions = [
+    'c.facility_id = $1',
+    `b.booking_status = ANY($2::TEXT[])`,
+    `b.booking_date >= CURRENT_DATE - $3::INTEGER`
+  ];
+  const values = [facility.id, Object.keys(FEED_EVENT_STATUSES), bookingRules.CALENDAR_FEED_PAST_DAYS];
+
+  if (courtId) {
+    conditions.push('b.court_id = $4');
+    values.push(courtId);
+  }
+
+  const result = await pool.query(
+    `SELECT ${Booking._getBookingFields('b')},
+            c.name AS court_name,
+            u.username, u.first_name, u.last_name,
+            g.full_name AS guest_full_name
+     FROM bookings b
+     INNER JOIN courts c ON b.court_id = c.id
+     LEFT JOIN users u ON b.user_id = u.id
+     LEFT JOIN guest_contacts g ON b.guest_contact_id = g.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY b.booking_date ASC, b.start_time ASC, b.id ASC
+     LIMIT ${bookingRules.MAX_CALENDAR_FEED_EVENTS}`,
+    values
+  );
+
+  return result.rows.map(row => buildBookingEvent(
+    Booking._formatBooking(row),
+    {
+      courtName: row.court_name,
+      facilityName: facility.name,
+      address: facility.address,
+      city: facility.city,
+      timezone: facility.timezone
+    },
+    { playerName: getPlayerName(row) }
+  ));
+}
+
+/**
+ * Create a calendar feed
+ *
+ * @param {number} userId - User ID creating the feed
+ * @param {Object} input - Feed input (feedType, facilityId, courtId)
+ * @returns {Promise<Object>} Calendar feed object with its token (only returned here)
+ * @throws {Error} If the input is invalid, the facility/court is not the user's or the feed limit is reached
+ */
+async function createFeed(userId, input) {
+  const { feedType, facilityId, courtId } = validateFeedInput(input);
+
+  let scopeFacilityId = facilityId;
+  if (feedType === 'court') {
+    const court = await Court.findById(courtId);
+    if (!court) {
+      const error = new Error('Court not found');
+      error.statusCode = 404;
+      error.errorCode = 'COURT_NOT_FOUND';
+      throw error;
+    }
+    scopeFacilityId = court.facilityId;
+  }
+
+  if (scopeFacilityId) {
+    await getOwnedFacility(scopeFacilityId, userId);
+  }
+
+  const activeFeeds = await CalendarFeed.countActiveByUserId(userId);
+  if (activeFeeds >= bookingRules.MAX_ACTIVE_CALENDAR_FEEDS_PER_USER) {
+    const error = new Error(`You can have at most ${bookingRules.MAX_ACTIVE_CALENDAR_FEEDS_PER_USER} active calendar feeds; revoke one first`);
+    error.statusCode = 400;
+    error.errorCode = 'CALENDAR_FEED_LIMIT_REACHED';
+    throw error;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const feed = await CalendarFeed.create({
+    userId,
+    tokenHash: hashFeedToken(token),
+    feedType,
+    facilityId: scopeFacilityId,
+    courtId
+  });
+
+  return { ...feed, token };
+}
+
+/**
+ * List the user's active calendar feeds
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Calendar feed objects (without tokens)
+ */
+async function listFeeds(userId) {
+  return await CalendarFeed.findByUserId(userId);
+}
+
+/**
+ * Revoke one of the user's calendar feeds (revoking twice is a no-op)
+ *
+ * @param {number} feedId - Feed ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Revoked calendar feed object
+ * @throws {Error} If the feed does not exist or belongs to another user
+ */
+async function revokeFeed(feedId, userId) {
+  const feed = await getOwnFeed(feedId, userId);
+  if (feed.revokedAt) {
+    return feed;
+  }
+
+  // Revoked concurrently: return the stored state
+  const revoked = await CalendarFeed.revoke(feedId);
+  return revoked || await CalendarFeed.findById(feedId);
+}
+
+/**
+ * Render a calendar feed by its token
+ *
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<Object>} { name, body } with the iCalendar text
+ * @throws {Error} If the token is unknown, the feed is revoked or the creator no longer owns its facility
+ */
+async function renderFeed(token) {
+  if (!token || typeof token !== 'string') {
+    throw feedNotFoundError();
+  }
+
+  const feed = await CalendarFeed.findActiveByTokenHash(hashFeedToken(token));
+  if (!feed) {
+    throw feedNotFoundError();
+  }
+
+  let name;
+  let events;
+
+  if (feed.feedType === 'user') {
+    name = 'SportsArena bookings';
+    events = await buildUserFeedEvents(feed.userId);
+  } else {
+    const facility = await Facility.findById(feed.facilityId);
+    if (!facility || facility.ownerId !== feed.userId) {
+      throw feedNotFoundError();
+    }
+
+    name = `${facility.name} bookings`;
+    if (feed.feedType === 'court') {
+      const court = await Court.findById(feed.courtId);
+      if (!court || court.facilityId !== facility.id) {
+        throw feedNotFoundError();
+      }
+      name = `${facility.name} - ${court.name} bookings`;
+    }
+
+    events = await buildScheduleFeedEvents(facility, feed.courtId);
+  }
+
+  await CalendarFeed.touch(feed.id);
+
+  return { name, body: buildCalendar(name, events) };
+}
+
+module.exports = {
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  renderFeed
+};
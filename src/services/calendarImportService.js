@@ -0,0 +1,945 @@
+/**
+ * Calendar Import Service
+ *
+ * Imports external calendars (.ics) into a court's blocked time ranges, for
+ * facilities that also take bookings on paper or in another system.
+ *
+ * Architecture:
+ * - A court has import sources; each is either an uploaded calendar or a file
+ *   under CALENDAR_IMPORT_DIR that the booking lifecycle job re-reads
+ *   (task sync_calendar_imports)
+ * - Events become blocks of the matching block_type, in the facility's time
+ *   zone:
+ *   - all-day events -> date_range
+ *   - timed events -> one_time (split at midnight when they span days;
+ *     a block ending at midnight ends at 23:59)
+ *   - open-ended weekly/daily events that already started -> recurring
+ *   - other daily/weekly recurrences -> one_time per occurrence up to
+ *     CALENDAR_IMPORT_HORIZON_DAYS ahead (EXDATE and RECURRENCE-ID honored)
+ *   Cancelled and free (TRANSP:TRANSPARENT) events and events that already
+ *   ended are left out; monthly/yearly recurrences are reported as skipped
+ * - Each block stores its source and event key (UID plus occurrence/part
+ *   suffix). A re-import updates matching blocks, creates new ones and deletes
+ *   blocks whose events are gone, so importing the same file twice changes
+ *   nothing. An admin's isActive toggle on an imported block is kept
+ * - Imported blocks never cancel bookings; live bookings they overlap are
+ *   reported as conflicts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BlockedTimeRange = require('../models/BlockedTimeRange');
+const CalendarImportSource = require('../models/CalendarImportSource');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const { validateBlockDefinition } = require('./blockedTimeRangeService');
+const { WEEKDAY_CODES, parseICalendar } = require('../utils/icalendar');
+const { isValidTimeZone, zonedTimeToUtc, utcToZonedTime } = require('../utils/timezone');
+
+/**
+ * Maximum length of a source name
+ */
+const MAX_SOURCE_NAME_LENGTH = 100;
+
+/**
+ * Maximum length of a block reason (blocked_time_ranges.reason)
+ */
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * Maximum skipped events listed in an import result
+ */
+const MAX_REPORTED_SKIPPED = 50;
+
+/**
+ * Last minute a block can end at (blocked_time_ranges.end_time < 1440)
+ */
+const LAST_BLOCK_MINUTE = 1439;
+
+/**
+ * Safety limit on generated occurrences per recurring event
+ */
+const MAX_OCCURRENCES_PER_EVENT = 1000;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateKey - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date
+ * @private
+ */
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Get the day of week of a YYYY-MM-DD date
+ * @param {string} dateKey - Date
+ * @returns {number} Day of week (0=Sunday)
+ * @private
+ */
+function getDayOfWeek(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Count the days from one date to another
+ * @param {string} fromKey - First date
+ * @param {string} toKey - Second date
+ * @returns {number} Days (negative if toKey is earlier)
+ * @private
+ */
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / (24 * 60 * MS_PER_MINUTE));
+}
+
+/**
+ * Format a stored block date as YYYY-MM-DD
+ * @param {Date|string|null} value - Date from the model (local midnight) or string
+ * @returns {string|null} Date key
+ * @private
+ */
+function toDateKey(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Resolve a wall-clock time of an event to an instant
+ * UTC values are absolute; TZID values use their zone when it is an IANA name;
+ * floating values and unknown zones (e.g. Windows names) are read as facility time.
+ * @param {string} dateKey - Date in the event's calendar
+ * @param {number} minutes - Minutes since midnight in the event's calendar
+ * @param {Object} dateValue - Parsed DTSTART/DTEND (utc, tzid)
+ * @param {string} timeZone - Facility time zone
+ * @returns {Date} Instant
+ */
+function resolveInstant(dateKey, minutes, dateValue, timeZone) {
+  if (dateValue.utc) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  }
+
+  const zone = dateValue.tzid && isValidTimeZone(dateValue.tzid) ? dateValue.tzid : timeZone;
+  return zonedTimeToUtc(dateKey, minutes, zone);
+}
+
+/**
+ * Split a timed range into blocks in the facility's local time
+ * @param {Date} startsAt - Start instant
+ * @param {Date} endsAt - End instant
+ * @param {string} timeZone - Facility time zone
+ * @returns {Array<Object>} Block definitions (one_time per partial day, date_range for whole days in between)
+ */
+function splitTimedRange(startsAt, endsAt, timeZone) {
+  const start = utcToZonedTime(startsAt, timeZone);
+  const end = utcToZonedTime(endsAt, timeZone);
+  const oneTime = (dateKey, startTime, endTime) => ({
+    blockType: 'one_time', startDate: dateKey, endDate: dateKey, startTime, endTime, dayOfWeek: null
+  });
+
+  if (start.dateKey === end.dateKey) {
+    return end.minutes > start.minutes ? [oneTime(start.dateKey, start.minutes, end.minutes)] : [];
+  }
+
+  const blocks = [];
+  if (start.minutes > 0 && start.minutes < LAST_BLOCK_MINUTE) {
+    blocks.push(oneTime(start.dateKey, start.minutes, LAST_BLOCK_MINUTE));
+  }
+
+  // Whole days in between (including the first day when the event starts at midnight)
+  const firstFullDay = start.minutes === 0 ? start.dateKey : addDays(start.dateKey, 1);
+  const lastFullDay = addDays(end.dateKey, -1);
+  if (firstFullDay <= lastFullDay) {
+    blocks.push({
+      blockType: 'date_range', startDate: firstFullDay, endDate: lastFullDay, startTime: null, endTime: null, dayOfWeek: null
+    });
+  }
+
+  if (end.minutes > 0) {
+    blocks.push(oneTime(end.dateKey, 0, end.minutes));
+  }
+
+  return blocks;
+}
+
+/**
+ * Generate the occurrence starts of a daily/weekly recurring event
+ * DTSTART is always the first occurrence; COUNT counts from it.
+ * @param {Object} event - Parsed event with rrule
+ * @param {string} lastDateKey - Stop after this date (import horizon)
+ * @returns {Array<string>} Occurrence dates in the event's calendar (YYYY-MM-DD)
+ */
+function generateOccurrenceDates(event, lastDateKey) {
+  const { rrule, start } = event;
+  const untilKey = rrule.until ? rrule.until.dateKey : null;
+  const endKey = untilKey && untilKey < lastDateKey ? untilKey : lastDateKey;
+  const dates = [];
+
+  const accept = (dateKey) => {
+    if (rrule.count !== null && dates.length >= rrule.count) return false;
+    if (dateKey > endKey) return false;
+    dates.push(dateKey);
+    return true;
+  };
+
+  if (!accept(start.dateKey)) {
+    return dates;
+  }
+
+  if (rrule.freq === 'DAILY') {
+    for (let i = 1; i < MAX_OCCURRENCES_PER_EVENT; i++) {
+      const dateKey = addDays(start.dateKey, i * rrule.interval);
+      if (rrule.byDay && !rrule.byDay.includes(getDayOfWeek(dateKey))) {
+        continue;
+      }
+      if (!accept(dateKey)) break;
+    }
+    return dates;
+  }
+
+  // WEEKLY: weeks start on Monday (WKST default); every interval-th week
+  const byDay = rrule.byDay && rrule.byDay.length > 0 ? rrule.byDay : [getDayOfWeek(start.dateKey)];
+  const offsets = byDay.map(dayOfWeek => (dayOfWeek + 6) % 7).sort((a, b) => a - b);
+  const weekStart = addDays(start.dateKey, -((getDayOfWeek(start.dateKey) + 6) % 7));
+
+  for (let week = 0; week * 7 < MAX_OCCURRENCES_PER_EVENT; week += rrule.interval) {
+    for (const offset of offsets) {
+      const dateKey = addDays(weekStart, week * 7 + offset);
+      if (dateKey <= start.dateKey) {
+        continue;
+      }
+      if (!accept(dateKey)) {
+        return dates;
+      }
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Check if a recurring event can be stored as recurring blocks
+ * (open-ended daily/weekly rule without exceptions that already started and
+ * fits in one local day)
+ * @param {Object} event - Parsed event
+ * @param {Array<Object>} firstBlocks - Blocks of the first occurrence
+ * @param {Date} startsAt - Start instant of the first occurrence
+ * @param {Date} now - Current time
+ * @returns {boolean} True if recurring blocks describe the event exactly
+ * @private
+ */
+function fitsRecurringBlocks(event, firstBlocks, startsAt, now) {
+  const { rrule } = event;
+  return !event.start.dateOnly &&
+    (rrule.freq === 'WEEKLY' || rrule.freq === 'DAILY') &&
+    rrule.interval === 1 &&
+    rrule.count === null &&
+    rrule.until === null &&
+    event.exdates.length === 0 &&
+    !event.hasOverrides &&
+    startsAt <= now &&
+    firstBlocks.length === 1 &&
+    firstBlocks[0].blockType === 'one_time';
+}
+
+/**
+ * Build a block reason from an event summary
+ * @param {string|null} summary - Event summary
+ * @returns {string} Reason (at most 255 characters)
+ * @private
+ */
+function getEventReason(summary) {
+  const reason = summary || 'Imported event';
+  return reason.length > MAX_REASON_LENGTH ? reason.slice(0, MAX_REASON_LENGTH) : reason;
+}
+
+/**
+ * Convert parsed events into keyed block definitions
+ *
+ * @param {Array<Object>} events - Events from parseICalendar
+ * @param {Object} options - Conversion options
+ * @param {string} options.timeZone - Facility time zone
+ * @param {Date} options.now - Current time (earlier occurrences are left out)
+ * @param {string} [options.description] - Description stored on every block
+ * @param {number} [options.horizonDays] - Expansion horizon for recurring events
+ * @returns {Object} { blocks: [{ externalUid, definition }], skipped: [{ uid, summary, reason }] }
+ */
+function convertEventsToBlocks(events, options) {
+  const {
+    timeZone,
+    now,
+    description = null,
+    horizonDays = bookingRules.CALENDAR_IMPORT_HORIZON_DAYS
+  } = options;
+
+  const today = utcToZonedTime(now, timeZone).dateKey;
+  const horizonKey = addDays(today, horizonDays);
+  const blocks = [];
+  const skipped = [];
+  const seenKeys = new Set();
+
+  const skip = (event, reason) => skipped.push({ uid: event.uid, summary: event.summary, reason });
+
+  // Modified occurrences (RECURRENCE-ID) replace the occurrence of their master
+  const overriddenInstants = new Map();
+  for (const event of events) {
+    if (event.uid && event.recurrenceId && event.start && !event.error) {
+      const master = events.find(candidate => candidate.uid === event.uid && !candidate.recurrenceId);
+      const instant = event.recurrenceId.dateOnly
+        ? event.recurrenceId.dateKey
+        : resolveInstant(event.recurrenceId.dateKey, event.recurrenceId.minutes, event.recurrenceId, timeZone).getTime();
+      if (!overriddenInstants.has(event.uid)) {
+        overriddenInstants.set(event.uid, new Set());
+      }
+      overriddenInstants.get(event.uid).add(instant);
+      if (master) {
+        master.hasOverrides = true;
+      }
+    }
+  }
+
+  const addBlocks = (event, baseKey, definitions) => {
+    definitions.forEach((definition, index) => {
+      blocks.push({
+        externalUid: definitions.length === 1 ? baseKey : `${baseKey}#${index + 1}`,
+        definition: { ...definition, reason: getEventReason(event.summary), description }
+      });
+    });
+  };
+
+  for (const event of events) {
+    if (event.error) {
+      skip(event, event.error);
+      continue;
+    }
+    if (!event.uid) {
+      skip(event, 'Missing UID');
+      continue;
+    }
+    if (!event.start) {
+      skip(event, 'Missing DTSTART');
+      continue;
+    }
+    if (event.status === 'CANCELLED') {
+      skip(event, 'Cancelled event');
+      continue;
+    }
+    if (event.transparency === 'TRANSPARENT') {
+      skip(event, 'Marked as free (TRANSP:TRANSPARENT)');
+      continue;
+    }
+
+    const eventKey = event.recurrenceId
+      ? `${event.uid}@${event.recurrenceId.dateOnly ? event.recurrenceId.dateKey : resolveInstant(event.recurrenceId.dateKey, event.recurrenceId.minutes, event.recurrenceId, timeZone).toISOString()}`
+      : event.uid;
+    if (seenKeys.has(eventKey)) {
+      skip(event, 'Duplicate UID');
+      continue;
+    }
+    seenKeys.add(eventKey);
+
+    if (event.rrule && !event.recurrenceId &&
+        (event.rrule.hasUnsupportedParts || !['DAILY', 'WEEKLY'].includes(event.rrule.freq))) {
+      skip(event, `Unsupported recurrence (${event.rrule.freq}); only simple daily and weekly rules are imported`);
+      continue;
+    }
+
+    // All-day events: whole days (DTEND is exclusive)
+    if (event.start.dateOnly) {
+      let days = 1;
+      if (event.end) {
+        days = Math.max(1, daysBetween(event.start.dateKey, event.end.dateKey));
+      } else if (event.durationMinutes !== null) {
+        days = Math.max(1, Math.ceil(event.durationMinutes / (24 * 60)));
+      }
+
+      const excluded = new Set([
+        ...event.exdates.map(exdate => exdate.dateKey),
+        ...(overriddenInstants.get(event.uid) || [])
+      ]);
+      const dates = event.rrule && !event.recurrenceId
+        ? generateOccurrenceDates(event, horizonKey)
+        : [event.start.dateKey];
+
+      for (const dateKey of dates) {
+        const endDate = addDays(dateKey, days - 1);
+        if (excluded.has(dateKey) || endDate < today) {
+          continue;
+        }
+        const key = event.rrule && !event.recurrenceId ? `${eventKey}@${dateKey}` : eventKey;
+        addBlocks(event, key, [{
+          blockType: 'date_range', startDate: dateKey, endDate, startTime: null, endTime: null, dayOfWeek: null
+        }]);
+      }
+      continue;
+    }
+
+    // Timed events: duration from DTEND or DURATION
+    const firstStart = resolveInstant(event.start.dateKey, event.start.minutes, event.start, timeZone);
+    let durationMs = 0;
+    if (event.end) {
+      durationMs = resolveInstant(event.end.dateKey, event.end.minutes, event.end, timeZone) - firstStart;
+    } else if (event.durationMinutes !== null) {
+      durationMs = event.durationMinutes * MS_PER_MINUTE;
+    }
+    if (durationMs <= 0) {
+      skip(event, 'Event has no duration');
+      continue;
+    }
+
+    if (!event.rrule || event.recurrenceId) {
+      if (firstStart.getTime() + durationMs > now.getTime()) {
+        addBlocks(event, eventKey, splitTimedRange(firstStart, new Date(firstStart.getTime() + durationMs), timeZone));
+      }
+      continue;
+    }
+
+    const firstBlocks = splitTimedRange(firstStart, new Date(firstStart.getTime() + durationMs), timeZone);
+    if (fitsRecurringBlocks(event, firstBlocks, firstStart, now)) {
+      // Weekdays of the event's calendar, moved to the facility's local date
+      const dayShift = daysBetween(event.start.dateKey, firstBlocks[0].startDate);
+      const eventDays = event.rrule.freq === 'DAILY'
+        ? (event.rrule.byDay || [0, 1, 2, 3, 4, 5, 6])
+        : (event.rrule.byDay && event.rrule.byDay.length > 0 ? event.rrule.byDay : [getDayOfWeek(event.start.dateKey)]);
+
+      for (const eventDay of [...new Set(eventDays)].sort()) {
+        const dayOfWeek = (eventDay + dayShift + 7) % 7;
+        addBlocks(event, `${eventKey}#${WEEKDAY_CODES[dayOfWeek]}`, [{
+          blockType: 'recurring',
+          startDate: null,
+          endDate: null,
+          startTime: firstBlocks[0].startTime,
+          endTime: firstBlocks[0].endTime,
+          dayOfWeek
+        }]);
+      }
+      continue;
+    }
+
+    const excluded = new Set([
+      ...event.exdates.map(exdate => (exdate.dateOnly
+        ? resolveInstant(exdate.dateKey, event.start.minutes, event.start, timeZone)
+        : resolveInstant(exdate.dateKey, exdate.minutes, exdate, timeZone)).getTime()),
+      ...(overriddenInstants.get(event.uid) || [])
+    ]);
+
+    const { until } = event.rrule;
+    const untilInstant = until && !until.dateOnly ? resolveInstant(until.dateKey, until.minutes, until, timeZone) : null;
+
+    for (const dateKey of generateOccurrenceDates(event, horizonKey)) {
+      const startsAt = resolveInstant(dateKey, event.start.minutes, event.start, timeZone);
+      const endsAt = new Date(startsAt.getTime() + durationMs);
+      if (excluded.has(startsAt.getTime()) || endsAt <= now || (untilInstant && startsAt > untilInstant)) {
+        continue;
+      }
+      addBlocks(event, `${eventKey}@${startsAt.toISOString()}`, splitTimedRange(startsAt, endsAt, timeZone));
+    }
+  }
+
+  return { blocks, skipped };
+}
+
+/**
+ * Get a comparable signature of a block definition
+ * @param {Object} block - Block object or definition
+ * @returns {string} Signature
+ * @private
+ */
+function getBlockSignature(block) {
+  return JSON.stringify([
+    block.blockType,
+    toDateKey(block.startDate),
+    toDateKey(block.endDate),
+    block.startTime,
+    block.endTime,
+    block.dayOfWeek,
+    block.reason,
+    block.description
+  ]);
+}
+
+/**
+ * Plan the changes that bring a source's blocks in line with its calendar
+ * @param {Array<Object>} existingBlocks - Blocks currently imported from the source
+ * @param {Array<Object>} desiredBlocks - Keyed definitions from convertEventsToBlocks
+ * @returns {Object} { toCreate, toUpdate: [{ block, definition }], toDelete, unchangedCount }
+ */
+function planImportChanges(existingBlocks, desiredBlocks) {
+  const existingByKey = new Map(existingBlocks.map(block => [block.externalUid, block]));
+  const toCreate = [];
+  const toUpdate = [];
+  let unchangedCount = 0;
+
+  for (const desired of desiredBlocks) {
+    const existing = existingByKey.get(desired.externalUid);
+    if (!existing) {
+      toCreate.push(desired);
+      continue;
+    }
+
+    existingByKey.delete(desired.externalUid);
+    if (getBlockSignature(existing) === getBlockSignature(desired.definition)) {
+      unchangedCount++;
+    } else {
+      toUpdate.push({ block: existing, definition: desired.definition });
+    }
+  }
+
+  return { toCreate, toUpdate, toDelete: [...existingByKey.values()], unchangedCount };
+}
+
+/**
+ * Validate import source input
+ * @param {Object} data - Request body
+ * @param {string} data.sourceType - 'upload' or 'file'
+ * @param {string} [data.name] - Display name
+ * @param {string} [data.filePath] - File path (file sources)
+ * @returns {Object} { sourceType, name, filePath }
+ * @throws {Error} If the input is invalid
+ */
+function validateSourceInput(data = {}) {
+  const { sourceType } = data;
+
+  if (!CalendarImportSource.SOURCE_TYPES.includes(sourceType)) {
+    throw validationError(`sourceType must be one of: ${CalendarImportSource.SOURCE_TYPES.join(', ')}`);
+  }
+
+  if (data.name !== undefined && data.name !== null &&
+      (typeof data.name !== 'string' || data.name.trim() === '' || data.name.trim().length > MAX_SOURCE_NAME_LENGTH)) {
+    throw validationError(`name must be a non-empty string of at most ${MAX_SOURCE_NAME_LENGTH} characters`);
+  }
+
+  let filePath = null;
+  if (sourceType === 'file') {
+    if (typeof data.filePath !== 'string' || data.filePath.trim() === '') {
+      throw validationError('filePath is required for file sources');
+    }
+    if (path.extname(data.filePath.trim()).toLowerCase() !== '.ics') {
+      throw validationError('filePath must point to an .ics file');
+    }
+    filePath = data.filePath.trim();
+  } else if (data.filePath !== undefined) {
+    throw validationError('filePath is only allowed for file sources');
+  }
+
+  const defaultName = sourceType === 'file' ? path.basename(filePath) : 'Uploaded calendar';
+
+  return {
+    sourceType,
+    name: data.name ? data.name.trim() : defaultName,
+    filePath
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a court and verify the user owns its facility
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Court object
+ * @private
+ */
+async function getOwnedCourt(courtId, userId) {
+  const court = await Court.findById(courtId);
+  if (!court) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const facility = await Facility.findById(court.facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only import calendars for courts in your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return court;
+}
+
+/**
+ * Load an import source of a court
+ * @param {number} courtId - Court ID
+ * @param {number} sourceId - Source ID
+ * @returns {Promise<Object>} Import source object
+ * @private
+ */
+async function getCourtSource(courtId, sourceId) {
+  const source = await CalendarImportSource.findById(sourceId);
+  if (!source || source.courtId !== courtId) {
+    const error = new Error('Calendar import source not found');
+    error.statusCode = 404;
+    error.errorCode = 'IMPORT_SOURCE_NOT_FOUND';
+    throw error;
+  }
+  return source;
+}
+
+/**
+ * Resolve a file path inside CALENDAR_IMPORT_DIR
+ * Symlinks are resolved so a file cannot point outside the directory.
+ * @param {string} filePath - Path relative to CALENDAR_IMPORT_DIR
+ * @returns {Promise<Object>} { relativePath, absolutePath }
+ * @throws {Error} If file imports are disabled, or the file is missing or outside the directory
+ * @private
+ */
+async function resolveImportFile(filePath) {
+  if (!process.env.CALENDAR_IMPORT_DIR) {
+    const error = new Error('File imports are disabled (CALENDAR_IMPORT_DIR is not configured)');
+    error.statusCode = 400;
+    error.errorCode = 'FILE_IMPORT_DISABLED';
+    throw error;
+  }
+
+  const notFound = () => {
+    const error = new Error(`Calendar file not found: ${filePath}`);
+    error.statusCode = 400;
+    error.errorCode = 'CALENDAR_FILE_NOT_FOUND';
+    return error;
+  };
+
+  let directory;
+  let absolutePath;
+  try {
+    directory = await fs.realpath(process.env.CALENDAR_IMPORT_DIR);
+    absolutePath = await fs.realpath(path.resolve(directory, filePath));
+  } catch (error) {
+    throw notFound();
+  }
+
+  if (!absolutePath.startsWith(directory + path.sep)) {
+    throw notFound();
+  }
+
+  return { relativePath: path.relative(directory, absolutePath), absolutePath };
+}
+
+/**
+ * Read the calendar file of a file source
+ * @param {string} filePath - Path relative to CALENDAR_IMPORT_DIR
+ * @returns {Promise<string>} File contents
+ * @private
+ */
+async function readImportFile(filePath) {
+  const { absolutePath } = await resolveImportFile(filePath);
+
+  const stats = await fs.stat(absolutePath);
+  if (stats.size > bookingRules.MAX_CALENDAR_IMPORT_BYTES) {
+    const error = new Error(`Calendar files can be at most ${bookingRules.MAX_CALENDAR_IMPORT_BYTES} bytes`);
+    error.statusCode = 400;
+    error.errorCode = 'CALENDAR_IMPORT_TOO_LARGE';
+    throw error;
+  }
+
+  return await fs.readFile(absolutePath, 'utf8');
+}
+
+/**
+ * Import calendar text into a source's blocks
+ *
+ * @param {Object} source - Import source
+ * @param {string} icsText - iCalendar text
+ * @param {number|null} actorUserId - Admin running the import (null = scheduled sync)
+ * @returns {Promise<Object>} { source, result } with the import summary
+ * @throws {Error} If the text is too large, not an iCalendar document or produces too many blocks
+ * @private
+ */
+async function importCalendar(source, icsText, actorUserId) {
+  if (typeof icsText !== 'string' || icsText.trim() === '') {
+    throw validationError('The calendar is empty');
+  }
+
+  if (Buffer.byteLength(icsText) > bookingRules.MAX_CALENDAR_IMPORT_BYTES) {
+    const error = new Error(`Calendar files can be at most ${bookingRules.MAX_CALENDAR_IMPORT_BYTES} bytes`);
+    error.statusCode = 400;
+    error.errorCode = 'CALENDAR_IMPORT_TOO_LARGE';
+    throw error;
+  }
+
+  const facility = await Facility.findById(source.facilityId);
+  const events = parseICalendar(icsText);
+  const { blocks, skipped } = convertEventsToBlocks(events, {
+    timeZone: facility.timezone,
+    now: new Date(),
+    description: `Imported from calendar "${source.name}"`
+  });
+
+  if (blocks.length > bookingRules.MAX_CALENDAR_IMPORT_BLOCKS) {
+    const error = new Error(`This calendar produces ${blocks.length} blocks; at most ${bookingRules.MAX_CALENDAR_IMPORT_BLOCKS} can be imported`);
+    error.statusCode = 400;
+    error.errorCode = 'CALENDAR_IMPORT_TOO_LARGE';
+    throw error;
+  }
+
+  const desiredBlocks = blocks.map(block => ({
+    externalUid: block.externalUid,
+    definition: validateBlockDefinition(block.definition)
+  }));
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize imports of the same source, and bookings on the court (see
+    // blockedTimeRangeService.applyBlockToBookings)
+    const lockedSource = await CalendarImportSource.findById(source.id, client, true);
+    if (!lockedSource) {
+      const error = new Error('Calendar import source not found');
+      error.statusCode = 404;
+      error.errorCode = 'IMPORT_SOURCE_NOT_FOUND';
+      throw error;
+    }
+    await client.query('SELECT id FROM courts WHERE id = $1 FOR UPDATE', [source.courtId]);
+
+    const existingBlocks = await BlockedTimeRange.findByImportSourceId(source.id, client);
+    const plan = planImportChanges(existingBlocks, desiredBlocks);
+    const savedBlocks = [];
+
+    for (const { externalUid, definition } of plan.toCreate) {
+      savedBlocks.push(await BlockedTimeRange.create({
+        ...definition,
+        facilityId: source.facilityId,
+        courtId: source.courtId,
+        createdBy: actorUserId || source.createdBy,
+        importSourceId: source.id,
+        externalUid
+      }, client));
+    }
+
+    for (const { block, definition } of plan.toUpdate) {
+      savedBlocks.push(await BlockedTimeRange.update(block.id, { ...definition, isActive: block.isActive }, client));
+    }
+
+    const deletedCount = await BlockedTimeRange.deleteMany(plan.toDelete.map(block => block.id), client);
+
+    const conflicts = [];
+    for (const block of savedBlocks.filter(saved => saved.isActive)) {
+      const bookings = await Booking.findOverlappingBlock(block.id, client);
+      if (bookings.length > 0) {
+        conflicts.push({ blockId: block.id, externalUid: block.externalUid, bookingIds: bookings.map(booking => booking.id) });
+      }
+    }
+
+    const result = {
+      eventsRead: events.length,
+      createdCount: plan.toCreate.length,
+      updatedCount: plan.toUpdate.length,
+      deletedCount,
+      unchangedCount: plan.unchangedCount,
+      skippedCount: skipped.length,
+      skipped: skipped.slice(0, MAX_REPORTED_SKIPPED),
+      conflicts
+    };
+
+    const updatedSource = await CalendarImportSource.recordImport(source.id, result, client);
+
+    await client.query('COMMIT');
+
+    return { source: updatedSource, result };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the import sources of a court
+ *
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Array>} Import source objects
+ */
+async function listSources(courtId, userId) {
+  await getOwnedCourt(courtId, userId);
+  return await CalendarImportSource.findByCourtId(courtId);
+}
+
+/**
+ * Create an import source for a court
+ * File sources are imported right away; upload sources wait for an upload.
+ *
+ * @param {number} courtId - Court ID
+ * @param {Object} data - Source input (sourceType, name, filePath)
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} { source, result } (result is null for upload sources)
+ * @throws {Error} If not authorized, the input is invalid, the court has too many sources or the file cannot be imported
+ */
+async function createSource(courtId, data, userId) {
+  const court = await getOwnedCourt(courtId, userId);
+  const input = validateSourceInput(data);
+
+  const sourceCount = await CalendarImportSource.countByCourtId(courtId);
+  if (sourceCount >= bookingRules.MAX_CALENDAR_IMPORT_SOURCES_PER_COURT) {
+    const error = new Error(`A court can have at most ${bookingRules.MAX_CALENDAR_IMPORT_SOURCES_PER_COURT} calendar import sources`);
+    error.statusCode = 400;
+    error.errorCode = 'IMPORT_SOURCE_LIMIT_REACHED';
+    throw error;
+  }
+
+  let icsText = null;
+  let filePath = null;
+  if (input.sourceType === 'file') {
+    filePath = (await resolveImportFile(input.filePath)).relativePath;
+    icsText = await readImportFile(filePath);
+    // Reject files that are not calendars before registering them
+    parseICalendar(icsText);
+  }
+
+  const source = await CalendarImportSource.create({
+    facilityId: court.facilityId,
+    courtId,
+    sourceType: input.sourceType,
+    name: input.name,
+    filePath,
+    createdBy: userId
+  });
+
+  if (input.sourceType === 'upload') {
+    return { source, result: null };
+  }
+
+  return await importCalendar(source, icsText, userId);
+}
+
+/**
+ * Import an uploaded .ics file into an upload source
+ *
+ * @param {number} courtId - Court ID
+ * @param {number} sourceId - Source ID
+ * @param {string} icsText - Uploaded iCalendar text
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} { source, result }
+ * @throws {Error} If not authorized, the source is not an upload source or the calendar is invalid
+ */
+async function uploadCalendar(courtId, sourceId, icsText, userId) {
+  await getOwnedCourt(courtId, userId);
+  const source = await getCourtSource(courtId, sourceId);
+
+  if (source.sourceType !== 'upload') {
+    throw validationError('This source reads a file; use the sync endpoint instead');
+  }
+
+  return await importCalendar(source, icsText, userId);
+}
+
+/**
+ * Re-read a file source now
+ *
+ * @param {number} courtId - Court ID
+ * @param {number} sourceId - Source ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} { source, result }
+ * @throws {Error} If not authorized, the source is not a file source or the file cannot be imported
+ */
+async function syncSource(courtId, sourceId, userId) {
+  await getOwnedCourt(courtId, userId);
+  const source = await getCourtSource(courtId, sourceId);
+
+  if (source.sourceType !== 'file') {
+    throw validationError('Upload sources are updated by uploading the calendar again');
+  }
+
+  return await importCalendar(source, await readImportFile(source.filePath), userId);
+}
+
+/**
+ * Delete an import source and the blocks it imported
+ *
+ * @param {number} courtId - Court ID
+ * @param {number} sourceId - Source ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteSource(courtId, sourceId, userId) {
+  await getOwnedCourt(courtId, userId);
+  await getCourtSource(courtId, sourceId);
+
+  return await CalendarImportSource.delete(sourceId);
+}
+
+/**
+ * Re-read every file source (booking lifecycle job)
+ * A failing source is recorded in its last_import_result and does not stop the others.
+ *
+ * @returns {Promise<Object>} { syncedCount, failedCount }
+ */
+async function syncFileSources() {
+  const sources = await CalendarImportSource.findFileSources();
+  let syncedCount = 0;
+  let failedCount = 0;
+
+  for (const source of sources) {
+    try {
+      await importCalendar(source, await readImportFile(source.filePath), null);
+      syncedCount++;
+    } catch (error) {
+      failedCount++;
+      console.error(`[Calendar Import] Failed to sync source ${source.id}:`, error.message);
+      await CalendarImportSource.recordImport(source.id, { error: error.message }).catch(() => {});
+    }
+  }
+
+  return { syncedCount, failedCount };
+}
+
+module.exports = {
+  listSources,
+  createSource,
+  uploadCalendar,
+  syncSource,
+  deleteSource,
+  syncFileSources
+};
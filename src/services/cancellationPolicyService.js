@@ -0,0 +1,205 @@
+/**
+ * Cancellation Policy Service
+ *
+ * Evaluates tiered cancellation policies (refund depends on how long before
+ * the booking start the player cancels).
+ *
+ * Policies are stored in booking_policies.cancellation_tiers (court-level
+ * overrides facility-level, falling back to DEFAULT_CANCELLATION_TIERS).
+ *
+ * Architecture:
+ * - Pure functions for validation and evaluation (no DB access)
+ * - One lookup function resolving the effective tiers for a court
+ * - Only CONFIRMED bookings are settled: PENDING bookings have not been paid,
+ *   so cancelling them refunds nothing and costs nothing
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Validate and normalize a list of cancellation tiers
+ * @param {Array<Object>} tiers - Tiers with minHoursBeforeStart and refundPercentage
+ * @returns {Array<Object>} Tiers sorted by minHoursBeforeStart descending
+ * @throws {Error} If tiers are invalid
+ */
+function validateCancellationTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    const error = new Error('Cancellation tiers must be a non-empty array');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_CANCELLATION_POLICY';
+    throw error;
+  }
+
+  if (tiers.length > bookingRules.MAX_CANCELLATION_TIERS) {
+    const error = new Error(`A cancellation policy can have at most ${bookingRules.MAX_CANCELLATION_TIERS} tiers`);
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_CANCELLATION_POLICY';
+    throw error;
+  }
+
+  const normalized = tiers.map(tier => {
+    const minHoursBeforeStart = Number(tier && tier.minHoursBeforeStart);
+    const refundPercentage = Number(tier && tier.refundPercentage);
+
+    if (!Number.isFinite(minHoursBeforeStart) || minHoursBeforeStart < 0) {
+      const error = new Error('Each tier needs minHoursBeforeStart >= 0');
+      error.statusCode = 400;
+      error.errorCode = 'INVALID_CANCELLATION_POLICY';
+      throw error;
+    }
+
+    if (!Number.isFinite(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+      const error = new Error('Each tier needs refundPercentage between 0 and 100');
+      error.statusCode = 400;
+      error.errorCode = 'INVALID_CANCELLATION_POLICY';
+      throw error;
+    }
+
+    return { minHoursBeforeStart, refundPercentage };
+  });
+
+  const sorted = normalized.sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart);
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].minHoursBeforeStart === sorted[i - 1].minHoursBeforeStart) {
+      const error = new Error('Cancellation tiers must have distinct minHoursBeforeStart values');
+      error.statusCode = 400;
+      error.errorCode = 'INVALID_CANCELLATION_POLICY';
+      throw error;
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Get the booking start as a Date
+ * @param {Object} booking - Booking object (bookingDate, startTime)
+ * @returns {Date} Start date/time
+ * @private
+ */
+function getBookingStart(booking) {
+  const start = new Date(booking.bookingDate);
+  start.setHours(0, 0, 0, 0);
+  start.setMinutes(booking.startTime);
+  return start;
+}
+
+/**
+ * Evaluate what cancelling a booking at a given moment refunds
+ *
+ * @param {Object} booking - Booking object (bookingDate, startTime, finalPrice, bookingStatus)
+ * @param {Array<Object>} tiers - Cancellation tiers (any order)
+ * @param {Date} [now=new Date()] - Moment of cancellation
+ * @returns {Object} Settlement with refundPercentage, refundAmount, penaltyAmount,
+ *   hoursBeforeStart and the applied tier (null if no tier matched)
+ *
+ * @example
+ * evaluateCancellation(
+ *   { bookingDate: '2024-01-16', startTime: 1140, finalPrice: 3000, bookingStatus: 'confirmed' },
+ *   [{ minHoursBeforeStart: 24, refundPercentage: 100 }, { minHoursBeforeStart: 6, refundPercentage: 50 }],
+ *   new Date('2024-01-16T09:00:00')
+ * );
+ * // 10 hours before start -> { refundPercentage: 50, refundAmount: 1500, penaltyAmount: 1500, ... }
+ */
+function evaluateCancellation(booking, tiers, now = new Date()) {
+  const price = parseFloat(booking.finalPrice) || 0;
+  const hoursBeforeStart = (getBookingStart(booking).getTime() - now.getTime()) / (60 * 60 * 1000);
+  const roundedHours = Math.round(hoursBeforeStart * 100) / 100;
+
+  // Unpaid bookings have nothing to refund or retain
+  if (booking.bookingStatus !== 'confirmed') {
+    return {
+      refundPercentage: 0,
+      refundAmount: 0,
+      penaltyAmount: 0,
+      hoursBeforeStart: roundedHours,
+      appliedTier: null
+    };
+  }
+
+  const sortedTiers = [...tiers].sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart);
+  const appliedTier = sortedTiers.find(tier => hoursBeforeStart >= tier.minHoursBeforeStart) || null;
+  const refundPercentage = appliedTier ? appliedTier.refundPercentage : 0;
+
+  const refundAmount = Math.round(price * refundPercentage) / 100;
+  const penaltyAmount = Math.round((price - refundAmount) * 100) / 100;
+
+  return {
+    refundPercentage,
+    refundAmount,
+    penaltyAmount,
+    hoursBeforeStart: roundedHours,
+    appliedTier
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Get the effective cancellation tiers for a court
+ * Court-level policy overrides facility-level policy, then system default.
+ *
+ * @param {number} courtId - Court ID
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Array<Object>>} Tiers sorted by minHoursBeforeStart descending
+ */
+async function getCancellationTiers(courtId, client = null) {
+  const query = `
+    SELECT COALESCE(cp.cancellation_tiers, fp.cancellation_tiers) as cancellation_tiers
+    FROM courts c
+    LEFT JOIN booking_policies cp ON c.id = cp.court_id AND cp.is_active = TRUE
+    LEFT JOIN booking_policies fp ON c.facility_id = fp.facility_id
+      AND fp.court_id IS NULL AND fp.is_active = TRUE
+    WHERE c.id = $1
+  `;
+
+  const result = await (client || pool).query(query, [courtId]);
+  const storedTiers = result.rows[0] ? result.rows[0].cancellation_tiers : null;
+
+  if (!storedTiers) {
+    return bookingRules.DEFAULT_CANCELLATION_TIERS;
+  }
+
+  try {
+    return validateCancellationTiers(storedTiers);
+  } catch (error) {
+    // A malformed stored policy must not block cancellations
+    console.error(`[CancellationPolicy] Invalid tiers for court ${courtId}, using default:`, error.message);
+    return bookingRules.DEFAULT_CANCELLATION_TIERS;
+  }
+}
+
+/**
+ * Quote what cancelling a booking right now would refund
+ *
+ * @param {Object} booking - Booking object
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Object>} Settlement (see evaluateCancellation) plus the policy tiers
+ */
+async function getCancellationQuote(booking, client = null) {
+  const tiers = await getCancellationTiers(booking.courtId, client);
+
+  return {
+    ...evaluateCancellation(booking, tiers),
+    policyTiers: tiers
+  };
+}
+
+module.exports = {
+  getCancellationTiers,
+  getCancellationQuote,
+  validateCancellationTiers,
+  evaluateCancellation
+};
@@ -0,0 +1,527 @@
+/**
+ * Facility Calendar Service
+ *
+ * Bookings calendar for facility admins: every booking of the facility over
+ * a date range, grouped per court and day, for day/week dashboard views.
+ *
+ * Architecture:
+ * - Bookings of all statuses are returned (filterable by status, court and
+ *   sport, searchable by player name/phone or booking id)
+ * - Each court/day carries the overlays the dashboard greys out:
+ *   - closedPeriods: times outside the court's availability rules
+ *   - blockedRanges: active blocked_time_ranges (court-level and facility-wide)
+ * - Overlays are not affected by the booking filters
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BlockedTimeRange = require('../models/BlockedTimeRange');
+const Facility = require('../models/Facility');
+
+/**
+ * Maximum length of the search term
+ */
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Minutes in a day (end of the last closed period)
+ */
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Format a date as YYYY-MM-DD (same convention as booking_date)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Parse a YYYY-MM-DD date string as a UTC date
+ * @param {string} value - Date string
+ * @param {string} field - Field name (for error messages)
+ * @returns {Date} UTC midnight of the date
+ * @private
+ */
+function parseCalendarDate(value, field) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw validationError(`${field} must be in YYYY-MM-DD format (e.g., 2025-12-31)`);
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw validationError(`${field} is not a valid date`);
+  }
+
+  return date;
+}
+
+/**
+ * Validate a calendar range and list its days
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} [endDate] - Last day (YYYY-MM-DD, defaults to startDate)
+ * @returns {Array<Object>} Days ({ date, dayOfWeek }) from startDate to endDate
+ * @throws {Error} VALIDATION_ERROR if the range is invalid or longer than MAX_CALENDAR_RANGE_DAYS
+ */
+function buildCalendarDays(startDate, endDate) {
+  const start = parseCalendarDate(startDate, 'startDate');
+  const end = endDate === undefined || endDate === null ? start : parseCalendarDate(endDate, 'endDate');
+
+  if (end < start) {
+    throw validationError('endDate must be on or after startDate');
+  }
+
+  const dayCount = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  if (dayCount > bookingRules.MAX_CALENDAR_RANGE_DAYS) {
+    throw validationError(`Calendar range can cover at most ${bookingRules.MAX_CALENDAR_RANGE_DAYS} days`);
+  }
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const date = new Date(start.getTime() + i * 24 * 60 * 60 * 1000);
+    days.push({ date: toDateString(date), dayOfWeek: date.getUTCDay() });
+  }
+
+  return days;
+}
+
+/**
+ * Validate a status filter
+ * @param {string|Array<string>} [status] - Comma-separated list or array of statuses
+ * @returns {Array<string>|null} Statuses, or null for all statuses
+ * @throws {Error} VALIDATION_ERROR if a status is unknown
+ */
+function normalizeStatusFilter(status) {
+  if (status === undefined || status === null || status === '') {
+    return null;
+  }
+
+  const statuses = (Array.isArray(status) ? status : String(status).split(','))
+    .map(value => String(value).trim())
+    .filter(Boolean);
+
+  const invalid = statuses.filter(value => !Booking.BOOKING_STATUSES.includes(value));
+  if (invalid.length > 0) {
+    throw validationError(`Invalid status: ${invalid.join(', ')}. Must be one of: ${Booking.BOOKING_STATUSES.join(', ')}`);
+  }
+
+  return statuses.length > 0 ? [...new Set(statuses)] : null;
+}
+
+/**
+ * Validate a search term and derive what it can match
+ *
+ * - Player name (user or guest), case-insensitive substring
+ * - Phone number, compared on digits only (at least 3 digits)
+ * - Booking id, for a number or "#<number>"
+ *
+ * @param {string} [search] - Search term
+ * @returns {Object|null} { namePattern, phoneDigits, bookingId } or null for no search
+ * @throws {Error} VALIDATION_ERROR if the term is too long
+ */
+function parseSearchTerm(search) {
+  if (search === undefined || search === null) {
+    return null;
+  }
+
+  const term = String(search).trim();
+  if (!term) {
+    return null;
+  }
+
+  if (term.length > MAX_SEARCH_LENGTH) {
+    throw validationError(`search must be at most ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  const idMatch = term.match(/^#?(\d+)$/);
+  const bookingId = idMatch && Number(idMatch[1]) <= 2147483647 ? Number(idMatch[1]) : null;
+
+  const digits = term.replace(/\D/g, '');
+  const phoneDigits = /^[\d\s\-+()#]+$/.test(term) && digits.length >= 3 ? digits : null;
+
+  // Escape LIKE wildcards so they match literally
+  const namePattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+  return { namePattern, phoneDigits, bookingId };
+}
+
+/**
+ * Check whether a blocked range applies on a date
+ * @param {Object} block - Block object (BlockedTimeRange model)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} dayOfWeek - Day of week (0=Sunday, 6=Saturday)
+ * @returns {boolean} True if the block covers part of the date
+ */
+function blockAppliesOnDate(block, date, dayOfWeek) {
+  switch (block.blockType) {
+    case 'one_time':
+      return toDateString(block.startDate) === date;
+    case 'recurring':
+      return block.dayOfWeek === dayOfWeek;
+    case 'date_range':
+      return toDateString(block.startDate) <= date && date <= toDateString(block.endDate);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compute the closed periods of a day from its availability rules
+ *
+ * Rules crossing midnight (e.g. 18:00-02:00) open both the evening and the
+ * early morning of the same day, as in availabilityService. An end time of
+ * 23:59 is treated as the end of the day.
+ *
+ * @param {Array<Object>} rules - Active rules of the court for the day ({ startTime, endTime })
+ * @returns {Array<Object>} Closed periods ({ startTime, endTime }), whole day if there are no rules
+ */
+function computeClosedPeriods(rules) {
+  const openRanges = [];
+
+  for (const rule of rules) {
+    const startTime = rule.startTime;
+    const endTime = rule.endTime >= MINUTES_PER_DAY - 1 ? MINUTES_PER_DAY : rule.endTime;
+
+    if (startTime < endTime) {
+      openRanges.push({ startTime, endTime });
+    } else {
+      openRanges.push({ startTime, endTime: MINUTES_PER_DAY });
+      if (endTime > 0) {
+        openRanges.push({ startTime: 0, endTime });
+      }
+    }
+  }
+
+  openRanges.sort((a, b) => a.startTime - b.startTime);
+
+  const closedPeriods = [];
+  let cursor = 0;
+  for (const range of openRanges) {
+    if (range.startTime > cursor) {
+      closedPeriods.push({ startTime: cursor, endTime: range.startTime });
+    }
+    cursor = Math.max(cursor, range.endTime);
+  }
+
+  if (cursor < MINUTES_PER_DAY) {
+    closedPeriods.push({ startTime: cursor, endTime: MINUTES_PER_DAY });
+  }
+
+  return closedPeriods;
+}
+
+/**
+ * Format a blocked range for one calendar day
+ * @param {Object} block - Block object (BlockedTimeRange model)
+ * @returns {Object} Blocked range overlay (date_range blocks cover the whole day)
+ * @private
+ */
+function formatBlockOverlay(block) {
+  const wholeDay = block.blockType === 'date_range';
+
+  return {
+    id: block.id,
+    scope: block.scope,
+    blockType: block.blockType,
+    startTime: wholeDay ? 0 : block.startTime,
+    endTime: wholeDay ? MINUTES_PER_DAY : block.endTime,
+    reason: block.reason,
+    description: block.description
+  };
+}
+
+/**
+ * Format a calendar booking row
+ * @param {Object} row - Raw database row (booking joined with user and guest contact)
+ * @returns {Object} Booking with user or guest
+ * @private
+ */
+function formatCalendarBooking(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    courtId: row.court_id,
+    bookingDate: row.booking_date ? new Date(row.booking_date) : null,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    startTimeMinutes: row.start_time,
+    endTimeMinutes: row.end_time,
+    finalPrice: parseFloat(row.final_price),
+    bookingStatus: row.booking_status,
+    paymentReference: row.payment_reference,
+    paymentProofImageId: row.payment_proof_image_id,
+    cancellationReason: row.cancellation_reason,
+    seriesId: row.series_id,
+    guestContactId: row.guest_contact_id,
+    bookingSource: row.booking_source,
+    paymentMethod: row.payment_method,
+    expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at),
+    user: row.user_id ? {
+      id: row.user_id,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      email: row.email,
+      phone: row.phone
+    } : null,
+    guest: row.guest_contact_id ? {
+      id: row.guest_contact_id,
+      fullName: row.guest_full_name,
+      email: row.guest_email,
+      phone: row.guest_phone
+    } : null
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only view bookings for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Fetch the active courts of a facility shown in the calendar
+ * @param {number} facilityId - Facility ID
+ * @param {Object} filters - Court filters (courtId, sportId)
+ * @returns {Promise<Array>} Courts with sport name, ordered by name
+ * @private
+ */
+async function fetchCalendarCourts(facilityId, filters) {
+  const { courtId = null, sportId = null } = filters;
+
+  const query = `
+    SELECT c.id, c.name, c.sport_id, s.name as sport_name
+    FROM courts c
+    INNER JOIN sports s ON c.sport_id = s.id
+    WHERE c.facility_id = $1
+      AND c.is_active = TRUE
+      AND ($2::INTEGER IS NULL OR c.id = $2)
+      AND ($3::INTEGER IS NULL OR c.sport_id = $3)
+    ORDER BY c.name ASC, c.id ASC
+  `;
+
+  const result = await pool.query(query, [facilityId, courtId, sportId]);
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    sportId: row.sport_id,
+    sportName: row.sport_name
+  }));
+}
+
+/**
+ * Fetch the active availability rules of courts
+ * @param {Array<number>} courtIds - Court IDs
+ * @returns {Promise<Array>} Rules ({ courtId, dayOfWeek, startTime, endTime })
+ * @private
+ */
+async function fetchAvailabilityRules(courtIds) {
+  const query = `
+    SELECT court_id, day_of_week, start_time, end_time
+    FROM court_availability_rules
+    WHERE court_id = ANY($1::INTEGER[]) AND is_active = TRUE
+  `;
+
+  const result = await pool.query(query, [courtIds]);
+  return result.rows.map(row => ({
+    courtId: row.court_id,
+    dayOfWeek: row.day_of_week,
+    startTime: parseInt(row.start_time, 10),
+    endTime: parseInt(row.end_time, 10)
+  }));
+}
+
+/**
+ * Fetch the bookings of courts over a date range
+ * @param {Array<number>} courtIds - Court IDs
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @param {Array<string>|null} statuses - Statuses to include (null for all)
+ * @param {Object|null} search - Parsed search term (parseSearchTerm)
+ * @returns {Promise<Array>} Formatted bookings, ordered by date and start time
+ * @private
+ */
+async function fetchCalendarBookings(courtIds, startDate, endDate, statuses, search) {
+  const conditions = [
+    'b.court_id = ANY($1::INTEGER[])',
+    'b.booking_date BETWEEN $2 AND $3'
+  ];
+  const values = [courtIds, startDate, endDate];
+  let paramCount = 4;
+
+  if (statuses) {
+    conditions.push(`b.booking_status = ANY($${paramCount}::TEXT[])`);
+    values.push(statuses);
+    paramCount++;
+  }
+
+  if (search) {
+    const matches = [
+      `(u.first_name || ' ' || u.last_name) ILIKE $${paramCount}`,
+      `g.full_name ILIKE $${paramCount}`
+    ];
+    values.push(search.namePattern);
+    paramCount++;
+
+    if (search.phoneDigits) {
+      matches.push(`regexp_replace(u.phone, '[^0-9]', '', 'g') LIKE $${paramCount}`);
+      matches.push(`regexp_replace(g.phone, '[^0-9]', '', 'g') LIKE $${paramCount}`);
+      values.push(`%${search.phoneDigits}%`);
+      paramCount++;
+    }
+
+    if (search.bookingId !== null) {
+      matches.push(`b.id = $${paramCount}`);
+      values.push(search.bookingId);
+      paramCount++;
+    }
+
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  const query = `
+    SELECT
+      b.id, b.user_id, b.court_id, b.booking_date, b.start_time, b.end_time,
+      b.final_price, b.booking_status, b.payment_reference, b.payment_proof_image_id,
+      b.cancellation_reason, b.series_id, b.expires_at, b.created_at, b.updated_at,
+      b.guest_contact_id, b.booking_source, b.payment_method,
+      u.first_name, u.last_name, u.email, u.phone,
+      g.full_name as guest_full_name, g.email as guest_email, g.phone as guest_phone
+    FROM bookings b
+    LEFT JOIN users u ON b.user_id = u.id
+    LEFT JOIN guest_contacts g ON b.guest_contact_id = g.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY b.booking_date ASC, b.start_time ASC, b.id ASC
+  `;
+
+  const result = await pool.query(query, values);
+  return result.rows.map(row => formatCalendarBooking(row));
+}
+
+/**
+ * Get the bookings calendar of a facility
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID (for authorization check)
+ * @param {Object} options - Calendar options
+ * @param {string} options.startDate - First day (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Last day (YYYY-MM-DD, defaults to startDate)
+ * @param {number} [options.courtId] - Only this court
+ * @param {number} [options.sportId] - Only courts of this sport
+ * @param {string|Array<string>} [options.status] - Only these statuses (comma-separated)
+ * @param {string} [options.search] - Player name/phone or booking id
+ * @returns {Promise<Object>} Calendar with courts, each with days of bookings and overlays
+ * @throws {Error} If the facility is not owned by the user, the court is not part of it, or filters are invalid
+ */
+async function getFacilityCalendar(facilityId, ownerId, options = {}) {
+  const { startDate, endDate, courtId = null, sportId = null } = options;
+
+  const days = buildCalendarDays(startDate, endDate);
+  const statuses = normalizeStatusFilter(options.status);
+  const search = parseSearchTerm(options.search);
+
+  await getOwnedFacility(facilityId, ownerId);
+
+  const courts = await fetchCalendarCourts(facilityId, { courtId, sportId });
+
+  if (courtId !== null && courts.length === 0 && sportId === null) {
+    const error = new Error('Court not found in this facility');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const firstDay = days[0].date;
+  const lastDay = days[days.length - 1].date;
+
+  if (courts.length === 0) {
+    return { facilityId, startDate: firstDay, endDate: lastDay, courts: [], totalBookings: 0 };
+  }
+
+  const courtIds = courts.map(court => court.id);
+  const [bookings, rules, blocks] = await Promise.all([
+    fetchCalendarBookings(courtIds, firstDay, lastDay, statuses, search),
+    fetchAvailabilityRules(courtIds),
+    BlockedTimeRange.findByFacilityId(facilityId, { isActive: true })
+  ]);
+
+  const calendarCourts = courts.map(court => ({
+    ...court,
+    days: days.map(day => ({
+      date: day.date,
+      dayOfWeek: day.dayOfWeek,
+      closedPeriods: computeClosedPeriods(
+        rules.filter(rule => rule.courtId === court.id && rule.dayOfWeek === day.dayOfWeek)
+      ),
+      blockedRanges: blocks
+        .filter(block => block.courtId === null || block.courtId === court.id)
+        .filter(block => blockAppliesOnDate(block, day.date, day.dayOfWeek))
+        .map(formatBlockOverlay),
+      bookings: bookings.filter(booking =>
+        booking.courtId === court.id && toDateString(booking.bookingDate) === day.date
+      )
+    }))
+  }));
+
+  return {
+    facilityId,
+    startDate: firstDay,
+    endDate: lastDay,
+    courts: calendarCourts,
+    totalBookings: bookings.length
+  };
+}
+
+module.exports = {
+  getFacilityCalendar
+};
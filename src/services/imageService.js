@@ -18,6 +18,8 @@
  * - Sport icon: 1 image
  * - Sport banner: 1 image
  * - Review images: 5 max per review
+ * - Booking payment proof: 1 image
+ * - Booking message attachments: 30 max per booking thread
  * 
  * Limits are enforced at image creation time to prevent abuse.
  */
@@ -54,6 +56,9 @@ const IMAGE_LIMITS = {
   },
   booking: {
     payment_proof: 1  // Only one payment proof per booking
+  },
+  booking_message: {
+    attachment: 30    // Per booking thread (entity ID is the booking ID)
   }
 };
 
@@ -255,6 +260,34 @@ const validateEntityAccess = async (entityType, entityId, userId, userRole, imag
       }
       break;
 
+    case 'booking_message':
+      // Booking thread participants (player and facility owner) can attach images
+      const threadBooking = await Booking.findById(entityId);
+      if (!threadBooking) {
+        const error = new Error('Booking not found');
+        error.statusCode = 404;
+        error.errorCode = 'BOOKING_NOT_FOUND';
+        throw error;
+      }
+      if (threadBooking.userId !== userId) {
+        const threadCourt = await Court.findById(threadBooking.courtId);
+        const threadFacility = threadCourt ? await Facility.findById(threadCourt.facilityId) : null;
+        if (!threadFacility || threadFacility.ownerId !== userId) {
+          const error = new Error('You can only attach images to messages of your own bookings');
+          error.statusCode = 403;
+          error.errorCode = 'FORBIDDEN';
+          throw error;
+        }
+      }
+      // Only allow attachment image type for booking messages
+      if (imageType && imageType !== 'attachment') {
+        const error = new Error('Only attachment image type is allowed for booking messages');
+        error.statusCode = 400;
+        error.errorCode = 'INVALID_IMAGE_TYPE';
+        throw error;
+      }
+      break;
+
     default:
       const error = new Error(`Invalid entity type: ${entityType}`);
       error.statusCode = 400;
@@ -0,0 +1,578 @@
+/**
+ * Open Game Service
+ *
+ * Bookings opened to players who need a game.
+ *
+ * Architecture:
+ * - The booker (organizer) opens their pending/confirmed booking with a skill
+ *   level, a seat count (organizer included), a per-player price and a join
+ *   mode; reopening updates the settings
+ * - Players join as booking participants: 'accepted' right away in instant
+ *   mode, 'requested' in approval mode until the organizer approves. The
+ *   organizer can remove any player or request ('removed')
+ * - Seats taken = organizer + accepted participants, counted live, so the
+ *   listing reflects joins and removals immediately; full games drop out of
+ *   the listing unless asked for
+ * - Seat checks run with the booking row locked (same lock as invitations)
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Booking = require('../models/Booking');
+const BookingParticipant = require('../models/BookingParticipant');
+const OpenGame = require('../models/OpenGame');
+const bookingParticipantService = require('./bookingParticipantService');
+
+/**
+ * Booking statuses a game can be open in
+ */
+const OPEN_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Maximum description length (characters)
+ */
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Validate and normalize open game settings
+ * @param {Object} input - Settings input
+ * @param {string} input.skillLevel - 'any', 'beginner', 'intermediate' or 'advanced'
+ * @param {number} input.maxPlayers - Seats including the organizer
+ * @param {number} input.pricePerPlayer - Price per joining player
+ * @param {string} [input.joinMode='approval'] - 'instant' or 'approval'
+ * @param {string} [input.description] - Description
+ * @returns {Object} Normalized settings
+ * @throws {Error} VALIDATION_ERROR if a setting is invalid
+ */
+function validateOpenGameInput(input) {
+  const { skillLevel, maxPlayers, pricePerPlayer, joinMode = 'approval', description } = input;
+
+  if (!OpenGame.SKILL_LEVELS.includes(skillLevel)) {
+    throw validationError(`skillLevel must be one of: ${OpenGame.SKILL_LEVELS.join(', ')}`);
+  }
+
+  const seats = Number(maxPlayers);
+  if (!Number.isInteger(seats) || seats < 2 || seats > bookingRules.MAX_OPEN_GAME_PLAYERS) {
+    throw validationError(`maxPlayers must be an integer between 2 and ${bookingRules.MAX_OPEN_GAME_PLAYERS}`);
+  }
+
+  const price = Number(pricePerPlayer);
+  if (pricePerPlayer === undefined || pricePerPlayer === null || !Number.isFinite(price) || price < 0) {
+    throw validationError('pricePerPlayer must be a non-negative number');
+  }
+
+  if (!OpenGame.JOIN_MODES.includes(joinMode)) {
+    throw validationError(`joinMode must be one of: ${OpenGame.JOIN_MODES.join(', ')}`);
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw validationError('description must be a string');
+  }
+
+  const text = typeof description === 'string' ? description.trim() : '';
+  if (text.length > MAX_DESCRIPTION_LENGTH) {
+    throw validationError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  return {
+    skillLevel,
+    maxPlayers: seats,
+    pricePerPlayer: Math.round(price * 100) / 100,
+    joinMode,
+    description: text || null
+  };
+}
+
+/**
+ * Build the WHERE conditions of the open game listing
+ * @param {Object} filters - Listing filters
+ * @param {number} [filters.sportId] - Sport ID
+ * @param {string} [filters.city] - Facility city
+ * @param {string} [filters.date] - Booking date (YYYY-MM-DD)
+ * @param {string} [filters.skillLevel] - Skill level ('any' games match every level)
+ * @param {boolean} [filters.includeFull=false] - Include games without free seats
+ * @returns {Object} { conditions, values }
+ * @throws {Error} VALIDATION_ERROR if skillLevel is invalid
+ */
+function buildListingConditions(filters) {
+  const { sportId, city, date, skillLevel, includeFull = false } = filters;
+
+  const conditions = [
+    `og.game_status = 'open'`,
+    `b.booking_status IN ('pending', 'confirmed')`,
+    'b.booking_date >= CURRENT_DATE'
+  ];
+  const values = [];
+  let paramCount = 1;
+
+  if (sportId) {
+    conditions.push(`c.sport_id = $${paramCount}`);
+    values.push(sportId);
+    paramCount++;
+  }
+
+  if (city) {
+    conditions.push(`f.city = $${paramCount}`);
+    values.push(city);
+    paramCount++;
+  }
+
+  if (date) {
+    conditions.push(`b.booking_date = $${paramCount}::DATE`);
+    values.push(date);
+    paramCount++;
+  }
+
+  if (skillLevel) {
+    if (!OpenGame.SKILL_LEVELS.includes(skillLevel)) {
+      throw validationError(`skillLevel must be one of: ${OpenGame.SKILL_LEVELS.join(', ')}`);
+    }
+    conditions.push(`og.skill_level IN ('any', $${paramCount})`);
+    values.push(skillLevel);
+    paramCount++;
+  }
+
+  if (!includeFull) {
+    conditions.push('1 + seats.accepted_count < og.max_players');
+  }
+
+  return { conditions, values };
+}
+
+/**
+ * Format a listing row
+ * @param {Object} row - Raw database row
+ * @returns {Object} Open game listing item
+ * @private
+ */
+function formatListingRow(row) {
+  const playerCount = 1 + parseInt(row.accepted_count, 10);
+
+  return {
+    bookingId: row.booking_id,
+    skillLevel: row.skill_level,
+    maxPlayers: row.max_players,
+    playerCount,
+    seatsLeft: Math.max(0, row.max_players - playerCount),
+    pricePerPlayer: parseFloat(row.price_per_player),
+    joinMode: row.join_mode,
+    description: row.description,
+    bookingDate: row.booking_date ? new Date(row.booking_date) : null,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    bookingStatus: row.booking_status,
+    sport: { id: row.sport_id, name: row.sport_name },
+    court: { id: row.court_id, name: row.court_name },
+    facility: {
+      id: row.facility_id,
+      name: row.facility_name,
+      address: row.facility_address,
+      city: row.facility_city
+    },
+    organizer: {
+      id: row.organizer_id,
+      username: row.organizer_username,
+      firstName: row.organizer_first_name
+    }
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Shared FROM clause of the listing (with live seat counts)
+ */
+const LISTING_FROM = `
+  FROM open_games og
+  INNER JOIN bookings b ON og.booking_id = b.id
+  INNER JOIN courts c ON b.court_id = c.id
+  INNER JOIN facilities f ON c.facility_id = f.id
+  INNER JOIN sports s ON c.sport_id = s.id
+  INNER JOIN users u ON og.organizer_id = u.id
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS accepted_count
+    FROM booking_participants bp
+    WHERE bp.booking_id = og.booking_id AND bp.invitation_status = 'accepted'
+  ) seats
+`;
+
+/**
+ * Load a booking and verify the user is its booker
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Booking object
+ * @private
+ */
+async function getOrganizedBooking(bookingId, userId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    const error = new Error('Booking not found');
+    error.statusCode = 404;
+    error.errorCode = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
+
+  if (booking.userId !== userId) {
+    const error = new Error('Only the booker can manage the open game');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return booking;
+}
+
+/**
+ * Load an open game or throw OPEN_GAME_NOT_FOUND
+ * @param {number} bookingId - Booking ID
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Object>} Open game object
+ * @private
+ */
+async function getGameOrThrow(bookingId, client = null) {
+  const game = await OpenGame.findByBookingId(bookingId, client);
+  if (!game) {
+    const error = new Error('This booking is not an open game');
+    error.statusCode = 404;
+    error.errorCode = 'OPEN_GAME_NOT_FOUND';
+    throw error;
+  }
+  return game;
+}
+
+/**
+ * Open a booking as a game (or update the settings of its game and reopen it)
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} organizerId - Booker user ID
+ * @param {Object} input - Settings (see validateOpenGameInput)
+ * @returns {Promise<Object>} Open game with players
+ * @throws {Error} If validation fails, the booking is closed or past, or maxPlayers is below the players already in
+ */
+async function openGame(bookingId, organizerId, input) {
+  const settings = validateOpenGameInput(input);
+  const booking = await getOrganizedBooking(bookingId, organizerId);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (!OPEN_BOOKING_STATUSES.includes(booking.bookingStatus) || new Date(booking.bookingDate) < today) {
+    const error = new Error('Only upcoming pending or confirmed bookings can be opened');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_BOOKING_STATUS';
+    throw error;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+    const playerCount = 1 + await BookingParticipant.countAccepted(bookingId, client);
+    if (settings.maxPlayers < playerCount) {
+      throw validationError(`maxPlayers cannot be below the ${playerCount} players already in the game`);
+    }
+
+    await OpenGame.upsert({ bookingId, organizerId, ...settings }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getOpenGame(bookingId, organizerId);
+}
+
+/**
+ * Close an open game (removes it from the listing; players keep their seats)
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} organizerId - Booker user ID
+ * @returns {Promise<Object>} Closed open game
+ * @throws {Error} If the user is not the booker or the booking was never opened
+ */
+async function closeGame(bookingId, organizerId) {
+  await getOrganizedBooking(bookingId, organizerId);
+  await getGameOrThrow(bookingId);
+
+  return OpenGame.close(bookingId);
+}
+
+/**
+ * List open games with free seats
+ *
+ * @param {Object} filters - Listing filters (see buildListingConditions)
+ * @param {number} [filters.page=1] - Page number
+ * @param {number} [filters.limit=50] - Items per page
+ * @returns {Promise<Object>} Object with games, total, page and limit
+ */
+async function listOpenGames(filters = {}) {
+  const { page = 1, limit = 50 } = filters;
+  const offset = (page - 1) * limit;
+
+  const { conditions, values } = buildListingConditions(filters);
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const query = `
+    SELECT
+      og.booking_id, og.organizer_id, og.skill_level, og.max_players, og.price_per_player,
+      og.join_mode, og.description, seats.accepted_count,
+      b.booking_date, b.start_time, b.end_time, b.booking_status,
+      c.id as court_id, c.name as court_name,
+      s.id as sport_id, s.name as sport_name,
+      f.id as facility_id, f.name as facility_name, f.address as facility_address, f.city as facility_city,
+      u.username as organizer_username, u.first_name as organizer_first_name
+    ${LISTING_FROM}
+    ${whereClause}
+    ORDER BY b.booking_date ASC, b.start_time ASC, og.booking_id ASC
+    LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+  `;
+
+  const countQuery = `
+    SELECT COUNT(*) as total
+    ${LISTING_FROM}
+    ${whereClause}
+  `;
+
+  const [result, countResult] = await Promise.all([
+    pool.query(query, [...values, limit, offset]),
+    pool.query(countQuery, values)
+  ]);
+
+  return {
+    games: result.rows.map(formatListingRow),
+    total: parseInt(countResult.rows[0].total, 10),
+    page,
+    limit
+  };
+}
+
+/**
+ * Get an open game with its players
+ * The organizer also sees pending join requests.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Listing item with players (and requests for the organizer)
+ * @throws {Error} If the booking is not an open game
+ */
+async function getOpenGame(bookingId, userId) {
+  const result = await pool.query(`
+    SELECT
+      og.booking_id, og.organizer_id, og.skill_level, og.max_players, og.price_per_player,
+      og.join_mode, og.description, og.game_status, seats.accepted_count,
+      b.booking_date, b.start_time, b.end_time, b.booking_status,
+      c.id as court_id, c.name as court_name,
+      s.id as sport_id, s.name as sport_name,
+      f.id as facility_id, f.name as facility_name, f.address as facility_address, f.city as facility_city,
+      u.username as organizer_username, u.first_name as organizer_first_name
+    ${LISTING_FROM}
+    WHERE og.booking_id = $1
+  `, [bookingId]);
+
+  if (result.rows.length === 0) {
+    const error = new Error('This booking is not an open game');
+    error.statusCode = 404;
+    error.errorCode = 'OPEN_GAME_NOT_FOUND';
+    throw error;
+  }
+
+  const row = result.rows[0];
+  const participants = await BookingParticipant.findByBookingId(bookingId);
+  const isOrganizer = row.organizer_id === userId;
+  const own = participants.find(participant => participant.userId === userId);
+
+  return {
+    ...formatListingRow(row),
+    gameStatus: row.game_status,
+    players: participants
+      .filter(participant => participant.invitationStatus === 'accepted')
+      .map(participant => participant.user),
+    requests: isOrganizer
+      ? participants
+        .filter(participant => participant.invitationStatus === 'requested')
+        .map(participant => ({ ...participant.user, requestedAt: participant.respondedAt }))
+      : undefined,
+    myStatus: isOrganizer ? 'organizer' : (own ? own.invitationStatus : null)
+  };
+}
+
+/**
+ * Join an open game (instant mode) or ask to join it (approval mode)
+ * An open invitation to the booking counts as approval: the player joins directly.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} userId - Joining user ID
+ * @returns {Promise<Object>} Participant (invitationStatus 'accepted' or 'requested')
+ * @throws {Error} If the game is not open, full, or the user is already in or was removed
+ */
+async function joinGame(bookingId, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lockResult = await client.query(
+      `SELECT ${Booking._getBookingFields()} FROM bookings WHERE id = $1 FOR UPDATE`,
+      [bookingId]
+    );
+    const booking = lockResult.rows[0] ? Booking._formatBooking(lockResult.rows[0]) : null;
+    const game = await getGameOrThrow(bookingId, client);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (
+      game.gameStatus !== 'open' ||
+      !booking ||
+      !OPEN_BOOKING_STATUSES.includes(booking.bookingStatus) ||
+      new Date(booking.bookingDate) < today
+    ) {
+      const error = new Error('This game is not open for joining');
+      error.statusCode = 400;
+      error.errorCode = 'GAME_NOT_OPEN';
+      throw error;
+    }
+
+    if (booking.userId === userId) {
+      throw validationError('You are the organizer of this game');
+    }
+
+    const existing = await BookingParticipant.findByBookingAndUser(bookingId, userId, client);
+    if (existing && ['accepted', 'requested'].includes(existing.invitationStatus)) {
+      const error = new Error(existing.invitationStatus === 'accepted'
+        ? 'You are already in this game'
+        : 'You already asked to join this game');
+      error.statusCode = 409;
+      error.errorCode = 'ALREADY_JOINED';
+      throw error;
+    }
+
+    if (existing && existing.invitationStatus === 'removed') {
+      const error = new Error('The organizer removed you from this game');
+      error.statusCode = 403;
+      error.errorCode = 'REMOVED_FROM_GAME';
+      throw error;
+    }
+
+    await bookingParticipantService.assertSeatAvailable(client, bookingId);
+
+    const invited = existing && existing.invitationStatus === 'invited';
+    const status = game.joinMode === 'instant' || invited ? 'accepted' : 'requested';
+    const participant = await BookingParticipant.join(bookingId, userId, status, client);
+
+    await client.query('COMMIT');
+
+    return participant;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Approve a join request
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} organizerId - Booker user ID
+ * @param {number} playerId - Requesting user ID
+ * @returns {Promise<Object>} Participant (accepted)
+ * @throws {Error} If the user is not the organizer, there is no request, or the game is full
+ */
+async function approvePlayer(bookingId, organizerId, playerId) {
+  await getOrganizedBooking(bookingId, organizerId);
+  await getGameOrThrow(bookingId);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+    const request = await BookingParticipant.findByBookingAndUser(bookingId, playerId, client);
+    if (!request || request.invitationStatus !== 'requested') {
+      const error = new Error('This user has no pending join request');
+      error.statusCode = 404;
+      error.errorCode = 'JOIN_REQUEST_NOT_FOUND';
+      throw error;
+    }
+
+    await bookingParticipantService.assertSeatAvailable(client, bookingId);
+
+    const participant = await BookingParticipant.updateStatus(bookingId, playerId, 'accepted', client);
+
+    await client.query('COMMIT');
+
+    return participant;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a player (or turn down a join request)
+ * The player cannot rejoin through the listing; the organizer can invite them again.
+ * Their cost share, if any, is kept until the booker splits the cost again.
+ *
+ * @param {number} bookingId - Booking ID
+ * @param {number} organizerId - Booker user ID
+ * @param {number} playerId - Player user ID
+ * @returns {Promise<Object>} Participant (removed)
+ * @throws {Error} If the user is not the organizer or the player is not in the game
+ */
+async function removePlayer(bookingId, organizerId, playerId) {
+  await getOrganizedBooking(bookingId, organizerId);
+  await getGameOrThrow(bookingId);
+
+  const participant = await BookingParticipant.findByBookingAndUser(bookingId, playerId);
+  if (!participant || !['accepted', 'requested', 'invited'].includes(participant.invitationStatus)) {
+    const error = new Error('This user is not in the game');
+    error.statusCode = 404;
+    error.errorCode = 'PLAYER_NOT_FOUND';
+    throw error;
+  }
+
+  return BookingParticipant.updateStatus(bookingId, playerId, 'removed');
+}
+
+module.exports = {
+  openGame,
+  closeGame,
+  listOpenGames,
+  getOpenGame,
+  joinGame,
+  approvePlayer,
+  removePlayer
+};
@@ -0,0 +1,472 @@
+/**
+ * Player Screening Service
+ *
+ * Player reliability and per-facility screening of booking requests.
+ *
+ * Architecture:
+ * - A player's reliability profile is computed from their booking history:
+ *   completed bookings, late cancellations (by the player, less than
+ *   LATE_CANCELLATION_HOURS before the start, from the status history),
+ *   no-shows, pending bookings that expired unpaid and rejected bookings
+ * - The score (0-100) is completed bookings over completed plus weighted
+ *   negatives; players without finished bookings have no score (null) and
+ *   are never screened out by it
+ * - Facilities block players and set a screening policy:
+ *   - paymentProofBelowScore: pending bookings of players scoring below it
+ *     cannot be accepted without a payment proof
+ *   - autoRejectBlocked: booking requests of blocked players are refused
+ *     when they are made
+ * - Facility owners see the screening of each pending booking
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const FacilityScreeningPolicy = require('../models/FacilityScreeningPolicy');
+const FacilityPlayerBlock = require('../models/FacilityPlayerBlock');
+
+/**
+ * Weight of each negative outcome against one completed booking
+ */
+const RELIABILITY_PENALTY_WEIGHTS = {
+  noShows: 3,
+  lateCancellations: 2,
+  expiredUnpaid: 1,
+  rejected: 0.5
+};
+
+/**
+ * Maximum block reason length (characters)
+ */
+const MAX_BLOCK_REASON_LENGTH = 500;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Compute a reliability score from booking outcome counts
+ * @param {Object} counts - { completed, noShows, lateCancellations, expiredUnpaid, rejected }
+ * @returns {number|null} Score from 0 to 100, or null without any finished booking
+ */
+function computeReliabilityScore(counts) {
+  const penalty = Object.entries(RELIABILITY_PENALTY_WEIGHTS)
+    .reduce((sum, [key, weight]) => sum + (counts[key] || 0) * weight, 0);
+  const total = (counts.completed || 0) + penalty;
+
+  if (total === 0) {
+    return null;
+  }
+
+  return Math.round((100 * (counts.completed || 0)) / total);
+}
+
+/**
+ * Build a reliability profile
+ * @param {number} userId - User ID
+ * @param {Object} [counts] - Booking outcome counts (missing = no history)
+ * @returns {Object} Reliability profile
+ */
+function buildReliabilityProfile(userId, counts = {}) {
+  const profile = {
+    userId,
+    completed: counts.completed || 0,
+    noShows: counts.noShows || 0,
+    lateCancellations: counts.lateCancellations || 0,
+    expiredUnpaid: counts.expiredUnpaid || 0,
+    rejected: counts.rejected || 0
+  };
+
+  return {
+    ...profile,
+    score: computeReliabilityScore(profile)
+  };
+}
+
+/**
+ * Validate and normalize screening policy input
+ * @param {Object} input - Policy input
+ * @param {number|null} [input.paymentProofBelowScore] - Score threshold (1-100, null = off)
+ * @param {boolean} [input.autoRejectBlocked] - Refuse requests of blocked players
+ * @param {Object} [current] - Current policy (values kept for omitted fields)
+ * @returns {Object} { paymentProofBelowScore, autoRejectBlocked }
+ * @throws {Error} VALIDATION_ERROR if a value is invalid
+ */
+function validateScreeningPolicyInput(input, current = {}) {
+  const { paymentProofBelowScore, autoRejectBlocked } = input;
+
+  let threshold = current.paymentProofBelowScore === undefined ? null : current.paymentProofBelowScore;
+  if (paymentProofBelowScore !== undefined) {
+    if (paymentProofBelowScore === null) {
+      threshold = null;
+    } else {
+      threshold = Number(paymentProofBelowScore);
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+        throw validationError('paymentProofBelowScore must be an integer between 1 and 100, or null');
+      }
+    }
+  }
+
+  let autoReject = Boolean(current.autoRejectBlocked);
+  if (autoRejectBlocked !== undefined) {
+    if (typeof autoRejectBlocked !== 'boolean') {
+      throw validationError('autoRejectBlocked must be a boolean');
+    }
+    autoReject = autoRejectBlocked;
+  }
+
+  return { paymentProofBelowScore: threshold, autoRejectBlocked: autoReject };
+}
+
+/**
+ * Screen a pending booking against a facility's policy
+ * @param {Object} profile - Player reliability profile
+ * @param {Object|null} block - The player's block at the facility (null if not blocked)
+ * @param {Object} policy - Facility screening policy
+ * @returns {Object} { reliability, blocked, blockReason, paymentProofRequired }
+ */
+function evaluateScreening(profile, block, policy) {
+  const threshold = policy.paymentProofBelowScore;
+
+  return {
+    reliability: profile,
+    blocked: Boolean(block),
+    blockReason: block ? block.reason : null,
+    paymentProofRequired: threshold !== null && profile.score !== null && profile.score < threshold
+  };
+}
+
+/**
+ * Explain why a screened booking cannot be accepted
+ * @param {Object} screening - Result of evaluateScreening
+ * @param {Object} booking - Booking (paymentProofImageId)
+ * @returns {Object|null} { statusCode, errorCode, message } or null if it can be accepted
+ */
+function getAcceptanceError(screening, booking) {
+  if (screening.paymentProofRequired && !booking.paymentProofImageId) {
+    return {
+      statusCode: 400,
+      errorCode: 'PAYMENT_PROOF_REQUIRED',
+      message: `This player's reliability score (${screening.reliability.score}) is below the facility's threshold; a payment proof is required before accepting`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage player screening for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Get a facility's screening policy (defaults if it has none)
+ * @param {number} facilityId - Facility ID
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Object>} Policy object
+ * @private
+ */
+async function getEffectivePolicy(facilityId, client = null) {
+  const policy = await FacilityScreeningPolicy.findByFacilityId(facilityId, client);
+  return policy || { facilityId, paymentProofBelowScore: null, autoRejectBlocked: false };
+}
+
+/**
+ * Compute the reliability profiles of some players
+ *
+ * @param {Array<number>} userIds - User IDs
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Map<number, Object>>} Map of user ID -> reliability profile (every requested user)
+ */
+async function getReliabilityProfiles(userIds, client = null) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const profiles = new Map();
+  if (ids.length === 0) {
+    return profiles;
+  }
+
+  // Late cancellation: the player's cancel, less than LATE_CANCELLATION_HOURS before the start
+  const query = `
+    SELECT
+      b.user_id,
+      COUNT(*) FILTER (WHERE b.booking_status = 'completed') AS completed,
+      COUNT(*) FILTER (WHERE b.booking_status = 'no_show') AS no_shows,
+      COUNT(*) FILTER (WHERE b.booking_status = 'expired') AS expired_unpaid,
+      COUNT(*) FILTER (WHERE b.booking_status = 'rejected') AS rejected,
+      COUNT(*) FILTER (
+        WHERE b.booking_status = 'cancelled'
+          AND cancel.created_at > b.booking_date + (b.start_time * INTERVAL '1 minute') - ($2 * INTERVAL '1 hour')
+      ) AS late_cancellations
+    FROM bookings b
+    LEFT JOIN LATERAL (
+      SELECT h.created_at
+      FROM booking_status_history h
+      WHERE h.booking_id = b.id AND h.action = 'cancel' AND h.actor_type = 'player'
+      ORDER BY h.created_at DESC
+      LIMIT 1
+    ) cancel ON b.booking_status = 'cancelled'
+    WHERE b.user_id = ANY($1::INTEGER[])
+    GROUP BY b.user_id
+  `;
+
+  const result = await (client || pool).query(query, [ids, bookingRules.LATE_CANCELLATION_HOURS]);
+  const countsByUser = new Map(result.rows.map(row => [row.user_id, {
+    completed: parseInt(row.completed, 10),
+    noShows: parseInt(row.no_shows, 10),
+    lateCancellations: parseInt(row.late_cancellations, 10),
+    expiredUnpaid: parseInt(row.expired_unpaid, 10),
+    rejected: parseInt(row.rejected, 10)
+  }]));
+
+  for (const userId of ids) {
+    profiles.set(userId, buildReliabilityProfile(userId, countsByUser.get(userId)));
+  }
+
+  return profiles;
+}
+
+/**
+ * Screen pending bookings of a facility
+ * Bookings without a player account (front-desk guests) get no screening.
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {Array<Object>} bookings - Bookings (id, userId)
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Map<number, Object>>} Map of booking ID -> screening
+ */
+async function screenBookings(facilityId, bookings, client = null) {
+  const userIds = [...new Set(bookings.map(booking => booking.userId).filter(Boolean))];
+  const screenings = new Map();
+  if (userIds.length === 0) {
+    return screenings;
+  }
+
+  const [policy, profiles, blocks] = await Promise.all([
+    getEffectivePolicy(facilityId, client),
+    getReliabilityProfiles(userIds, client),
+    FacilityPlayerBlock.findByUserIds(facilityId, userIds, client)
+  ]);
+
+  for (const booking of bookings) {
+    if (booking.userId) {
+      screenings.set(booking.id, evaluateScreening(
+        profiles.get(booking.userId),
+        blocks.get(booking.userId) || null,
+        policy
+      ));
+    }
+  }
+
+  return screenings;
+}
+
+/**
+ * Check that a pending booking passes the facility's screening before it is accepted
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {Object} booking - Booking (id, userId, paymentProofImageId)
+ * @returns {Promise<void>}
+ * @throws {Error} PAYMENT_PROOF_REQUIRED if the player scores below the threshold and sent no proof
+ */
+async function assertBookingAcceptable(facilityId, booking) {
+  const screenings = await screenBookings(facilityId, [booking]);
+  const screening = screenings.get(booking.id);
+  const acceptanceError = screening ? getAcceptanceError(screening, booking) : null;
+
+  if (acceptanceError) {
+    const error = new Error(acceptanceError.message);
+    error.statusCode = acceptanceError.statusCode;
+    error.errorCode = acceptanceError.errorCode;
+    throw error;
+  }
+}
+
+/**
+ * Refuse a booking request of a player blocked by the court's facility
+ * (when the facility auto-rejects blocked players)
+ *
+ * @param {Object} client - Database client (in the booking transaction)
+ * @param {number} courtId - Court ID
+ * @param {number} userId - Requesting player
+ * @returns {Promise<void>}
+ * @throws {Error} BOOKING_AUTO_REJECTED if the request is refused
+ */
+async function assertNotAutoRejected(client, courtId, userId) {
+  const result = await client.query(`
+    SELECT 1
+    FROM courts c
+    INNER JOIN facility_screening_policies sp ON sp.facility_id = c.facility_id AND sp.auto_reject_blocked = true
+    INNER JOIN facility_player_blocks pb ON pb.facility_id = c.facility_id AND pb.user_id = $2
+    WHERE c.id = $1
+  `, [courtId, userId]);
+
+  if (result.rows.length > 0) {
+    const error = new Error('This facility does not accept booking requests from you');
+    error.statusCode = 403;
+    error.errorCode = 'BOOKING_AUTO_REJECTED';
+    throw error;
+  }
+}
+
+/**
+ * Get a facility's screening policy
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @returns {Promise<Object>} Policy object (defaults if never set)
+ */
+async function getScreeningPolicy(facilityId, ownerId) {
+  await getOwnedFacility(facilityId, ownerId);
+  return getEffectivePolicy(facilityId);
+}
+
+/**
+ * Update a facility's screening policy (omitted fields keep their value)
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @param {Object} input - Policy input (see validateScreeningPolicyInput)
+ * @returns {Promise<Object>} Updated policy object
+ */
+async function updateScreeningPolicy(facilityId, ownerId, input) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  const current = await getEffectivePolicy(facilityId);
+  const policy = validateScreeningPolicyInput(input, current);
+
+  return FacilityScreeningPolicy.upsert({ facilityId, ...policy, updatedBy: ownerId });
+}
+
+/**
+ * List the players blocked by a facility, with their reliability
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @returns {Promise<Array>} Block objects with user and reliability
+ */
+async function listBlockedPlayers(facilityId, ownerId) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  const blocks = await FacilityPlayerBlock.findByFacilityId(facilityId);
+  const profiles = await getReliabilityProfiles(blocks.map(block => block.userId));
+
+  return blocks.map(block => ({ ...block, reliability: profiles.get(block.userId) }));
+}
+
+/**
+ * Block a player at a facility
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @param {Object} input - { userId, reason? }
+ * @returns {Promise<Object>} Block object
+ * @throws {Error} If the user does not exist or the input is invalid
+ */
+async function blockPlayer(facilityId, ownerId, input) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  const userId = Number(input.userId);
+  if (!Number.isInteger(userId) || userId < 1) {
+    throw validationError('userId must be a positive integer');
+  }
+
+  if (userId === ownerId) {
+    throw validationError('You cannot block yourself');
+  }
+
+  const { reason } = input;
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw validationError('reason must be a string');
+  }
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (text.length > MAX_BLOCK_REASON_LENGTH) {
+    throw validationError(`reason must be at most ${MAX_BLOCK_REASON_LENGTH} characters`);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.errorCode = 'USER_NOT_FOUND';
+    throw error;
+  }
+
+  return FacilityPlayerBlock.create({ facilityId, userId, reason: text || null, blockedBy: ownerId });
+}
+
+/**
+ * Unblock a player
+ *
+ * @param {number} facilityId - Facility ID
+ * @param {number} ownerId - Facility owner user ID
+ * @param {number} userId - Blocked user ID
+ * @returns {Promise<void>}
+ * @throws {Error} BLOCK_NOT_FOUND if the player is not blocked
+ */
+async function unblockPlayer(facilityId, ownerId, userId) {
+  await getOwnedFacility(facilityId, ownerId);
+
+  const deleted = await FacilityPlayerBlock.delete(facilityId, userId);
+  if (!deleted) {
+    const error = new Error('This player is not blocked');
+    error.statusCode = 404;
+    error.errorCode = 'BLOCK_NOT_FOUND';
+    throw error;
+  }
+}
+
+module.exports = {
+  screenBookings,
+  assertBookingAcceptable,
+  assertNotAutoRejected,
+  getScreeningPolicy,
+  updateScreeningPolicy,
+  listBlockedPlayers,
+  blockPlayer,
+  unblockPlayer,
+  RELIABILITY_PENALTY_WEIGHTS,
+  getAcceptanceError
+};
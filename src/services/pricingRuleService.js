@@ -0,0 +1,500 @@
+/**
+ * Pricing Rule Service
+ *
+ * Business logic for managing dynamic pricing rules (weekends, holidays,
+ * lead time, ...). Rules are evaluated by pricingService when a booking is
+ * priced; this service lets facility admins manage them and simulate prices
+ * before activating them.
+ *
+ * Architecture:
+ * - Facility-wide rules (court_id NULL) apply to every court of the facility
+ * - Court-level rules apply to one court
+ * - Inactive rules are never applied to bookings but can be simulated
+ */
+
+const PricingRule = require('../models/PricingRule');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const bookingRules = require('../config/bookingRules');
+const pricingService = require('./pricingService');
+const { parseTimeString } = require('../utils/timeNormalization');
+
+/**
+ * Maximum length of the name column
+ */
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Rule fields that can be changed on update
+ */
+const DEFINITION_FIELDS = [
+  'name', 'description', 'priority', 'stacking', 'daysOfWeek', 'dates', 'startTime', 'endTime',
+  'minLeadMinutes', 'maxLeadMinutes', 'minDurationMinutes', 'maxDurationMinutes', 'actionType',
+  'actionValue', 'isActive'
+];
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Parse a time given as HH:MM string or minutes since midnight
+ * @param {string|number} value - Time value
+ * @param {string} field - Field name (for error messages)
+ * @param {number} max - Largest allowed minutes value
+ * @returns {number} Minutes since midnight
+ * @private
+ */
+function parseTimeValue(value, field, max) {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      throw validationError(`${field} must be between 0 and ${max} (minutes since midnight)`);
+    }
+    return value;
+  }
+
+  try {
+    return parseTimeString(value);
+  } catch (error) {
+    throw validationError(`Invalid ${field}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse an optional non-negative integer
+ * @param {*} value - Value (null/undefined means no restriction)
+ * @param {string} field - Field name (for error messages)
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number|null} Integer or null
+ * @private
+ */
+function parseOptionalInteger(value, field, min, max) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw validationError(`${field} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Check a min/max pair
+ * @private
+ */
+function assertMinNotAboveMax(min, max, label) {
+  if (min !== null && max !== null && min > max) {
+    throw validationError(`min${label} must not exceed max${label}`);
+  }
+}
+
+/**
+ * Parse a list of YYYY-MM-DD dates
+ * @param {Array<string>} dates - Dates
+ * @returns {Array<string>} Sorted unique dates
+ * @private
+ */
+function parseDates(dates) {
+  if (!Array.isArray(dates) || dates.length === 0 || dates.length > bookingRules.MAX_PRICING_RULE_DATES) {
+    throw validationError(`dates must be a non-empty array of at most ${bookingRules.MAX_PRICING_RULE_DATES} dates`);
+  }
+
+  for (const value of dates) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw validationError('dates must be in YYYY-MM-DD format (e.g., 2025-12-25)');
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      throw validationError(`${value} is not a valid date`);
+    }
+  }
+
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * Validate and normalize a pricing rule definition
+ *
+ * Conditions that are not set are stored as null (no restriction). Times are
+ * accepted as HH:MM or minutes; the window end may be 1440 (midnight).
+ *
+ * @param {Object} data - Rule definition
+ * @returns {Object} Normalized rule definition
+ * @throws {Error} If the definition is invalid
+ */
+function validatePricingRule(data) {
+  const rule = {};
+
+  if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > MAX_NAME_LENGTH) {
+    throw validationError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  }
+  rule.name = data.name.trim();
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    throw validationError('description must be a string');
+  }
+  rule.description = data.description || null;
+
+  rule.priority = data.priority !== undefined && data.priority !== null
+    ? parseOptionalInteger(data.priority, 'priority', -1000, 1000)
+    : 0;
+
+  rule.stacking = data.stacking !== undefined && data.stacking !== null ? data.stacking : 'stack';
+  if (!PricingRule.STACKING_MODES.includes(rule.stacking)) {
+    throw validationError(`stacking must be one of: ${PricingRule.STACKING_MODES.join(', ')}`);
+  }
+
+  // Conditions
+  rule.daysOfWeek = null;
+  if (data.daysOfWeek !== undefined && data.daysOfWeek !== null) {
+    if (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.length === 0 ||
+        !data.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw validationError('daysOfWeek must be a non-empty array of days between 0 (Sunday) and 6 (Saturday)');
+    }
+    rule.daysOfWeek = [...new Set(data.daysOfWeek)].sort((a, b) => a - b);
+  }
+
+  rule.dates = data.dates !== undefined && data.dates !== null ? parseDates(data.dates) : null;
+
+  const hasStart = data.startTime !== undefined && data.startTime !== null;
+  const hasEnd = data.endTime !== undefined && data.endTime !== null;
+  if (hasStart !== hasEnd) {
+    throw validationError('startTime and endTime must be set together');
+  }
+  rule.startTime = hasStart ? parseTimeValue(data.startTime, 'startTime', 1439) : null;
+  rule.endTime = hasEnd ? parseTimeValue(data.endTime, 'endTime', 1440) : null;
+  if (hasStart && rule.endTime <= rule.startTime) {
+    throw validationError('endTime must be after startTime');
+  }
+
+  const maxLead = bookingRules.MAX_PRICING_RULE_LEAD_MINUTES;
+  rule.minLeadMinutes = parseOptionalInteger(data.minLeadMinutes, 'minLeadMinutes', 0, maxLead);
+  rule.maxLeadMinutes = parseOptionalInteger(data.maxLeadMinutes, 'maxLeadMinutes', 0, maxLead);
+  assertMinNotAboveMax(rule.minLeadMinutes, rule.maxLeadMinutes, 'LeadMinutes');
+
+  const maxDuration = bookingRules.MAX_POLICY_BOOKING_DURATION_MINUTES;
+  rule.minDurationMinutes = parseOptionalInteger(data.minDurationMinutes, 'minDurationMinutes', 1, maxDuration);
+  rule.maxDurationMinutes = parseOptionalInteger(data.maxDurationMinutes, 'maxDurationMinutes', 1, maxDuration);
+  assertMinNotAboveMax(rule.minDurationMinutes, rule.maxDurationMinutes, 'DurationMinutes');
+
+  // Action
+  if (!PricingRule.ACTION_TYPES.includes(data.actionType)) {
+    throw validationError(`actionType must be one of: ${PricingRule.ACTION_TYPES.join(', ')}`);
+  }
+  rule.actionType = data.actionType;
+
+  const actionValue = data.actionValue;
+  if (typeof actionValue !== 'number' || !Number.isFinite(actionValue)) {
+    throw validationError('actionValue must be a number');
+  }
+  if (rule.actionType === 'percentage' &&
+      (actionValue < bookingRules.MIN_PRICING_RULE_PERCENTAGE || actionValue > bookingRules.MAX_PRICING_RULE_PERCENTAGE)) {
+    throw validationError(
+      `Percentage must be between ${bookingRules.MIN_PRICING_RULE_PERCENTAGE} and ${bookingRules.MAX_PRICING_RULE_PERCENTAGE}`
+    );
+  }
+  if (rule.actionType !== 'percentage' && actionValue < 0) {
+    throw validationError(`actionValue must not be negative for ${rule.actionType} (use a percentage for discounts)`);
+  }
+  rule.actionValue = Math.round(actionValue * 100) / 100;
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    throw validationError('isActive must be a boolean');
+  }
+  rule.isActive = data.isActive !== undefined ? data.isActive : true;
+
+  return rule;
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage pricing rules for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Load a court and verify the user owns its facility
+ * @param {number} courtId - Court ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Court object
+ * @private
+ */
+async function getOwnedCourt(courtId, userId) {
+  const court = await Court.findById(courtId);
+  if (!court) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const facility = await Facility.findById(court.facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage pricing rules for courts in your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return court;
+}
+
+/**
+ * Resolve and authorize a scope
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Scope with facilityId and courtId (null for facility scope)
+ * @private
+ */
+async function resolveScope(scope, userId) {
+  if (scope.courtId) {
+    const court = await getOwnedCourt(scope.courtId, userId);
+    return { facilityId: court.facilityId, courtId: court.id };
+  }
+
+  await getOwnedFacility(scope.facilityId, userId);
+  return { facilityId: scope.facilityId, courtId: null };
+}
+
+/**
+ * Load a rule and check it is reachable through the scope
+ * (facility scope: any rule of the facility; court scope: the court's own rules)
+ * @param {Object} resolvedScope - Scope from resolveScope
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object>} Rule object
+ * @private
+ */
+async function getScopedRule(resolvedScope, ruleId) {
+  const rule = await PricingRule.findById(ruleId);
+
+  const inScope = rule && rule.facilityId === resolvedScope.facilityId &&
+    (resolvedScope.courtId === null || rule.courtId === resolvedScope.courtId);
+
+  if (!inScope) {
+    const error = new Error('Pricing rule not found');
+    error.statusCode = 404;
+    error.errorCode = 'PRICING_RULE_NOT_FOUND';
+    throw error;
+  }
+
+  return rule;
+}
+
+/**
+ * List pricing rules in evaluation order
+ * @param {Object} scope - { facilityId } or { courtId } (court scope includes facility-wide rules)
+ * @param {Object} options - Query options
+ * @param {number} [options.courtId] - Facility scope: only rules applying to this court
+ * @param {boolean} [options.isActive] - Filter by active status
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Array>} Array of rule objects
+ */
+async function listRules(scope, options, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+
+  return await PricingRule.findByFacilityId(resolvedScope.facilityId, {
+    courtId: resolvedScope.courtId !== null ? resolvedScope.courtId : options.courtId,
+    isActive: options.isActive
+  });
+}
+
+/**
+ * Create a pricing rule
+ * @param {Object} scope - { facilityId } (facility-wide) or { courtId } (court-level)
+ * @param {Object} data - Rule definition
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Created rule
+ * @throws {Error} If not authorized or the definition is invalid
+ */
+async function createRule(scope, data, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  const definition = validatePricingRule(data);
+
+  return await PricingRule.create({
+    ...definition,
+    facilityId: resolvedScope.facilityId,
+    courtId: resolvedScope.courtId,
+    createdBy: userId
+  });
+}
+
+/**
+ * Update a pricing rule (omitted fields keep their current values)
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} ruleId - Rule ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Updated rule
+ * @throws {Error} If not authorized, not found, or the result is invalid
+ */
+async function updateRule(scope, ruleId, data, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  const existing = await getScopedRule(resolvedScope, ruleId);
+
+  const merged = { ...existing };
+  for (const field of DEFINITION_FIELDS) {
+    if (data[field] !== undefined) {
+      merged[field] = data[field];
+    }
+  }
+
+  return await PricingRule.update(ruleId, validatePricingRule(merged));
+}
+
+/**
+ * Delete a pricing rule
+ * @param {Object} scope - { facilityId } or { courtId }
+ * @param {number} ruleId - Rule ID
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteRule(scope, ruleId, userId) {
+  const resolvedScope = await resolveScope(scope, userId);
+  await getScopedRule(resolvedScope, ruleId);
+
+  return await PricingRule.delete(ruleId);
+}
+
+/**
+ * Simulate the price of a booking range on a court
+ *
+ * By default the court's active rules are evaluated, like a real booking.
+ * ruleIds evaluates exactly those rules instead (active or not), and a draft
+ * rule definition can be added to test it before saving.
+ *
+ * @param {number} courtId - Court ID
+ * @param {Object} data - Simulation input
+ * @param {string} data.date - Booking date (YYYY-MM-DD)
+ * @param {string|number} data.startTime - Start time (HH:MM or minutes)
+ * @param {string|number} data.endTime - End time (HH:MM or minutes)
+ * @param {string} [data.bookedAt] - Moment the booking would be made (ISO 8601, default now)
+ * @param {Array<number>} [data.ruleIds] - Rules to evaluate instead of the active ones
+ * @param {Object} [data.rule] - Unsaved rule definition to evaluate as well
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Object>} Price result with basePrice, finalPrice, priceBreakdown,
+ *   appliedRules and evaluatedRules
+ */
+async function simulatePrice(courtId, data, userId) {
+  const court = await getOwnedCourt(courtId, userId);
+
+  if (typeof data.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data.date)) {
+    throw validationError('date must be in YYYY-MM-DD format');
+  }
+  const bookingDate = new Date(data.date);
+  if (isNaN(bookingDate.getTime())) {
+    throw validationError('date is not a valid date');
+  }
+
+  if (data.startTime === undefined || data.startTime === null ||
+      data.endTime === undefined || data.endTime === null) {
+    throw validationError('startTime and endTime are required');
+  }
+  const startTime = parseTimeValue(data.startTime, 'startTime', 1439);
+  const endTime = parseTimeValue(data.endTime, 'endTime', 1439);
+  if (endTime <= startTime) {
+    throw validationError('endTime must be after startTime');
+  }
+
+  const now = data.bookedAt !== undefined && data.bookedAt !== null ? new Date(data.bookedAt) : new Date();
+  if (isNaN(now.getTime())) {
+    throw validationError('bookedAt must be an ISO 8601 date-time');
+  }
+
+  let rules;
+  if (data.ruleIds !== undefined && data.ruleIds !== null) {
+    if (!Array.isArray(data.ruleIds) || !data.ruleIds.every(Number.isInteger)) {
+      throw validationError('ruleIds must be an array of rule IDs');
+    }
+    const applicable = await PricingRule.findByFacilityId(court.facilityId, { courtId: court.id });
+    rules = applicable.filter(rule => data.ruleIds.includes(rule.id));
+    if (rules.length !== new Set(data.ruleIds).size) {
+      const error = new Error('One or more pricing rules do not apply to this court');
+      error.statusCode = 404;
+      error.errorCode = 'PRICING_RULE_NOT_FOUND';
+      throw error;
+    }
+  } else {
+    rules = await PricingRule.findActiveForCourt(court.id);
+  }
+
+  if (data.rule !== undefined && data.rule !== null) {
+    rules = [...rules, { ...validatePricingRule(data.rule), id: null, courtId: court.id }];
+  }
+
+  const price = await pricingService.calculateBookingPrice(court.id, bookingDate, startTime, endTime, null, {
+    now,
+    pricingRules: rules
+  });
+
+  return {
+    courtId: court.id,
+    date: data.date,
+    startTime,
+    endTime,
+    bookedAt: now,
+    basePrice: price.basePrice.finalPrice,
+    finalPrice: price.finalPrice,
+    priceBreakdown: price.priceBreakdown,
+    appliedRules: pricingService.sortPricingRules(rules)
+      .filter(rule => price.appliedRuleIds.includes(rule.id)),
+    evaluatedRules: pricingService.sortPricingRules(rules)
+  };
+}
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  simulatePrice
+};
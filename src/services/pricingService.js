@@ -0,0 +1,447 @@
+/**
+ * Pricing Service
+ *
+ * Prices bookings by time of day. Availability rules
+ * (court_availability_rules) may carry a price_per_hour_override; a booking
+ * is split across the rule windows it covers and each part is charged at its
+ * window's price (courts.price_per_hour when the window has no override).
+ *
+ * Dynamic pricing rules (pricing_rules, managed by pricingRuleService) are
+ * then applied on top of the time-of-day price, each adding one adjustment
+ * line to the breakdown.
+ *
+ * Architecture:
+ * - Pure functions turn rules into same-day windows, price a range and apply
+ *   pricing rules in a deterministic order
+ * - Lookup functions load the court price, availability rules and active
+ *   pricing rules for a date
+ * - Totals are the sum of the rounded line amounts, so the breakdown always
+ *   adds up to finalPrice
+ */
+
+const { pool } = require('../config/database');
+const PricingRule = require('../models/PricingRule');
+const { getMinutesUntilStart } = require('./bookingPolicyService');
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Round an amount to 2 decimal places (PKR)
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Turn availability rules into price windows within one day
+ *
+ * Midnight crossover rules (startTime > endTime) cover the end of the day
+ * and the start of the same day, matching generateBaseAvailability.
+ *
+ * @param {Array<Object>} rules - Rules with id, startTime, endTime, pricePerHourOverride
+ * @returns {Array<Object>} Windows with ruleId, startTime, endTime, pricePerHourOverride,
+ *   sorted by startTime
+ */
+function getRuleWindows(rules) {
+  const windows = [];
+
+  for (const rule of rules) {
+    const base = { ruleId: rule.id, pricePerHourOverride: rule.pricePerHourOverride };
+
+    if (rule.startTime < rule.endTime) {
+      windows.push({ ...base, startTime: rule.startTime, endTime: rule.endTime });
+    } else if (rule.startTime > rule.endTime) {
+      windows.push({ ...base, startTime: rule.startTime, endTime: 1440 });
+      if (rule.endTime > 0) {
+        windows.push({ ...base, startTime: 0, endTime: rule.endTime });
+      }
+    }
+  }
+
+  return windows.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Check whether windows cover a time range without gaps
+ * @param {Array<Object>} windows - Windows from getRuleWindows
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {boolean} True if every minute of the range is inside a window
+ */
+function isRangeCovered(windows, startTimeMinutes, endTimeMinutes) {
+  let coveredUntil = startTimeMinutes;
+
+  for (const window of windows) {
+    if (window.startTime > coveredUntil) {
+      break;
+    }
+    coveredUntil = Math.max(coveredUntil, window.endTime);
+    if (coveredUntil >= endTimeMinutes) {
+      return true;
+    }
+  }
+
+  return coveredUntil >= endTimeMinutes;
+}
+
+/**
+ * Price a time range against price windows
+ *
+ * Minutes outside every window are charged at the court price. Consecutive
+ * parts with the same hourly price are merged into one line.
+ *
+ * @param {Array<Object>} windows - Windows from getRuleWindows (or availability blocks)
+ * @param {number} basePricePerHour - Court price per hour
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {Object} Object with finalPrice and priceBreakdown (array of lines with
+ *   startTime, endTime, durationMinutes, pricePerHour, amount, source 'rule'|'court')
+ *
+ * @example
+ * // Court 2000/h, evening rule 18:00-22:00 at 3000/h, booking 17:00-19:00
+ * buildPriceBreakdown(windows, 2000, 1020, 1140);
+ * // { finalPrice: 5000, priceBreakdown: [
+ * //   { startTime: 1020, endTime: 1080, durationMinutes: 60, pricePerHour: 2000, amount: 2000, source: 'court' },
+ * //   { startTime: 1080, endTime: 1140, durationMinutes: 60, pricePerHour: 3000, amount: 3000, source: 'rule' }
+ * // ] }
+ */
+function buildPriceBreakdown(windows, basePricePerHour, startTimeMinutes, endTimeMinutes) {
+  const parts = [];
+  let cursor = startTimeMinutes;
+
+  while (cursor < endTimeMinutes) {
+    const window = windows.find(w => w.startTime <= cursor && w.endTime > cursor);
+    let partEnd;
+    let pricePerHour = basePricePerHour;
+    let source = 'court';
+
+    if (window) {
+      partEnd = Math.min(window.endTime, endTimeMinutes);
+      if (window.pricePerHourOverride !== null && window.pricePerHourOverride !== undefined) {
+        pricePerHour = window.pricePerHourOverride;
+        source = 'rule';
+      }
+    } else {
+      // Charge the gap at the court price until the next window starts
+      const next = windows.find(w => w.startTime > cursor);
+      partEnd = next ? Math.min(next.startTime, endTimeMinutes) : endTimeMinutes;
+    }
+
+    const previous = parts[parts.length - 1];
+    if (previous && previous.pricePerHour === pricePerHour && previous.source === source) {
+      previous.endTime = partEnd;
+    } else {
+      parts.push({ startTime: cursor, endTime: partEnd, pricePerHour, source });
+    }
+
+    cursor = partEnd;
+  }
+
+  const priceBreakdown = parts.map(part => {
+    const durationMinutes = part.endTime - part.startTime;
+    return {
+      startTime: part.startTime,
+      endTime: part.endTime,
+      durationMinutes,
+      pricePerHour: part.pricePerHour,
+      amount: roundCurrency(part.pricePerHour * durationMinutes / 60),
+      source: part.source
+    };
+  });
+
+  const finalPrice = roundCurrency(priceBreakdown.reduce((sum, line) => sum + line.amount, 0));
+
+  return { finalPrice, priceBreakdown };
+}
+
+/**
+ * Sort pricing rules into evaluation order
+ * (priority DESC, court-level before facility-level, id ASC; unsaved rules last)
+ * @param {Array<Object>} rules - Pricing rules
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortPricingRules(rules) {
+  const order = (id) => (id === null || id === undefined ? Infinity : id);
+
+  return [...rules].sort((a, b) =>
+    (b.priority - a.priority) ||
+    ((b.courtId ? 1 : 0) - (a.courtId ? 1 : 0)) ||
+    (order(a.id) - order(b.id))
+  );
+}
+
+/**
+ * Check the booking-level conditions of a pricing rule
+ * (the time window is applied by applyPricingRules)
+ *
+ * @param {Object} rule - Pricing rule
+ * @param {Object} context - Booking context
+ * @param {string} context.bookingDate - Booking date (YYYY-MM-DD)
+ * @param {number} context.dayOfWeek - Day of week (0=Sunday)
+ * @param {number} context.durationMinutes - Booking duration
+ * @param {number} context.leadMinutes - Minutes from booking time to start
+ * @returns {boolean} True if every set condition matches
+ */
+function doesPricingRuleMatch(rule, context) {
+  if (rule.daysOfWeek && !rule.daysOfWeek.includes(context.dayOfWeek)) {
+    return false;
+  }
+  if (rule.dates && !rule.dates.includes(context.bookingDate)) {
+    return false;
+  }
+  if (rule.minLeadMinutes !== null && context.leadMinutes < rule.minLeadMinutes) {
+    return false;
+  }
+  if (rule.maxLeadMinutes !== null && context.leadMinutes > rule.maxLeadMinutes) {
+    return false;
+  }
+  if (rule.minDurationMinutes !== null && context.durationMinutes < rule.minDurationMinutes) {
+    return false;
+  }
+  if (rule.maxDurationMinutes !== null && context.durationMinutes > rule.maxDurationMinutes) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Apply pricing rules to a time-of-day price
+ *
+ * Rules are evaluated in sortPricingRules order. fixed_price and percentage
+ * change the hourly price of the matched time (the part of the booking inside
+ * the rule's time window, or all of it); surcharge adds a flat amount. Each
+ * applied rule adds one 'pricing_rule' line holding the price difference it
+ * caused. A matching 'exclusive' rule stops the evaluation.
+ *
+ * @param {Object} basePrice - Result of buildPriceBreakdown
+ * @param {Array<Object>} rules - Pricing rules (active or drafts)
+ * @param {Object} context - Booking context (see doesPricingRuleMatch) plus
+ *   startTime and endTime in minutes since midnight
+ * @returns {Object} Object with finalPrice, priceBreakdown and appliedRuleIds
+ */
+function applyPricingRules(basePrice, rules, context) {
+  // Per-minute-range hourly prices, split further as rule windows require
+  let segments = basePrice.priceBreakdown.map(line => ({
+    startTime: line.startTime,
+    endTime: line.endTime,
+    pricePerHour: line.pricePerHour
+  }));
+  const adjustments = [];
+  const appliedRuleIds = [];
+
+  for (const rule of sortPricingRules(rules)) {
+    if (!doesPricingRuleMatch(rule, context)) {
+      continue;
+    }
+
+    const rangeStart = rule.startTime !== null ? Math.max(rule.startTime, context.startTime) : context.startTime;
+    const rangeEnd = rule.endTime !== null ? Math.min(rule.endTime, context.endTime) : context.endTime;
+    if (rangeStart >= rangeEnd) {
+      continue;
+    }
+
+    let delta = 0;
+
+    if (rule.actionType === 'surcharge') {
+      delta = rule.actionValue;
+    } else {
+      segments = segments.flatMap(segment => {
+        const cuts = [segment.startTime, rangeStart, rangeEnd, segment.endTime]
+          .filter(t => t >= segment.startTime && t <= segment.endTime)
+          .sort((a, b) => a - b);
+        const parts = [];
+        for (let i = 0; i < cuts.length - 1; i++) {
+          if (cuts[i] < cuts[i + 1]) {
+            parts.push({ ...segment, startTime: cuts[i], endTime: cuts[i + 1] });
+          }
+        }
+        return parts;
+      });
+
+      for (const segment of segments) {
+        if (segment.startTime < rangeStart || segment.endTime > rangeEnd) {
+          continue;
+        }
+        const newPrice = rule.actionType === 'fixed_price'
+          ? rule.actionValue
+          : segment.pricePerHour * (1 + rule.actionValue / 100);
+        delta += (newPrice - segment.pricePerHour) * (segment.endTime - segment.startTime) / 60;
+        segment.pricePerHour = newPrice;
+      }
+    }
+
+    adjustments.push({
+      startTime: rangeStart,
+      endTime: rangeEnd,
+      durationMinutes: rangeEnd - rangeStart,
+      pricePerHour: null,
+      amount: roundCurrency(delta),
+      source: 'pricing_rule',
+      ruleId: rule.id,
+      ruleName: rule.name,
+      actionType: rule.actionType,
+      actionValue: rule.actionValue
+    });
+    appliedRuleIds.push(rule.id);
+
+    if (rule.stacking === 'exclusive') {
+      break;
+    }
+  }
+
+  const priceBreakdown = [...basePrice.priceBreakdown, ...adjustments];
+  const finalPrice = roundCurrency(priceBreakdown.reduce((sum, line) => sum + line.amount, 0));
+
+  return { finalPrice, priceBreakdown, appliedRuleIds };
+}
+
+/**
+ * Build the pricing rule context of a booking range
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Date} [now=new Date()] - Moment the booking is made (for lead time)
+ * @returns {Object} Context for doesPricingRuleMatch/applyPricingRules
+ */
+function getPricingContext(bookingDate, startTimeMinutes, endTimeMinutes, now = new Date()) {
+  const date = bookingDate instanceof Date ? bookingDate : new Date(bookingDate);
+
+  return {
+    bookingDate: date.toISOString().split('T')[0],
+    dayOfWeek: date.getDay(),
+    startTime: startTimeMinutes,
+    endTime: endTimeMinutes,
+    durationMinutes: endTimeMinutes - startTimeMinutes,
+    leadMinutes: Math.floor(getMinutesUntilStart(date, startTimeMinutes, now))
+  };
+}
+
+/**
+ * Price a time range: time-of-day price first, then pricing rules on top
+ * (shared by booking prices and availability slot prices)
+ *
+ * @param {Array<Object>} windows - Windows from getRuleWindows (or availability blocks)
+ * @param {number} basePricePerHour - Court price per hour
+ * @param {Array<Object>} pricingRules - Pricing rules to apply
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Date} [now=new Date()] - Moment the booking is made (for lead time conditions)
+ * @returns {Object} Object with finalPrice, priceBreakdown, basePrice
+ *   (time-of-day price before pricing rules) and appliedRuleIds
+ */
+function priceTimeRange(
+  windows,
+  basePricePerHour,
+  pricingRules,
+  bookingDate,
+  startTimeMinutes,
+  endTimeMinutes,
+  now = new Date()
+) {
+  const basePrice = buildPriceBreakdown(windows, basePricePerHour, startTimeMinutes, endTimeMinutes);
+  const context = getPricingContext(bookingDate, startTimeMinutes, endTimeMinutes, now);
+  const { finalPrice, priceBreakdown, appliedRuleIds } = applyPricingRules(basePrice, pricingRules, context);
+
+  return { finalPrice, priceBreakdown, basePrice, appliedRuleIds };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load the court price and the active price windows for a booking date
+ *
+ * @param {number} courtId - Court ID
+ * @param {Date|string} bookingDate - Booking date
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @returns {Promise<Object>} Object with basePricePerHour and windows
+ * @throws {Error} If court not found
+ */
+async function getPriceWindows(courtId, bookingDate, client = null) {
+  const db = client || pool;
+  const date = bookingDate instanceof Date ? bookingDate : new Date(bookingDate);
+
+  const courtResult = await db.query('SELECT price_per_hour FROM courts WHERE id = $1', [courtId]);
+
+  if (courtResult.rows.length === 0) {
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
+  }
+
+  const rulesResult = await db.query(
+    `
+      SELECT id, start_time, end_time, price_per_hour_override
+      FROM court_availability_rules
+      WHERE court_id = $1
+        AND day_of_week = $2
+        AND is_active = TRUE
+      ORDER BY start_time ASC
+    `,
+    [courtId, date.getDay()]
+  );
+
+  const rules = rulesResult.rows.map(row => ({
+    id: row.id,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    pricePerHourOverride: row.price_per_hour_override !== null ? parseFloat(row.price_per_hour_override) : null
+  }));
+
+  return {
+    basePricePerHour: parseFloat(courtResult.rows[0].price_per_hour),
+    windows: getRuleWindows(rules)
+  };
+}
+
+/**
+ * Calculate the price of a booking range with its itemized breakdown
+ *
+ * @param {number} courtId - Court ID
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Object} [client] - Database client (for transactions, optional)
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now=new Date()] - Moment the booking is made (for lead time conditions)
+ * @param {Array<Object>} [options.pricingRules] - Rules to evaluate instead of the court's
+ *   active pricing rules (price simulation)
+ * @returns {Promise<Object>} Object with finalPrice, priceBreakdown, basePrice
+ *   (time-of-day price before pricing rules) and appliedRuleIds
+ * @throws {Error} If court not found
+ */
+async function calculateBookingPrice(
+  courtId,
+  bookingDate,
+  startTimeMinutes,
+  endTimeMinutes,
+  client = null,
+  options = {}
+) {
+  const { now = new Date() } = options;
+
+  const { basePricePerHour, windows } = await getPriceWindows(courtId, bookingDate, client);
+  const pricingRules = options.pricingRules || await PricingRule.findActiveForCourt(courtId, client);
+
+  return priceTimeRange(windows, basePricePerHour, pricingRules, bookingDate, startTimeMinutes, endTimeMinutes, now);
+}
+
+module.exports = {
+  getPriceWindows,
+  calculateBookingPrice,
+  roundCurrency,
+  isRangeCovered,
+  sortPricingRules,
+  priceTimeRange
+};
@@ -0,0 +1,609 @@
+/**
+ * Promo Code Service
+ *
+ * Business logic for promo codes (discount coupons). Platform admins manage
+ * platform-wide codes and facility admins manage codes of their own
+ * facilities; players redeem a code when they create a booking.
+ *
+ * Architecture:
+ * - Platform-wide codes (facility_id NULL) can be used at every facility
+ * - Facility codes can only be used on that facility's courts
+ * - A code is redeemed inside the booking transaction: the code row is locked
+ *   (SELECT ... FOR UPDATE), checked against its caps and the redemption is
+ *   counted before commit, so concurrent bookings cannot exceed a cap
+ * - The discount is applied after time-of-day pricing and pricing rules and
+ *   shows up as a 'promo_code' line in the booking's price breakdown
+ */
+
+const PromoCode = require('../models/PromoCode');
+const Court = require('../models/Court');
+const Facility = require('../models/Facility');
+const bookingRules = require('../config/bookingRules');
+const { roundCurrency } = require('./pricingService');
+
+/**
+ * Promo code fields that can be changed on update (the code itself is fixed)
+ */
+const DEFINITION_FIELDS = [
+  'description', 'discountType', 'discountValue', 'maxDiscountAmount', 'minBookingAmount', 'validFrom',
+  'validUntil', 'maxRedemptions', 'maxRedemptionsPerUser', 'sportIds', 'courtIds', 'isActive'
+];
+
+/**
+ * Largest amount accepted for discount and booking amounts (DECIMAL(10, 2))
+ */
+const MAX_AMOUNT = 99999999.99;
+
+/**
+ * ============================================================================
+ * PURE FUNCTIONS
+ * ============================================================================
+ */
+
+/**
+ * Build a validation error
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ * @private
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Normalize a promo code as typed by a user (trimmed, upper case)
+ * @param {string} code - Code
+ * @returns {string} Normalized code
+ * @throws {Error} If the code is not a valid promo code format
+ */
+function normalizePromoCode(code) {
+  const min = bookingRules.MIN_PROMO_CODE_LENGTH;
+  const max = bookingRules.MAX_PROMO_CODE_LENGTH;
+
+  if (typeof code !== 'string') {
+    throw validationError('promoCode must be a string');
+  }
+
+  const normalized = code.trim().toUpperCase();
+  if (normalized.length < min || normalized.length > max || !/^[A-Z0-9_-]+$/.test(normalized)) {
+    throw validationError(
+      `promoCode must be ${min}-${max} characters (letters, digits, '-' and '_')`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse an optional positive amount
+ * @private
+ */
+function parseOptionalAmount(value, field, allowZero = false) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (!allowZero && value === 0) ||
+      value > MAX_AMOUNT) {
+    throw validationError(`${field} must be a ${allowZero ? 'non-negative' : 'positive'} amount`);
+  }
+  return roundCurrency(value);
+}
+
+/**
+ * Parse an optional positive integer
+ * @private
+ */
+function parseOptionalCount(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    throw validationError(`${field} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Parse an optional ISO 8601 date-time
+ * @private
+ */
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) {
+    throw validationError(`${field} must be an ISO 8601 date-time`);
+  }
+  return date;
+}
+
+/**
+ * Parse an optional list of IDs
+ * @private
+ */
+function parseOptionalIdList(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const max = bookingRules.MAX_PROMO_CODE_RESTRICTION_IDS;
+  if (!Array.isArray(value) || value.length === 0 || value.length > max ||
+      !value.every(id => Number.isInteger(id) && id > 0)) {
+    throw validationError(`${field} must be a non-empty array of at most ${max} IDs`);
+  }
+  return [...new Set(value)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate and normalize a promo code definition (everything but the code)
+ *
+ * Restrictions that are not set are stored as null (no restriction).
+ *
+ * @param {Object} data - Promo code definition
+ * @returns {Object} Normalized definition
+ * @throws {Error} If the definition is invalid
+ */
+function validatePromoCode(data) {
+  const promo = {};
+
+  if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+    throw validationError('description must be a string');
+  }
+  promo.description = data.description || null;
+
+  if (!PromoCode.DISCOUNT_TYPES.includes(data.discountType)) {
+    throw validationError(`discountType must be one of: ${PromoCode.DISCOUNT_TYPES.join(', ')}`);
+  }
+  promo.discountType = data.discountType;
+
+  promo.discountValue = parseOptionalAmount(data.discountValue, 'discountValue');
+  if (promo.discountValue === null) {
+    throw validationError('discountValue is required');
+  }
+  if (promo.discountType === 'percentage' && promo.discountValue > 100) {
+    throw validationError('Percentage discount must be between 0 and 100');
+  }
+
+  promo.maxDiscountAmount = parseOptionalAmount(data.maxDiscountAmount, 'maxDiscountAmount');
+  if (promo.maxDiscountAmount !== null && promo.discountType !== 'percentage') {
+    throw validationError('maxDiscountAmount only applies to percentage discounts');
+  }
+  promo.minBookingAmount = parseOptionalAmount(data.minBookingAmount, 'minBookingAmount', true);
+
+  promo.validFrom = parseOptionalDate(data.validFrom, 'validFrom');
+  promo.validUntil = parseOptionalDate(data.validUntil, 'validUntil');
+  if (promo.validFrom && promo.validUntil && promo.validFrom >= promo.validUntil) {
+    throw validationError('validUntil must be after validFrom');
+  }
+
+  promo.maxRedemptions = parseOptionalCount(data.maxRedemptions, 'maxRedemptions');
+  promo.maxRedemptionsPerUser = parseOptionalCount(data.maxRedemptionsPerUser, 'maxRedemptionsPerUser');
+
+  promo.sportIds = parseOptionalIdList(data.sportIds, 'sportIds');
+  promo.courtIds = parseOptionalIdList(data.courtIds, 'courtIds');
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    throw validationError('isActive must be a boolean');
+  }
+  promo.isActive = data.isActive !== undefined ? data.isActive : true;
+
+  return promo;
+}
+
+/**
+ * Calculate the discount a promo code gives on a price
+ * (percentage discounts are capped by maxDiscountAmount; never above the price)
+ * @param {Object} promoCode - Promo code
+ * @param {number} price - Price before discount
+ * @returns {number} Discount amount
+ */
+function calculatePromoDiscount(promoCode, price) {
+  let discount = promoCode.discountType === 'percentage'
+    ? price * promoCode.discountValue / 100
+    : promoCode.discountValue;
+
+  if (promoCode.maxDiscountAmount !== null && discount > promoCode.maxDiscountAmount) {
+    discount = promoCode.maxDiscountAmount;
+  }
+
+  return roundCurrency(Math.min(discount, price));
+}
+
+/**
+ * Find why a promo code cannot be used for a booking
+ * @param {Object} promoCode - Promo code
+ * @param {Object} context - Booking context
+ * @param {number} context.facilityId - Facility of the booked court
+ * @param {number} context.courtId - Booked court
+ * @param {number} context.sportId - Sport of the booked court
+ * @param {number} context.price - Booking price before discount
+ * @param {number} context.userRedemptionCount - Times the user already redeemed the code
+ * @param {boolean} [context.redeemed=false] - The booking already holds a redemption of the
+ *   code (reschedule), so the redemption caps are not checked again
+ * @param {Date} [context.now=new Date()] - Current time
+ * @returns {Object|null} { statusCode, errorCode, message } or null if the code can be used
+ */
+function getPromoCodeIneligibility(promoCode, context) {
+  const now = context.now || new Date();
+  const reject = (statusCode, errorCode, message) => ({ statusCode, errorCode, message });
+
+  if (!promoCode.isActive) {
+    return reject(400, 'PROMO_CODE_INACTIVE', 'This promo code is no longer active');
+  }
+  if (promoCode.validFrom && now < promoCode.validFrom) {
+    return reject(400, 'PROMO_CODE_INACTIVE', 'This promo code is not valid yet');
+  }
+  if (promoCode.validUntil && now >= promoCode.validUntil) {
+    return reject(400, 'PROMO_CODE_INACTIVE', 'This promo code has expired');
+  }
+  if (promoCode.facilityId !== null && promoCode.facilityId !== context.facilityId) {
+    return reject(400, 'PROMO_CODE_NOT_APPLICABLE', 'This promo code cannot be used at this facility');
+  }
+  if (promoCode.courtIds && !promoCode.courtIds.includes(context.courtId)) {
+    return reject(400, 'PROMO_CODE_NOT_APPLICABLE', 'This promo code cannot be used on this court');
+  }
+  if (promoCode.sportIds && !promoCode.sportIds.includes(context.sportId)) {
+    return reject(400, 'PROMO_CODE_NOT_APPLICABLE', 'This promo code cannot be used for this sport');
+  }
+  if (promoCode.minBookingAmount !== null && context.price < promoCode.minBookingAmount) {
+    return reject(
+      400,
+      'PROMO_CODE_NOT_APPLICABLE',
+      `This promo code requires a booking of at least ${promoCode.minBookingAmount}`
+    );
+  }
+  if (context.redeemed) {
+    return null;
+  }
+  if (promoCode.maxRedemptions !== null && promoCode.redemptionCount >= promoCode.maxRedemptions) {
+    return reject(409, 'PROMO_CODE_LIMIT_REACHED', 'This promo code has been fully redeemed');
+  }
+  if (promoCode.maxRedemptionsPerUser !== null && context.userRedemptionCount >= promoCode.maxRedemptionsPerUser) {
+    return reject(409, 'PROMO_CODE_LIMIT_REACHED', 'You have already used this promo code the maximum number of times');
+  }
+
+  return null;
+}
+
+/**
+ * Apply a promo code discount to a computed price
+ *
+ * Adds one 'promo_code' line with the (negative) discount to the breakdown,
+ * so the lines still add up to finalPrice.
+ *
+ * @param {Object} price - Object with finalPrice and priceBreakdown (see pricingService)
+ * @param {Object} promoCode - Promo code
+ * @param {number} startTimeMinutes - Booking start time
+ * @param {number} endTimeMinutes - Booking end time
+ * @returns {Object} Object with finalPrice, priceBreakdown, originalPrice and discountAmount
+ */
+function applyPromoDiscount(price, promoCode, startTimeMinutes, endTimeMinutes) {
+  const discountAmount = calculatePromoDiscount(promoCode, price.finalPrice);
+
+  return {
+    finalPrice: roundCurrency(price.finalPrice - discountAmount),
+    priceBreakdown: [
+      ...price.priceBreakdown,
+      {
+        startTime: startTimeMinutes,
+        endTime: endTimeMinutes,
+        durationMinutes: endTimeMinutes - startTimeMinutes,
+        pricePerHour: null,
+        amount: -discountAmount,
+        source: 'promo_code',
+        promoCodeId: promoCode.id,
+        code: promoCode.code
+      }
+    ],
+    originalPrice: price.finalPrice,
+    discountAmount
+  };
+}
+
+/**
+ * ============================================================================
+ * SERVICE LAYER
+ * ============================================================================
+ */
+
+/**
+ * Load a facility and verify the user owns it
+ * @param {number} facilityId - Facility ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Facility object
+ * @private
+ */
+async function getOwnedFacility(facilityId, userId) {
+  const facility = await Facility.findById(facilityId);
+  if (!facility) {
+    const error = new Error('Facility not found');
+    error.statusCode = 404;
+    error.errorCode = 'FACILITY_NOT_FOUND';
+    throw error;
+  }
+
+  if (facility.ownerId !== userId) {
+    const error = new Error('You can only manage promo codes for your own facilities');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return facility;
+}
+
+/**
+ * Resolve and authorize a scope
+ * Platform scope ({ facilityId: null }) is authorized by the route (platform_admin)
+ * @param {Object} scope - { facilityId } (facility codes) or { facilityId: null } (platform-wide codes)
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<number|null>} Facility ID or null for platform scope
+ * @private
+ */
+async function resolveScope(scope, userId) {
+  if (scope.facilityId === null) {
+    return null;
+  }
+
+  await getOwnedFacility(scope.facilityId, userId);
+  return scope.facilityId;
+}
+
+/**
+ * Load a promo code and check it belongs to the scope
+ * @param {number|null} facilityId - Scope from resolveScope
+ * @param {number} promoCodeId - Promo code ID
+ * @returns {Promise<Object>} Promo code object
+ * @private
+ */
+async function getScopedPromoCode(facilityId, promoCodeId) {
+  const promoCode = await PromoCode.findById(promoCodeId);
+
+  if (!promoCode || promoCode.facilityId !== facilityId) {
+    const error = new Error('Promo code not found');
+    error.statusCode = 404;
+    error.errorCode = 'PROMO_CODE_NOT_FOUND';
+    throw error;
+  }
+
+  return promoCode;
+}
+
+/**
+ * Check that the courts a facility code is restricted to belong to the facility
+ * @param {number|null} facilityId - Scope (null skips the check)
+ * @param {Array<number>|null} courtIds - Court restriction
+ * @returns {Promise<void>}
+ * @private
+ */
+async function assertCourtsInScope(facilityId, courtIds) {
+  if (facilityId === null || !courtIds) {
+    return;
+  }
+
+  const [activeCourts, inactiveCourts] = await Promise.all([
+    Court.findByFacilityId(facilityId, { isActive: true }),
+    Court.findByFacilityId(facilityId, { isActive: false })
+  ]);
+  const facilityCourtIds = [...activeCourts, ...inactiveCourts].map(court => court.id);
+  const foreign = courtIds.filter(id => !facilityCourtIds.includes(id));
+
+  if (foreign.length > 0) {
+    throw validationError(`courtIds must be courts of this facility (invalid: ${foreign.join(', ')})`);
+  }
+}
+
+/**
+ * List promo codes (newest first)
+ * @param {Object} scope - { facilityId } or { facilityId: null } (platform-wide codes)
+ * @param {Object} options - Query options
+ * @param {boolean} [options.isActive] - Filter by active status
+ * @param {number} userId - User ID making the request (for ownership check)
+ * @returns {Promise<Array>} Array of promo code objects
+ */
+async function listPromoCodes(scope, options, userId) {
+  const facilityId = await resolveScope(scope, userId);
+  return await PromoCode.findByFacilityId(facilityId, { isActive: options.isActive });
+}
+
+/**
+ * Create a promo code
+ * @param {Object} scope - { facilityId } or { facilityId: null } (platform-wide code)
+ * @param {Object} data - Promo code definition including code
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Created promo code
+ * @throws {Error} If not authorized, the definition is invalid or the code is taken
+ */
+async function createPromoCode(scope, data, userId) {
+  const facilityId = await resolveScope(scope, userId);
+  const code = normalizePromoCode(data.code);
+  const definition = validatePromoCode(data);
+  await assertCourtsInScope(facilityId, definition.courtIds);
+
+  if (await PromoCode.findByCode(code)) {
+    const error = new Error(`Promo code ${code} already exists`);
+    error.statusCode = 409;
+    error.errorCode = 'PROMO_CODE_EXISTS';
+    throw error;
+  }
+
+  try {
+    return await PromoCode.create({ ...definition, code, facilityId, createdBy: userId });
+  } catch (error) {
+    // Unique index on code (concurrent create)
+    if (error.code === '23505') {
+      const conflict = new Error(`Promo code ${code} already exists`);
+      conflict.statusCode = 409;
+      conflict.errorCode = 'PROMO_CODE_EXISTS';
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a promo code (omitted fields keep their current values)
+ * @param {Object} scope - { facilityId } or { facilityId: null }
+ * @param {number} promoCodeId - Promo code ID
+ * @param {Object} data - Fields to change
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<Object>} Updated promo code
+ * @throws {Error} If not authorized, not found, or the result is invalid
+ */
+async function updatePromoCode(scope, promoCodeId, data, userId) {
+  const facilityId = await resolveScope(scope, userId);
+  const existing = await getScopedPromoCode(facilityId, promoCodeId);
+
+  if (data.code !== undefined && normalizePromoCode(data.code) !== existing.code) {
+    throw validationError('code cannot be changed; create a new promo code instead');
+  }
+
+  const merged = { ...existing };
+  for (const field of DEFINITION_FIELDS) {
+    if (data[field] !== undefined) {
+      merged[field] = data[field];
+    }
+  }
+
+  const definition = validatePromoCode(merged);
+  await assertCourtsInScope(facilityId, definition.courtIds);
+
+  if (definition.maxRedemptions !== null && definition.maxRedemptions < existing.redemptionCount) {
+    throw validationError(
+      `maxRedemptions cannot be lower than the current number of redemptions (${existing.redemptionCount})`
+    );
+  }
+
+  return await PromoCode.update(promoCodeId, definition);
+}
+
+/**
+ * Delete a promo code that was never redeemed
+ * (redeemed codes are kept for the bookings that used them; deactivate them instead)
+ * @param {Object} scope - { facilityId } or { facilityId: null }
+ * @param {number} promoCodeId - Promo code ID
+ * @param {number} userId - User ID making the request
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deletePromoCode(scope, promoCodeId, userId) {
+  const facilityId = await resolveScope(scope, userId);
+  const promoCode = await getScopedPromoCode(facilityId, promoCodeId);
+
+  if (await PromoCode.hasRedemptions(promoCode.id)) {
+    const error = new Error('Promo code has been redeemed and cannot be deleted; deactivate it instead');
+    error.statusCode = 409;
+    error.errorCode = 'PROMO_CODE_IN_USE';
+    throw error;
+  }
+
+  return await PromoCode.delete(promoCodeId);
+}
+
+/**
+ * Check a promo code against the booked court and price
+ * @param {Object} client - Database client (from transaction)
+ * @param {Object} promoCode - Promo code
+ * @param {Object} context - Booking context (courtId, price, userRedemptionCount, redeemed;
+ *   see getPromoCodeIneligibility)
+ * @returns {Promise<void>}
+ * @throws {Error} If the code cannot be used
+ * @private
+ */
+async function assertPromoCodeApplies(client, promoCode, context) {
+  const courtResult = await client.query('SELECT facility_id, sport_id FROM courts WHERE id = $1', [context.courtId]);
+  const court = courtResult.rows[0];
+
+  const reason = getPromoCodeIneligibility(promoCode, {
+    facilityId: court ? court.facility_id : null,
+    courtId: context.courtId,
+    sportId: court ? court.sport_id : null,
+    price: context.price,
+    userRedemptionCount: context.userRedemptionCount || 0,
+    redeemed: context.redeemed === true
+  });
+
+  if (reason) {
+    const error = new Error(reason.message);
+    error.statusCode = reason.statusCode;
+    error.errorCode = reason.errorCode;
+    throw error;
+  }
+}
+
+/**
+ * Load a promo code and check it can be used for a booking
+ *
+ * With lock = true the code row stays locked until the transaction ends, so
+ * the caps checked here hold until PromoCode.recordRedemption counts the
+ * redemption.
+ *
+ * @param {Object} client - Database client (from transaction)
+ * @param {string} code - Code as entered by the user
+ * @param {Object} context - Booking context
+ * @param {number} context.userId - User booking
+ * @param {number} context.courtId - Court booked
+ * @param {number} context.price - Booking price before discount
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lock=false] - Lock the code row (redemption)
+ * @returns {Promise<Object>} Promo code object
+ * @throws {Error} PROMO_CODE_NOT_FOUND, PROMO_CODE_INACTIVE, PROMO_CODE_NOT_APPLICABLE or PROMO_CODE_LIMIT_REACHED
+ */
+async function getApplicablePromoCode(client, code, context, options = {}) {
+  const promoCode = await PromoCode.findByCode(normalizePromoCode(code), client, options.lock === true);
+
+  if (!promoCode) {
+    const error = new Error('Promo code not found');
+    error.statusCode = 404;
+    error.errorCode = 'PROMO_CODE_NOT_FOUND';
+    throw error;
+  }
+
+  const userRedemptionCount = promoCode.maxRedemptionsPerUser !== null
+    ? await PromoCode.countUserRedemptions(promoCode.id, context.userId, client)
+    : 0;
+
+  await assertPromoCodeApplies(client, promoCode, { ...context, userRedemptionCount });
+
+  return promoCode;
+}
+
+/**
+ * Load the promo code a booking redeemed and check it still applies after
+ * the booking moved (reschedule)
+ *
+ * The court, sport, minimum amount and validity are checked again; the
+ * redemption caps are not, since the booking's redemption already counts.
+ *
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} promoCodeId - Promo code ID stored on the booking
+ * @param {Object} context - New booking context
+ * @param {number} context.courtId - New court
+ * @param {number} context.price - New price before discount
+ * @returns {Promise<Object|null>} Promo code object, or null if the code was deleted
+ * @throws {Error} PROMO_CODE_INACTIVE or PROMO_CODE_NOT_APPLICABLE
+ */
+async function getRedeemedPromoCode(client, promoCodeId, context) {
+  const promoCode = await PromoCode.findById(promoCodeId, client);
+
+  if (!promoCode) {
+    return null;
+  }
+
+  await assertPromoCodeApplies(client, promoCode, { ...context, redeemed: true });
+
+  return promoCode;
+}
+
+module.exports = {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getApplicablePromoCode,
+  getRedeemedPromoCode,
+  normalizePromoCode,
+  applyPromoDiscount
+};
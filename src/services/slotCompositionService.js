@@ -20,6 +20,7 @@
 
 const bookingRules = require('../config/bookingRules');
 const timeNorm = require('../utils/timeNormalization');
+const { priceTimeRange } = require('./pricingService');
 
 /**
  * ============================================================================
@@ -348,9 +349,45 @@ function generateSlotsForMultipleDurations(freeBlocks, durations, options = {})
   };
 }
 
+/**
+ * Add prices to booking slots (time-of-day pricing and pricing rules)
+ * 
+ * Each free block carries the pricePerHourOverride of the availability rule
+ * it came from, and the court's active pricing rules are applied on top in
+ * the same order as for bookings, so a slot is priced the same way the
+ * booking will be.
+ * 
+ * @param {Array<Object>} slots - Slots from generateBookingSlots
+ * @param {Array<Object>} freeBlocks - Free blocks the slots were composed from
+ * @param {number} basePricePerHour - Court price per hour (used when a block has no override)
+ * @param {Array<Object>} pricingRules - Active pricing rules of the court
+ * @param {Date|string} bookingDate - Date of the slots
+ * @param {Date} [now=new Date()] - Current time (for lead time conditions)
+ * @returns {Array<Object>} Slots with price and priceBreakdown
+ * 
+ * @example
+ * addSlotPrices([{ startTime: 1020, endTime: 1140, durationMinutes: 120 }], freeBlocks, 2000, [], '2024-01-15');
+ * // [{ startTime: 1020, endTime: 1140, durationMinutes: 120, price: 5000, priceBreakdown: [...] }]
+ */
+function addSlotPrices(slots, freeBlocks, basePricePerHour, pricingRules, bookingDate, now = new Date()) {
+  return slots.map(slot => {
+    const { finalPrice, priceBreakdown } = priceTimeRange(
+      freeBlocks,
+      basePricePerHour,
+      pricingRules,
+      bookingDate,
+      slot.startTime,
+      slot.endTime,
+      now
+    );
+    return { ...slot, price: finalPrice, priceBreakdown };
+  });
+}
+
 module.exports = {
   generateBookingSlots,
   generateSlotsForMultipleDurations,
+  addSlotPrices,
   // Export pure functions for testing
   isValidDuration,
   isValidBlocks,
@@ -0,0 +1,264 @@
+/**
+ * Slot Hold Service
+ *
+ * Short-lived checkout holds on a court/date/time range.
+ *
+ * Architecture:
+ * - A player places a hold on a free range (same rules as a booking) and gets
+ *   SLOT_HOLD_DURATION_MINUTES to finish checkout
+ * - While the hold is active, other users cannot book or hold an overlapping
+ *   range (enforced in assertSlotBookable) and the range is hidden from their
+ *   availability (availabilityFilterService)
+ * - The holder converts the hold into a pending booking, releases it, or lets
+ *   it lapse; lapsed holds stop blocking at expires_at and are marked expired
+ *   by the booking lifecycle job
+ * - Released and expired ranges are offered to the waitlist
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const SlotHold = require('../models/SlotHold');
+const { releaseToWaitlist } = require('./waitlistService');
+const {
+  validateBookingRequest,
+  assertSlotBookable,
+  insertPendingBooking
+} = require('./transactionSafeBookingService');
+
+/**
+ * Format a date as YYYY-MM-DD (same convention as booking_date)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Check whether a hold can still be used (active and not lapsed)
+ * @param {Object} hold - Hold object
+ * @param {Date} [now=new Date()] - Reference moment
+ * @returns {boolean} True if the hold is active
+ */
+function isHoldActive(hold, now = new Date()) {
+  return hold.holdStatus === 'active' && hold.expiresAt > now;
+}
+
+/**
+ * Load a hold and check that the user owns it
+ * @private
+ */
+async function getOwnedHold(holdId, userId, client = null, forUpdate = false) {
+  const hold = await SlotHold.findById(holdId, client, forUpdate);
+
+  if (!hold) {
+    const error = new Error('Slot hold not found');
+    error.statusCode = 404;
+    error.errorCode = 'SLOT_HOLD_NOT_FOUND';
+    throw error;
+  }
+
+  if (hold.userId !== userId) {
+    const error = new Error('You can only manage your own slot holds');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  return hold;
+}
+
+/**
+ * Place a hold on a free range
+ *
+ * @param {number} userId - User ID
+ * @param {number} courtId - Court ID
+ * @param {Date} date - Date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {Promise<Object>} Created hold
+ * @throws {Error} If the range is not bookable, already held, or the user's limit is reached
+ */
+async function createSlotHold(userId, courtId, date, startTimeMinutes, endTimeMinutes) {
+  validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes);
+
+  const holdData = {
+    userId,
+    courtId,
+    bookingDate: toDateString(date),
+    startTime: startTimeMinutes,
+    endTime: endTimeMinutes
+  };
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Locks the court row, so concurrent holds on the court are serialized
+    await assertSlotBookable(client, courtId, date, startTimeMinutes, endTimeMinutes, { userId });
+
+    const ownHold = await SlotHold.findActiveOverlapForUser(holdData, client);
+    if (ownHold) {
+      const error = new Error('You already hold an overlapping time slot on this court');
+      error.statusCode = 409;
+      error.errorCode = 'ALREADY_HOLDING';
+      error.holdId = ownHold.id;
+      throw error;
+    }
+
+    const activeCount = await SlotHold.countActiveByUserId(userId, client);
+    if (activeCount >= bookingRules.MAX_ACTIVE_SLOT_HOLDS_PER_USER) {
+      const error = new Error(
+        `You can hold at most ${bookingRules.MAX_ACTIVE_SLOT_HOLDS_PER_USER} time slots at a time`
+      );
+      error.statusCode = 400;
+      error.errorCode = 'SLOT_HOLD_LIMIT_REACHED';
+      throw error;
+    }
+
+    const hold = await SlotHold.create({
+      ...holdData,
+      expiresAt: new Date(Date.now() + bookingRules.SLOT_HOLD_DURATION_MINUTES * 60 * 1000)
+    }, client);
+
+    await client.query('COMMIT');
+
+    return hold;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the user's slot holds
+ *
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.status] - Filter by hold status
+ * @returns {Promise<Array>} Slot holds
+ */
+async function getUserSlotHolds(userId, options = {}) {
+  const { status } = options;
+
+  if (status && !SlotHold.HOLD_STATUSES.includes(status)) {
+    const error = new Error(`Invalid status. Must be one of: ${SlotHold.HOLD_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    error.errorCode = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return SlotHold.findByUserId(userId, { status });
+}
+
+/**
+ * Release an active hold
+ *
+ * @param {number} holdId - Hold ID
+ * @param {number} userId - User ID (for ownership check)
+ * @returns {Promise<Object>} Released hold
+ * @throws {Error} If hold not found, not owned, or no longer active
+ */
+async function releaseSlotHold(holdId, userId) {
+  const hold = await getOwnedHold(holdId, userId);
+
+  if (!isHoldActive(hold)) {
+    const error = new Error('Slot hold is no longer active');
+    error.statusCode = 400;
+    error.errorCode = 'SLOT_HOLD_NOT_ACTIVE';
+    throw error;
+  }
+
+  const releasedHold = await SlotHold.release(holdId);
+
+  // The range may have been waitlisted while it was held
+  await releaseToWaitlist([releasedHold]);
+
+  return releasedHold;
+}
+
+/**
+ * Convert an active hold into a pending booking
+ *
+ * @param {number} holdId - Hold ID
+ * @param {number} userId - User ID (for ownership check)
+ * @param {Object} [options] - Booking options
+ * @param {string} [options.paymentReference] - Payment transaction reference
+ * @param {string} [options.promoCode] - Promo code to redeem
+ * @returns {Promise<Object>} Object with hold and booking
+ * @throws {Error} If the hold is not active or the range can no longer be booked
+ */
+async function convertSlotHold(holdId, userId, options = {}) {
+  const { paymentReference = null, promoCode = null } = options;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const hold = await getOwnedHold(holdId, userId, client, true);
+
+    if (!isHoldActive(hold)) {
+      const error = new Error('Slot hold is no longer active');
+      error.statusCode = 400;
+      error.errorCode = 'SLOT_HOLD_NOT_ACTIVE';
+      throw error;
+    }
+
+    const bookingDate = new Date(hold.bookingDate);
+
+    // The holder's own hold is ignored; everything else is checked again
+    await assertSlotBookable(client, hold.courtId, bookingDate, hold.startTime, hold.endTime, { userId });
+
+    const booking = await insertPendingBooking(client, {
+      userId,
+      courtId: hold.courtId,
+      bookingDate,
+      startTimeMinutes: hold.startTime,
+      endTimeMinutes: hold.endTime,
+      paymentReference,
+      promoCode
+    });
+
+    const convertedHold = await SlotHold.markConverted(holdId, booking.id, client);
+
+    await client.query('COMMIT');
+
+    return {
+      hold: convertedHold,
+      booking
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark lapsed holds as expired and offer their ranges to the waitlist
+ *
+ * @returns {Promise<Object>} Result with expiredCount and offeredCount
+ */
+async function expireLapsedHolds() {
+  const expiredHolds = await SlotHold.expireLapsedHolds();
+  const offered = await releaseToWaitlist(expiredHolds);
+
+  return {
+    expiredCount: expiredHolds.length,
+    offeredCount: offered.length
+  };
+}
+
+module.exports = {
+  createSlotHold,
+  getUserSlotHolds,
+  releaseSlotHold,
+  convertSlotHold,
+  expireLapsedHolds
+};
@@ -20,6 +20,12 @@ const bookingRules = require('../config/bookingRules');
 const timeNorm = require('../utils/timeNormalization');
 const availabilityService = require('./availabilityService');
 const filterService = require('./availabilityFilterService');
+const bookingPolicyService = require('./bookingPolicyService');
+const pricingService = require('./pricingService');
+const promoCodeService = require('./promoCodeService');
+const PromoCode = require('../models/PromoCode');
+const bookingStateMachine = require('./bookingStateMachine');
+const playerScreeningService = require('./playerScreeningService');
 
 /**
  * ============================================================================
@@ -106,10 +112,20 @@ function validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes)
  * @param {Date} bookingDate - Booking date
  * @param {number} startTimeMinutes - Start time in minutes since midnight
  * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {number|null} [excludeBookingId] - Booking to ignore (e.g., the booking being rescheduled)
+ * @param {boolean} [lock=true] - Lock the conflicting row (FOR UPDATE)
  * @returns {Promise<Object|null>} Conflicting booking if found, null otherwise
  * @private
  */
-async function checkForOverlappingBookings(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes) {
+async function checkForOverlappingBookings(
+  client,
+  courtId,
+  bookingDate,
+  startTimeMinutes,
+  endTimeMinutes,
+  excludeBookingId = null,
+  lock = true
+) {
   const dateString = bookingDate.toISOString().split('T')[0];
   
   // Query for overlapping bookings using PostgreSQL overlap detection
@@ -137,16 +153,18 @@ async function checkForOverlappingBookings(client, courtId, bookingDate, startTi
       )
       AND start_time < $4
       AND end_time > $3
+      AND ($5::INTEGER IS NULL OR id != $5)
     ORDER BY start_time ASC
     LIMIT 1
-    FOR UPDATE
+    ${lock ? 'FOR UPDATE' : ''}
   `;
   
   const result = await client.query(query, [
     courtId,
     dateString,
     startTimeMinutes,
-    endTimeMinutes
+    endTimeMinutes,
+    excludeBookingId
   ]);
   
   if (result.rows.length > 0) {
@@ -166,42 +184,74 @@ async function checkForOverlappingBookings(client, courtId, bookingDate, startTi
 }
 
 /**
- * Check if time range is within court availability rules
+ * Check if time range is held by another user's checkout hold
+ * 
+ * A player can hold a range for a few minutes while checking out
+ * (see slotHoldService). Holds become bookings, so callers pass the range
+ * widened by the policy buffer.
  * 
  * @param {Object} client - Database client (from transaction)
  * @param {number} courtId - Court ID
  * @param {Date} bookingDate - Booking date
  * @param {number} startTimeMinutes - Start time in minutes since midnight
  * @param {number} endTimeMinutes - End time in minutes since midnight
- * @returns {Promise<boolean>} True if within availability rules
+ * @param {number|null} userId - User booking the range (their own holds are ignored)
+ * @returns {Promise<Object|null>} Active hold if found, null otherwise
  * @private
  */
-async function checkAvailabilityRules(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes) {
-  const dayOfWeek = bookingDate.getDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
+async function checkSlotHolds(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes, userId) {
+  const dateString = bookingDate.toISOString().split('T')[0];
   
-  // Check if there's an availability rule that covers this time range
   const query = `
-    SELECT COUNT(*) as count
-    FROM court_availability_rules
+    SELECT id, start_time, end_time, expires_at
+    FROM slot_holds
     WHERE court_id = $1
-      AND day_of_week = $2
-      AND is_active = TRUE
-      AND (
-        -- Normal range: start_time <= booking_start AND end_time >= booking_end
-        (start_time <= end_time AND start_time <= $3 AND end_time >= $4) OR
-        -- Midnight crossover: booking spans across midnight
-        (start_time > end_time AND (start_time <= $3 OR end_time >= $4))
-      )
+      AND booking_date = $2
+      AND hold_status = 'active'
+      AND expires_at > CURRENT_TIMESTAMP
+      AND start_time < $4
+      AND end_time > $3
+      AND ($5::INTEGER IS NULL OR user_id != $5)
+    ORDER BY start_time ASC
+    LIMIT 1
   `;
   
   const result = await client.query(query, [
     courtId,
-    dayOfWeek,
+    dateString,
     startTimeMinutes,
-    endTimeMinutes
+    endTimeMinutes,
+    userId
   ]);
   
-  return parseInt(result.rows[0].count, 10) > 0;
+  if (result.rows.length > 0) {
+    return {
+      id: result.rows[0].id,
+      startTime: result.rows[0].start_time,
+      endTime: result.rows[0].end_time,
+      expiresAt: new Date(result.rows[0].expires_at)
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Check if time range is within court availability rules
+ * 
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} courtId - Court ID
+ * @param {Date} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {Promise<boolean>} True if within availability rules
+ * @private
+ */
+async function checkAvailabilityRules(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes) {
+  // The range may span several adjacent rules (e.g. a day rule and an evening peak rule)
+  const { windows } = await pricingService.getPriceWindows(courtId, bookingDate, client);
+  
+  return pricingService.isRangeCovered(windows, startTimeMinutes, endTimeMinutes);
 }
 
 /**
@@ -212,16 +262,17 @@ async function checkAvailabilityRules(client, courtId, bookingDate, startTimeMin
  * @param {Date} bookingDate - Booking date
  * @param {number} startTimeMinutes - Start time in minutes since midnight
  * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {boolean} [lock=true] - Lock the court and block rows (FOR UPDATE)
  * @returns {Promise<Object|null>} Blocked range if found, null otherwise
  * @private
  */
-async function checkBlockedRanges(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes) {
+async function checkBlockedRanges(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes, lock = true) {
   const dateString = bookingDate.toISOString().split('T')[0];
   const dayOfWeek = bookingDate.getDay();
   
   // Get facility_id from court
   const courtResult = await client.query(
-    'SELECT facility_id FROM courts WHERE id = $1 FOR UPDATE',
+    `SELECT facility_id FROM courts WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
     [courtId]
   );
   
@@ -260,7 +311,7 @@ async function checkBlockedRanges(client, courtId, bookingDate, startTimeMinutes
       (start_time < $6 AND end_time > $5)
     )
     LIMIT 1
-    FOR UPDATE
+    ${lock ? 'FOR UPDATE' : ''}
   `;
   
   const result = await client.query(query, [
@@ -285,6 +336,55 @@ async function checkBlockedRanges(client, courtId, bookingDate, startTimeMinutes
   return null;
 }
 
+/**
+ * Check if time range is held by another user's waitlist claim
+ * 
+ * A waitlisted user who was offered a freed range gets an exclusive,
+ * time-limited claim on it (see waitlistService).
+ * 
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} courtId - Court ID
+ * @param {Date} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {number|null} userId - User booking the range (their own claims are ignored)
+ * @returns {Promise<Object|null>} Active claim if found, null otherwise
+ * @private
+ */
+async function checkWaitlistClaims(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes, userId) {
+  const dateString = bookingDate.toISOString().split('T')[0];
+  
+  const query = `
+    SELECT id, user_id, claim_expires_at
+    FROM waitlist_entries
+    WHERE court_id = $1
+      AND booking_date = $2
+      AND entry_status = 'offered'
+      AND claim_expires_at > CURRENT_TIMESTAMP
+      AND start_time < $4
+      AND end_time > $3
+      AND ($5::INTEGER IS NULL OR user_id != $5)
+    LIMIT 1
+  `;
+  
+  const result = await client.query(query, [
+    courtId,
+    dateString,
+    startTimeMinutes,
+    endTimeMinutes,
+    userId
+  ]);
+  
+  if (result.rows.length > 0) {
+    return {
+      id: result.rows[0].id,
+      claimExpiresAt: new Date(result.rows[0].claim_expires_at)
+    };
+  }
+  
+  return null;
+}
+
 /**
  * Get booking policy for expiration duration
  * 
@@ -294,86 +394,456 @@ async function checkBlockedRanges(client, courtId, bookingDate, startTimeMinutes
  * @private
  */
 async function getPendingExpirationHours(client, courtId) {
-  // Get court's facility_id
+  const { policy } = await bookingPolicyService.getEffectivePolicy(courtId, client);
+  return policy.pendingBookingExpirationHours;
+}
+
+/**
+ * Get booking policy for how close to start time a booking can be rescheduled
+ * 
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} courtId - Court ID
+ * @returns {Promise<number>} Minimum notice in minutes before booking start
+ * @private
+ */
+async function getMinRescheduleNoticeMinutes(client, courtId) {
+  const { policy } = await bookingPolicyService.getEffectivePolicy(courtId, client);
+  return policy.minRescheduleNoticeMinutes;
+}
+
+/**
+ * Combine a booking date and minutes since midnight into a Date
+ * 
+ * @param {Date|string} bookingDate - Booking date
+ * @param {number} minutes - Minutes since midnight
+ * @returns {Date} Start date/time
+ * @private
+ */
+function toBookingDateTime(bookingDate, minutes) {
+  const dateTime = new Date(bookingDate);
+  dateTime.setHours(0, 0, 0, 0);
+  dateTime.setMinutes(minutes);
+  return dateTime;
+}
+
+/**
+ * Calculate booking price with time-of-day pricing
+ * 
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} courtId - Court ID
+ * @param {Date} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {Promise<Object>} Object with finalPrice (PKR) and priceBreakdown
+ * @private
+ */
+async function calculateBookingPrice(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes) {
+  return await pricingService.calculateBookingPrice(
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    client
+  );
+}
+
+/**
+ * Format a bookings row returned by INSERT/UPDATE ... RETURNING
+ * 
+ * @param {Object} bookingRow - Raw database row
+ * @returns {Object} Formatted booking object
+ * @private
+ */
+function formatBookingRow(bookingRow) {
+  return {
+    id: bookingRow.id,
+    userId: bookingRow.user_id,
+    courtId: bookingRow.court_id,
+    bookingDate: bookingRow.booking_date,
+    startTime: bookingRow.start_time,
+    endTime: bookingRow.end_time,
+    startTimeMinutes: bookingRow.start_time,
+    endTimeMinutes: bookingRow.end_time,
+    finalPrice: parseFloat(bookingRow.final_price),
+    priceBreakdown: bookingRow.price_breakdown || null,
+    originalPrice: bookingRow.original_price !== null ? parseFloat(bookingRow.original_price) : null,
+    discountAmount: parseFloat(bookingRow.discount_amount),
+    promoCodeId: bookingRow.promo_code_id,
+    bookingStatus: bookingRow.booking_status,
+    paymentReference: bookingRow.payment_reference,
+    expiresAt: bookingRow.expires_at ? new Date(bookingRow.expires_at) : null,
+    cancellationReason: bookingRow.cancellation_reason,
+    seriesId: bookingRow.series_id || null,
+    guestContactId: bookingRow.guest_contact_id || null,
+    bookingSource: bookingRow.booking_source || 'app',
+    paymentMethod: bookingRow.payment_method || null,
+    createdBy: bookingRow.created_by || null,
+    createdAt: new Date(bookingRow.created_at),
+    updatedAt: new Date(bookingRow.updated_at)
+  };
+}
+
+/**
+ * Lock the court and verify that a time range can be booked
+ * 
+ * Runs the in-transaction checks shared by every booking path:
+ * 1. Locks the court row (SELECT FOR UPDATE)
+ * 2. Checks the effective booking policy (duration, notice, advance window)
+ * 3. Checks for overlapping bookings, then for bookings inside the policy buffer,
+ *    then for checkout holds of other users (including the buffer)
+ * 4. Checks court availability rules
+ * 5. Checks blocked time ranges
+ * 6. Checks waitlist claims held by other users
+ * 
+ * Does not roll back on failure - the caller owns the transaction.
+ * 
+ * @param {Object} client - Database client (from transaction)
+ * @param {number} courtId - Court ID
+ * @param {Date} bookingDate - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Object} [options] - Optional check options
+ * @param {number} [options.excludeBookingId] - Booking to ignore in the overlap check
+ * @param {number} [options.userId] - User booking the range (may use their own waitlist claim and slot holds)
+ * @param {boolean} [options.ignoreAdvanceNotice=false] - Skip the min advance notice check (front-desk bookings)
+ * @param {boolean} [options.lock=true] - Take row locks (false for read-only checks such as quotes)
+ * @returns {Promise<Object>} Locked court row
+ * @throws {Error} If the court is missing/inactive or the range is not bookable
+ */
+async function assertSlotBookable(
+  client,
+  courtId,
+  bookingDate,
+  startTimeMinutes,
+  endTimeMinutes,
+  options = {}
+) {
+  const {
+    excludeBookingId = null,
+    userId = null,
+    ignoreAdvanceNotice = false,
+    lock = true
+  } = options;
+  
+  // Step 1: Lock court row to prevent concurrent modifications
   const courtResult = await client.query(
-    'SELECT facility_id FROM courts WHERE id = $1',
+    `SELECT id, facility_id, price_per_hour, is_active FROM courts WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}`,
     [courtId]
   );
   
   if (courtResult.rows.length === 0) {
-    return bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS;
+    const error = new Error('Court not found');
+    error.statusCode = 404;
+    error.errorCode = 'COURT_NOT_FOUND';
+    throw error;
   }
   
-  const facilityId = courtResult.rows[0].facility_id;
+  const court = courtResult.rows[0];
   
-  // Get booking policy (court-level or facility-level)
-  // Note: pending_booking_expiration_hours column is added in migration 022
-  // If column doesn't exist yet, fall back to default
-  try {
-    const policyQuery = `
-      SELECT 
-        COALESCE(cp.pending_booking_expiration_hours, fp.pending_booking_expiration_hours, $1) as expiration_hours
-      FROM courts c
-      LEFT JOIN booking_policies cp ON c.id = cp.court_id AND cp.is_active = TRUE
-      LEFT JOIN booking_policies fp ON c.facility_id = fp.facility_id 
-        AND fp.court_id IS NULL AND fp.is_active = TRUE
-      WHERE c.id = $2
-    `;
-    
-    const policyResult = await client.query(policyQuery, [
-      bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS,
-      courtId
-    ]);
-    
-    if (policyResult.rows.length === 0) {
-      return bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS;
-    }
+  if (!court.is_active) {
+    const error = new Error('Court is not active');
+    error.statusCode = 400;
+    error.errorCode = 'COURT_INACTIVE';
+    throw error;
+  }
+  
+  // Step 2: Check the effective booking policy
+  const { policy } = await bookingPolicyService.getEffectivePolicy(courtId, client);
+  bookingPolicyService.assertBookingWithinPolicy(
+    policy,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    { ignoreAdvanceNotice }
+  );
+  
+  // Step 3: Check for overlapping bookings (with row lock)
+  const conflictingBooking = await checkForOverlappingBookings(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    excludeBookingId,
+    lock
+  );
+  
+  if (conflictingBooking) {
+    const error = new Error('Time slot is already booked');
+    error.statusCode = 409; // Conflict
+    error.errorCode = 'BOOKING_CONFLICT';
+    error.conflictingBooking = {
+      id: conflictingBooking.id,
+      startTime: conflictingBooking.startTime,
+      endTime: conflictingBooking.endTime,
+      status: conflictingBooking.status
+    };
+    throw error;
+  }
+  
+  // Bookings must keep the policy buffer to their neighbours (changeover time)
+  if (policy.bookingBufferMinutes > 0) {
+    const bufferedBooking = await checkForOverlappingBookings(
+      client,
+      courtId,
+      bookingDate,
+      startTimeMinutes - policy.bookingBufferMinutes,
+      endTimeMinutes + policy.bookingBufferMinutes,
+      excludeBookingId,
+      lock
+    );
     
-    return parseFloat(policyResult.rows[0].expiration_hours) || bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS;
-  } catch (error) {
-    // If column doesn't exist yet (during migration), use default
-    if (error.code === '42703' || error.message.includes('column')) {
-      return bookingRules.DEFAULT_PENDING_BOOKING_EXPIRATION_HOURS;
+    if (bufferedBooking) {
+      const error = new Error(
+        `Bookings on this court need ${policy.bookingBufferMinutes} minutes between them`
+      );
+      error.statusCode = 409; // Conflict
+      error.errorCode = 'BUFFER_CONFLICT';
+      error.bufferMinutes = policy.bookingBufferMinutes;
+      error.conflictingBooking = {
+        id: bufferedBooking.id,
+        startTime: bufferedBooking.startTime,
+        endTime: bufferedBooking.endTime,
+        status: bufferedBooking.status
+      };
+      throw error;
     }
+  }
+  
+  // Ranges held by other users during checkout are taken too
+  const slotHold = await checkSlotHolds(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes - policy.bookingBufferMinutes,
+    endTimeMinutes + policy.bookingBufferMinutes,
+    userId
+  );
+  
+  if (slotHold) {
+    const error = new Error('Time slot is held by another player during checkout');
+    error.statusCode = 409; // Conflict
+    error.errorCode = 'SLOT_HELD';
+    error.holdExpiresAt = slotHold.expiresAt;
+    throw error;
+  }
+  
+  // Step 4: Check availability rules
+  const isWithinAvailability = await checkAvailabilityRules(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes
+  );
+  
+  if (!isWithinAvailability) {
+    const error = new Error('Requested time is outside court availability hours');
+    error.statusCode = 400;
+    error.errorCode = 'OUTSIDE_AVAILABILITY';
+    throw error;
+  }
+  
+  // Step 5: Check for blocked time ranges
+  const blockedRange = await checkBlockedRanges(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    lock
+  );
+  
+  if (blockedRange) {
+    const error = new Error(`Time slot is blocked: ${blockedRange.reason || 'Maintenance or private event'}`);
+    error.statusCode = 409; // Conflict
+    error.errorCode = 'TIME_BLOCKED';
+    error.blockedRange = {
+      id: blockedRange.id,
+      reason: blockedRange.reason,
+      blockType: blockedRange.blockType
+    };
+    throw error;
+  }
+  
+  // Step 6: Check for waitlist claims held by other users
+  const waitlistClaim = await checkWaitlistClaims(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    userId
+  );
+  
+  if (waitlistClaim) {
+    const error = new Error('Time slot is reserved for a waitlisted player');
+    error.statusCode = 409; // Conflict
+    error.errorCode = 'WAITLIST_CLAIM_HELD';
+    error.claimExpiresAt = waitlistClaim.claimExpiresAt;
     throw error;
   }
+  
+  return court;
 }
 
 /**
- * Calculate booking price based on duration and court price
+ * Price and insert a PENDING booking inside an open transaction
+ * 
+ * Callers must run assertSlotBookable for the same range first.
+ * Player requests (no createdBy) of players blocked by the facility are
+ * refused when the facility auto-rejects blocked players.
  * 
  * @param {Object} client - Database client (from transaction)
- * @param {number} courtId - Court ID
- * @param {number} startTimeMinutes - Start time in minutes since midnight
- * @param {number} endTimeMinutes - End time in minutes since midnight
- * @returns {Promise<number>} Final price in PKR
+ * @param {Object} bookingData - Booking data
+ * @param {number} bookingData.userId - User ID making the booking
+ * @param {number} bookingData.courtId - Court ID
+ * @param {Date} bookingData.bookingDate - Booking date
+ * @param {number} bookingData.startTimeMinutes - Start time in minutes since midnight
+ * @param {number} bookingData.endTimeMinutes - End time in minutes since midnight
+ * @param {string} [bookingData.paymentReference] - Payment transaction reference
+ * @param {number} [bookingData.seriesId] - Booking series ID (recurring bookings)
+ * @param {string} [bookingData.promoCode] - Promo code to redeem
+ * @param {number} [bookingData.guestContactId] - Guest customer (front-desk bookings without userId)
+ * @param {string} [bookingData.bookingSource='app'] - 'app', 'walk_in' or 'phone'
+ * @param {string} [bookingData.paymentMethod] - 'cash' or 'bank_transfer' (front-desk bookings)
+ * @param {number} [bookingData.createdBy] - Facility admin who entered the booking
+ * @returns {Promise<Object>} Created booking object
  * @private
  */
-async function calculateBookingPrice(client, courtId, startTimeMinutes, endTimeMinutes) {
-  // Get court price
-  const courtResult = await client.query(
-    'SELECT price_per_hour FROM courts WHERE id = $1',
-    [courtId]
+async function insertPendingBooking(client, bookingData) {
+  const {
+    userId,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes,
+    paymentReference = null,
+    seriesId = null,
+    promoCode = null,
+    guestContactId = null,
+    bookingSource = 'app',
+    paymentMethod = null,
+    createdBy = null
+  } = bookingData;
+  
+  // Players blocked by the facility are refused if it auto-rejects them
+  if (userId && !createdBy) {
+    await playerScreeningService.assertNotAutoRejected(client, courtId, userId);
+  }
+  
+  const dateString = bookingDate.toISOString().split('T')[0];
+  
+  // Calculate booking price (split across time-of-day price windows)
+  let price = await calculateBookingPrice(
+    client,
+    courtId,
+    bookingDate,
+    startTimeMinutes,
+    endTimeMinutes
   );
   
-  if (courtResult.rows.length === 0) {
-    const error = new Error('Court not found');
-    error.statusCode = 404;
-    error.errorCode = 'COURT_NOT_FOUND';
-    throw error;
+  // Apply promo code (locks the code row until commit so its caps hold)
+  let redeemedCode = null;
+  if (promoCode) {
+    redeemedCode = await promoCodeService.getApplicablePromoCode(
+      client,
+      promoCode,
+      { userId, courtId, price: price.finalPrice },
+      { lock: true }
+    );
+    price = promoCodeService.applyPromoDiscount(price, redeemedCode, startTimeMinutes, endTimeMinutes);
   }
   
-  const pricePerHour = parseFloat(courtResult.rows[0].price_per_hour);
+  // Get expiration duration and calculate expires_at
+  const expirationHours = await getPendingExpirationHours(client, courtId);
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + expirationHours);
   
-  // Calculate duration in hours
-  const durationMinutes = timeNorm.calculateRangeDuration(startTimeMinutes, endTimeMinutes);
-  const durationHours = durationMinutes / 60;
+  // Create booking with expiration
+  const insertQuery = `
+    INSERT INTO bookings (
+      user_id,
+      court_id,
+      booking_date,
+      start_time,
+      end_time,
+      final_price,
+      price_breakdown,
+      original_price,
+      discount_amount,
+      promo_code_id,
+      booking_status,
+      payment_reference,
+      expires_at,
+      series_id,
+      guest_contact_id,
+      booking_source,
+      payment_method,
+      created_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11, $12, $13, $14, $15, $16, $17)
+    RETURNING 
+      id,
+      user_id,
+      court_id,
+      booking_date,
+      start_time,
+      end_time,
+      final_price,
+      price_breakdown,
+      original_price,
+      discount_amount,
+      promo_code_id,
+      booking_status,
+      payment_reference,
+      expires_at,
+      cancellation_reason,
+      series_id,
+      guest_contact_id,
+      booking_source,
+      payment_method,
+      created_by,
+      created_at,
+      updated_at
+    `;
+  
+  const insertResult = await client.query(insertQuery, [
+    userId,
+    courtId,
+    dateString,
+    startTimeMinutes,
+    endTimeMinutes,
+    price.finalPrice,
+    JSON.stringify(price.priceBreakdown),
+    redeemedCode ? price.originalPrice : null,
+    redeemedCode ? price.discountAmount : 0,
+    redeemedCode ? redeemedCode.id : null,
+    paymentReference,
+    expiresAt,
+    seriesId,
+    guestContactId,
+    bookingSource,
+    paymentMethod,
+    createdBy
+  ]);
+  
+  const booking = formatBookingRow(insertResult.rows[0]);
+  
+  await bookingStateMachine.recordCreation(client, booking, createdBy
+    ? { type: bookingStateMachine.ACTORS.FACILITY_ADMIN, userId: createdBy }
+    : { type: bookingStateMachine.ACTORS.PLAYER, userId });
   
-  // Calculate price
-  const price = pricePerHour * durationHours;
+  if (redeemedCode) {
+    await PromoCode.recordRedemption(client, {
+      promoCodeId: redeemedCode.id,
+      bookingId: booking.id,
+      userId,
+      discountAmount: price.discountAmount
+    });
+  }
   
-  // Round to 2 decimal places
-  return Math.round(price * 100) / 100;
+  return booking;
 }
 
 /**
@@ -384,7 +854,7 @@ async function calculateBookingPrice(client, courtId, startTimeMinutes, endTimeM
  * 2. Validates the booking request
  * 3. Re-checks availability inside the transaction
  * 4. Uses row-level locking to prevent race conditions
- * 5. Checks for overlapping bookings
+ * 5. Checks the booking policy and for overlapping bookings (including buffer)
  * 6. Checks for blocked time ranges
  * 7. Creates the booking only if all checks pass
  * 8. Commits the transaction
@@ -396,8 +866,9 @@ async function calculateBookingPrice(client, courtId, startTimeMinutes, endTimeM
  * @param {number} endTimeMinutes - End time in minutes since midnight
  * @param {Object} [options] - Optional booking options
  * @param {string} [options.paymentReference] - Payment transaction reference
+ * @param {string} [options.promoCode] - Promo code to redeem (discount stored on the booking)
  * @returns {Promise<Object>} Created booking object
- * @throws {Error} If booking fails (conflict, validation error, etc.)
+ * @throws {Error} If booking fails (conflict, validation error, invalid promo code, etc.)
  * 
  * @example
  * const booking = await createTransactionSafeBooking(
@@ -417,13 +888,15 @@ async function createTransactionSafeBooking(
   endTimeMinutes,
   options = {}
 ) {
-  const { paymentReference = null } = options;
+  const { paymentReference = null, promoCode = null } = options;
   
   // Validate inputs (before transaction)
   validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes);
+  if (promoCode !== null) {
+    promoCodeService.normalizePromoCode(promoCode);
+  }
   
   const bookingDate = date instanceof Date ? date : new Date(date);
-  const dateString = bookingDate.toISOString().split('T')[0];
   
   // Get database client for transaction
   const client = await pool.connect();
@@ -432,184 +905,364 @@ async function createTransactionSafeBooking(
     // Start transaction
     await client.query('BEGIN');
     
-    // Step 1: Lock court row to prevent concurrent modifications
-    const courtResult = await client.query(
-      'SELECT id, facility_id, price_per_hour, is_active FROM courts WHERE id = $1 FOR UPDATE',
-      [courtId]
+    // Steps 1-4: Lock court, check policy, overlaps, availability rules, blocked ranges and waitlist claims
+    await assertSlotBookable(client, courtId, bookingDate, startTimeMinutes, endTimeMinutes, { userId });
+    
+    // Steps 5-7: Calculate price (and redeem promo code), expiration and create booking
+    const booking = await insertPendingBooking(client, {
+      userId,
+      courtId,
+      bookingDate,
+      startTimeMinutes,
+      endTimeMinutes,
+      paymentReference,
+      promoCode
+    });
+    
+    // Step 8: Commit transaction
+    await client.query('COMMIT');
+    
+    return booking;
+    
+  } catch (error) {
+    // Rollback transaction on any error
+    await client.query('ROLLBACK');
+    
+    // Re-throw error (with status code if set)
+    throw error;
+    
+  } finally {
+    // Always release client back to pool
+    client.release();
+  }
+}
+
+/**
+ * Quote a booking without creating it (dry run)
+ * 
+ * Runs the same checks and pricing as createTransactionSafeBooking without a
+ * transaction, row locks or inserts. A booking error (conflict, policy,
+ * availability, promo code, ...) is returned instead of thrown, with the
+ * exact errorCode createTransactionSafeBooking would fail with at this moment
+ * (including BOOKING_AUTO_REJECTED for players the facility blocks).
+ * A successful quote does not reserve the slot.
+ * 
+ * @param {number} userId - User ID that would make the booking
+ * @param {number} courtId - Court ID
+ * @param {Date|string} date - Booking date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @param {Object} [options] - Optional booking options
+ * @param {string} [options.promoCode] - Promo code to apply (not redeemed)
+ * @returns {Promise<Object>} { bookable: true, quote } or
+ *   { bookable: false, error: { statusCode, errorCode, message, details } }
+ * @throws {Error} Unexpected (non-booking) errors such as database failures
+ */
+async function quoteBooking(
+  userId,
+  courtId,
+  date,
+  startTimeMinutes,
+  endTimeMinutes,
+  options = {}
+) {
+  const { promoCode = null } = options;
+  
+  try {
+    validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes);
+    if (promoCode !== null) {
+      promoCodeService.normalizePromoCode(promoCode);
+    }
+    
+    const bookingDate = date instanceof Date ? date : new Date(date);
+    
+    const court = await assertSlotBookable(pool, courtId, bookingDate, startTimeMinutes, endTimeMinutes, {
+      userId,
+      lock: false
+    });
+    
+    // Quotes are player requests: same screening as insertPendingBooking
+    if (userId) {
+      await playerScreeningService.assertNotAutoRejected(pool, courtId, userId);
+    }
+    
+    let price = await calculateBookingPrice(pool, courtId, bookingDate, startTimeMinutes, endTimeMinutes);
+    
+    let appliedCode = null;
+    if (promoCode) {
+      appliedCode = await promoCodeService.getApplicablePromoCode(pool, promoCode, {
+        userId,
+        courtId,
+        price: price.finalPrice
+      });
+      price = promoCodeService.applyPromoDiscount(price, appliedCode, startTimeMinutes, endTimeMinutes);
+    }
+    
+    const expirationHours = await getPendingExpirationHours(pool, courtId);
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + expirationHours);
+    
+    return {
+      bookable: true,
+      quote: {
+        courtId,
+        facilityId: court.facility_id,
+        bookingDate,
+        startTime: startTimeMinutes,
+        endTime: endTimeMinutes,
+        durationMinutes: endTimeMinutes - startTimeMinutes,
+        finalPrice: price.finalPrice,
+        priceBreakdown: price.priceBreakdown,
+        originalPrice: appliedCode ? price.originalPrice : null,
+        discountAmount: appliedCode ? price.discountAmount : 0,
+        promoCode: appliedCode ? appliedCode.code : null,
+        // Bookings start as pending and must be accepted by the facility owner
+        bookingStatus: 'pending',
+        requiresApproval: true,
+        pendingExpirationHours: expirationHours,
+        expiresAt
+      }
+    };
+    
+  } catch (error) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      throw error;
+    }
+    
+    // Extra properties set on booking errors (conflictingBooking, blockedRange, ...)
+    const { statusCode, errorCode, ...details } = error;
+    
+    return {
+      bookable: false,
+      error: {
+        statusCode,
+        errorCode,
+        message: error.message,
+        details: Object.keys(details).length > 0 ? details : null
+      }
+    };
+  }
+}
+
+/**
+ * Reschedule an existing booking with transaction-safe concurrency control
+ * 
+ * This function:
+ * 1. Locks the booking row and checks ownership and status
+ * 2. Enforces the reschedule cutoff from booking policies
+ * 3. Locks the target court and re-checks availability
+ *    (ignoring the booking's own current range)
+ * 4. Recomputes the price (re-applying a redeemed promo code if it still
+ *    applies to the new court and price) and updates the booking in place
+ * 
+ * The booking keeps its ID, status and expiration, so the old slot is only
+ * released when the new one has been secured. After commit the old range is
+ * offered to the waitlist, like any other freed slot.
+ * 
+ * @param {number} bookingId - Booking ID to reschedule
+ * @param {number} userId - User ID (for ownership check)
+ * @param {number} courtId - Target court ID (must belong to the same facility)
+ * @param {Date|string} date - New booking date
+ * @param {number} startTimeMinutes - New start time in minutes since midnight
+ * @param {number} endTimeMinutes - New end time in minutes since midnight
+ * @returns {Promise<Object>} Updated booking object
+ * @throws {Error} If rescheduling fails (not allowed, conflict, validation error, etc.)
+ */
+async function rescheduleBooking(
+  bookingId,
+  userId,
+  courtId,
+  date,
+  startTimeMinutes,
+  endTimeMinutes
+) {
+  // Validate inputs (before transaction)
+  validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes);
+  
+  const bookingDate = date instanceof Date ? date : new Date(date);
+  
+  if (toBookingDateTime(bookingDate, startTimeMinutes) <= new Date()) {
+    const error = new Error('Cannot reschedule a booking to a time in the past');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_DATE';
+    throw error;
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Step 1: Lock the booking row
+    const bookingResult = await client.query(
+      `
+        SELECT b.*, c.facility_id
+        FROM bookings b
+        JOIN courts c ON b.court_id = c.id
+        WHERE b.id = $1
+        FOR UPDATE OF b
+      `,
+      [bookingId]
     );
     
-    if (courtResult.rows.length === 0) {
-      await client.query('ROLLBACK');
-      const error = new Error('Court not found');
+    if (bookingResult.rows.length === 0) {
+      const error = new Error('Booking not found');
       error.statusCode = 404;
-      error.errorCode = 'COURT_NOT_FOUND';
+      error.errorCode = 'BOOKING_NOT_FOUND';
       throw error;
     }
     
-    const court = courtResult.rows[0];
+    const current = bookingResult.rows[0];
     
-    if (!court.is_active) {
-      await client.query('ROLLBACK');
-      const error = new Error('Court is not active');
-      error.statusCode = 400;
-      error.errorCode = 'COURT_INACTIVE';
+    if (current.user_id !== userId) {
+      const error = new Error('You can only reschedule your own bookings');
+      error.statusCode = 403;
+      error.errorCode = 'FORBIDDEN';
       throw error;
     }
     
-    // Step 2: Check for overlapping bookings (with row lock)
-    const conflictingBooking = await checkForOverlappingBookings(
-      client,
-      courtId,
-      bookingDate,
-      startTimeMinutes,
-      endTimeMinutes
-    );
+    const isLivePending = current.booking_status === 'pending' &&
+      (!current.expires_at || new Date(current.expires_at) > new Date());
     
-    if (conflictingBooking) {
-      await client.query('ROLLBACK');
-      const error = new Error('Time slot is already booked');
-      error.statusCode = 409; // Conflict
-      error.errorCode = 'BOOKING_CONFLICT';
-      error.conflictingBooking = {
-        id: conflictingBooking.id,
-        startTime: conflictingBooking.startTime,
-        endTime: conflictingBooking.endTime,
-        status: conflictingBooking.status
-      };
+    if (!isLivePending && current.booking_status !== 'confirmed') {
+      const error = new Error(`Cannot reschedule a booking with status: ${current.booking_status}`);
+      error.statusCode = 400;
+      error.errorCode = 'CANNOT_RESCHEDULE';
       throw error;
     }
     
-    // Step 3: Check availability rules
-    const isWithinAvailability = await checkAvailabilityRules(
-      client,
-      courtId,
-      bookingDate,
-      startTimeMinutes,
-      endTimeMinutes
-    );
+    // Step 2: Enforce reschedule cutoff (policy of the court currently booked)
+    const noticeMinutes = await getMinRescheduleNoticeMinutes(client, current.court_id);
+    const currentStart = toBookingDateTime(current.booking_date, current.start_time);
+    const cutoff = new Date(currentStart.getTime() - (noticeMinutes * 60 * 1000));
     
-    if (!isWithinAvailability) {
-      await client.query('ROLLBACK');
-      const error = new Error('Requested time is outside court availability hours');
+    if (new Date() >= cutoff) {
+      const error = new Error(
+        `Bookings can only be rescheduled at least ${noticeMinutes} minutes before the start time`
+      );
       error.statusCode = 400;
-      error.errorCode = 'OUTSIDE_AVAILABILITY';
+      error.errorCode = 'RESCHEDULE_WINDOW_CLOSED';
       throw error;
     }
     
-    // Step 4: Check for blocked time ranges
-    const blockedRange = await checkBlockedRanges(
+    // Step 3: Lock target court and re-check availability, ignoring this booking
+    const court = await assertSlotBookable(
       client,
       courtId,
       bookingDate,
       startTimeMinutes,
-      endTimeMinutes
+      endTimeMinutes,
+      { excludeBookingId: bookingId, userId }
     );
     
-    if (blockedRange) {
-      await client.query('ROLLBACK');
-      const error = new Error(`Time slot is blocked: ${blockedRange.reason || 'Maintenance or private event'}`);
-      error.statusCode = 409; // Conflict
-      error.errorCode = 'TIME_BLOCKED';
-      error.blockedRange = {
-        id: blockedRange.id,
-        reason: blockedRange.reason,
-        blockType: blockedRange.blockType
-      };
+    if (court.facility_id !== current.facility_id) {
+      const error = new Error('A booking can only be moved to a court in the same facility');
+      error.statusCode = 400;
+      error.errorCode = 'COURT_FACILITY_MISMATCH';
       throw error;
     }
     
-    // Step 5: Calculate booking price
-    const finalPrice = await calculateBookingPrice(
+    // Step 4: Recompute price (keeping the redeemed promo code) and move the booking
+    let price = await calculateBookingPrice(
       client,
       courtId,
+      bookingDate,
       startTimeMinutes,
       endTimeMinutes
     );
     
-    // Step 6: Get expiration duration and calculate expires_at
-    const expirationHours = await getPendingExpirationHours(client, courtId);
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + expirationHours);
-    
-    // Step 7: Create booking with expiration
-    const insertQuery = `
-      INSERT INTO bookings (
-        user_id,
-        court_id,
-        booking_date,
-        start_time,
-        end_time,
-        final_price,
-        booking_status,
-        payment_reference,
-        expires_at
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8)
-      RETURNING 
-        id,
-        user_id,
-        court_id,
-        booking_date,
-        start_time,
-        end_time,
-        final_price,
-        booking_status,
-        payment_reference,
-        expires_at,
-        cancellation_reason,
-        created_at,
-        updated_at
-      `;
-    
-    const insertResult = await client.query(insertQuery, [
-      userId,
-      courtId,
-      dateString,
-      startTimeMinutes,
-      endTimeMinutes,
-      finalPrice,
-      paymentReference,
-      expiresAt
-    ]);
+    // The code must still apply to the new court, sport and price
+    const promoCode = current.promo_code_id
+      ? await promoCodeService.getRedeemedPromoCode(client, current.promo_code_id, {
+        courtId,
+        price: price.finalPrice
+      })
+      : null;
+    if (promoCode) {
+      price = promoCodeService.applyPromoDiscount(price, promoCode, startTimeMinutes, endTimeMinutes);
+      await PromoCode.updateRedemptionDiscount(client, bookingId, price.discountAmount);
+    }
     
-    const bookingRow = insertResult.rows[0];
+    const updateResult = await client.query(
+      `
+        UPDATE bookings
+        SET court_id = $1,
+            booking_date = $2,
+            start_time = $3,
+            end_time = $4,
+            final_price = $5,
+            price_breakdown = $6,
+            original_price = $7,
+            discount_amount = $8,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $9
+        RETURNING 
+          id,
+          user_id,
+          court_id,
+          booking_date,
+          start_time,
+          end_time,
+          final_price,
+          price_breakdown,
+          original_price,
+          discount_amount,
+          promo_code_id,
+          booking_status,
+          payment_reference,
+          expires_at,
+          cancellation_reason,
+          series_id,
+          guest_contact_id,
+          booking_source,
+          payment_method,
+          created_by,
+          created_at,
+          updated_at
+      `,
+      [
+        courtId,
+        bookingDate.toISOString().split('T')[0],
+        startTimeMinutes,
+        endTimeMinutes,
+        price.finalPrice,
+        JSON.stringify(price.priceBreakdown),
+        promoCode ? price.originalPrice : null,
+        promoCode ? price.discountAmount : 0,
+        bookingId
+      ]
+    );
     
-    // Step 7: Commit transaction
     await client.query('COMMIT');
     
-    // Format booking object
-    return {
-      id: bookingRow.id,
-      userId: bookingRow.user_id,
-      courtId: bookingRow.court_id,
-      bookingDate: bookingRow.booking_date,
-      startTime: bookingRow.start_time,
-      endTime: bookingRow.end_time,
-      startTimeMinutes: bookingRow.start_time,
-      endTimeMinutes: bookingRow.end_time,
-      finalPrice: parseFloat(bookingRow.final_price),
-      bookingStatus: bookingRow.booking_status,
-      paymentReference: bookingRow.payment_reference,
-      expiresAt: bookingRow.expires_at ? new Date(bookingRow.expires_at) : null,
-      cancellationReason: bookingRow.cancellation_reason,
-      createdAt: new Date(bookingRow.created_at),
-      updatedAt: new Date(bookingRow.updated_at)
-    };
+    // Offer the previous range to the waitlist (the part the booking still
+    // covers is skipped there because it is not bookable)
+    // Required here: waitlistService itself requires this module
+    const waitlistService = require('./waitlistService');
+    await waitlistService.releaseToWaitlist([{
+      courtId: current.court_id,
+      bookingDate: current.booking_date,
+      startTime: current.start_time,
+      endTime: current.end_time
+    }]);
+    
+    return formatBookingRow(updateResult.rows[0]);
     
   } catch (error) {
-    // Rollback transaction on any error
     await client.query('ROLLBACK');
-    
-    // Re-throw error (with status code if set)
     throw error;
-    
   } finally {
-    // Always release client back to pool
     client.release();
   }
 }
 
 module.exports = {
-  createTransactionSafeBooking
+  createTransactionSafeBooking,
+  quoteBooking,
+  rescheduleBooking,
+  // Exported for composition by other booking services (series, reschedule, ...)
+  validateBookingRequest,
+  assertSlotBookable,
+  insertPendingBooking
 };
 
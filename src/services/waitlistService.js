@@ -0,0 +1,406 @@
+/**
+ * Waitlist Service
+ *
+ * Lets players queue for a court/date/time range that is already taken.
+ *
+ * Architecture:
+ * - Players join with the exact range they want (same rules as a booking)
+ * - When a booking frees a range (cancel, reject, expiry), waiting entries
+ *   on that court/date are offered in FIFO order
+ * - An offer is an exclusive claim: for WAITLIST_CLAIM_WINDOW_MINUTES the range
+ *   can only be booked by the offered player (enforced in assertSlotBookable)
+ * - Lapsed offers expire and the range moves on to the next player
+ */
+
+const { pool } = require('../config/database');
+const bookingRules = require('../config/bookingRules');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const bookingNotificationService = require('./bookingNotificationService');
+const {
+  validateBookingRequest,
+  assertSlotBookable,
+  insertPendingBooking
+} = require('./transactionSafeBookingService');
+
+/**
+ * Error codes meaning "this range cannot be offered right now".
+ * Any other error aborts the promotion run.
+ */
+const NOT_OFFERABLE_CODES = [
+  'BOOKING_CONFLICT',
+  'BUFFER_CONFLICT',
+  'INSUFFICIENT_NOTICE',
+  'DURATION_OUT_OF_POLICY',
+  'EXCEEDS_ADVANCE_BOOKING_WINDOW',
+  'OUTSIDE_AVAILABILITY',
+  'TIME_BLOCKED',
+  'WAITLIST_CLAIM_HELD',
+  'SLOT_HELD',
+  'COURT_INACTIVE'
+];
+
+/**
+ * Error codes that mean a range is held by other bookings (can be waitlisted)
+ */
+const TAKEN_CODES = ['BOOKING_CONFLICT', 'BUFFER_CONFLICT', 'WAITLIST_CLAIM_HELD', 'SLOT_HELD'];
+
+/**
+ * Valid entry statuses (for list filtering)
+ */
+const ENTRY_STATUSES = ['waiting', 'offered', 'claimed', 'expired', 'cancelled'];
+
+/**
+ * Format a date as YYYY-MM-DD (same convention as booking_date)
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Check whether a range has already started
+ * @param {Date|string} date - Date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @returns {boolean} True if start is in the past
+ * @private
+ */
+function hasStarted(date, startTimeMinutes) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setMinutes(startTimeMinutes);
+  return start <= new Date();
+}
+
+/**
+ * Join the waitlist for a taken range
+ *
+ * @param {number} userId - User ID
+ * @param {number} courtId - Court ID
+ * @param {Date} date - Date
+ * @param {number} startTimeMinutes - Start time in minutes since midnight
+ * @param {number} endTimeMinutes - End time in minutes since midnight
+ * @returns {Promise<Object>} Created waitlist entry
+ * @throws {Error} If the range is bookable right now, already joined, or invalid
+ */
+async function joinWaitlist(userId, courtId, date, startTimeMinutes, endTimeMinutes) {
+  validateBookingRequest(courtId, date, startTimeMinutes, endTimeMinutes);
+
+  if (hasStarted(date, startTimeMinutes)) {
+    const error = new Error('Cannot join the waitlist for a time in the past');
+    error.statusCode = 400;
+    error.errorCode = 'INVALID_DATE';
+    throw error;
+  }
+
+  const entryData = {
+    userId,
+    courtId,
+    bookingDate: toDateString(date),
+    startTime: startTimeMinutes,
+    endTime: endTimeMinutes
+  };
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Only taken ranges can be waitlisted - free ones should simply be booked
+    let isTaken = false;
+    try {
+      await assertSlotBookable(client, courtId, date, startTimeMinutes, endTimeMinutes, { userId });
+    } catch (error) {
+      if (!TAKEN_CODES.includes(error.errorCode)) {
+        throw error;
+      }
+      isTaken = true;
+    }
+
+    if (!isTaken) {
+      const error = new Error('This time slot is available - book it directly instead');
+      error.statusCode = 409;
+      error.errorCode = 'SLOT_AVAILABLE';
+      throw error;
+    }
+
+    const duplicate = await WaitlistEntry.findOpenDuplicate(entryData, client);
+    if (duplicate) {
+      const error = new Error('You are already on the waitlist for this time slot');
+      error.statusCode = 409;
+      error.errorCode = 'ALREADY_ON_WAITLIST';
+      throw error;
+    }
+
+    const openCount = await WaitlistEntry.countOpenByUserId(userId, client);
+    if (openCount >= bookingRules.MAX_OPEN_WAITLIST_ENTRIES_PER_USER) {
+      const error = new Error(
+        `You can be on at most ${bookingRules.MAX_OPEN_WAITLIST_ENTRIES_PER_USER} waitlists at a time`
+      );
+      error.statusCode = 400;
+      error.errorCode = 'WAITLIST_LIMIT_REACHED';
+      throw error;
+    }
+
+    const entry = await WaitlistEntry.create(entryData, client);
+
+    await client.query('COMMIT');
+
+    return entry;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Leave the waitlist (also gives up an open offer)
+ *
+ * @param {number} entryId - Waitlist entry ID
+ * @param {number} userId - User ID (for ownership check)
+ * @returns {Promise<Object>} Cancelled entry
+ * @throws {Error} If entry not found, not owned, or already closed
+ */
+async function leaveWaitlist(entryId, userId) {
+  const entry = await WaitlistEntry.findById(entryId);
+
+  if (!entry) {
+    const error = new Error('Waitlist entry not found');
+    error.statusCode = 404;
+    error.errorCode = 'WAITLIST_ENTRY_NOT_FOUND';
+    throw error;
+  }
+
+  if (entry.userId !== userId) {
+    const error = new Error('You can only leave your own waitlist entries');
+    error.statusCode = 403;
+    error.errorCode = 'FORBIDDEN';
+    throw error;
+  }
+
+  if (entry.entryStatus !== 'waiting' && entry.entryStatus !== 'offered') {
+    const error = new Error(`Waitlist entry is already ${entry.entryStatus}`);
+    error.statusCode = 400;
+    error.errorCode = 'WAITLIST_ENTRY_CLOSED';
+    throw error;
+  }
+
+  const cancelledEntry = await WaitlistEntry.cancel(entryId);
+
+  // A declined offer frees the range for the next player
+  if (entry.entryStatus === 'offered') {
+    await releaseToWaitlist([entry]);
+  }
+
+  return cancelledEntry;
+}
+
+/**
+ * Get the user's waitlist entries
+ *
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.status] - Filter by entry status
+ * @returns {Promise<Array>} Waitlist entries
+ */
+async function getUserWaitlistEntries(userId, options = {}) {
+  const { status } = options;
+
+  if (status && !ENTRY_STATUSES.includes(status)) {
+    const error = new Error(`Invalid status. Must be one of: ${ENTRY_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    error.errorCode = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  return WaitlistEntry.findByUserId(userId, { status });
+}
+
+/**
+ * Claim an open offer by booking the offered range
+ *
+ * @param {number} entryId - Waitlist entry ID
+ * @param {number} userId - User ID (for ownership check)
+ * @param {Object} [options] - Booking options
+ * @param {string} [options.paymentReference] - Payment transaction reference
+ * @returns {Promise<Object>} Object with entry and booking
+ * @throws {Error} If there is no open offer or the range can no longer be booked
+ */
+async function claimWaitlistOffer(entryId, userId, options = {}) {
+  const { paymentReference = null } = options;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const entry = await WaitlistEntry.findById(entryId, client, true);
+
+    if (!entry) {
+      const error = new Error('Waitlist entry not found');
+      error.statusCode = 404;
+      error.errorCode = 'WAITLIST_ENTRY_NOT_FOUND';
+      throw error;
+    }
+
+    if (entry.userId !== userId) {
+      const error = new Error('You can only claim your own waitlist offers');
+      error.statusCode = 403;
+      error.errorCode = 'FORBIDDEN';
+      throw error;
+    }
+
+    if (entry.entryStatus !== 'offered' || entry.claimExpiresAt <= new Date()) {
+      const error = new Error('There is no open offer for this waitlist entry');
+      error.statusCode = 400;
+      error.errorCode = 'NO_OPEN_OFFER';
+      throw error;
+    }
+
+    const bookingDate = new Date(entry.bookingDate);
+
+    await assertSlotBookable(client, entry.courtId, bookingDate, entry.startTime, entry.endTime, { userId });
+
+    const booking = await insertPendingBooking(client, {
+      userId,
+      courtId: entry.courtId,
+      bookingDate,
+      startTimeMinutes: entry.startTime,
+      endTimeMinutes: entry.endTime,
+      paymentReference
+    });
+
+    const claimedEntry = await WaitlistEntry.markClaimed(entryId, booking.id, client);
+
+    await client.query('COMMIT');
+
+    return {
+      entry: claimedEntry,
+      booking
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Offer freed ranges to waiting players
+ *
+ * For every freed range, waiting entries on the same court/date that overlap
+ * it are tried oldest first. An entry is offered only if its own range is
+ * bookable right now, so a freed range can satisfy several smaller requests
+ * while an already offered sub-range blocks later overlapping entries.
+ *
+ * @param {Array<Object>} freedRanges - Objects with courtId, bookingDate, startTime, endTime
+ * @returns {Promise<Array>} Offered waitlist entries
+ */
+async function offerFreedRanges(freedRanges) {
+  const offered = [];
+
+  for (const range of freedRanges) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const candidates = await WaitlistEntry.findWaitingForRange(
+        client,
+        range.courtId,
+        toDateString(range.bookingDate),
+        range.startTime,
+        range.endTime
+      );
+
+      for (const candidate of candidates) {
+        if (hasStarted(candidate.bookingDate, candidate.startTime)) {
+          continue;
+        }
+
+        try {
+          await assertSlotBookable(
+            client,
+            candidate.courtId,
+            new Date(candidate.bookingDate),
+            candidate.startTime,
+            candidate.endTime,
+            { userId: candidate.userId }
+          );
+        } catch (error) {
+          if (NOT_OFFERABLE_CODES.includes(error.errorCode)) {
+            continue;
+          }
+          throw error;
+        }
+
+        const claimExpiresAt = new Date(Date.now() + bookingRules.WAITLIST_CLAIM_WINDOW_MINUTES * 60 * 1000);
+        offered.push(await WaitlistEntry.markOffered(candidate.id, claimExpiresAt, client));
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Notify after commit so players never hear about an offer that was rolled back
+  for (const entry of offered) {
+    await bookingNotificationService.notifyWaitlistOffer(entry);
+  }
+
+  return offered;
+}
+
+/**
+ * Hand freed bookings/ranges to the waitlist without failing the caller
+ *
+ * Used by every path that frees a slot (cancel, reject, expiry). The
+ * booking operation has already been committed, so errors are only logged.
+ *
+ * @param {Array<Object>} freedRanges - Bookings or ranges with courtId, bookingDate, startTime, endTime
+ * @returns {Promise<Array>} Offered waitlist entries (empty on failure)
+ */
+async function releaseToWaitlist(freedRanges) {
+  if (!freedRanges || freedRanges.length === 0) {
+    return [];
+  }
+
+  try {
+    return await offerFreedRanges(freedRanges);
+  } catch (error) {
+    console.error('[Waitlist] Failed to offer freed ranges:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Expire lapsed offers and pass their ranges to the next players
+ *
+ * @returns {Promise<Object>} Result with expiredCount and offeredCount
+ */
+async function expireLapsedOffers() {
+  const expiredEntries = await WaitlistEntry.expireLapsedOffers();
+  const offered = await releaseToWaitlist(expiredEntries);
+
+  return {
+    expiredCount: expiredEntries.length,
+    offeredCount: offered.length
+  };
+}
+
+module.exports = {
+  joinWaitlist,
+  leaveWaitlist,
+  getUserWaitlistEntries,
+  claimWaitlistOffer,
+  releaseToWaitlist,
+  expireLapsedOffers
+};
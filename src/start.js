@@ -43,7 +43,27 @@ const migrationFiles = [
   '026_create_email_verification_codes_table.sql',
   '027_add_signup_status_to_users.sql',
   '028_add_username_to_email_verification_codes.sql',
-  '029_add_facility_cover_and_amenities.sql'
+  '029_add_facility_cover_and_amenities.sql',
+  '030_create_booking_series.sql',
+  '031_add_reschedule_policy_to_booking_policies.sql',
+  '032_create_waitlist_entries.sql',
+  '033_add_cancellation_policy.sql',
+  '034_create_job_runs.sql',
+  '035_add_unique_active_booking_policies.sql',
+  '036_add_price_breakdown_to_bookings.sql',
+  '037_create_pricing_rules.sql',
+  '038_create_promo_codes.sql',
+  '039_create_idempotency_keys.sql',
+  '040_create_slot_holds.sql',
+  '041_add_admin_bookings.sql',
+  '042_create_booking_status_history.sql',
+  '043_create_booking_messages.sql',
+  '044_create_booking_participants.sql',
+  '045_create_open_games.sql',
+  '046_add_booking_check_in.sql',
+  '047_create_player_screening.sql',
+  '048_create_calendar_feeds.sql',
+  '049_create_calendar_import_sources.sql'
 ];
 
 /**
@@ -0,0 +1,315 @@
+/**
+ * iCalendar Parser
+ *
+ * Minimal RFC 5545 reader for importing external calendars. Only VEVENT
+ * components are read (VTIMEZONE definitions are ignored; TZID parameters are
+ * kept as names). Nested components such as VALARM are skipped.
+ */
+
+/**
+ * Weekday codes used by RRULE BYDAY, indexed by day of week (0=Sunday)
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Build a parse error
+ * @param {string} message - Error message
+ * @returns {Error} INVALID_ICALENDAR error
+ * @private
+ */
+function parseError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errorCode = 'INVALID_ICALENDAR';
+  return error;
+}
+
+/**
+ * Unfold content lines (a line starting with a space or tab continues the previous one)
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Unfolded, non-empty lines
+ * @private
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if the line has no value
+ * @private
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  for (const rawParam of rawParams) {
+    const equalsIndex = rawParam.indexOf('=');
+    if (equalsIndex > 0) {
+      params[rawParam.slice(0, equalsIndex).toUpperCase()] = rawParam.slice(equalsIndex + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - Value (e.g. 20250120, 20250120T190000, 20250120T140000Z)
+ * @param {Object} [params] - Property parameters (VALUE, TZID)
+ * @returns {Object} { dateKey, minutes, dateOnly, utc, tzid }
+ * @throws {Error} If the value is not a valid date or date-time
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    throw parseError(`Invalid date value: ${value}`);
+  }
+
+  const [, year, month, day, hours, mins, , utc] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    throw parseError(`Invalid date value: ${value}`);
+  }
+
+  const dateOnly = hours === undefined || params.VALUE === 'DATE';
+  return {
+    dateKey: `${year}-${month}-${day}`,
+    minutes: dateOnly ? 0 : Number(hours) * 60 + Number(mins),
+    dateOnly,
+    utc: Boolean(utc),
+    tzid: utc ? null : (params.TZID || null)
+  };
+}
+
+/**
+ * Parse a DURATION value
+ * @param {string} value - Duration (e.g. PT1H30M, P1D, P1W)
+ * @returns {number} Duration in minutes
+ * @throws {Error} If the duration is invalid
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match || value.trim() === 'P' || /T$/.test(value.trim())) {
+    throw parseError(`Invalid duration: ${value}`);
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = (Number(weeks || 0) * 7 * 24 * 60) +
+    (Number(days || 0) * 24 * 60) +
+    (Number(hours || 0) * 60) +
+    Number(minutes || 0) +
+    Math.floor(Number(seconds || 0) / 60);
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - Recurrence rule (e.g. FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250630T235959Z)
+ * @returns {Object} { freq, interval, count, until, byDay, hasUnsupportedParts }
+ * @throws {Error} If the rule has no FREQ
+ */
+function parseRecurrenceRule(value) {
+  const parts = {};
+  for (const part of value.split(';')) {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue;
+    }
+  }
+
+  if (!parts.FREQ) {
+    throw parseError(`Invalid RRULE: ${value}`);
+  }
+
+  let byDay = null;
+  let hasUnsupportedParts = Object.keys(parts)
+    .some(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'].includes(key));
+
+  if (parts.BYDAY) {
+    byDay = [];
+    for (const code of parts.BYDAY.split(',')) {
+      const dayOfWeek = WEEKDAY_CODES.indexOf(code.toUpperCase());
+      // Ordinal weekdays (e.g. 1MO = first Monday) are not supported
+      if (dayOfWeek === -1) {
+        hasUnsupportedParts = true;
+      } else {
+        byDay.push(dayOfWeek);
+      }
+    }
+  }
+
+  return {
+    freq: parts.FREQ.toUpperCase(),
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL) : null,
+    byDay,
+    hasUnsupportedParts
+  };
+}
+
+/**
+ * Read one property into an event
+ * @param {Object} event - Event being built
+ * @param {string} name - Property name
+ * @param {Object} params - Property parameters
+ * @param {string} value - Property value
+ * @throws {Error} If the value is invalid
+ * @private
+ */
+function readEventProperty(event, name, params, value) {
+  switch (name) {
+    case 'UID':
+      event.uid = value.trim();
+      break;
+    case 'SUMMARY':
+      event.summary = unescapeText(value).trim();
+      break;
+    case 'DESCRIPTION':
+      event.description = unescapeText(value).trim();
+      break;
+    case 'STATUS':
+      event.status = value.trim().toUpperCase();
+      break;
+    case 'TRANSP':
+      event.transparency = value.trim().toUpperCase();
+      break;
+    case 'DTSTART':
+      event.start = parseDateValue(value, params);
+      break;
+    case 'DTEND':
+      event.end = parseDateValue(value, params);
+      break;
+    case 'DURATION':
+      event.durationMinutes = parseDuration(value);
+      break;
+    case 'RRULE':
+      event.rrule = parseRecurrenceRule(value);
+      break;
+    case 'EXDATE':
+      for (const exdate of value.split(',')) {
+        event.exdates.push(parseDateValue(exdate, params));
+      }
+      break;
+    case 'RECURRENCE-ID':
+      event.recurrenceId = parseDateValue(value, params);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Build an event from its properties
+ * @param {Array<Object>} properties - Parsed content lines of the VEVENT
+ * @returns {Object} Event
+ * @private
+ */
+function buildEvent(properties) {
+  const event = {
+    uid: null,
+    summary: null,
+    description: null,
+    status: null,
+    transparency: null,
+    start: null,
+    end: null,
+    durationMinutes: null,
+    rrule: null,
+    exdates: [],
+    recurrenceId: null,
+    error: null
+  };
+
+  for (const { name, params, value } of properties) {
+    try {
+      readEventProperty(event, name, params, value);
+    } catch (error) {
+      // One bad value invalidates the event, not the whole calendar
+      event.error = event.error || error.message;
+    }
+  }
+
+  return event;
+}
+
+
+/**
+ * Parse the events of an iCalendar document
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events (uid, summary, description, status, transparency,
+ *   start, end, durationMinutes, rrule, exdates, recurrenceId, error)
+ * @throws {Error} If the text is not an iCalendar document
+ */
+function parseICalendar(text) {
+  if (typeof text !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+    throw parseError('The file is not an iCalendar (.ics) document');
+  }
+
+  const events = [];
+  const stack = [];
+  let properties = null;
+
+  for (const line of unfoldLines(text)) {
+    const contentLine = parseContentLine(line);
+    if (!contentLine) {
+      continue;
+    }
+
+    const { name, value } = contentLine;
+
+    if (name === 'BEGIN') {
+      stack.push(value.trim().toUpperCase());
+      if (stack.length === 2 && stack[1] === 'VEVENT') {
+        properties = [];
+      }
+    } else if (name === 'END') {
+      if (stack.length === 2 && stack[1] === 'VEVENT') {
+        events.push(buildEvent(properties));
+        properties = null;
+      }
+      stack.pop();
+    } else if (properties && stack.length === 2) {
+      // Properties of nested components (VALARM) are at a deeper level
+      properties.push(contentLine);
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  parseICalendar
+};
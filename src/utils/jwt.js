@@ -7,6 +7,8 @@
  * Token Structure:
  * - Access Token: Short-lived (7 days), contains userId, role, provider
  * - Refresh Token: Long-lived (future), for obtaining new access tokens
+ * - Check-in Token: Per confirmed booking, shown by the app as a QR code,
+ *   valid until the booking's end time
  */
 
 require('dotenv').config();
@@ -16,6 +18,7 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-producti
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d'; // Default: 7 days
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET + '_refresh';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d'; // Future: 30 days
+const CHECK_IN_TOKEN_SECRET = process.env.CHECK_IN_TOKEN_SECRET || JWT_SECRET + '_check_in';
 
 /**
  * Generate authentication JWT token for a user
@@ -109,6 +112,53 @@ const verifyRefreshToken = (token) => {
   });
 };
 
+/**
+ * Generate a booking check-in token
+ * Signed with its own secret and audience, so it cannot be used as an auth token.
+ * 
+ * @param {Object} payload - Booking slot the token is valid for
+ * @param {number} payload.bookingId - Booking ID
+ * @param {number} payload.courtId - Court ID
+ * @param {string} payload.bookingDate - Booking date (YYYY-MM-DD)
+ * @param {number} payload.startTime - Start time (minutes since midnight)
+ * @param {number} payload.endTime - End time (minutes since midnight)
+ * @param {Date} expiresAt - Expiration time (booking end time)
+ * @returns {string} JWT check-in token
+ */
+const generateCheckInToken = (payload, expiresAt) => {
+  if (!payload || !payload.bookingId) {
+    throw new Error('Check-in payload with bookingId is required');
+  }
+
+  return jwt.sign(
+    { ...payload, type: 'check_in', exp: Math.floor(expiresAt.getTime() / 1000) },
+    CHECK_IN_TOKEN_SECRET,
+    {
+      issuer: 'sportsarena-api',
+      audience: 'sportsarena-check-in'
+    }
+  );
+};
+
+/**
+ * Verify a booking check-in token
+ * @param {string} token - Check-in token to verify
+ * @returns {Object} Decoded payload (bookingId, courtId, bookingDate, startTime, endTime)
+ * @throws {Error} If token is invalid or expired
+ */
+const verifyCheckInToken = (token) => {
+  const decoded = jwt.verify(token, CHECK_IN_TOKEN_SECRET, {
+    issuer: 'sportsarena-api',
+    audience: 'sportsarena-check-in'
+  });
+
+  if (decoded.type !== 'check_in') {
+    throw new jwt.JsonWebTokenError('Not a check-in token');
+  }
+
+  return decoded;
+};
+
 /**
  * Generate JWT token for a user (legacy - for backward compatibility)
  * @deprecated Use generateAuthToken instead
@@ -144,6 +194,8 @@ module.exports = {
   verifyAuthToken,
   generateRefreshToken,
   verifyRefreshToken,
+  generateCheckInToken,
+  verifyCheckInToken,
   // Legacy functions (for backward compatibility)
   generateToken,
   verifyToken,
@@ -0,0 +1,101 @@
+/**
+ * Time Zone Utility
+ *
+ * Booking dates and times are wall-clock values at the facility (minutes since
+ * midnight on booking_date). These helpers convert between them and absolute
+ * instants using the facility's IANA time zone (facilities.timezone).
+ */
+
+/**
+ * Check if a string is a valid IANA time zone name
+ * @param {string} timeZone - Time zone name (e.g., 'Asia/Karachi')
+ * @returns {boolean} True if the runtime knows the time zone
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {number} timestamp - Instant (milliseconds since epoch)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (local time - UTC)
+ * @private
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(timestamp))) {
+    parts[part.type] = parseInt(part.value, 10);
+  }
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an absolute instant
+ * Times skipped by a DST change are moved forward by the size of the gap.
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight (may be 1440 for end of day)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Instant of the wall-clock time
+ */
+function zonedTimeToUtc(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // The offset at the wall-clock value read as UTC can differ from the offset
+  // at the result around DST changes; a second pass settles it
+  const firstOffset = getTimeZoneOffset(wallClock, timeZone);
+  const firstGuess = wallClock - firstOffset;
+  const offset = getTimeZoneOffset(firstGuess, timeZone);
+  if (offset === firstOffset) {
+    return new Date(firstGuess);
+  }
+
+  const secondGuess = wallClock - offset;
+  return new Date(getTimeZoneOffset(secondGuess, timeZone) === offset ? secondGuess : firstGuess);
+}
+
+/**
+ * Convert an instant to the wall-clock date and time in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { dateKey (YYYY-MM-DD), minutes (since midnight), dayOfWeek (0=Sunday) }
+ */
+function utcToZonedTime(date, timeZone) {
+  const timestamp = new Date(date).getTime();
+  const local = new Date(timestamp + getTimeZoneOffset(timestamp, timeZone));
+
+  return {
+    dateKey: local.toISOString().split('T')[0],
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    dayOfWeek: local.getUTCDay()
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  utcToZonedTime
+};